@@ -0,0 +1,130 @@
+// 📡 ANALYSIS PROGRESS - live stage list for an /api/analyze job
+import React from 'react';
+
+const STATUS_STYLES = {
+  pending: { icon: '⏳', color: '#94a3b8', label: 'Waiting' },
+  running: { icon: '🔄', color: '#3b82f6', label: 'Running' },
+  completed: { icon: '✅', color: '#10b981', label: 'Done' },
+  failed: { icon: '❌', color: '#ef4444', label: 'Failed' },
+  blocked: { icon: '⛔', color: '#f59e0b', label: 'Blocked' }
+};
+
+function StageRow({ stage, onRetry, retrying }) {
+  const status = STATUS_STYLES[stage.status] || STATUS_STYLES.pending;
+  const percent = Math.round((stage.status === 'completed' ? 1 : stage.progress) * 100);
+
+  return (
+    <div style={{
+      background: 'rgba(15, 23, 42, 0.4)',
+      borderRadius: '12px',
+      padding: '12px 16px',
+      marginBottom: '8px',
+      border: `1px solid ${stage.status === 'failed' ? 'rgba(239, 68, 68, 0.4)' : '#475569'}`,
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+        <span style={{ color: '#f1f5f9', fontSize: '14px', fontWeight: '600' }}>
+          {status.icon} {stage.label}
+        </span>
+        <span style={{ color: status.color, fontSize: '12px', fontWeight: '600' }}>
+          {stage.status === 'running' ? `${percent}%` : status.label}
+        </span>
+      </div>
+
+      {stage.status === 'running' && (
+        <div style={{ height: '4px', background: '#334155', borderRadius: '4px', marginTop: '8px', overflow: 'hidden' }}>
+          <div style={{ width: `${percent}%`, height: '4px', background: status.color, transition: 'width 0.3s ease' }} />
+        </div>
+      )}
+
+      {stage.message && stage.status !== 'failed' && (
+        <div style={{ color: '#94a3b8', fontSize: '12px', marginTop: '6px' }}>{stage.message}</div>
+      )}
+
+      {stage.status === 'failed' && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px', gap: '12px' }}>
+          <span style={{ color: '#fca5a5', fontSize: '12px' }}>{stage.error}</span>
+          <button
+            onClick={() => onRetry(stage.id)}
+            disabled={retrying}
+            style={{
+              background: '#3b82f6',
+              color: 'white',
+              padding: '6px 14px',
+              border: 'none',
+              borderRadius: '8px',
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: retrying ? 'wait' : 'pointer',
+              opacity: retrying ? 0.6 : 1,
+              whiteSpace: 'nowrap'
+            }}
+          >
+            🔁 Retry stage
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AnalysisProgress({ job, onRetryStage, retrying = false }) {
+  const progress = job?.progress || 0;
+  const runningStage = job?.stages.find(stage => stage.status === 'running');
+
+  return (
+    <div style={{
+      background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)',
+      borderRadius: '20px',
+      padding: '30px',
+      marginBottom: '30px',
+      border: '1px solid #475569'
+    }}>
+      <div style={{
+        width: '100%',
+        backgroundColor: '#334155',
+        borderRadius: '50px',
+        height: '24px',
+        marginBottom: '20px',
+        overflow: 'hidden'
+      }}>
+        <div style={{
+          background: job?.status === 'failed'
+            ? 'linear-gradient(135deg, #dc2626 0%, #ef4444 100%)'
+            : 'linear-gradient(135deg, #3b82f6 0%, #6366f1 100%)',
+          height: '24px',
+          borderRadius: '50px',
+          transition: 'width 0.4s ease',
+          width: `${progress}%`,
+          position: 'relative'
+        }}>
+          <div style={{
+            position: 'absolute',
+            right: '15px',
+            top: '50%',
+            transform: 'translateY(-50%)',
+            color: 'white',
+            fontSize: '14px',
+            fontWeight: '700'
+          }}>
+            {progress}%
+          </div>
+        </div>
+      </div>
+
+      <div style={{ fontSize: '1.3rem', color: '#cbd5e1', marginBottom: '20px' }}>
+        {!job && 'Uploading photos...'}
+        {job?.status === 'queued' && 'Queued for analysis...'}
+        {job?.status === 'running' && (runningStage ? `${runningStage.label}...` : 'Analyzing...')}
+        {job?.status === 'completed' && 'Analysis complete'}
+        {job?.status === 'failed' && 'Some stages failed - retry them to continue'}
+      </div>
+
+      {job?.stages.map(stage => (
+        <StageRow key={stage.id} stage={stage} onRetry={onRetryStage} retrying={retrying} />
+      ))}
+    </div>
+  );
+}
+
+export { AnalysisProgress };
@@ -0,0 +1,34 @@
+// 🧲 DRAG FEEDBACK - footprint preview and alignment guides for the element being dragged
+import React from 'react';
+import { Line } from '@react-three/drei';
+import { VIOLATION_COLOR } from './SetbackViolations';
+
+const VALID_COLOR = '#22c55e';
+const GUIDE_COLOR = '#38bdf8';
+const LINE_HEIGHT = 0.15;
+
+// `feedback` is { outline, guides, valid } from snapDrag/checkPosition
+function DragFeedback({ feedback }) {
+  if (!feedback) return null;
+  const color = feedback.valid ? VALID_COLOR : VIOLATION_COLOR;
+  const outline = [...feedback.outline, feedback.outline[0]].map(([x, z]) => [x, LINE_HEIGHT, z]);
+
+  return (
+    <group name="drag-feedback" userData={{ exportIgnore: true }}>
+      <Line points={outline} color={color} lineWidth={3} />
+      {feedback.guides.map((guide, index) => (
+        <Line
+          key={index}
+          points={guide.map(([x, z]) => [x, LINE_HEIGHT, z])}
+          color={GUIDE_COLOR}
+          lineWidth={1.5}
+          dashed
+          dashSize={0.5}
+          gapSize={0.3}
+        />
+      ))}
+    </group>
+  );
+}
+
+export { DragFeedback };
@@ -0,0 +1,217 @@
+// 🎛️ ELEMENT PROPERTIES - position, rotation, size and material of the selected element
+import React from 'react';
+import { HARDSCAPE_FOOTPRINTS, elementSize } from '../lib/compliance/footprints';
+import { ELEMENT_MATERIALS } from '../lib/elements/materials';
+
+const smallButtonStyle = {
+  background: 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  padding: '6px 12px',
+  fontSize: '11px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+const activeButtonStyle = {
+  ...smallButtonStyle,
+  background: 'linear-gradient(135deg, #1e40af 0%, #3b82f6 100%)'
+};
+
+const inputStyle = {
+  background: '#0f172a',
+  color: '#f1f5f9',
+  border: '1px solid #475569',
+  borderRadius: '6px',
+  padding: '4px 6px',
+  fontSize: '12px',
+  width: '70px'
+};
+
+const labelStyle = { fontSize: '12px', color: '#94a3b8' };
+
+const GIZMO_MODES = [
+  { id: 'translate', label: '✥ Move', key: 'W' },
+  { id: 'rotate', label: '⟳ Rotate', key: 'E' },
+  { id: 'scale', label: '⤢ Scale', key: 'R' }
+];
+
+const round = (value, step = 0.1) => Math.round(value / step) * step;
+
+function NumberField({ label, value, step = 0.5, min, suffix, onChange }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+      <span style={labelStyle}>{label}</span>
+      <input
+        type="number"
+        value={Number(value.toFixed(2))}
+        step={step}
+        min={min}
+        onChange={(e) => {
+          const next = parseFloat(e.target.value);
+          if (Number.isFinite(next) && (min === undefined || next >= min)) onChange(next);
+        }}
+        style={inputStyle}
+      />
+      {suffix && <span style={labelStyle}>{suffix}</span>}
+    </label>
+  );
+}
+
+// `onChange(changes, label, field)` - label reads in the undo button, field groups repeat edits
+function ElementProperties({ category, element, transformMode, onTransformModeChange, onChange, onDuplicate, onDelete, onClose }) {
+  const model = element.model || element.type;
+  const footprint = category === 'hardscape' ? HARDSCAPE_FOOTPRINTS[model] : null;
+  const size = footprint ? elementSize(element) : null;
+  const scale = element.scale || [1, 1, 1];
+  const rotation = element.rotation || 0;
+  const [x, , z] = element.position;
+
+  const setPosition = (index, value) => {
+    const position = [...element.position];
+    position[index] = value;
+    onChange({ position }, 'move', 'position');
+  };
+
+  // Sizes are stored as a scale on the model's catalog footprint
+  const setSize = (axis, feet) => {
+    const base = axis === 0 ? size[0] / scale[0] : size[1] / scale[2];
+    const next = [...scale];
+    const factor = Math.max(0.25, round(feet / base, 0.01));
+    if (footprint.circle) {
+      next[0] = factor;
+      next[2] = factor;
+    } else {
+      next[axis === 0 ? 0 : 2] = factor;
+    }
+    onChange({ scale: next }, 'resize', 'size');
+  };
+
+  return (
+    <div style={{
+      background: 'linear-gradient(145deg, #0f172a 0%, #1e293b 100%)',
+      border: '1px solid #3b82f6',
+      borderRadius: '20px',
+      padding: '20px',
+      marginBottom: '20px',
+      color: '#f1f5f9'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+        <div>
+          <div style={{ fontSize: '16px', fontWeight: '700' }}>{element.name || footprint?.label || element.type}</div>
+          <div style={labelStyle}>
+            {category === 'hardscape' ? 'Hardscape' : 'Landscape'} • {element.type}{model !== element.type ? ` (${model})` : ''}
+          </div>
+        </div>
+        <button onClick={onClose} aria-label="Deselect" style={{ ...smallButtonStyle, background: 'none', color: '#94a3b8' }}>✕</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '16px' }}>
+        {GIZMO_MODES.map(mode => (
+          <button
+            key={mode.id}
+            onClick={() => onTransformModeChange(mode.id)}
+            title={`${mode.label} (${mode.key})`}
+            style={transformMode === mode.id ? activeButtonStyle : smallButtonStyle}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'grid', gap: '10px', marginBottom: '16px' }}>
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          <NumberField label="X" value={x} suffix="ft" onChange={(value) => setPosition(0, value)} />
+          <NumberField label="Z" value={z} suffix="ft" onChange={(value) => setPosition(2, value)} />
+        </div>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={labelStyle}>Rotation</span>
+          <input
+            type="range"
+            min="0"
+            max="355"
+            step="5"
+            value={rotation}
+            onChange={(e) => onChange({ rotation: parseInt(e.target.value) }, 'rotate', 'rotation')}
+            style={{ flex: 1 }}
+          />
+          <span style={{ fontSize: '12px', width: '36px', textAlign: 'right' }}>{rotation}°</span>
+        </label>
+
+        {size ? (
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+            {footprint.circle ? (
+              <NumberField label="Diameter" value={Math.max(...size)} min={0.5} suffix="ft" onChange={(value) => setSize(0, value)} />
+            ) : (
+              <>
+                <NumberField label="Length" value={size[0]} min={0.5} suffix="ft" onChange={(value) => setSize(0, value)} />
+                <NumberField label="Width" value={size[1]} min={0.5} suffix="ft" onChange={(value) => setSize(1, value)} />
+              </>
+            )}
+            <NumberField
+              label="Height"
+              value={scale[1]}
+              step={0.05}
+              min={0.25}
+              suffix="×"
+              onChange={(value) => onChange({ scale: [scale[0], value, scale[2]] }, 'resize', 'height')}
+            />
+          </div>
+        ) : (
+          <NumberField
+            label="Size"
+            value={scale[0]}
+            step={0.05}
+            min={0.25}
+            suffix="×"
+            onChange={(value) => onChange({ scale: [value, value, value] }, 'resize', 'size')}
+          />
+        )}
+      </div>
+
+      {category === 'hardscape' && (
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ ...labelStyle, marginBottom: '6px' }}>Material</div>
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+            {ELEMENT_MATERIALS.map(material => {
+              const active = (element.material || 'default') === material.id;
+              return (
+                <button
+                  key={material.id}
+                  onClick={() => onChange({ material: material.id === 'default' ? undefined : material.id }, 'material', 'material')}
+                  title={material.name}
+                  style={{
+                    ...smallButtonStyle,
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    background: active ? '#1e40af' : '#1e293b',
+                    border: `1px solid ${active ? '#3b82f6' : '#475569'}`
+                  }}
+                >
+                  <span style={{
+                    width: '12px',
+                    height: '12px',
+                    borderRadius: '50%',
+                    background: material.color || 'linear-gradient(135deg, #94a3b8 0%, #475569 100%)',
+                    border: '1px solid #64748b'
+                  }} />
+                  {material.name}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button onClick={onDuplicate} title="Duplicate (Ctrl+D)" style={smallButtonStyle}>⧉ Duplicate</button>
+        <button onClick={onDelete} title="Delete (Del)" style={{ ...smallButtonStyle, background: 'linear-gradient(135deg, #b91c1c 0%, #ef4444 100%)' }}>🗑️ Delete</button>
+      </div>
+    </div>
+  );
+}
+
+export { ElementProperties };
@@ -1,63 +1,14 @@
 // 🔧 SIMPLIFIED POOL FIX - This will definitely work!
-import React, { useState, useRef, useMemo } from 'react';
+import React, { useState, useRef, useMemo, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { Box, Plane, Sphere, Cylinder } from '@react-three/drei';
+import { Box, Sphere, Cylinder, Plane } from '@react-three/drei';
+import { VIOLATION_COLOR } from './SetbackViolations';
+import { POOL_FINISHES, POOL_SHAPES } from '../lib/pool/catalog';
+import { COPING_WIDTH_FT, defaultOutline, outlinePolygon, offsetPolygon, outlineBounds } from '../lib/pool/outline';
+import { floorDepthAt, floorBreaks, clipPolygonX, wallSegments, stepLayouts, sunShelfOutline } from '../lib/pool/profile';
+import { SPA_WALL_FT, WEIR_WALL_FT, infinityEdgeLayout, spaLayout } from '../lib/pool/features';
 import * as THREE from 'three';
 
-// 🎨 POOL FINISHES (same as before)
-const POOL_FINISHES = {
-  plaster: {
-    name: 'White Plaster',
-    shell: '#f8fafc',
-    roughness: 0.3,
-    metalness: 0.0,
-    normalScale: 0.2,
-    cost: 8000,
-    durability: '15-20 years',
-    description: 'Classic smooth finish, easiest maintenance'
-  },
-  pebbleTec: {
-    name: 'Pebble Tec',
-    shell: '#4a7c59',
-    roughness: 0.8,
-    metalness: 0.0,
-    normalScale: 0.6,
-    cost: 12000,
-    durability: '20-25 years',
-    description: 'Natural pebble aggregate, slip-resistant'
-  },
-  glassTile: {
-    name: 'Glass Tile',
-    shell: '#1e40af',
-    roughness: 0.1,
-    metalness: 0.4,
-    normalScale: 0.1,
-    cost: 18000,
-    durability: '25+ years',
-    description: 'Premium glass mosaic, stunning reflections'
-  },
-  quartzite: {
-    name: 'Quartzite',
-    shell: '#6b7280',
-    roughness: 0.4,
-    metalness: 0.2,
-    normalScale: 0.3,
-    cost: 15000,
-    durability: '20+ years',
-    description: 'Natural stone finish, luxury appearance'
-  },
-  fiberglass: {
-    name: 'Fiberglass',
-    shell: '#0ea5e9',
-    roughness: 0.2,
-    metalness: 0.1,
-    normalScale: 0.1,
-    cost: 6000,
-    durability: '15-20 years',
-    description: 'Smooth gel coat, quick installation'
-  }
-};
-
 // 🌊 WATER COLORS
 const WATER_COLORS = {
   sunrise: '#87CEEB',
@@ -68,170 +19,130 @@ const WATER_COLORS = {
   evening: '#1e3a8a',
   night: '#0f172a'
 };
+// Material name for every water surface in exported models
+const WATER_MATERIAL = 'Pool Water';
+
+// Plan points [x, z] -> a THREE.Shape. Shape y is -z, so a mesh turned by
+// FLAT (-90° about x) lies on the ground facing up and extrudes upward.
+const FLAT = [-Math.PI / 2, 0, 0];
+
+function planShape(points, holes = []) {
+  const shape = new THREE.Shape(points.map(([x, z]) => new THREE.Vector2(x, -z)));
+  holes.forEach(hole => {
+    shape.holes.push(new THREE.Path(hole.map(([x, z]) => new THREE.Vector2(x, -z))));
+  });
+  return shape;
+}
+
+// Extruded plan outline, rebuilt only when the outline or height changes
+function usePlanGeometry(points, height, holes) {
+  const geometry = useMemo(() => (
+    height
+      ? new THREE.ExtrudeGeometry(planShape(points, holes), { depth: height, bevelEnabled: false })
+      : new THREE.ShapeGeometry(planShape(points, holes))
+  ), [points, height, holes]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  return geometry;
+}
 
-// 🏊‍♂️ SIMPLE BUT EFFECTIVE POOL SHAPES
-function PoolShape({ shape, size, finish, hovered, isDragging, onSelect }) {
-  const [length, width, depth] = size;
+// Open basin: walls down to the floor, and a floor that follows the depth
+// profile. Triangles are built by hand so the floor can slope.
+function basinGeometry(pool, plan) {
+  const bounds = outlineBounds(plan);
+  const breaks = floorBreaks(pool, bounds);
+  const depth = (x) => floorDepthAt(pool, bounds, x);
+  const positions = [];
+
+  wallSegments(plan, breaks).forEach(([[x1, z1], [x2, z2]]) => {
+    const [d1, d2] = [depth(x1), depth(x2)];
+    positions.push(x1, 0, z1, x2, 0, z2, x2, -d2, z2, x1, 0, z1, x2, -d2, z2, x1, -d1, z1);
+  });
+
+  // The floor in strips between slope changes, so each strip is one plane
+  const edges = [bounds.minX, ...breaks, bounds.maxX];
+  edges.slice(0, -1).forEach((fromX, i) => {
+    const strip = clipPolygonX(plan, fromX, edges[i + 1]);
+    if (strip.length < 3) return;
+    const contour = strip.map(([x, z]) => new THREE.Vector2(x, z));
+    THREE.ShapeUtils.triangulateShape(contour, []).forEach(triangle => {
+      triangle.forEach(index => {
+        const [x, z] = strip[index];
+        positions.push(x, -depth(x), z);
+      });
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// 🏊‍♂️ POOL SHELL - the outline sunk to its depth profile, with steps,
+// benches and sun shelf
+function PoolShape({ pool, plan, finish, hovered, isDragging, violating, onSelect }) {
   const currentFinish = POOL_FINISHES[finish] || POOL_FINISHES.plaster;
-  
+  const depth = pool.size[2];
+
+  const geometry = useMemo(() => basinGeometry(pool, plan), [pool, plan]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  const steps = useMemo(() => stepLayouts(pool), [pool]);
+  const shelf = useMemo(() => sunShelfOutline(pool), [pool]);
+
+  // Named for the finish, so exported models carry it
   const materialProps = {
-    color: hovered || isDragging ? '#fbbf24' : currentFinish.shell,
+    name: currentFinish.name,
+    color: hovered || isDragging ? '#fbbf24' : violating ? VIOLATION_COLOR : currentFinish.shell,
     roughness: currentFinish.roughness,
     metalness: currentFinish.metalness,
-    normalScale: [currentFinish.normalScale, currentFinish.normalScale]
+    normalScale: [currentFinish.normalScale, currentFinish.normalScale],
+    side: THREE.DoubleSide
   };
 
-  // 🔧 SIMPLE APPROACH: Different components for different shapes
-  switch (shape) {
-    case 'rectangle':
-      return (
-        <Box 
-          args={[length, depth, width]} 
-          position={[0, -depth/2, 0]}
-          onClick={onSelect}
-        >
-          <meshStandardMaterial {...materialProps} />
-        </Box>
-      );
-      
-    case 'lagoon':
-      // Create lagoon using stretched ellipse
-      return (
-        <group onClick={onSelect}>
-          {/* Main oval body */}
-          <Cylinder 
-            args={[length * 0.6, length * 0.5, depth, 32]} 
-            position={[0, -depth/2, 0]}
-            rotation={[0, 0, 0]}
-          >
-            <meshStandardMaterial {...materialProps} />
-          </Cylinder>
-          {/* Curved extension */}
-          <Cylinder 
-            args={[width * 0.4, width * 0.3, depth, 32]} 
-            position={[length * 0.3, -depth/2, width * 0.2]}
-            rotation={[0, Math.PI/6, 0]}
-          >
-            <meshStandardMaterial {...materialProps} />
-          </Cylinder>
-        </group>
-      );
-      
-    case 'kidney':
-      // Create kidney using two overlapping cylinders
-      return (
-        <group onClick={onSelect}>
-          {/* Main body */}
-          <Cylinder 
-            args={[length * 0.4, length * 0.4, depth, 32]} 
-            position={[0, -depth/2, 0]}
-          >
-            <meshStandardMaterial {...materialProps} />
-          </Cylinder>
-          {/* Kidney curve */}
-          <Cylinder 
-            args={[width * 0.35, width * 0.3, depth, 32]} 
-            position={[length * 0.2, -depth/2, -width * 0.15]}
-          >
-            <meshStandardMaterial {...materialProps} />
-          </Cylinder>
-        </group>
-      );
-      
-    case 'infinity':
-      // Rectangle with special edge effect
-      return (
-        <group onClick={onSelect}>
-          <Box 
-            args={[length, depth, width]} 
-            position={[0, -depth/2, 0]}
-          >
-            <meshStandardMaterial {...materialProps} />
-          </Box>
-          {/* Infinity edge */}
-          <Box 
-            args={[length, depth * 0.1, width * 0.1]} 
-            position={[0, 0, -width/2]}
-          >
-            <meshStandardMaterial 
-              color={currentFinish.shell}
-              transparent
-              opacity={0.6}
-            />
-          </Box>
-        </group>
-      );
-      
-    case 'lShaped':
-      // Create L-shape using two boxes
-      return (
-        <group onClick={onSelect}>
-          {/* Main section */}
-          <Box 
-            args={[length * 0.6, depth, width]} 
-            position={[length * 0.2, -depth/2, 0]}
-          >
-            <meshStandardMaterial {...materialProps} />
-          </Box>
-          {/* L extension */}
-          <Box 
-            args={[length * 0.4, depth, width * 0.5]} 
-            position={[-length * 0.1, -depth/2, width * 0.25]}
-          >
-            <meshStandardMaterial {...materialProps} />
-          </Box>
+  return (
+    <group name="pool-shell" onClick={onSelect}>
+      <mesh geometry={geometry}>
+        <meshStandardMaterial {...materialProps} />
+      </mesh>
+
+      {/* Sun shelf: a slab raised from the floor to the shelf depth */}
+      {shelf && (
+        <PlanSlab points={shelf} bottom={-depth} top={-pool.sunShelf.depth} materialProps={materialProps} />
+      )}
+
+      {/* Steps and benches, built out from the wall */}
+      {steps.map(step => (
+        <group key={step.id} position={[step.position[0], 0, step.position[1]]} rotation={[0, step.angle, 0]}>
+          {step.blocks.map((block, index) => (
+            <Box
+              key={index}
+              args={[step.width, block.top - block.bottom, block.to - block.from]}
+              position={[0, (block.top + block.bottom) / 2, (block.from + block.to) / 2]}
+            >
+              <meshStandardMaterial {...materialProps} />
+            </Box>
+          ))}
         </group>
-      );
-      
-    case 'lap':
-      // Long narrow lap pool
-      return (
-        <Box 
-          args={[length * 1.8, depth, width * 0.6]} 
-          position={[0, -depth/2, 0]}
-          onClick={onSelect}
-        >
-          <meshStandardMaterial {...materialProps} />
-        </Box>
-      );
-      
-    default:
-      return (
-        <Box 
-          args={[length, depth, width]} 
-          position={[0, -depth/2, 0]}
-          onClick={onSelect}
-        >
-          <meshStandardMaterial {...materialProps} />
-        </Box>
-      );
-  }
+      ))}
+    </group>
+  );
+}
+
+function PlanSlab({ points, bottom, top, materialProps }) {
+  const geometry = usePlanGeometry(points, top - bottom);
+  return (
+    <mesh geometry={geometry} rotation={FLAT} position={[0, bottom, 0]}>
+      <meshStandardMaterial {...materialProps} />
+    </mesh>
+  );
 }
 
-// 🌊 WATER COMPONENT
-function PoolWater({ shape, size, timeOfDay }) {
+// 🌊 WATER COMPONENT - fills the same outline as the shell
+function PoolWater({ plan, timeOfDay }) {
   const waterRef = useRef();
-  const [length, width] = size;
+  const geometry = usePlanGeometry(plan, 0);
   const currentWaterColor = WATER_COLORS[timeOfDay] || WATER_COLORS.sunset;
-  
-  // Get water dimensions based on shape
-  const getWaterSize = () => {
-    switch (shape) {
-      case 'lagoon':
-        return [length * 0.9, width * 0.9];
-      case 'kidney':
-        return [length * 0.8, width * 0.8];
-      case 'lShaped':
-        return [length * 0.9, width * 0.8];
-      case 'lap':
-        return [length * 1.6, width * 0.5];
-      default:
-        return [length - 1, width - 1];
-    }
-  };
-  
-  const [waterLength, waterWidth] = getWaterSize();
-  
+
   useFrame((state) => {
     if (waterRef.current) {
       const time = state.clock.elapsedTime;
@@ -241,15 +152,17 @@ function PoolWater({ shape, size, timeOfDay }) {
       }
     }
   });
-  
+
   return (
-    <Plane
+    <mesh
       ref={waterRef}
-      args={[waterLength, waterWidth]}
+      name="pool-water"
+      geometry={geometry}
       position={[0, 0.2, 0]}
-      rotation={[-Math.PI / 2, 0, 0]}
+      rotation={FLAT}
     >
       <meshStandardMaterial 
+        name={WATER_MATERIAL}
         color={currentWaterColor}
         transparent
         opacity={0.85}
@@ -257,7 +170,246 @@ function PoolWater({ shape, size, timeOfDay }) {
         metalness={0.05}
         envMapIntensity={2.5}
       />
-    </Plane>
+    </mesh>
+  );
+}
+
+// Coping ring: the outline grown by the coping width, with the water cut out
+function PoolCoping({ plan, violating }) {
+  const outer = useMemo(() => offsetPolygon(plan, COPING_WIDTH_FT), [plan]);
+  const holes = useMemo(() => [plan], [plan]);
+  const geometry = usePlanGeometry(outer, 0.15, holes);
+
+  return (
+    <mesh name="pool-coping" geometry={geometry} rotation={FLAT}>
+      <meshStandardMaterial 
+        name="Coping"
+        color={violating ? VIOLATION_COLOR : '#d4af9a'} 
+        roughness={0.7} 
+        metalness={0.1}
+      />
+    </mesh>
+  );
+}
+
+// Dug-out ring around the shell, open in the middle so the basin shows
+function PoolExcavation({ plan }) {
+  const outline = useMemo(() => offsetPolygon(plan, 1.5), [plan]);
+  const holes = useMemo(() => [plan], [plan]);
+  const geometry = usePlanGeometry(outline, 2.5, holes);
+
+  return (
+    <mesh name="pool-excavation" geometry={geometry} rotation={FLAT} position={[0, -2.5, 0]}>
+      <meshStandardMaterial 
+        name="Excavation"
+        color="#654321" 
+        roughness={0.95} 
+      />
+    </mesh>
+  );
+}
+
+// WATER_LEVEL is where PoolWater floats; the features spill from and to it
+const WATER_LEVEL = 0.2;
+const FEATURE_WALL = '#d4af9a';
+
+// Vanishing edge: the weir wall with a sheet of water falling off it into a
+// catch basin sunk outside it. Built in the weir's frame - x along the edge,
+// z out into the basin.
+function InfinityEdge({ layout, timeOfDay, materialProps }) {
+  const { basin, weirFt } = layout;
+  const waterColor = WATER_COLORS[timeOfDay] || WATER_COLORS.sunset;
+  const center = [(layout.start[0] + layout.end[0]) / 2, (layout.start[1] + layout.end[1]) / 2];
+  const bottom = -(basin.dropFt + basin.depthFt);
+  const basinZ = WEIR_WALL_FT + basin.widthFt / 2;
+
+  return (
+    <group name="infinity-edge" position={[center[0], 0, center[1]]} rotation={[0, layout.angle, 0]}>
+      {/* Weir wall, its top just under the water so it sheets over */}
+      <Box args={[weirFt, WATER_LEVEL - bottom, WEIR_WALL_FT]} position={[0, (WATER_LEVEL + bottom) / 2 - 0.05, WEIR_WALL_FT / 2]}>
+        <meshStandardMaterial {...materialProps} />
+      </Box>
+      <Plane args={[weirFt, WATER_LEVEL + basin.dropFt]} position={[0, (WATER_LEVEL - basin.dropFt) / 2, WEIR_WALL_FT + 0.02]}>
+        <meshStandardMaterial name={WATER_MATERIAL} color={waterColor} transparent opacity={0.55} roughness={0} side={THREE.DoubleSide} />
+      </Plane>
+
+      {/* Catch basin: floor, far wall, end walls and its lower water */}
+      <Box args={[weirFt, 0.3, basin.widthFt]} position={[0, bottom - 0.15, basinZ]}>
+        <meshStandardMaterial {...materialProps} />
+      </Box>
+      <Box args={[weirFt, -bottom, 0.3]} position={[0, bottom / 2, WEIR_WALL_FT + basin.widthFt + 0.15]}>
+        <meshStandardMaterial {...materialProps} />
+      </Box>
+      {[-1, 1].map(side => (
+        <Box key={side} args={[0.3, -bottom, basin.widthFt]} position={[side * (weirFt / 2 + 0.15), bottom / 2, basinZ]}>
+          <meshStandardMaterial {...materialProps} />
+        </Box>
+      ))}
+      <Plane args={[weirFt, basin.widthFt]} rotation={FLAT} position={[0, -basin.dropFt, basinZ]}>
+        <meshStandardMaterial name={WATER_MATERIAL} color={waterColor} transparent opacity={0.85} roughness={0} />
+      </Plane>
+    </group>
+  );
+}
+
+// Attached spa: a round tub standing `raised` ft proud of the deck, its water
+// spilling back into the pool over the spillway in the bond beam
+function SpilloverSpa({ layout, timeOfDay, materialProps, violating }) {
+  const { center, radius, raised, depth, spillway } = layout;
+  const waterColor = WATER_COLORS[timeOfDay] || WATER_COLORS.sunset;
+  const waterLevel = WATER_LEVEL + raised;
+  const top = waterLevel + 0.15;
+  const outer = radius + SPA_WALL_FT / 2;
+
+  return (
+    <group name="spillover-spa">
+      <group position={[center[0], 0, center[1]]}>
+        {/* Shell below the water, and the raised wall with its cap */}
+        <Cylinder args={[radius, radius, top - (waterLevel - depth), 32, 1, true]} position={[0, (top + waterLevel - depth) / 2, 0]}>
+          <meshStandardMaterial {...materialProps} />
+        </Cylinder>
+        <Cylinder args={[radius, radius, 0.2, 32]} position={[0, waterLevel - depth - 0.1, 0]}>
+          <meshStandardMaterial {...materialProps} />
+        </Cylinder>
+        <Cylinder args={[outer, outer, top, 32, 1, true]} position={[0, top / 2, 0]}>
+          <meshStandardMaterial color={violating ? VIOLATION_COLOR : FEATURE_WALL} roughness={0.8} side={THREE.DoubleSide} />
+        </Cylinder>
+        <mesh rotation={FLAT} position={[0, top, 0]}>
+          <ringGeometry args={[radius, outer, 32]} />
+          <meshStandardMaterial color={violating ? VIOLATION_COLOR : FEATURE_WALL} roughness={0.7} side={THREE.DoubleSide} />
+        </mesh>
+        <mesh rotation={FLAT} position={[0, waterLevel, 0]}>
+          <circleGeometry args={[radius, 32]} />
+          <meshStandardMaterial name={WATER_MATERIAL} color={waterColor} transparent opacity={0.85} roughness={0} />
+        </mesh>
+      </group>
+
+      {/* Spillway lip and the sheet falling to the pool */}
+      <group position={[spillway.position[0], 0, spillway.position[1]]} rotation={[0, spillway.angle, 0]}>
+        <Box args={[spillway.width, 0.15, SPA_WALL_FT]} position={[0, waterLevel - 0.1, 0]}>
+          <meshStandardMaterial color={FEATURE_WALL} roughness={0.6} />
+        </Box>
+        <Plane args={[spillway.width, raised]} position={[0, WATER_LEVEL + raised / 2, SPA_WALL_FT / 2 + 0.02]}>
+          <meshStandardMaterial name={WATER_MATERIAL} color={waterColor} transparent opacity={0.55} roughness={0} side={THREE.DoubleSide} />
+        </Plane>
+      </group>
+    </group>
+  );
+}
+
+// Pad heights: a slab on grade, or raised above flood water
+const PAD_HEIGHT = { grade: 0.33, elevated: 1.5 };
+const EQUIPMENT_GAP = 0.6;
+
+// One unit per piece of equipment, sized from the hydraulics: `width` is its
+// run along the pad, `render(top)` draws it standing on the pad at x = 0
+function equipmentUnits({ hydraulics, heater, sanitation }) {
+  const units = [];
+
+  // Motor grows with horsepower; the strainer pot sits at the intake end
+  const motorLength = 0.8 + Math.min(hydraulics.pumpHp, 5) * 0.25;
+  units.push({
+    id: 'pump',
+    width: motorLength + 0.9,
+    render: (top) => (
+      <group>
+        <Box args={[motorLength + 0.9, 0.25, 0.9]} position={[0, top + 0.125, 0]}>
+          <meshStandardMaterial color="#1f2937" roughness={0.6} />
+        </Box>
+        <Cylinder args={[0.35, 0.35, motorLength]} rotation={[0, 0, Math.PI / 2]} position={[0.45, top + 0.6, 0]}>
+          <meshStandardMaterial color="#64748b" roughness={0.3} metalness={0.7} />
+        </Cylinder>
+        <Cylinder args={[0.3, 0.3, 0.8]} position={[-(motorLength + 0.9) / 2 + 0.35, top + 0.65, 0]}>
+          <meshStandardMaterial color="#1f2937" roughness={0.5} />
+        </Cylinder>
+      </group>
+    )
+  });
+
+  // Cartridge tank: more media means a fatter, taller tank
+  const filterRadius = 0.55 + hydraulics.filterSqFt * 0.0008;
+  const filterHeight = 2.2 + hydraulics.filterSqFt * 0.002;
+  units.push({
+    id: 'filter',
+    width: filterRadius * 2,
+    render: (top) => (
+      <group>
+        <Cylinder args={[filterRadius, filterRadius, filterHeight]} position={[0, top + filterHeight / 2, 0]}>
+          <meshStandardMaterial color="#94a3b8" roughness={0.4} />
+        </Cylinder>
+        <Sphere args={[filterRadius, 24, 12, 0, Math.PI * 2, 0, Math.PI / 2]} position={[0, top + filterHeight, 0]}>
+          <meshStandardMaterial color="#94a3b8" roughness={0.4} />
+        </Sphere>
+      </group>
+    )
+  });
+
+  if (sanitation === 'salt') {
+    units.push({
+      id: 'salt',
+      width: 0.5,
+      render: (top) => (
+        <Cylinder args={[0.2, 0.2, 1.2]} position={[0, top + 0.8, 0]}>
+          <meshStandardMaterial color="#e2e8f0" transparent opacity={0.8} roughness={0.1} />
+        </Cylinder>
+      )
+    });
+  }
+
+  // Heater cabinets scale with their rating; heat pumps get a fan on top
+  if (heater === 'gas' || heater === 'heatPump') {
+    const { btuPerHour, count } = hydraulics.heater;
+    const isHeatPump = heater === 'heatPump';
+    const side = isHeatPump ? 2 + btuPerHour / 140000 : 1.8 + btuPerHour / 400000;
+    const height = isHeatPump ? 2.6 + btuPerHour / 140000 : 2.2 + btuPerHour / 400000;
+    for (let index = 0; index < count; index++) {
+      units.push({
+        id: `heater-${index}`,
+        width: side,
+        render: (top) => (
+          <group>
+            <Box args={[side, height, side]} position={[0, top + height / 2, 0]}>
+              <meshStandardMaterial color={isHeatPump ? '#cbd5e1' : '#334155'} roughness={0.5} metalness={0.3} />
+            </Box>
+            {isHeatPump && (
+              <Cylinder args={[side * 0.35, side * 0.35, 0.05]} position={[0, top + height + 0.03, 0]}>
+                <meshStandardMaterial color="#0f172a" roughness={0.8} />
+              </Cylinder>
+            )}
+          </group>
+        )
+      });
+    }
+  }
+
+  return units;
+}
+
+// Equipment set on its pad, laid out in a row from `position` eastward
+function PoolEquipment({ position, hydraulics, heater, sanitation, elevated }) {
+  const units = equipmentUnits({ hydraulics, heater, sanitation });
+  const padHeight = elevated ? PAD_HEIGHT.elevated : PAD_HEIGHT.grade;
+  const padLength = units.reduce((sum, unit) => sum + unit.width, 0) + EQUIPMENT_GAP * (units.length + 1);
+  const padDepth = Math.max(3, ...units.map(unit => unit.width)) + EQUIPMENT_GAP * 2;
+
+  let x = EQUIPMENT_GAP;
+  const placed = units.map(unit => {
+    const center = x + unit.width / 2;
+    x += unit.width + EQUIPMENT_GAP;
+    return { ...unit, center };
+  });
+
+  return (
+    <group name="pool-equipment" position={position}>
+      <Box args={[padLength, padHeight, padDepth]} position={[padLength / 2, padHeight / 2, padDepth / 2]}>
+        <meshStandardMaterial color="#9ca3af" roughness={0.9} />
+      </Box>
+      {placed.map(unit => (
+        <group key={unit.id} position={[unit.center, 0, padDepth / 2]}>
+          {unit.render(padHeight)}
+        </group>
+      ))}
+    </group>
   );
 }
 
@@ -266,32 +418,58 @@ function EnhancedPool({
   position = [0, 0, 0], 
   size = [24, 6, 12], 
   shape = 'rectangle',
+  outline,
+  profile,
+  steps,
+  sunShelf,
+  infinityEdge,
+  spa,
   finish = 'plaster', 
   timeOfDay = 'sunset',
   onSelect,
   hasInfinityEdge = false,
   hasSpillover = false,
-  lighting = 'led'
+  hydraulics,
+  heater,
+  sanitation,
+  equipmentElevated = false,
+  lighting = 'led',
+  violating = false
 }) {
   const [hovered, setHovered] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
+  // One outline, relative to the pool's position, drives shell, water and coping
+  const plan = useMemo(() => outlinePolygon(outline || defaultOutline(shape, size)), [outline, shape, size]);
+  const pool = useMemo(
+    () => ({ shape, size, outline, profile, steps, sunShelf, hasInfinityEdge, infinityEdge, hasSpillover, spa }),
+    [shape, size, outline, profile, steps, sunShelf, hasInfinityEdge, infinityEdge, hasSpillover, spa]
+  );
+  const bounds = outlineBounds(plan);
+  const edgeLayout = useMemo(() => infinityEdgeLayout(pool), [pool]);
+  const spaPlan = useMemo(() => spaLayout(pool), [pool]);
+  const currentFinish = POOL_FINISHES[finish] || POOL_FINISHES.plaster;
+  const featureMaterial = {
+    name: currentFinish.name,
+    color: violating ? VIOLATION_COLOR : currentFinish.shell,
+    roughness: currentFinish.roughness,
+    metalness: currentFinish.metalness,
+    side: THREE.DoubleSide
+  };
+  // The pad goes south of the deck, and of a basin or spa that reaches past it
+  const padZ = Math.max(
+    bounds.maxZ + 5,
+    ...(edgeLayout ? edgeLayout.basin.outline.map(point => point[1] + 2) : []),
+    ...(spaPlan ? [spaPlan.center[1] + spaPlan.radius + 2] : [])
+  );
 
   console.log('🏊‍♂️ EnhancedPool rendering:', { shape, size, finish });
 
   return (
-    <group position={position}>
+    <group name="pool" position={position}>
       {/* Pool excavation */}
-      <Box
-        args={[size[0] + 3, 2.5, size[2] + 3]}
-        position={[0, -1.25, 0]}
-      >
-        <meshStandardMaterial 
-          color="#654321" 
-          roughness={0.95} 
-        />
-      </Box>
+      <PoolExcavation plan={plan} />
 
-      {/* 🔧 MAIN POOL SHAPE - This will actually change! */}
+      {/* 🔧 MAIN POOL SHAPE */}
       <group
         onPointerOver={() => setHovered(true)}
         onPointerOut={() => setHovered(false)}
@@ -299,50 +477,40 @@ function EnhancedPool({
         onPointerUp={() => setIsDragging(false)}
       >
         <PoolShape 
-          shape={shape}
-          size={size}
+          pool={pool}
+          plan={plan}
           finish={finish}
           hovered={hovered}
           isDragging={isDragging}
+          violating={violating}
           onSelect={onSelect}
         />
       </group>
 
       {/* Pool coping */}
-      <Box 
-        args={[size[0] + 1, 0.15, size[2] + 1]} 
-        position={[0, 0.075, 0]}
-      >
-        <meshStandardMaterial 
-          color="#d4af9a" 
-          roughness={0.7} 
-          metalness={0.1}
-        />
-      </Box>
+      <PoolCoping plan={plan} violating={violating} />
 
-      {/* 🌊 WATER - Changes with shape */}
+      {/* 🌊 WATER - same outline as the shell */}
       <PoolWater 
-        shape={shape}
-        size={size}
+        plan={plan}
         timeOfDay={timeOfDay}
       />
 
-      {/* Pool equipment */}
-      <Cylinder 
-        args={[0.4, 0.4, 0.8]} 
-        position={[size[0]/2 + 1.5, 0.4, size[2]/2 + 1]}
-      >
-        <meshStandardMaterial 
-          color="#4a5568" 
-          roughness={0.2}
-          metalness={0.8}
+      {/* Pool equipment - pump, filter and heater sized from the hydraulics, past the deck */}
+      {hydraulics && (
+        <PoolEquipment
+          position={[bounds.minX, 0, padZ]}
+          hydraulics={hydraulics}
+          heater={heater}
+          sanitation={sanitation}
+          elevated={equipmentElevated}
         />
-      </Cylinder>
+      )}
 
       {/* LED lighting */}
       {lighting === 'led' && (
         <>
-          <Sphere args={[0.08]} position={[size[0]/4, 0.1, size[2]/4]}>
+          <Sphere name="pool-light" args={[0.08]} position={[bounds.maxX / 2, 0.1, bounds.maxZ / 2]}>
             <meshStandardMaterial 
               color="#ffffff" 
               emissive="#4a90e2" 
@@ -350,7 +518,7 @@ function EnhancedPool({
             />
           </Sphere>
           <pointLight 
-            position={[size[0]/4, 0.3, size[2]/4]} 
+            position={[bounds.maxX / 2, 0.3, bounds.maxZ / 2]} 
             color="#4a90e2" 
             intensity={0.8} 
             distance={8}
@@ -359,23 +527,19 @@ function EnhancedPool({
         </>
       )}
 
-      {/* Spillover spa */}
-      {hasSpillover && (
-        <Cylinder 
-          args={[3, 3, 1.2]} 
-          position={[size[0]/2 + 2, 0.6, 0]}
-        >
-          <meshStandardMaterial 
-            color={POOL_FINISHES[finish].shell}
-            roughness={POOL_FINISHES[finish].roughness}
-            metalness={POOL_FINISHES[finish].metalness}
-          />
-        </Cylinder>
+      {/* Vanishing edge and catch basin */}
+      {edgeLayout && (
+        <InfinityEdge layout={edgeLayout} timeOfDay={timeOfDay} materialProps={featureMaterial} />
+      )}
+
+      {/* Spillover spa against the wall */}
+      {spaPlan && (
+        <SpilloverSpa layout={spaPlan} timeOfDay={timeOfDay} materialProps={featureMaterial} violating={violating || !spaPlan.clear} />
       )}
 
       {/* Visual feedback */}
       {isDragging && (
-        <Sphere args={[1.5]} position={[0, 1, 0]}>
+        <Sphere args={[1.5]} position={[0, 1, 0]} userData={{ exportIgnore: true }}>
           <meshStandardMaterial 
             color="#10b981" 
             transparent 
@@ -387,7 +551,7 @@ function EnhancedPool({
       )}
 
       {hovered && !isDragging && (
-        <Sphere args={[Math.max(...size) * 0.6]} position={[0, 1, 0]}>
+        <Sphere args={[Math.max(...size) * 0.6]} position={[0, 1, 0]} userData={{ exportIgnore: true }}>
           <meshStandardMaterial 
             color="#3b82f6" 
             transparent 
@@ -402,15 +566,9 @@ function EnhancedPool({
 }
 
 // 🎮 SHAPE SELECTOR with debug logging
-function PoolShapeSelector({ currentShape, onShapeChange, designData }) {
-  const shapes = [
-    { id: 'rectangle', name: 'Rectangle', icon: '⬜', description: 'Classic geometric pool', cost: 0 },
-    { id: 'lagoon', name: 'Lagoon', icon: '🌊', description: 'Organic curved pool', cost: 5000 },
-    { id: 'kidney', name: 'Kidney', icon: '🫘', description: 'Traditional curved shape', cost: 3000 },
-    { id: 'infinity', name: 'Infinity', icon: '♾️', description: 'Vanishing edge pool', cost: 15000 },
-    { id: 'lShaped', name: 'L-Shaped', icon: '📐', description: 'Corner design pool', cost: 4000 },
-    { id: 'lap', name: 'Lap Pool', icon: '🏊‍♂️', description: 'Long swimming pool', cost: 2000 }
-  ];
+function PoolShapeSelector({ currentShape, onShapeChange, designData, priceList }) {
+  // Surcharges come from the company catalog
+  const surcharge = (id) => priceList?.price('poolShape', id) || 0;
 
   return (
     <div style={{ marginBottom: '24px' }}>
@@ -428,7 +586,7 @@ function PoolShapeSelector({ currentShape, onShapeChange, designData }) {
         gridTemplateColumns: 'repeat(2, 1fr)', 
         gap: '8px' 
       }}>
-        {shapes.map(shape => (
+        {POOL_SHAPES.map(shape => (
           <button
             key={shape.id}
             onClick={() => {
@@ -456,7 +614,7 @@ function PoolShapeSelector({ currentShape, onShapeChange, designData }) {
             <span style={{ fontSize: '16px', marginBottom: '4px' }}>{shape.icon}</span>
             <span style={{ fontSize: '11px', marginBottom: '2px' }}>{shape.name}</span>
             <span style={{ fontSize: '8px', opacity: 0.8 }}>
-              {shape.cost > 0 ? `+$${shape.cost.toLocaleString()}` : 'Base price'}
+              {surcharge(shape.id) > 0 ? `+$${surcharge(shape.id).toLocaleString()}` : 'Base price'}
             </span>
           </button>
         ))}
@@ -466,7 +624,7 @@ function PoolShapeSelector({ currentShape, onShapeChange, designData }) {
 }
 
 // 🎨 FINISH SELECTOR
-function PoolFinishSelector({ currentFinish, onFinishChange }) {
+function PoolFinishSelector({ currentFinish, onFinishChange, priceList }) {
   return (
     <div style={{ marginBottom: '24px' }}>
       <label style={{ 
@@ -511,7 +669,9 @@ function PoolFinishSelector({ currentFinish, onFinishChange }) {
                 <div style={{ fontSize: '9px', opacity: 0.8 }}>{finish.description}</div>
               </div>
               <div style={{ textAlign: 'right' }}>
-                <div style={{ fontSize: '10px', fontWeight: '700' }}>${finish.cost.toLocaleString()}</div>
+                <div style={{ fontSize: '10px', fontWeight: '700' }}>
+                  {priceList?.find('poolFinish', key) ? priceList.label(priceList.find('poolFinish', key)) : '—'}
+                </div>
                 <div style={{ fontSize: '8px', opacity: 0.7 }}>{finish.durability}</div>
               </div>
             </div>
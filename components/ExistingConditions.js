@@ -0,0 +1,104 @@
+// 🔒 EXISTING CONDITIONS - detected yard features, locked in place
+import React from 'react';
+import { Box, Cylinder, Sphere } from '@react-three/drei';
+
+const LOCKED_OUTLINE = '#f59e0b';
+
+function ExistingTree({ height }) {
+  return (
+    <group>
+      <Cylinder args={[0.5, 0.6, height * 0.5]} position={[0, height * 0.25, 0]}>
+        <meshStandardMaterial color="#5b4636" roughness={0.9} />
+      </Cylinder>
+      <Sphere args={[height * 0.25]} position={[0, height * 0.7, 0]}>
+        <meshStandardMaterial color="#3f6212" roughness={0.85} />
+      </Sphere>
+    </group>
+  );
+}
+
+function ExistingShed({ footprint, height }) {
+  const [length, width] = footprint;
+  return (
+    <group>
+      <Box args={[length, height * 0.75, width]} position={[0, height * 0.375, 0]}>
+        <meshStandardMaterial color="#a8a29e" roughness={0.8} />
+      </Box>
+      <Box args={[length + 0.6, 0.4, width + 0.6]} position={[0, height * 0.8, 0]}>
+        <meshStandardMaterial color="#57534e" roughness={0.9} />
+      </Box>
+    </group>
+  );
+}
+
+function ExistingSlope({ footprint, height }) {
+  const [length, width] = footprint;
+  // Tilted slab rising away from the house
+  return (
+    <Box
+      args={[length, 0.3, width]}
+      position={[0, height / 2, 0]}
+      rotation={[Math.atan2(height, width), 0, 0]}
+    >
+      <meshStandardMaterial color="#65a30d" roughness={0.95} />
+    </Box>
+  );
+}
+
+function ExistingCondition({ item }) {
+  const [length, width] = item.footprint;
+
+  const body = {
+    tree: <ExistingTree height={item.height} />,
+    shed: <ExistingShed footprint={item.footprint} height={item.height} />,
+    slope: <ExistingSlope footprint={item.footprint} height={item.height} />,
+    fence: (
+      <Box args={[length, item.height, width]} position={[0, item.height / 2, 0]}>
+        <meshStandardMaterial color="#78716c" roughness={0.9} />
+      </Box>
+    ),
+    deck: (
+      <Box args={[length, item.height, width]} position={[0, item.height / 2, 0]}>
+        <meshStandardMaterial color="#92400e" roughness={0.8} />
+      </Box>
+    ),
+    pool: (
+      <Box args={[length, item.height, width]} position={[0, item.height / 2, 0]}>
+        <meshStandardMaterial color="#0e7490" roughness={0.1} transparent opacity={0.8} />
+      </Box>
+    ),
+    acUnit: (
+      <Box args={[length, item.height, width]} position={[0, item.height / 2, 0]}>
+        <meshStandardMaterial color="#cbd5e1" roughness={0.3} metalness={0.6} />
+      </Box>
+    )
+  };
+
+  return (
+    <group
+      position={item.position}
+      name={`existing-${item.type}`}
+      // Locked - swallow pointer events so nothing underneath starts a drag
+      onPointerDown={(event) => event.stopPropagation()}
+    >
+      {body[item.type]}
+
+      {/* Amber footprint outline marks the object as an existing, locked condition */}
+      <Box args={[length + 1, 0.05, width + 1]} position={[0, 0.03, 0]}>
+        <meshStandardMaterial color={LOCKED_OUTLINE} transparent opacity={0.35} />
+      </Box>
+    </group>
+  );
+}
+
+function ExistingConditions({ items = [] }) {
+  return (
+    <group name="existing-conditions">
+      {items.map(item => (
+        <ExistingCondition key={item.id} item={item} />
+      ))}
+    </group>
+  );
+}
+
+export { ExistingConditions };
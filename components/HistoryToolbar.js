@@ -0,0 +1,47 @@
+// ↶ HISTORY TOOLBAR - undo/redo buttons floating over the 3D view
+import React from 'react';
+
+const buttonStyle = {
+  background: 'rgba(15, 23, 42, 0.85)',
+  color: '#f1f5f9',
+  border: '1px solid #475569',
+  borderRadius: '10px',
+  padding: '8px 14px',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer',
+  backdropFilter: 'blur(6px)'
+};
+
+const disabledStyle = { ...buttonStyle, opacity: 0.4, cursor: 'default' };
+
+// `history` is lib/history/history.js state; buttons name the step they act on
+function HistoryToolbar({ history, onUndo, onRedo }) {
+  const undoCommand = history.past[history.past.length - 1];
+  const redoCommand = history.future[0];
+  // A reset throws away the whole design - make the way back stand out
+  const afterReset = undoCommand?.label === 'reset';
+
+  return (
+    <div style={{ position: 'absolute', top: '16px', left: '16px', zIndex: 10, display: 'flex', gap: '8px' }}>
+      <button
+        onClick={onUndo}
+        disabled={!undoCommand}
+        title="Undo (Ctrl+Z)"
+        style={!undoCommand ? disabledStyle : afterReset ? { ...buttonStyle, background: '#b45309', borderColor: '#f59e0b' } : buttonStyle}
+      >
+        ↶ {undoCommand ? `Undo ${undoCommand.label}` : 'Undo'}
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!redoCommand}
+        title="Redo (Ctrl+Shift+Z)"
+        style={redoCommand ? buttonStyle : disabledStyle}
+      >
+        ↷ {redoCommand ? `Redo ${redoCommand.label}` : 'Redo'}
+      </button>
+    </div>
+  );
+}
+
+export { HistoryToolbar };
@@ -0,0 +1,104 @@
+// 📐 PLAN OVERLAY - 3D/plan toggle, drawing tools, scale bar and clearance readout over the viewer
+import React from 'react';
+import { formatFeet } from '../lib/plan/sitePlan';
+import { CLEARANCE_COLORS } from './PlanView';
+
+// Scale bar lengths to pick from, in feet
+const SCALE_STEPS = [1, 2, 5, 10, 20, 50, 100];
+const SCALE_MAX_PX = 140;
+
+const panelStyle = {
+  background: 'rgba(15, 23, 42, 0.85)',
+  border: '1px solid #475569',
+  borderRadius: '10px',
+  backdropFilter: 'blur(6px)',
+  color: 'white'
+};
+
+const segmentStyle = (active) => ({
+  background: active ? '#3b82f6' : 'transparent',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  padding: '4px 10px',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+});
+
+const DRAW_HINTS = {
+  patio: 'Drag out the patio on the ground. Esc cancels.',
+  pool: 'Click the pool corners. Click the first point, double-click or press Enter to close. Backspace undoes a point.'
+};
+
+// `tool` is the drawing tool in use, or null
+function PlanToolbar({ viewMode, onViewModeChange, tool, onToolChange, hasPool }) {
+  return (
+    <div style={{ position: 'absolute', bottom: '16px', left: '16px', zIndex: 10, display: 'flex', flexDirection: 'column', alignItems: 'flex-start', gap: '8px', maxWidth: 'calc(100% - 200px)' }}>
+      {tool && (
+        <div style={{ ...panelStyle, padding: '6px 10px', fontSize: '12px', color: '#cbd5e1' }}>
+          {DRAW_HINTS[tool]}
+        </div>
+      )}
+      <div style={{ ...panelStyle, display: 'flex', alignItems: 'center', gap: '4px', padding: '4px' }}>
+        <button onClick={() => onViewModeChange('3d')} style={segmentStyle(viewMode === '3d')}>🧊 3D</button>
+        <button onClick={() => onViewModeChange('plan')} style={segmentStyle(viewMode === 'plan')}>📐 Plan</button>
+        {viewMode === 'plan' && (
+          <>
+            <span style={{ width: '1px', alignSelf: 'stretch', background: '#475569', margin: '0 4px' }} />
+            <button onClick={() => onToolChange(tool === 'pool' ? null : 'pool')} style={segmentStyle(tool === 'pool')}>
+              ✏️ {hasPool ? 'Redraw pool' : 'Draw pool'}
+            </button>
+            <button onClick={() => onToolChange(tool === 'patio' ? null : 'patio')} style={segmentStyle(tool === 'patio')}>
+              ▭ Draw patio
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// `pixelsPerFoot` is the plan camera's zoom; the bar takes the longest round
+// length that fits
+function PlanScaleBar({ pixelsPerFoot }) {
+  if (!pixelsPerFoot) return null;
+  const feet = [...SCALE_STEPS].reverse().find(step => step * pixelsPerFoot <= SCALE_MAX_PX) || SCALE_STEPS[0];
+  const width = feet * pixelsPerFoot;
+
+  return (
+    <div style={{ ...panelStyle, position: 'absolute', bottom: '16px', right: '16px', zIndex: 10, padding: '6px 12px 8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#cbd5e1', width: `${width}px` }}>
+        <span>0</span>
+        <span>{feet}&apos;</span>
+      </div>
+      <div style={{ width: `${width}px`, height: '6px', border: '1px solid white', borderTop: 'none', marginTop: '2px' }} />
+    </div>
+  );
+}
+
+// `measurement` is measureClearances() for the selection
+function PlanReadout({ measurement }) {
+  return (
+    <div style={{ ...panelStyle, position: 'absolute', top: '64px', left: '16px', zIndex: 10, padding: '10px 12px', fontSize: '12px', minWidth: '180px' }}>
+      <div style={{ fontWeight: '700', marginBottom: '6px' }}>
+        {measurement.label}
+        <span style={{ fontWeight: '500', color: '#94a3b8', marginLeft: '8px' }}>
+          {formatFeet(measurement.size[0])} × {formatFeet(measurement.size[1])}
+        </span>
+      </div>
+      {measurement.clearances.map(clearance => (
+        <div key={clearance.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', color: '#cbd5e1', marginTop: '2px' }}>
+          <span>
+            <span style={{ color: CLEARANCE_COLORS[clearance.id] }}>■</span> {clearance.label}
+          </span>
+          <span style={{ color: 'white', fontWeight: '600' }}>
+            {clearance.distance > 0 ? formatFeet(clearance.distance) : 'touching'}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export { PlanToolbar, PlanScaleBar, PlanReadout };
@@ -0,0 +1,241 @@
+// 🗺️ PLAN VIEW - top-down orthographic camera, grid, clearance dimensions and drawing tools
+import React, { useState, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { OrthographicCamera, OrbitControls, Html, Line, Plane } from '@react-three/drei';
+import { formatFeet } from '../lib/plan/sitePlan';
+
+// High enough to look down on the house roof; the camera is orthographic, so
+// height doesn't change the scale
+const CAMERA_HEIGHT = 200;
+// Yard margin around the lot when plan mode opens
+const FIT_MARGIN_FT = 10;
+const GRID_MARGIN_FT = 25;
+const MAJOR_STEP_FT = 10;
+const LINE_HEIGHT = 0.5;
+// Drawing catches the pointer above everything in the yard
+const DRAW_PLANE_HEIGHT = 30;
+// A click this close to the first point closes a pool outline
+const CLOSE_RANGE_FT = 1;
+// Smallest patio worth drawing, each way
+const MIN_PATIO_FT = 2;
+
+const CLEARANCE_COLORS = { property: '#f59e0b', pool: '#38bdf8', house: '#f472b6' };
+const DRAW_COLOR = '#fbbf24';
+
+const labelStyle = {
+  background: 'rgba(15, 23, 42, 0.85)',
+  color: 'white',
+  borderRadius: '6px',
+  padding: '2px 6px',
+  fontSize: '11px',
+  fontWeight: '600',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none'
+};
+
+const centerOf = (bounds) => [(bounds.minX + bounds.maxX) / 2, (bounds.minZ + bounds.maxZ) / 2];
+
+// Straight down with north (-z) up the screen. Left-click stays free for
+// selecting, dragging and drawing: the right button pans, the wheel zooms.
+// `onZoomChange(pixelsPerFoot)` follows the zoom for the scale bar.
+function PlanCamera({ bounds, onZoomChange }) {
+  const size = useThree(state => state.size);
+  const [cx, cz] = centerOf(bounds);
+  const [fitZoom] = useState(() => (
+    Math.min(size.width, size.height) / (Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ) + FIT_MARGIN_FT * 2)
+  ));
+  const lastZoom = useRef(null);
+
+  useFrame(({ camera }) => {
+    if (!onZoomChange || camera.zoom === lastZoom.current) return;
+    lastZoom.current = camera.zoom;
+    onZoomChange(camera.zoom);
+  });
+
+  return (
+    <>
+      <OrthographicCamera
+        makeDefault
+        position={[cx, CAMERA_HEIGHT, cz]}
+        up={[0, 0, -1]}
+        zoom={fitZoom}
+        near={1}
+        far={CAMERA_HEIGHT * 2}
+      />
+      <OrbitControls
+        makeDefault
+        target={[cx, 0, cz]}
+        enableRotate={false}
+        enableDamping={false}
+        screenSpacePanning
+        zoomToCursor
+        minZoom={fitZoom / 4}
+        maxZoom={fitZoom * 20}
+        mouseButtons={{ LEFT: null, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN }}
+        touches={{ ONE: null, TWO: THREE.TOUCH.DOLLY_PAN }}
+      />
+    </>
+  );
+}
+
+// Fine lines every snap step (every foot with snapping off), heavier every 10ft
+function PlanGrid({ bounds, step }) {
+  const [cx, cz] = centerOf(bounds);
+  const size = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ) + GRID_MARGIN_FT * 2;
+  const minorStep = step || 1;
+
+  return (
+    <group name="plan-grid" position={[cx, 0.02, cz]} userData={{ exportIgnore: true }}>
+      <gridHelper
+        args={[size, Math.round(size / minorStep), '#e2e8f0', '#e2e8f0']}
+        material-transparent
+        material-opacity={0.15}
+        material-depthWrite={false}
+      />
+      <gridHelper
+        args={[size, Math.round(size / MAJOR_STEP_FT), '#f8fafc', '#f8fafc']}
+        position={[0, 0.01, 0]}
+        material-transparent
+        material-opacity={0.4}
+        material-depthWrite={false}
+      />
+    </group>
+  );
+}
+
+// `measurement` is measureClearances(): the selection's outline and a measured
+// line out to each neighbour, drawn over everything so roofs don't hide them
+function PlanDimensions({ measurement }) {
+  const outline = [...measurement.outline, measurement.outline[0]].map(([x, z]) => [x, LINE_HEIGHT, z]);
+
+  return (
+    <group name="plan-dimensions" userData={{ exportIgnore: true }}>
+      <Line points={outline} color={DRAW_COLOR} lineWidth={2} dashed dashSize={0.6} gapSize={0.3} depthTest={false} />
+      {measurement.clearances.filter(clearance => clearance.distance > 0).map(clearance => {
+        const color = CLEARANCE_COLORS[clearance.id];
+        const [from, to] = [clearance.from, clearance.to].map(([x, z]) => [x, LINE_HEIGHT, z]);
+        const middle = [(from[0] + to[0]) / 2, LINE_HEIGHT, (from[2] + to[2]) / 2];
+        return (
+          <group key={clearance.id}>
+            <Line points={[from, to]} color={color} lineWidth={2} depthTest={false} />
+            <Html position={middle} center zIndexRange={[5, 0]}>
+              <div style={{ ...labelStyle, border: `1px solid ${color}` }}>{formatFeet(clearance.distance)}</div>
+            </Html>
+          </group>
+        );
+      })}
+    </group>
+  );
+}
+
+// Draw on the ground: `tool` 'patio' drags out a rectangle, 'pool' clicks
+// outline points - click the first point again, double-click or press Enter to
+// close, Backspace drops the last point, Escape cancels.
+// Points snap to `gridStep` (half a foot with snapping off).
+function PlanDrawTool({ tool, gridStep, onDrawPatio, onDrawPool, onCancel }) {
+  const [points, setPoints] = useState([]);
+  const [hover, setHover] = useState(null);
+  const snap = (value) => (gridStep ? Math.round(value / gridStep) * gridStep : Math.round(value * 2) / 2);
+  const snapPoint = (event) => [snap(event.point.x), snap(event.point.z)];
+
+  const closePool = React.useCallback((outline) => {
+    if (outline.length >= 3) onDrawPool(outline);
+    setPoints([]);
+  }, [onDrawPool]);
+
+  React.useEffect(() => {
+    setPoints([]);
+    setHover(null);
+  }, [tool]);
+
+  React.useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        setPoints([]);
+        onCancel();
+      } else if (tool === 'pool' && event.key === 'Enter') {
+        closePool(points);
+      } else if (tool === 'pool' && event.key === 'Backspace') {
+        event.preventDefault();
+        setPoints(prev => prev.slice(0, -1));
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [tool, points, closePool, onCancel]);
+
+  const handlePointerDown = (event) => {
+    event.stopPropagation();
+    const point = snapPoint(event);
+    if (tool === 'patio') {
+      setPoints([point]);
+    } else if (points.length >= 3 && Math.hypot(point[0] - points[0][0], point[1] - points[0][1]) <= CLOSE_RANGE_FT) {
+      closePool(points);
+    } else if (!points.some(([x, z]) => x === point[0] && z === point[1])) {
+      setPoints(prev => [...prev, point]);
+    }
+  };
+
+  const handlePointerUp = (event) => {
+    if (tool !== 'patio' || points.length === 0) return;
+    event.stopPropagation();
+    const [start, end] = [points[0], snapPoint(event)];
+    const size = [Math.abs(end[0] - start[0]), Math.abs(end[1] - start[1])];
+    if (size[0] >= MIN_PATIO_FT && size[1] >= MIN_PATIO_FT) {
+      onDrawPatio({ center: [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2], size });
+    }
+    setPoints([]);
+  };
+
+  // Patio: the rectangle being dragged. Pool: the points so far and on to the pointer.
+  let preview = [];
+  let label = null;
+  if (tool === 'patio' && points.length > 0 && hover) {
+    const [[x1, z1], [x2, z2]] = [points[0], hover];
+    preview = [[x1, z1], [x2, z1], [x2, z2], [x1, z2], [x1, z1]];
+    label = { position: [(x1 + x2) / 2, (z1 + z2) / 2], text: `${formatFeet(Math.abs(x2 - x1))} × ${formatFeet(Math.abs(z2 - z1))}` };
+  } else if (tool === 'pool' && points.length > 0) {
+    const last = points[points.length - 1];
+    preview = hover ? [...points, hover] : points;
+    if (hover) {
+      label = { position: [(last[0] + hover[0]) / 2, (last[1] + hover[1]) / 2], text: formatFeet(Math.hypot(hover[0] - last[0], hover[1] - last[1])) };
+    }
+  }
+
+  return (
+    <group name="plan-draw-tool" userData={{ exportIgnore: true }}>
+      <Plane
+        args={[500, 500]}
+        rotation={[-Math.PI / 2, 0, 0]}
+        position={[0, DRAW_PLANE_HEIGHT, 0]}
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerMove={(event) => setHover(snapPoint(event))}
+        onDoubleClick={(event) => {
+          event.stopPropagation();
+          if (tool === 'pool') closePool(points);
+        }}
+      >
+        <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+      </Plane>
+
+      {preview.length > 1 && (
+        <Line points={preview.map(([x, z]) => [x, LINE_HEIGHT, z])} color={DRAW_COLOR} lineWidth={2} depthTest={false} />
+      )}
+      {tool === 'pool' && points.map(([x, z], index) => (
+        <mesh key={index} position={[x, LINE_HEIGHT, z]}>
+          <sphereGeometry args={[index === 0 && points.length >= 3 ? 0.5 : 0.3]} />
+          <meshBasicMaterial color={DRAW_COLOR} depthTest={false} />
+        </mesh>
+      ))}
+      {label && (
+        <Html position={[label.position[0], LINE_HEIGHT, label.position[1]]} center zIndexRange={[5, 0]}>
+          <div style={{ ...labelStyle, border: `1px solid ${DRAW_COLOR}` }}>{label.text}</div>
+        </Html>
+      )}
+    </group>
+  );
+}
+
+export { PlanCamera, PlanGrid, PlanDimensions, PlanDrawTool, CLEARANCE_COLORS };
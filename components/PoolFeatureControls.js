@@ -0,0 +1,127 @@
+// ♾️ POOL FEATURE CONTROLS - which edge vanishes, and where the spillover spa sits
+import React from 'react';
+import { Slider, sectionLabelStyle } from './PoolProfileControls';
+import { DEFAULT_SPA, hasVanishingEdge, weirEdges, infinityEdgeLayout, spaLayout } from '../lib/pool/features';
+
+const noteStyle = { fontSize: '12px', color: '#94a3b8', marginTop: '4px' };
+
+// Compass side an edge faces, from its outward normal (x east, z south)
+function facing([x, z]) {
+  if (Math.abs(x) > Math.abs(z)) return x > 0 ? 'East' : 'West';
+  return z > 0 ? 'South' : 'North';
+}
+
+// `hydraulics` is poolHydraulics(pool); `onUpdate(property, value)` replaces
+// pool.infinityEdge / pool.spa whole
+function PoolFeatureControls({ pool, hydraulics, onUpdate }) {
+  const vanishing = hasVanishingEdge(pool);
+  const edges = vanishing ? weirEdges(pool) : [];
+  const edgeLayout = vanishing ? infinityEdgeLayout(pool) : null;
+  const spa = { ...DEFAULT_SPA, ...pool.spa };
+  const spaPlan = spaLayout(pool);
+  const setSpa = (changes) => onUpdate('spa', { ...spa, ...changes });
+
+  if (!vanishing && !pool.hasSpillover) return null;
+
+  return (
+    <>
+      {vanishing && (
+        <div style={{ marginBottom: '24px' }}>
+          <label style={sectionLabelStyle}>Vanishing Edge</label>
+          {edges.length === 0 ? (
+            <div style={noteStyle}>Needs a straight edge of 4ft or more - curved outlines can&apos;t take a weir.</div>
+          ) : (
+            <>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '8px' }}>
+                {edges.map(edge => {
+                  const active = edgeLayout?.edge === edge.index;
+                  return (
+                    <button
+                      key={edge.index}
+                      onClick={() => onUpdate('infinityEdge', { edge: edge.index })}
+                      style={{
+                        background: active
+                          ? 'linear-gradient(135deg, #3b82f6 0%, #6366f1 100%)'
+                          : 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '8px',
+                        padding: '8px',
+                        fontSize: '11px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {facing(edge.outward)} • {Math.round(edge.lengthFt * 10) / 10}ft
+                    </button>
+                  );
+                })}
+              </div>
+              {hydraulics.infinityEdge && (
+                <div style={noteStyle}>
+                  {hydraulics.infinityEdge.weirFt}ft weir at {hydraulics.infinityEdge.flowGpm} GPM • {edgeLayout.basin.widthFt}ft catch basin
+                  holding {hydraulics.infinityEdge.basinGallons.toLocaleString()} gal (needs {hydraulics.infinityEdge.requiredGallons.toLocaleString()})
+                  • {hydraulics.edgePumpHp} HP edge pump
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {pool.hasSpillover && (
+        <div style={{ marginBottom: '24px' }}>
+          <label style={sectionLabelStyle}>Spillover Spa</label>
+          <Slider
+            label="Along wall"
+            value={spa.at}
+            min={0}
+            max={0.99}
+            step={0.01}
+            display={`${Math.round(spa.at * 100)}%`}
+            onChange={(value) => setSpa({ at: value })}
+          />
+          <Slider
+            label="Diameter"
+            value={spa.diameter}
+            min={5}
+            max={10}
+            step={0.5}
+            display={`${spa.diameter}ft`}
+            onChange={(value) => setSpa({ diameter: value })}
+          />
+          <Slider
+            label="Raised"
+            value={spa.raised}
+            min={0.5}
+            max={3}
+            step={0.25}
+            display={`${spa.raised}ft`}
+            onChange={(value) => setSpa({ raised: value })}
+          />
+          <Slider
+            label="Water depth"
+            value={spa.depth}
+            min={2.5}
+            max={4}
+            step={0.25}
+            display={`${spa.depth}ft`}
+            onChange={(value) => setSpa({ depth: value })}
+          />
+          {spaPlan && !spaPlan.clear && (
+            <div style={{ ...noteStyle, color: '#fca5a5' }}>
+              ⚠️ The spa runs into the pool or its catch basin here - slide it along the wall.
+            </div>
+          )}
+          {hydraulics.spa && (
+            <div style={noteStyle}>
+              {hydraulics.spa.gallons.toLocaleString()} gal • spillway {hydraulics.spa.spillwayGpm} GPM
+              • {hydraulics.spa.jets} jets on a {hydraulics.spaPumpHp} HP pump
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+export { PoolFeatureControls };
@@ -0,0 +1,69 @@
+// 💧 POOL HYDRAULICS - water volume, turnover and the equipment sized for it
+import React from 'react';
+import { Slider, sectionLabelStyle } from './PoolProfileControls';
+
+const HEATER_NAMES = { gas: 'Gas heater', heatPump: 'Heat pump' };
+
+const statStyle = { background: '#1e293b', border: '1px solid #475569', borderRadius: '12px', padding: '10px' };
+const statLabelStyle = { fontSize: '11px', color: '#94a3b8', marginBottom: '4px' };
+const statValueStyle = { fontSize: '14px', fontWeight: '700', color: '#f1f5f9' };
+
+const formatNumber = (value) => value.toLocaleString('en-US');
+
+// `hydraulics` is poolHydraulics(pool); the sliders write pool.turnoverHours / pool.heatRiseF
+function PoolHydraulicsPanel({ pool, hydraulics, onUpdate }) {
+  const { heater } = hydraulics;
+  const heated = pool.heater === 'heatPump' || pool.heater === 'gas';
+
+  const stats = [
+    {
+      label: 'Water volume',
+      value: `${formatNumber(hydraulics.gallons)} gal`,
+      note: hydraulics.spaGallons ? `incl. ${formatNumber(hydraulics.spaGallons)} gal spa` : null
+    },
+    { label: 'Surface area', value: `${formatNumber(hydraulics.surfaceSqFt)} sq ft` },
+    { label: 'Turnover flow', value: `${hydraulics.flowGpm} GPM` },
+    { label: 'Pump', value: `${hydraulics.pumpHp} HP`, note: `${hydraulics.pipeSizeIn}" plumbing` },
+    { label: 'Cartridge filter', value: `${hydraulics.filterSqFt} sq ft` },
+    {
+      label: heated ? HEATER_NAMES[heater.type] : 'Heater (if added)',
+      value: `${heater.count > 1 ? `${heater.count} × ` : ''}${formatNumber(heater.btuPerHour / 1000)}k BTU/hr`,
+      note: `needs ${formatNumber(Math.round(heater.requiredBtu / 1000))}k`
+    }
+  ];
+
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <label style={sectionLabelStyle}>Hydraulics</label>
+      <Slider
+        label="Turnover"
+        value={hydraulics.turnoverHours}
+        min={4}
+        max={12}
+        step={1}
+        display={`${hydraulics.turnoverHours}h`}
+        onChange={(value) => onUpdate('turnoverHours', value)}
+      />
+      <Slider
+        label="Heat rise"
+        value={heater.riseF}
+        min={5}
+        max={40}
+        step={1}
+        display={`+${heater.riseF}°F`}
+        onChange={(value) => onUpdate('heatRiseF', value)}
+      />
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+        {stats.map(stat => (
+          <div key={stat.label} style={statStyle}>
+            <div style={statLabelStyle}>{stat.label}</div>
+            <div style={statValueStyle}>{stat.value}</div>
+            {stat.note && <div style={{ fontSize: '11px', color: '#94a3b8', marginTop: '2px' }}>{stat.note}</div>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export { PoolHydraulicsPanel };
@@ -0,0 +1,86 @@
+// ✏️ POOL OUTLINE EDITOR - draggable control points on the pool's outline
+import React, { useState } from 'react';
+import { useThree } from '@react-three/fiber';
+import { Sphere, Plane, Line } from '@react-three/drei';
+
+const HANDLE_COLOR = '#fbbf24';
+const ACTIVE_COLOR = '#f97316';
+const HANDLE_HEIGHT = 0.6;
+
+// `outline` is relative to the pool's position (see lib/pool/outline.js).
+// `onChange(points)` gets the whole point list after every move.
+function PoolOutlineEditor({ position, outline, gridStep = 0, onChange, onDragStart, onDragEnd }) {
+  // OrbitControls is the default controls - hold the camera still while a point moves
+  const controls = useThree(state => state.controls);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [px, , pz] = position;
+
+  const snap = (value) => (gridStep ? Math.round(value / gridStep) * gridStep : Math.round(value * 100) / 100);
+
+  const startDrag = (event, index) => {
+    event.stopPropagation();
+    setDragIndex(index);
+    if (controls) controls.enabled = false;
+    document.body.style.cursor = 'grabbing';
+    if (onDragStart) onDragStart(index);
+  };
+
+  const endDrag = (event) => {
+    if (dragIndex === null) return;
+    event.stopPropagation();
+    setDragIndex(null);
+    if (controls) controls.enabled = true;
+    document.body.style.cursor = 'default';
+    if (onDragEnd) onDragEnd();
+  };
+
+  const handleMove = (event) => {
+    if (dragIndex === null) return;
+    event.stopPropagation();
+    const point = [snap(event.point.x - px), snap(event.point.z - pz)];
+    const [x, z] = outline.points[dragIndex];
+    if (point[0] === x && point[1] === z) return;
+    onChange(outline.points.map((current, index) => (index === dragIndex ? point : current)));
+  };
+
+  const controlPolygon = [...outline.points, outline.points[0]].map(([x, z]) => [px + x, HANDLE_HEIGHT, pz + z]);
+
+  return (
+    <group name="pool-outline-editor" userData={{ exportIgnore: true }}>
+      <Line points={controlPolygon} color={HANDLE_COLOR} lineWidth={1.5} dashed dashSize={0.5} gapSize={0.3} />
+
+      {outline.points.map(([x, z], index) => (
+        <Sphere
+          key={index}
+          args={[0.45]}
+          position={[px + x, HANDLE_HEIGHT, pz + z]}
+          onPointerDown={(event) => startDrag(event, index)}
+          onPointerUp={endDrag}
+          onPointerOver={() => { if (dragIndex === null) document.body.style.cursor = 'grab'; }}
+          onPointerOut={() => { if (dragIndex === null) document.body.style.cursor = 'default'; }}
+        >
+          <meshStandardMaterial
+            color={dragIndex === index ? ACTIVE_COLOR : HANDLE_COLOR}
+            emissive={dragIndex === index ? ACTIVE_COLOR : HANDLE_COLOR}
+            emissiveIntensity={0.5}
+          />
+        </Sphere>
+      ))}
+
+      {/* While a point is held, an invisible ground plane follows the pointer anywhere */}
+      {dragIndex !== null && (
+        <Plane
+          args={[500, 500]}
+          rotation={[-Math.PI / 2, 0, 0]}
+          position={[0, HANDLE_HEIGHT, 0]}
+          onPointerMove={handleMove}
+          onPointerUp={endDrag}
+        >
+          <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+        </Plane>
+      )}
+    </group>
+  );
+}
+
+export { PoolOutlineEditor };
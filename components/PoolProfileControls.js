@@ -0,0 +1,186 @@
+// 🪜 POOL PROFILE CONTROLS - shallow/deep ends, steps, benches and sun shelf
+import React from 'react';
+import { DEFAULT_PROFILE, DEFAULT_SUN_SHELF, STEP_TYPES } from '../lib/pool/profile';
+
+const sectionLabelStyle = { display: 'block', fontSize: '14px', fontWeight: '600', marginBottom: '12px', color: '#cbd5e1' };
+const rowStyle = { display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' };
+const nameStyle = { minWidth: '90px', color: '#94a3b8', fontSize: '13px' };
+const valueStyle = { minWidth: '50px', color: '#f1f5f9', fontWeight: '600', fontSize: '13px' };
+const sliderStyle = { flex: 1, accentColor: '#3b82f6', backgroundColor: '#334155', borderRadius: '8px' };
+
+const toggleStyle = (active) => ({
+  flex: 1,
+  background: active
+    ? 'linear-gradient(135deg, #3b82f6 0%, #6366f1 100%)'
+    : 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '12px',
+  padding: '10px',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+});
+
+function Slider({ label, value, min, max, step, display, onChange }) {
+  return (
+    <div style={rowStyle}>
+      <span style={nameStyle}>{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={sliderStyle}
+      />
+      <span style={valueStyle}>{display}</span>
+    </div>
+  );
+}
+
+// `onUpdate(property, value)` replaces pool.profile / pool.steps / pool.sunShelf whole
+function PoolProfileControls({ pool, maxDepth, onUpdate }) {
+  const { profile, sunShelf } = pool;
+  const steps = pool.steps || [];
+  const deepDepth = pool.size[2];
+
+  const setProfile = (changes) => onUpdate('profile', { ...profile, ...changes });
+  const setSunShelf = (changes) => onUpdate('sunShelf', { ...sunShelf, ...changes });
+  const setStep = (id, changes) => onUpdate('steps', steps.map(step => (step.id === id ? { ...step, ...changes } : step)));
+
+  const addStep = (type) => {
+    const id = `${type}-${Date.now().toString(36)}`;
+    onUpdate('steps', [...steps, { id, type, at: 0, width: STEP_TYPES[type].width }]);
+  };
+
+  return (
+    <>
+      {/* Depth profile */}
+      <div style={{ marginBottom: '24px' }}>
+        <label style={sectionLabelStyle}>Depth Profile</label>
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+          <button onClick={() => onUpdate('profile', undefined)} style={toggleStyle(!profile)}>Flat bottom</button>
+          <button onClick={() => onUpdate('profile', profile || DEFAULT_PROFILE)} style={toggleStyle(Boolean(profile))}>Shallow + deep end</button>
+        </div>
+        {profile && (
+          <>
+            <Slider
+              label="Shallow end"
+              value={Math.min(profile.shallowDepth, deepDepth)}
+              min={3}
+              max={Math.max(3, deepDepth)}
+              step={0.5}
+              display={`${Math.min(profile.shallowDepth, deepDepth)}ft`}
+              onChange={(value) => setProfile({ shallowDepth: value })}
+            />
+            <Slider
+              label="Break point"
+              value={profile.breakPoint}
+              min={0.2}
+              max={0.7}
+              step={0.05}
+              display={`${Math.round(profile.breakPoint * 100)}%`}
+              onChange={(value) => setProfile({ breakPoint: value })}
+            />
+            <Slider
+              label="Hopper slope"
+              value={profile.hopperSlope}
+              min={2}
+              max={6}
+              step={0.5}
+              display={`1:${profile.hopperSlope}`}
+              onChange={(value) => setProfile({ hopperSlope: value })}
+            />
+            <div style={{ fontSize: '12px', color: '#94a3b8' }}>
+              Shallow end is the west end; the deep end is the Depth above.
+            </div>
+          </>
+        )}
+        {maxDepth?.value && (
+          <div style={{ fontSize: '12px', marginTop: '8px', color: deepDepth > maxDepth.value ? '#fca5a5' : '#94a3b8' }}>
+            {deepDepth > maxDepth.value ? '⛔ ' : ''}Local limit: {maxDepth.value}ft deep{maxDepth.reason ? ` (${maxDepth.reason})` : ''}
+          </div>
+        )}
+      </div>
+
+      {/* Steps and benches */}
+      <div style={{ marginBottom: '24px' }}>
+        <label style={sectionLabelStyle}>Steps & Benches</label>
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+          {Object.entries(STEP_TYPES).map(([type, definition]) => (
+            <button key={type} onClick={() => addStep(type)} style={toggleStyle(false)}>+ {definition.label}</button>
+          ))}
+        </div>
+        {steps.map(step => (
+          <div key={step.id} style={{ background: '#1e293b', border: '1px solid #475569', borderRadius: '12px', padding: '12px', marginBottom: '8px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+              <span style={{ fontSize: '13px', fontWeight: '600', color: '#f1f5f9' }}>{STEP_TYPES[step.type]?.label || step.type}</span>
+              <button
+                onClick={() => onUpdate('steps', steps.filter(candidate => candidate.id !== step.id))}
+                aria-label="Remove"
+                style={{ background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer' }}
+              >
+                ✕
+              </button>
+            </div>
+            <Slider
+              label="Along wall"
+              value={step.at}
+              min={0}
+              max={0.99}
+              step={0.01}
+              display={`${Math.round(step.at * 100)}%`}
+              onChange={(value) => setStep(step.id, { at: value })}
+            />
+            <Slider
+              label="Width"
+              value={step.width}
+              min={3}
+              max={16}
+              step={0.5}
+              display={`${step.width}ft`}
+              onChange={(value) => setStep(step.id, { width: value })}
+            />
+          </div>
+        ))}
+      </div>
+
+      {/* Sun shelf */}
+      <div style={{ marginBottom: '24px' }}>
+        <label style={sectionLabelStyle}>Sun Shelf</label>
+        <button
+          onClick={() => onUpdate('sunShelf', sunShelf ? undefined : DEFAULT_SUN_SHELF)}
+          style={{ ...toggleStyle(Boolean(sunShelf)), width: '100%', marginBottom: '12px' }}
+        >
+          {sunShelf ? '☀️ Sun shelf on' : '☀️ Add sun shelf'}
+        </button>
+        {sunShelf && (
+          <>
+            <Slider
+              label="Water depth"
+              value={sunShelf.depth}
+              min={0.5}
+              max={1.5}
+              step={0.25}
+              display={`${sunShelf.depth * 12}in`}
+              onChange={(value) => setSunShelf({ depth: value })}
+            />
+            <Slider
+              label="Length"
+              value={sunShelf.length}
+              min={3}
+              max={12}
+              step={0.5}
+              display={`${sunShelf.length}ft`}
+              onChange={(value) => setSunShelf({ length: value })}
+            />
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+export { PoolProfileControls, Slider, sectionLabelStyle };
@@ -0,0 +1,126 @@
+// 💾 PROJECT BAR - autosave status and named design options ("Option A vs Option B")
+import React, { useState } from 'react';
+import Link from 'next/link';
+
+const smallButtonStyle = {
+  background: 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  padding: '6px 12px',
+  fontSize: '11px',
+  fontWeight: '600',
+  cursor: 'pointer',
+  textDecoration: 'none'
+};
+
+const inputStyle = {
+  background: '#0f172a',
+  color: '#f1f5f9',
+  border: '1px solid #475569',
+  borderRadius: '6px',
+  padding: '5px 8px',
+  fontSize: '12px'
+};
+
+const SAVE_STATUS = {
+  saving: { label: 'Saving…', color: '#94a3b8' },
+  saved: { label: '✓ All changes saved', color: '#10b981' },
+  error: { label: '⚠️ Save failed - retrying on next change', color: '#f59e0b' },
+  conflict: { label: '⚠️ Saved from another tab - reload to keep editing', color: '#ef4444' }
+};
+
+// Next unused "Option X" name for the input placeholder
+function nextOptionName(revisions) {
+  const names = new Set(revisions.map(revision => revision.name));
+  for (let code = 65; code <= 90; code++) {
+    const name = `Option ${String.fromCharCode(code)}`;
+    if (!names.has(name)) return name;
+  }
+  return `Option ${revisions.length + 1}`;
+}
+
+function ProjectBar({ project, saveStatus, error, onSaveRevision, onLoadRevision, onDeleteRevision }) {
+  const [revisionName, setRevisionName] = useState('');
+
+  if (!project) {
+    return (
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px', fontSize: '12px', color: '#94a3b8' }}>
+        <span>{saveStatus === 'saving' ? 'Creating project…' : error || 'Not saved yet'}</span>
+        <Link href="/projects" style={smallButtonStyle}>📁 Projects</Link>
+      </div>
+    );
+  }
+
+  const status = SAVE_STATUS[saveStatus];
+  const placeholder = nextOptionName(project.revisions);
+
+  const handleSaveRevision = () => {
+    onSaveRevision(revisionName.trim() || placeholder);
+    setRevisionName('');
+  };
+
+  return (
+    <div style={{
+      background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)',
+      border: '1px solid #475569',
+      borderRadius: '16px',
+      padding: '12px 16px',
+      marginBottom: '20px',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '12px',
+      flexWrap: 'wrap'
+    }}>
+      <div style={{ flex: '1 1 200px' }}>
+        <div style={{ fontSize: '14px', fontWeight: '700', color: '#f1f5f9' }}>💾 {project.name}</div>
+        <div style={{ fontSize: '11px', color: status?.color || '#94a3b8' }}>
+          {status?.label || `Version ${project.version}`}
+          {error && saveStatus !== 'conflict' && ` (${error})`}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+        {project.revisions.map(revision => (
+          <span key={revision.id} style={{ display: 'inline-flex', gap: '2px' }}>
+            <button
+              onClick={() => onLoadRevision(revision.id)}
+              title={`Saved ${new Date(revision.createdAt).toLocaleString()}`}
+              style={{ ...smallButtonStyle, background: 'linear-gradient(135deg, #1e40af 0%, #3b82f6 100%)', borderRadius: '8px 0 0 8px' }}
+            >
+              {revision.name}
+            </button>
+            <button
+              onClick={() => onDeleteRevision(revision.id)}
+              aria-label={`Delete ${revision.name}`}
+              style={{ ...smallButtonStyle, borderRadius: '0 8px 8px 0' }}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <input
+          value={revisionName}
+          placeholder={placeholder}
+          onChange={(e) => setRevisionName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSaveRevision()}
+          style={{ ...inputStyle, width: '110px' }}
+          aria-label="Option name"
+        />
+        <button
+          onClick={handleSaveRevision}
+          disabled={saveStatus === 'conflict'}
+          style={{ ...smallButtonStyle, background: '#10b981', opacity: saveStatus === 'conflict' ? 0.5 : 1 }}
+        >
+          ＋ Save as option
+        </button>
+        <Link href="/projects" style={smallButtonStyle}>📁 Projects</Link>
+      </div>
+    </div>
+  );
+}
+
+export { ProjectBar };
@@ -0,0 +1,78 @@
+// 💡 RECOMMENDATIONS - ranked location-specific suggestions with one-click apply
+import React from 'react';
+
+const SEVERITY_STYLES = {
+  required: { icon: '⛔', color: '#ef4444', label: 'Required' },
+  recommended: { icon: '💡', color: '#3b82f6', label: 'Recommended' },
+  info: { icon: 'ℹ️', color: '#94a3b8', label: 'Note' }
+};
+
+function RecommendationCard({ recommendation, onApply }) {
+  const severity = SEVERITY_STYLES[recommendation.severity] || SEVERITY_STYLES.info;
+
+  return (
+    <div style={{
+      background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)',
+      borderRadius: '12px',
+      padding: '16px',
+      marginBottom: '12px',
+      borderLeft: `4px solid ${severity.color}`
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '12px' }}>
+        <span style={{ color: '#f1f5f9', fontSize: '14px', fontWeight: '600' }}>
+          {severity.icon} {recommendation.title}
+        </span>
+        <span style={{ color: severity.color, fontSize: '11px', fontWeight: '600', whiteSpace: 'nowrap' }}>
+          {severity.label}
+        </span>
+      </div>
+
+      <p style={{ color: '#cbd5e1', fontSize: '12px', margin: '8px 0 0 0', lineHeight: 1.5 }}>
+        {recommendation.detail}
+      </p>
+
+      {recommendation.apply && (
+        <button
+          onClick={() => onApply(recommendation.apply)}
+          style={{
+            marginTop: '12px',
+            background: 'linear-gradient(135deg, #3b82f6 0%, #6366f1 100%)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            padding: '6px 14px',
+            fontSize: '12px',
+            fontWeight: '600',
+            cursor: 'pointer'
+          }}
+        >
+          ✨ {recommendation.apply.label}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function RecommendationsPanel({ recommendations = [], onApply }) {
+  if (recommendations.length === 0) {
+    return (
+      <p style={{ fontSize: '13px', color: '#94a3b8', margin: 0 }}>
+        ✅ No location-specific issues with the current design
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      {recommendations.map(recommendation => (
+        <RecommendationCard
+          key={recommendation.id}
+          recommendation={recommendation}
+          onApply={onApply}
+        />
+      ))}
+    </div>
+  );
+}
+
+export { RecommendationsPanel };
@@ -0,0 +1,34 @@
+// 📏 SETBACK VIOLATIONS - measured gaps that fall short of the required setback
+import React from 'react';
+import { Line, Sphere } from '@react-three/drei';
+
+const VIOLATION_COLOR = '#ef4444';
+const LINE_HEIGHT = 0.4;
+
+function SetbackViolations({ violations = [] }) {
+  return (
+    <group name="setback-violations" userData={{ exportIgnore: true }}>
+      {violations.map(violation => {
+        const from = [violation.from[0], LINE_HEIGHT, violation.from[1]];
+        const to = [violation.to[0], LINE_HEIGHT, violation.to[1]];
+
+        return (
+          <group key={violation.id}>
+            {/* Overlapping shapes measure 0 - mark the spot instead of drawing a line */}
+            {violation.measured > 0 && (
+              <Line points={[from, to]} color={VIOLATION_COLOR} lineWidth={3} dashed dashSize={0.6} gapSize={0.4} />
+            )}
+            <Sphere args={[0.3]} position={from}>
+              <meshStandardMaterial color={VIOLATION_COLOR} emissive={VIOLATION_COLOR} emissiveIntensity={0.6} />
+            </Sphere>
+            <Sphere args={[0.3]} position={to}>
+              <meshStandardMaterial color={VIOLATION_COLOR} emissive={VIOLATION_COLOR} emissiveIntensity={0.6} />
+            </Sphere>
+          </group>
+        );
+      })}
+    </group>
+  );
+}
+
+export { SetbackViolations, VIOLATION_COLOR };
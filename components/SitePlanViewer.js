@@ -0,0 +1,105 @@
+// 📐 SITE PLAN VIEWER - the top-down drafting plan, with layer toggles and DXF/SVG downloads
+import React, { useState } from 'react';
+import { planToSvg } from '../lib/plan/svg';
+import { planToDxf } from '../lib/plan/dxf';
+import { downloadBlob } from '../lib/export/model';
+
+const smallButtonStyle = {
+  background: 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  padding: '6px 12px',
+  fontSize: '11px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+// `plan` is buildSitePlan(); downloads always carry every layer
+function SitePlanViewer({ plan, onClose }) {
+  const [hiddenLayers, setHiddenLayers] = useState([]);
+  const svg = React.useMemo(() => planToSvg(plan, { hiddenLayers }), [plan, hiddenLayers]);
+
+  React.useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const toggleLayer = (id) => setHiddenLayers(hidden => (
+    hidden.includes(id) ? hidden.filter(layer => layer !== id) : [...hidden, id]
+  ));
+
+  return (
+    <div
+      onClick={onClose}
+      style={{ position: 'fixed', inset: 0, background: 'rgba(15, 23, 42, 0.8)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px' }}
+    >
+      <div
+        onClick={(event) => event.stopPropagation()}
+        style={{
+          background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)',
+          border: '1px solid #475569',
+          borderRadius: '16px',
+          padding: '16px',
+          width: 'min(960px, 100%)',
+          maxHeight: '100%',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+          <div style={{ flex: 1, fontSize: '16px', fontWeight: '700', color: '#f1f5f9' }}>📐 Site Plan</div>
+          <button
+            onClick={() => downloadBlob(new Blob([planToDxf(plan)], { type: 'application/dxf' }), 'site-plan.dxf')}
+            style={smallButtonStyle}
+          >
+            ⬇️ DXF
+          </button>
+          <button
+            onClick={() => downloadBlob(new Blob([planToSvg(plan)], { type: 'image/svg+xml' }), 'site-plan.svg')}
+            style={smallButtonStyle}
+          >
+            ⬇️ SVG
+          </button>
+          <button onClick={onClose} style={{ ...smallButtonStyle, background: 'none' }}>✕</button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+          {plan.layers.map(layer => {
+            const visible = !hiddenLayers.includes(layer.id);
+            return (
+              <button
+                key={layer.id}
+                onClick={() => toggleLayer(layer.id)}
+                style={{
+                  ...smallButtonStyle,
+                  background: visible ? '#0f172a' : 'transparent',
+                  border: `1px solid ${visible ? layer.color : '#475569'}`,
+                  color: visible ? '#f1f5f9' : '#64748b',
+                  fontWeight: '500'
+                }}
+              >
+                <span style={{ color: layer.color }}>■</span> {layer.label}
+              </button>
+            );
+          })}
+        </div>
+
+        {/* The SVG is sized for print at 1" = 10'; here it fills the panel's width */}
+        <div
+          style={{ background: '#ffffff', borderRadius: '8px', overflow: 'auto', flex: 1, minHeight: 0 }}
+          dangerouslySetInnerHTML={{ __html: svg.replace(/width="[^"]+" height="[^"]+"/, 'width="100%"') }}
+        />
+        <div style={{ fontSize: '11px', color: '#94a3b8' }}>
+          Feet, north up. The SVG prints at 1&quot; = 10&apos;-0&quot;; the DXF is drawn full size in feet, one layer per group above.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export { SitePlanViewer };
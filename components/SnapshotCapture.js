@@ -0,0 +1,52 @@
+// 📸 SNAPSHOT CAPTURE - renders the scene from set camera angles for the proposal
+import React from 'react';
+import { useThree } from '@react-three/fiber';
+import { PerspectiveCamera, Vector2 } from 'three';
+
+const SNAPSHOT_WIDTH = 1200;
+const SNAPSHOT_HEIGHT = 800;
+const JPEG_QUALITY = 0.85;
+
+// Camera spots around the pool, as offsets from its position in feet
+const SNAPSHOT_VIEWS = [
+  { label: 'Overview', offset: [28, 22, 30], target: [0, 0, 0] },
+  { label: 'From above', offset: [0.5, 55, 8], target: [0, 0, 0] },
+  { label: 'From the house', offset: [-22, 7, -20], target: [4, 0, 4] },
+  { label: 'Poolside', offset: [-16, 4, 18], target: [4, 1, -2] }
+];
+
+// Lives inside the <Canvas>. Sets `captureRef.current(poolPosition)` to a
+// function returning [{ label, dataUrl }] JPEG renders, one per view.
+function SnapshotCapture({ captureRef }) {
+  const gl = useThree(state => state.gl);
+  const scene = useThree(state => state.scene);
+  const camera = useThree(state => state.camera);
+
+  React.useEffect(() => {
+    captureRef.current = ([px, , pz] = [0, 0, 0]) => {
+      const size = gl.getSize(new Vector2());
+      const pixelRatio = gl.getPixelRatio();
+      const shot = new PerspectiveCamera(50, SNAPSHOT_WIDTH / SNAPSHOT_HEIGHT, 0.1, 1000);
+
+      // Read each frame back before the browser presents it, so the canvas
+      // never shows the snapshot size or needs preserveDrawingBuffer
+      gl.setPixelRatio(1);
+      gl.setSize(SNAPSHOT_WIDTH, SNAPSHOT_HEIGHT, false);
+      const snapshots = SNAPSHOT_VIEWS.map(({ label, offset, target }) => {
+        shot.position.set(px + offset[0], offset[1], pz + offset[2]);
+        shot.lookAt(px + target[0], target[1], pz + target[2]);
+        gl.render(scene, shot);
+        return { label, dataUrl: gl.domElement.toDataURL('image/jpeg', JPEG_QUALITY) };
+      });
+      gl.setPixelRatio(pixelRatio);
+      gl.setSize(size.x, size.y, false);
+      gl.render(scene, camera);
+      return snapshots;
+    };
+    return () => { captureRef.current = null; };
+  }, [gl, scene, camera, captureRef]);
+
+  return null;
+}
+
+export { SnapshotCapture, SNAPSHOT_VIEWS };
@@ -0,0 +1,228 @@
+// 🚧 UTILITIES PANEL - locate import, manual drawing, dig conflicts and 811 checklist
+import React, { useState } from 'react';
+import { UTILITY_TYPES } from '../lib/utilities/utilityTypes';
+
+const smallButtonStyle = {
+  background: 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  padding: '6px 12px',
+  fontSize: '11px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+const inputStyle = {
+  background: '#0f172a',
+  color: '#f1f5f9',
+  border: '1px solid #475569',
+  borderRadius: '6px',
+  padding: '4px 6px',
+  fontSize: '11px'
+};
+
+function DrawControls({ draft, onStartDraft, onFinishDraft, onCancelDraft }) {
+  const [type, setType] = useState('electrical');
+  const [depthMin, setDepthMin] = useState(2);
+  const [depthMax, setDepthMax] = useState(3);
+
+  if (draft) {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <span style={{ fontSize: '12px', color: '#fbbf24' }}>
+          ✏️ Click the ground to add points • {draft.points.length} placed
+        </span>
+        <button
+          onClick={onFinishDraft}
+          disabled={draft.points.length < 2}
+          style={{ ...smallButtonStyle, background: '#3b82f6', opacity: draft.points.length < 2 ? 0.5 : 1 }}
+        >
+          ✓ Finish
+        </button>
+        <button onClick={onCancelDraft} style={smallButtonStyle}>Cancel</button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+      <select value={type} onChange={(e) => setType(e.target.value)} style={inputStyle}>
+        {Object.entries(UTILITY_TYPES).map(([id, utility]) => (
+          <option key={id} value={id}>{utility.label}</option>
+        ))}
+      </select>
+      <input
+        type="number" min="0" step="0.5" value={depthMin}
+        onChange={(e) => setDepthMin(parseFloat(e.target.value))}
+        style={{ ...inputStyle, width: '48px' }}
+        aria-label="Minimum depth (ft)"
+      />
+      <span style={{ fontSize: '11px', color: '#94a3b8' }}>to</span>
+      <input
+        type="number" min="0" step="0.5" value={depthMax}
+        onChange={(e) => setDepthMax(parseFloat(e.target.value))}
+        style={{ ...inputStyle, width: '48px' }}
+        aria-label="Maximum depth (ft)"
+      />
+      <span style={{ fontSize: '11px', color: '#94a3b8' }}>ft</span>
+      <button
+        onClick={() => onStartDraft({ type, depth: { min: depthMin, max: Math.max(depthMin, depthMax) } })}
+        style={{ ...smallButtonStyle, background: '#3b82f6' }}
+      >
+        ✏️ Draw line
+      </button>
+    </div>
+  );
+}
+
+function UtilitiesPanel({
+  lines = [],
+  showOverlay,
+  onToggleOverlay,
+  onImport,
+  importError,
+  onRemoveLine,
+  draft,
+  onStartDraft,
+  onFinishDraft,
+  onCancelDraft,
+  conflicts = [],
+  checklist = {},
+  onToggleChecklist,
+  callBeforeDigging
+}) {
+  const blocking = conflicts.filter(conflict => conflict.severity === 'conflict');
+  const warnings = conflicts.filter(conflict => conflict.severity === 'warning');
+
+  return (
+    <div style={{
+      background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)',
+      borderRadius: '12px',
+      padding: '16px',
+      marginTop: '20px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h4 style={{ color: '#f97316', fontSize: '14px', fontWeight: '600', margin: 0 }}>
+          🚧 Underground Utilities
+        </h4>
+        <button
+          onClick={onToggleOverlay}
+          style={{ ...smallButtonStyle, background: showOverlay ? '#3b82f6' : smallButtonStyle.background }}
+        >
+          {showOverlay ? '👁️ Overlay on' : '👁️ Overlay off'}
+        </button>
+      </div>
+
+      {/* Lines */}
+      {lines.length === 0 ? (
+        <p style={{ fontSize: '12px', color: '#94a3b8', margin: '0 0 12px 0' }}>
+          No utility lines yet - import a locate ticket or draw them in
+        </p>
+      ) : (
+        <div style={{ marginBottom: '12px' }}>
+          {lines.map(line => (
+            <div key={line.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: '#cbd5e1', marginBottom: '4px' }}>
+              <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: (UTILITY_TYPES[line.type] || UTILITY_TYPES.unknown).color }} />
+              <span style={{ flex: 1 }}>
+                {line.label} • {line.depth.min}-{line.depth.max}ft
+                <span style={{ color: '#94a3b8' }}>
+                  {' '}• {line.approximate ? 'records (approx.)' : line.source}{line.ticket ? ` #${line.ticket}` : ''}
+                </span>
+              </span>
+              <button
+                onClick={() => onRemoveLine(line.id)}
+                style={{ background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '12px' }}
+                aria-label={`Remove ${line.label}`}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Import / draw */}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '12px' }}>
+        <label style={{ ...smallButtonStyle, display: 'inline-block', width: 'fit-content' }}>
+          📥 Import locate ticket (GeoJSON / CSV)
+          <input
+            type="file"
+            accept=".geojson,.json,.csv"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              if (e.target.files?.[0]) onImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        {importError && (
+          <span style={{ fontSize: '12px', color: '#fca5a5' }}>{importError}</span>
+        )}
+        <DrawControls
+          draft={draft}
+          onStartDraft={onStartDraft}
+          onFinishDraft={onFinishDraft}
+          onCancelDraft={onCancelDraft}
+        />
+      </div>
+
+      {/* Conflicts */}
+      {blocking.length > 0 && (
+        <div style={{ marginBottom: '12px' }}>
+          <div style={{ fontSize: '12px', fontWeight: '600', color: '#ef4444', marginBottom: '6px' }}>
+            ⛔ Dig conflicts
+          </div>
+          {blocking.map(conflict => (
+            <p key={conflict.id} style={{ fontSize: '12px', color: '#fca5a5', margin: '0 0 4px 0' }}>
+              {conflict.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <div style={{ marginBottom: '12px' }}>
+          <div style={{ fontSize: '12px', fontWeight: '600', color: '#f59e0b', marginBottom: '6px' }}>
+            ⚠️ Clearance warnings
+          </div>
+          {warnings.map(conflict => (
+            <p key={conflict.id} style={{ fontSize: '12px', color: '#fcd34d', margin: '0 0 4px 0' }}>
+              {conflict.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {/* 811 checklist - one item per conflict */}
+      {blocking.length > 0 && (
+        <div>
+          <div style={{ fontSize: '12px', fontWeight: '600', color: '#f1f5f9', marginBottom: '6px' }}>
+            📋 Before digging
+          </div>
+          {blocking.map(conflict => (
+            <label key={conflict.id} style={{ display: 'flex', gap: '8px', alignItems: 'flex-start', fontSize: '12px', color: '#cbd5e1', marginBottom: '4px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={Boolean(checklist[conflict.id])}
+                onChange={() => onToggleChecklist(conflict.id)}
+              />
+              <span>811 ticket required - {conflict.excavationLabel} near {conflict.lineLabel}</span>
+            </label>
+          ))}
+          {callBeforeDigging && (
+            <p style={{ fontSize: '11px', color: '#94a3b8', margin: '6px 0 0 0' }}>{callBeforeDigging}</p>
+          )}
+        </div>
+      )}
+
+      {conflicts.length === 0 && lines.length > 0 && (
+        <p style={{ fontSize: '12px', color: '#10b981', margin: 0 }}>
+          ✅ No planned excavation is within clearance of a utility line
+        </p>
+      )}
+    </div>
+  );
+}
+
+export { UtilitiesPanel };
@@ -0,0 +1,63 @@
+// 🚧 UTILITY OVERLAY - buried lines drawn at depth, with paint marks on the surface
+import React from 'react';
+import { Line, Sphere } from '@react-three/drei';
+import { UTILITY_TYPES } from '../lib/utilities/utilityTypes';
+
+const SURFACE_HEIGHT = 0.05;
+
+function UtilityLine({ line, highlighted }) {
+  const { color } = UTILITY_TYPES[line.type] || UTILITY_TYPES.unknown;
+  const depth = (line.depth.min + line.depth.max) / 2;
+
+  return (
+    <group name={`utility-${line.id}`}>
+      {/* Buried run at mid-depth */}
+      <Line
+        points={line.points.map(([x, z]) => [x, -depth, z])}
+        color={color}
+        lineWidth={highlighted ? 6 : 4}
+      />
+      {/* Locate paint on the ground - dashed when the position is only from records */}
+      <Line
+        points={line.points.map(([x, z]) => [x, SURFACE_HEIGHT, z])}
+        color={color}
+        lineWidth={2}
+        dashed={line.approximate}
+        dashSize={1}
+        gapSize={0.8}
+      />
+    </group>
+  );
+}
+
+function UtilityOverlay({ lines = [], visible = true, draft, conflictLineIds = [] }) {
+  const conflicted = new Set(conflictLineIds);
+
+  return (
+    <group name="utility-overlay" userData={{ exportIgnore: true }}>
+      {visible && lines.map(line => (
+        <UtilityLine key={line.id} line={line} highlighted={conflicted.has(line.id)} />
+      ))}
+
+      {/* Line being drawn by hand */}
+      {draft && draft.points.length > 0 && (
+        <group>
+          {draft.points.length > 1 && (
+            <Line
+              points={draft.points.map(([x, z]) => [x, SURFACE_HEIGHT + 0.1, z])}
+              color={(UTILITY_TYPES[draft.type] || UTILITY_TYPES.unknown).color}
+              lineWidth={3}
+            />
+          )}
+          {draft.points.map(([x, z], index) => (
+            <Sphere key={index} args={[0.35]} position={[x, SURFACE_HEIGHT + 0.1, z]}>
+              <meshStandardMaterial color="#ffffff" emissive="#ffffff" emissiveIntensity={0.4} />
+            </Sphere>
+          ))}
+        </group>
+      )}
+    </group>
+  );
+}
+
+export { UtilityOverlay };
@@ -0,0 +1,82 @@
+// lib/analysis/ContractorAI.js
+// Server-side property analysis - runs each pipeline stage through its provider.
+// Never import this from client code: providers may hold API tokens.
+
+import { ANALYSIS_STAGES } from './stages';
+import { resolveProviders } from './providers';
+
+class ContractorAI {
+  constructor({ providers, stages = ANALYSIS_STAGES } = {}) {
+    this.stages = stages;
+    this.providers = providers || resolveProviders(stages);
+  }
+
+  getProviderNames() {
+    return Object.fromEntries(
+      Object.entries(this.providers).map(([stageId, provider]) => [stageId, provider.name])
+    );
+  }
+
+  // Run one stage. `context.results` holds the output of earlier stages.
+  async runStage(stage, context) {
+    return stage.run(this, context);
+  }
+
+  // Run the whole pipeline in one go - throws on the first failed stage.
+  // Jobs use runStage directly so they can report and retry individual stages.
+  async analyzePhotosWithAddress(photos, address, { onStage } = {}) {
+    const results = {};
+
+    for (const stage of this.stages) {
+      if (onStage) onStage(stage);
+      results[stage.id] = await this.runStage(stage, {
+        photos,
+        address,
+        results,
+        reportProgress: () => {}
+      });
+    }
+
+    return {
+      address,
+      photoCount: photos.length,
+      ...results,
+      providers: this.getProviderNames(),
+      completedAt: new Date().toISOString()
+    };
+  }
+
+  async getPropertyData(address, options) {
+    return this.providers.propertyData.getPropertyData(address, options);
+  }
+
+  async measureWithPrecision(photos, address, options) {
+    return this.providers.dimensions.measureWithPrecision(photos, address, options);
+  }
+
+  async detectAllFeatures(photos, options) {
+    return this.providers.features.detectAllFeatures(photos, options);
+  }
+
+  async analyzeMaterials(photos, options) {
+    return this.providers.materials.analyzeMaterials(photos, options);
+  }
+
+  async checkLocalBuildingCodes(address, options) {
+    return this.providers.compliance.checkLocalBuildingCodes(address, options);
+  }
+
+  async checkUtilityLines(address, options) {
+    return this.providers.utilities.checkUtilityLines(address, options);
+  }
+
+  async getLocationSpecificRecommendations(address, options) {
+    return this.providers.recommendations.getLocationSpecificRecommendations(address, options);
+  }
+
+  async generateLocalCostEstimate(photos, address, options) {
+    return this.providers.costEstimate.generateLocalCostEstimate(photos, address, options);
+  }
+}
+
+export { ContractorAI };
@@ -0,0 +1,126 @@
+// lib/analysis/client.js
+// Browser helpers for the /api/analyze job API
+
+const POLL_INTERVAL_MS = 1000;
+
+function readPhoto(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      dataUrl: reader.result
+    });
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+async function createAnalysisJob(files, address) {
+  const photos = await Promise.all(files.map(readPhoto));
+  const { job } = await requestJson('/api/analyze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ photos, address })
+  });
+  return job;
+}
+
+async function getAnalysisJob(jobId) {
+  const { job } = await requestJson(`/api/analyze/${jobId}`);
+  return job;
+}
+
+async function getAnalysisResult(jobId) {
+  const { result } = await requestJson(`/api/analyze/${jobId}/result`);
+  return result;
+}
+
+async function retryAnalysisStage(jobId, stageId) {
+  const { job } = await requestJson(`/api/analyze/${jobId}/stages/${stageId}/retry`, {
+    method: 'POST'
+  });
+  return job;
+}
+
+function isSettled(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+// Poll until the job settles, reporting each status update
+async function pollAnalysis(jobId, { onUpdate, interval = POLL_INTERVAL_MS } = {}) {
+  for (;;) {
+    const job = await getAnalysisJob(jobId);
+    if (onUpdate) onUpdate(job);
+    if (isSettled(job)) return job;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+// Follow a job's stage events until it settles (completed, or failed with
+// stages that can be retried). Uses Server-Sent Events and falls back to
+// polling when EventSource is unavailable or the stream drops.
+function watchAnalysis(jobId, { onUpdate, onEvent } = {}) {
+  if (typeof EventSource === 'undefined') {
+    return pollAnalysis(jobId, { onUpdate });
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/analyze/${jobId}/events`);
+    let settled = false;
+
+    const handleMessage = (message) => {
+      const event = JSON.parse(message.data);
+      if (onEvent) onEvent(event);
+      if (onUpdate) onUpdate(event.job);
+
+      // A snapshot of an already-settled job counts too (e.g. after reconnecting)
+      if (isSettled(event.job) && !settled) {
+        settled = true;
+        source.close();
+        resolve(event.job);
+      }
+    };
+
+    [
+      'snapshot',
+      'stage.started',
+      'stage.progress',
+      'stage.completed',
+      'stage.failed',
+      'stage.blocked',
+      'stage.retrying',
+      'job.completed',
+      'job.failed'
+    ].forEach(type => source.addEventListener(type, handleMessage));
+
+    source.onerror = () => {
+      if (settled) return;
+      settled = true;
+      source.close();
+      pollAnalysis(jobId, { onUpdate }).then(resolve, reject);
+    };
+  });
+}
+
+export {
+  createAnalysisJob,
+  getAnalysisJob,
+  getAnalysisResult,
+  retryAnalysisStage,
+  watchAnalysis
+};
@@ -0,0 +1,243 @@
+// lib/analysis/jobs.js
+// In-memory analysis job store. Jobs run in the API server process and are
+// kept for an hour after they finish so clients can fetch the result.
+//
+// Every stage reports started/progress/completed/failed events. Subscribers
+// (the SSE route) get each event together with a fresh job snapshot.
+
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { ContractorAI } from './ContractorAI';
+import { getDependentStages } from './stages';
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Survive hot reloads in dev, where this module is re-evaluated
+const jobs = globalThis.__backyardAnalysisJobs || new Map();
+globalThis.__backyardAnalysisJobs = jobs;
+
+const emitter = globalThis.__backyardAnalysisEvents || new EventEmitter();
+emitter.setMaxListeners(0);
+globalThis.__backyardAnalysisEvents = emitter;
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.status !== 'running' && Date.parse(job.updatedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+function touch(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+}
+
+function getStageState(job, stageId) {
+  return job.stages.find(stage => stage.id === stageId);
+}
+
+function emit(job, type, details = {}) {
+  job.sequence += 1;
+  emitter.emit(job.id, {
+    id: job.sequence,
+    type,
+    ...details,
+    at: new Date().toISOString(),
+    job: serializeJob(job)
+  });
+}
+
+function updateStage(job, stageId, changes) {
+  Object.assign(getStageState(job, stageId), changes);
+  touch(job, {});
+}
+
+function createJob({ photos, address }, ai = new ContractorAI()) {
+  pruneJobs();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    address,
+    photos,
+    photoCount: photos.length,
+    ai,
+    stages: ai.stages.map(({ id, label, dependsOn }) => ({
+      id,
+      label,
+      dependsOn,
+      status: 'pending',
+      progress: 0,
+      message: null,
+      error: null,
+      startedAt: null,
+      completedAt: null
+    })),
+    results: {},
+    result: null,
+    error: null,
+    sequence: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+async function runStage(job, stage) {
+  updateStage(job, stage.id, {
+    status: 'running',
+    progress: 0,
+    message: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    completedAt: null
+  });
+  emit(job, 'stage.started', { stageId: stage.id });
+
+  const reportProgress = (fraction, message = null) => {
+    updateStage(job, stage.id, { progress: Math.min(Math.max(fraction, 0), 1), message });
+    emit(job, 'stage.progress', { stageId: stage.id, progress: fraction, message });
+  };
+
+  try {
+    job.results[stage.id] = await job.ai.runStage(stage, {
+      photos: job.photos,
+      address: job.address,
+      results: job.results,
+      reportProgress
+    });
+    updateStage(job, stage.id, {
+      status: 'completed',
+      progress: 1,
+      completedAt: new Date().toISOString()
+    });
+    emit(job, 'stage.completed', { stageId: stage.id });
+  } catch (error) {
+    console.error(`Analysis job ${job.id} stage ${stage.id} failed:`, error);
+    updateStage(job, stage.id, {
+      status: 'failed',
+      error: error.message || 'Stage failed',
+      completedAt: new Date().toISOString()
+    });
+    emit(job, 'stage.failed', { stageId: stage.id, error: error.message });
+  }
+}
+
+// Run every stage that hasn't completed yet. A failed stage blocks the stages
+// that depend on it; independent stages still run.
+async function runPendingStages(job) {
+  touch(job, { status: 'running', error: null });
+
+  for (const stage of job.ai.stages) {
+    const state = getStageState(job, stage.id);
+    if (state.status === 'completed') continue;
+
+    const blockedBy = stage.dependsOn.find(dep => getStageState(job, dep).status !== 'completed');
+    if (blockedBy) {
+      updateStage(job, stage.id, { status: 'blocked', message: `Waiting on ${blockedBy}` });
+      emit(job, 'stage.blocked', { stageId: stage.id, blockedBy });
+      continue;
+    }
+
+    await runStage(job, stage);
+  }
+
+  const failed = job.stages.filter(stage => stage.status === 'failed');
+
+  if (failed.length > 0) {
+    touch(job, {
+      status: 'failed',
+      error: `${failed.map(stage => stage.label).join(', ')} failed`
+    });
+    emit(job, 'job.failed', { error: job.error });
+    return;
+  }
+
+  touch(job, {
+    status: 'completed',
+    result: {
+      address: job.address,
+      photoCount: job.photoCount,
+      ...job.results,
+      providers: job.ai.getProviderNames(),
+      completedAt: new Date().toISOString()
+    },
+    // Photos are only needed while stages can still be (re)run
+    photos: []
+  });
+  emit(job, 'job.completed');
+}
+
+// Kick off the pipeline without waiting for it - callers poll or subscribe
+function startJob(job) {
+  runPendingStages(job).catch(error => {
+    console.error(`Analysis job ${job.id} crashed:`, error);
+    touch(job, { status: 'failed', error: error.message || 'Analysis failed' });
+    emit(job, 'job.failed', { error: job.error });
+  });
+  return job;
+}
+
+// Re-run a failed stage plus the stages it was blocking
+function retryStage(job, stageId) {
+  const state = getStageState(job, stageId);
+
+  if (!state) {
+    const error = new Error(`Unknown stage ${stageId}`);
+    error.status = 404;
+    throw error;
+  }
+  if (job.status === 'running') {
+    throw new Error('Analysis is still running');
+  }
+  if (state.status !== 'failed') {
+    throw new Error(`Stage ${stageId} has not failed`);
+  }
+
+  for (const id of [stageId, ...getDependentStages(stageId, job.ai.stages)]) {
+    if (getStageState(job, id).status !== 'completed') {
+      updateStage(job, id, { status: 'pending', progress: 0, message: null, error: null });
+    }
+  }
+  emit(job, 'stage.retrying', { stageId });
+
+  return startJob(job);
+}
+
+function subscribe(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+function getJobProgress(job) {
+  const total = job.stages.reduce((sum, stage) => (
+    sum + (stage.status === 'completed' ? 1 : stage.status === 'running' ? stage.progress : 0)
+  ), 0);
+  return Math.round((total / job.stages.length) * 100);
+}
+
+// Public view of a job - never includes the uploaded photo data
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    address: job.address,
+    photoCount: job.photoCount,
+    progress: getJobProgress(job),
+    stages: job.stages.map(stage => ({ ...stage })),
+    error: job.error,
+    hasResult: Boolean(job.result),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+export { createJob, getJob, startJob, retryStage, subscribe, serializeJob };
@@ -0,0 +1,53 @@
+// lib/analysis/providers/index.js
+// Provider registry - each analysis stage is backed by one provider.
+//
+// ANALYSIS_PROVIDER picks the default provider for every stage (defaults to 'local').
+// ANALYSIS_PROVIDER_<STAGE> overrides a single stage, e.g. ANALYSIS_PROVIDER_FEATURES=replicate
+
+import { localProvider } from './local';
+import { replicateProvider } from './replicate';
+
+const providers = new Map([
+  [localProvider.name, localProvider],
+  [replicateProvider.name, replicateProvider]
+]);
+
+function registerProvider(provider) {
+  if (!provider?.name) {
+    throw new Error('Analysis provider must have a name');
+  }
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+// propertyData -> PROPERTY_DATA
+function toEnvKey(stageId) {
+  return stageId.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+// Resolve the provider for each stage, falling back to 'local' when the
+// configured provider doesn't implement that stage's method.
+function resolveProviders(stages, env = process.env) {
+  const defaultName = env.ANALYSIS_PROVIDER || 'local';
+
+  return Object.fromEntries(stages.map(stage => {
+    const name = env[`ANALYSIS_PROVIDER_${toEnvKey(stage.id)}`] || defaultName;
+    const provider = getProvider(name);
+
+    if (!provider) {
+      throw new Error(`Unknown analysis provider "${name}" for stage ${stage.id}`);
+    }
+
+    if (typeof provider[stage.method] !== 'function') {
+      console.warn(`Provider "${name}" does not implement ${stage.method}, using local`);
+      return [stage.id, localProvider];
+    }
+
+    return [stage.id, provider];
+  }));
+}
+
+export { registerProvider, getProvider, resolveProviders };
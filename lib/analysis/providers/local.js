@@ -0,0 +1,159 @@
+// lib/analysis/providers/local.js
+// Deterministic stand-in provider - no network, same answer for the same input.
+// Used for development and tests, and as the default when nothing else is configured.
+
+import featureFixtures from './fixtures/features.json';
+import materialFixtures from './fixtures/materials.json';
+import utilityFixtures from './fixtures/utilities.json';
+import { createFeature } from '../../features/featureTypes';
+import { createMaterialRegion, summarizeMaterials } from '../../materials/materialAnalysis';
+import { evaluateRecommendations } from '../../recommendations/engine';
+import { lookupProperty } from '../../property';
+import { getBuildingCodes } from '../../codes';
+import { createUtilityLine } from '../../utilities/utilityTypes';
+import { estimateProjectCost } from '../../estimate/costEngine';
+import { loadCatalog } from '../../catalog/store';
+
+// Stable 32-bit hash so the same address/photos always produce the same output
+function hashString(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Small seeded PRNG (mulberry32) - returns a function producing 0..1
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function photoSeed(photos) {
+  return photos.map(photo => `${photo.name}:${photo.size}`).join('|');
+}
+
+const localProvider = {
+  name: 'local',
+
+  // Parcel files under data/parcels - see lib/property
+  async getPropertyData(address) {
+    return lookupProperty(address);
+  },
+
+  // Parcel geometry gives the real backyard size; the photo-based estimate is
+  // only used when the property lookup had no lot polygon to measure
+  async measureWithPrecision(photos, address, { onProgress, propertyData } = {}) {
+    const random = seededRandom(hashString(`${address}|${photoSeed(photos)}`));
+    const scaleReferences = ['door', 'window', 'car', 'person'];
+
+    photos.forEach((photo, index) => {
+      if (onProgress) onProgress((index + 1) / photos.length, `Measured ${photo.name}`);
+    });
+
+    if (propertyData?.backyard) {
+      return {
+        length: propertyData.backyard.length,
+        width: propertyData.backyard.width,
+        confidence: 0.98,
+        scaleReference: 'parcel geometry',
+        accuracy: '±1 foot',
+        source: 'parcel',
+        propertyVerified: true
+      };
+    }
+
+    return {
+      length: Math.round(45 + random() * 15),
+      width: Math.round(30 + random() * 10),
+      confidence: 0.94,
+      scaleReference: scaleReferences[Math.floor(random() * scaleReferences.length)],
+      accuracy: '±4 inches',
+      source: 'photos',
+      propertyVerified: false
+    };
+  },
+
+  // Fixture detections: a photo named in fixtures.byName gets that exact set,
+  // any other photo gets one of the variants picked by hashing its name/size
+  async detectAllFeatures(photos, { onProgress } = {}) {
+    const features = [];
+
+    photos.forEach((photo, index) => {
+      const detections = featureFixtures.byName[photo.name]
+        || featureFixtures.variants[hashString(`${photo.name}:${photo.size}`) % featureFixtures.variants.length];
+
+      detections.forEach((detection, detectionIndex) => {
+        const feature = createFeature(detection, photo.index ?? index, detectionIndex);
+        if (feature) features.push(feature);
+      });
+
+      if (onProgress) onProgress((index + 1) / photos.length, `Scanned ${photo.name}`);
+    });
+
+    return features;
+  },
+
+  // Fixture regions, picked per photo the same way as detectAllFeatures
+  async analyzeMaterials(photos, { onProgress, dimensions } = {}) {
+    const yardAreaSqFt = (dimensions?.length || 50) * (dimensions?.width || 35);
+    const photoAreaSqFt = yardAreaSqFt / Math.max(photos.length, 1);
+
+    const photoResults = photos.map((photo, index) => {
+      const regions = materialFixtures.byName[photo.name]
+        || materialFixtures.variants[hashString(`${photo.name}:${photo.size}`) % materialFixtures.variants.length];
+
+      if (onProgress) onProgress((index + 1) / photos.length, `Classified ${photo.name}`);
+
+      return {
+        photoIndex: photo.index ?? index,
+        regions: regions
+          .map((region, regionIndex) => createMaterialRegion(region, photo.index ?? index, regionIndex, photoAreaSqFt))
+          .filter(Boolean)
+      };
+    });
+
+    return {
+      photos: photoResults,
+      summary: summarizeMaterials(photoResults)
+    };
+  },
+
+  // Jurisdiction rule files under data/codes - see lib/codes
+  async checkLocalBuildingCodes(address, { propertyData } = {}) {
+    return getBuildingCodes(address, { coordinates: propertyData?.coordinates });
+  },
+
+  // Typical service runs in scene feet, flagged approximate - a locate ticket
+  // import replaces them with marked positions
+  async checkUtilityLines() {
+    return {
+      lines: utilityFixtures.lines.map((line, index) => createUtilityLine({
+        ...line,
+        id: `records-${index}`,
+        source: 'records',
+        approximate: true
+      })),
+      callBeforeDigging: utilityFixtures.callBeforeDigging
+    };
+  },
+
+  // Design-independent recommendations; the design screen re-runs the same rules
+  // against the live design so size/finish rules can fire too
+  async getLocationSpecificRecommendations(address, { propertyData, compliance } = {}) {
+    return evaluateRecommendations({ propertyData, compliance });
+  },
+
+  // The default design priced for the address - the design step re-prices live
+  async generateLocalCostEstimate(photos, address, { materials, compliance } = {}) {
+    return estimateProjectCost({ address, materials, compliance, catalog: await loadCatalog() });
+  }
+};
+
+export { localProvider, hashString, seededRandom, photoSeed };
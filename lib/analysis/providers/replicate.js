@@ -0,0 +1,84 @@
+// lib/analysis/providers/replicate.js
+// Replicate-hosted models. Server-side only - reads REPLICATE_API_TOKEN.
+//
+// REPLICATE_DETECTION_MODEL: an open-vocabulary detector that takes
+// { image, query } and returns { detections: [{ bbox: [x1, y1, x2, y2], label, confidence }] }
+// (e.g. a pinned "owner/grounding-dino:<version>").
+
+import Replicate from 'replicate';
+import { FEATURE_TYPES, createFeature } from '../../features/featureTypes';
+import { getImageSize } from '../imageSize';
+
+const BOX_THRESHOLD = 0.3;
+
+function getClient() {
+  if (!process.env.REPLICATE_API_TOKEN) {
+    throw new Error('REPLICATE_API_TOKEN is not configured');
+  }
+  return new Replicate({ auth: process.env.REPLICATE_API_TOKEN });
+}
+
+function getModel(envKey) {
+  const model = process.env[envKey];
+  if (!model) {
+    throw new Error(`${envKey} is not configured`);
+  }
+  return model;
+}
+
+// Map a model label back to one of our feature types
+function matchFeatureType(label = '') {
+  const normalized = label.toLowerCase();
+  return Object.keys(FEATURE_TYPES).find(type => (
+    normalized.includes(FEATURE_TYPES[type].query) || normalized.includes(type.toLowerCase())
+  )) || null;
+}
+
+function toRelativeBox([x1, y1, x2, y2], size) {
+  // Some detectors already return 0..1 coordinates
+  const scaleX = size && x2 > 1 ? size.width : 1;
+  const scaleY = size && y2 > 1 ? size.height : 1;
+  return {
+    x: x1 / scaleX,
+    y: y1 / scaleY,
+    width: (x2 - x1) / scaleX,
+    height: (y2 - y1) / scaleY
+  };
+}
+
+const replicateProvider = {
+  name: 'replicate',
+
+  async detectAllFeatures(photos, { onProgress } = {}) {
+    const replicate = getClient();
+    const model = getModel('REPLICATE_DETECTION_MODEL');
+    const query = Object.values(FEATURE_TYPES).map(type => type.query).join(', ');
+    const features = [];
+
+    for (const photo of photos) {
+      const output = await replicate.run(model, {
+        input: {
+          image: photo.dataUrl,
+          query,
+          box_threshold: BOX_THRESHOLD
+        }
+      });
+
+      const size = getImageSize(photo.dataUrl);
+      (output?.detections || []).forEach((detection, index) => {
+        const feature = createFeature({
+          type: matchFeatureType(detection.label),
+          bbox: toRelativeBox(detection.bbox, size),
+          confidence: detection.confidence
+        }, photo.index, index);
+        if (feature) features.push(feature);
+      });
+
+      if (onProgress) onProgress((photo.index + 1) / photos.length, `Scanned ${photo.name}`);
+    }
+
+    return features;
+  }
+};
+
+export { replicateProvider };
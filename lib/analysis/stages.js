@@ -0,0 +1,105 @@
+// lib/analysis/stages.js
+// Ordered analysis pipeline. Each stage names the provider method that backs it,
+// the stages whose results it needs, and how to call it from the job context.
+
+const ANALYSIS_STAGES = [
+  {
+    id: 'propertyData',
+    label: 'Analyzing property records',
+    method: 'getPropertyData',
+    dependsOn: [],
+    run: (ai, { address, reportProgress }) =>
+      ai.getPropertyData(address, { onProgress: reportProgress })
+  },
+  {
+    id: 'dimensions',
+    label: 'Measuring backyard from photos',
+    method: 'measureWithPrecision',
+    dependsOn: ['propertyData'],
+    run: (ai, { photos, address, results, reportProgress }) =>
+      ai.measureWithPrecision(photos, address, {
+        onProgress: reportProgress,
+        propertyData: results.propertyData
+      })
+  },
+  {
+    id: 'features',
+    label: 'Detecting existing yard features',
+    method: 'detectAllFeatures',
+    dependsOn: [],
+    run: (ai, { photos, reportProgress }) =>
+      ai.detectAllFeatures(photos, { onProgress: reportProgress })
+  },
+  {
+    id: 'materials',
+    label: 'Classifying surfaces and soil',
+    method: 'analyzeMaterials',
+    dependsOn: ['dimensions'],
+    run: (ai, { photos, results, reportProgress }) =>
+      ai.analyzeMaterials(photos, { onProgress: reportProgress, dimensions: results.dimensions })
+  },
+  {
+    id: 'compliance',
+    label: 'Retrieving local building codes',
+    method: 'checkLocalBuildingCodes',
+    dependsOn: ['propertyData'],
+    run: (ai, { address, results, reportProgress }) =>
+      ai.checkLocalBuildingCodes(address, {
+        onProgress: reportProgress,
+        propertyData: results.propertyData
+      })
+  },
+  {
+    id: 'utilities',
+    label: 'Checking utility line locations',
+    method: 'checkUtilityLines',
+    dependsOn: [],
+    run: (ai, { address, reportProgress }) =>
+      ai.checkUtilityLines(address, { onProgress: reportProgress })
+  },
+  {
+    id: 'recommendations',
+    label: 'Building location-specific recommendations',
+    method: 'getLocationSpecificRecommendations',
+    dependsOn: ['propertyData', 'compliance'],
+    run: (ai, { address, results, reportProgress }) =>
+      ai.getLocationSpecificRecommendations(address, {
+        onProgress: reportProgress,
+        propertyData: results.propertyData,
+        compliance: results.compliance
+      })
+  },
+  {
+    id: 'costEstimate',
+    label: 'Calculating regional pricing',
+    method: 'generateLocalCostEstimate',
+    dependsOn: ['dimensions', 'materials', 'compliance'],
+    run: (ai, { photos, address, results, reportProgress }) =>
+      ai.generateLocalCostEstimate(photos, address, {
+        onProgress: reportProgress,
+        materials: results.materials,
+        compliance: results.compliance
+      })
+  }
+];
+
+// Stages that (directly or transitively) need the given stage
+function getDependentStages(stageId, stages = ANALYSIS_STAGES) {
+  const dependents = new Set();
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const stage of stages) {
+      if (dependents.has(stage.id)) continue;
+      if (stage.dependsOn.some(dep => dep === stageId || dependents.has(dep))) {
+        dependents.add(stage.id);
+        changed = true;
+      }
+    }
+  }
+
+  return [...dependents];
+}
+
+export { ANALYSIS_STAGES, getDependentStages };
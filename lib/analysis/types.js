@@ -0,0 +1,211 @@
+// lib/analysis/types.js
+// Shared shapes for the analysis API (JSDoc only - nothing is exported at runtime)
+
+/**
+ * @typedef {Object} AnalysisPhoto
+ * @property {number} index - Position of the photo in the upload
+ * @property {string} name
+ * @property {string} type - MIME type
+ * @property {number} size - Size in bytes
+ * @property {string} dataUrl - Base64 data URL of the image
+ */
+
+/**
+ * @typedef {Object} PropertyData
+ * @property {string} [parcelId]
+ * @property {string} [address] - Address as recorded on the parcel
+ * @property {{ length: number, width: number }} [lotSize] - Feet, from the lot's bounding rectangle
+ * @property {number} [lotAreaSqFt]
+ * @property {number[][]} [lotPolygon] - Outer ring as [lng, lat] pairs
+ * @property {{ length: number, width: number }} [backyard] - Feet, lot depth behind the house
+ * @property {string} [zoning]
+ * @property {string} [floodZone]
+ * @property {string} [climateZone] - IECC climate zone, e.g. "3A"
+ * @property {number} [yearBuilt]
+ * @property {number} [squareFootage]
+ * @property {number} [propertyValue]
+ * @property {string[]} [hoaRestrictions]
+ * @property {{ lat: number, lng: number }} [coordinates]
+ * @property {boolean} verified - False when no property source had a parcel for the address
+ * @property {string} [source] - Property source that answered, e.g. "parcelFile"
+ */
+
+/**
+ * @typedef {Object} BackyardDimensions
+ * @property {number} length - Feet
+ * @property {number} width - Feet
+ * @property {number} confidence - 0..1
+ * @property {string} scaleReference
+ * @property {string} accuracy
+ * @property {'parcel' | 'photos'} source - Where the measurement came from
+ * @property {boolean} propertyVerified - True when it matches the parcel record
+ */
+
+/**
+ * An existing yard feature detected in one of the photos
+ * @typedef {Object} DetectedFeature
+ * @property {string} id
+ * @property {'tree' | 'fence' | 'deck' | 'slope' | 'shed' | 'pool' | 'acUnit'} type
+ * @property {string} label
+ * @property {number} photoIndex - Which uploaded photo it was found in
+ * @property {{ x: number, y: number, width: number, height: number }} bbox - Relative to the photo (0..1), origin top-left
+ * @property {number} confidence - 0..1
+ */
+
+/**
+ * A labelled surface or soil region in one photo
+ * @typedef {Object} MaterialRegion
+ * @property {string} id
+ * @property {'turf' | 'concrete' | 'pavers' | 'gravel' | 'clay' | 'rock'} material
+ * @property {string} label
+ * @property {'surface' | 'soil'} kind
+ * @property {{ x: number, y: number, width: number, height: number }} bbox - Relative to the photo (0..1)
+ * @property {number} coverage - Share of the photo, 0..1
+ * @property {number} confidence - 0..1
+ * @property {number} areaSqFt - Estimated ground area
+ */
+
+/**
+ * @typedef {Object} MaterialsAnalysis
+ * @property {{ photoIndex: number, regions: MaterialRegion[] }[]} photos
+ * @property {{ surfaces: Object<string, number>, totalSurfaceSqFt: number, soil: { type: string, label: string, difficulty: string, excavationMultiplier: number } }} summary
+ */
+
+/**
+ * @typedef {Object} ComplianceData
+ * @property {string} jurisdiction - Building department for the most specific jurisdiction found
+ * @property {string} jurisdictionId - e.g. "us-ga-fulton-atlanta"
+ * @property {'national' | 'state' | 'county' | 'city'} jurisdictionLevel - "state" means no local rules were found
+ * @property {{ id: string, name: string, level: string, version: string, effective: string, source: string }[]} rulesChain - Rule files applied, most general first
+ * @property {Object<string, { required: number, reason: string }>} setbacks - Feet
+ * @property {{ minHeight: number, reason: string } | null} barrier - Feet
+ * @property {{ value: number, reason: string } | null} maxDepth - Feet
+ * @property {{ equipmentMaxDb: number, measuredAt: string, reason: string } | null} noise
+ * @property {{ type: string, cost: number, timeframe: string, fee: { base?: number, perSqFt?: number, perThousandValuation?: number, minimum?: number } }[]} permits - Cost quoted for a 24x12 pool
+ * @property {number} estimatedCost - Sum of permit costs
+ * @property {string[]} restrictions - Human-readable summary
+ */
+
+/**
+ * @typedef {Object} Recommendation
+ * @property {string} id - Rule id from data/recommendations/rules.json
+ * @property {'required' | 'recommended' | 'info'} severity
+ * @property {number} priority
+ * @property {string} title
+ * @property {string} detail
+ * @property {{ category: string, property: string, value: *, label: string } | null} apply - Design change it suggests
+ */
+
+/**
+ * A buried utility run, in scene feet
+ * @typedef {Object} UtilityLine
+ * @property {string} id
+ * @property {'electrical' | 'gas' | 'water' | 'sewer' | 'cable' | 'fiber' | 'irrigation' | 'unknown'} type
+ * @property {string} label
+ * @property {number[][]} points - Polyline as [x, z] pairs
+ * @property {{ min: number, max: number }} depth - Feet below grade
+ * @property {'records' | 'locate' | 'manual'} source
+ * @property {string | null} ticket - Locate ticket number, when imported
+ * @property {boolean} approximate - True for record-based positions that still need a locate
+ */
+
+/**
+ * @typedef {Object} UtilityReport
+ * @property {UtilityLine[]} lines
+ * @property {string} callBeforeDigging
+ */
+
+/**
+ * @typedef {Object} CostLineItem
+ * @property {string} id
+ * @property {'pool' | 'equipment' | 'siteWork' | 'hardscape' | 'landscape' | 'permits'} group
+ * @property {string} label
+ * @property {string} [sku] - Catalog item the line was priced from
+ * @property {string} [detail] - Quantity and rate the amount came from
+ * @property {string} [note] - Just the qualifier from `detail`, e.g. "3 placed"
+ * @property {number} [quantity] - In the catalog item's unit
+ * @property {'each' | 'sqft' | 'lf' | 'cuyd' | 'hp'} [unit]
+ * @property {number} [unitPrice] - Regional unit price, after any soil multiplier
+ * @property {number} amount - Dollars, regional pricing applied (permits excepted)
+ */
+
+/**
+ * @typedef {Object} CostEstimate
+ * @property {CostLineItem[]} lineItems
+ * @property {Object<string, number>} subtotals - Amount per line item group
+ * @property {{ id: string, name: string, multiplier: number }} region - Catalog pricing region
+ * @property {{ areaSqFt: number, perimeterFt: number, surfaceSqFt: number, volumeGallons: number }} pool
+ * @property {Object} hydraulics - Water volume, flow and equipment sizes (lib/pool/hydraulics)
+ * @property {{ soil: string, difficulty: string, multiplier: number }} excavationDifficulty
+ * @property {number} haulOffCubicYards
+ * @property {number} total
+ * @property {string} timeline
+ * @property {string} locationNote
+ * @property {number} catalogVersion
+ */
+
+/**
+ * @typedef {Object} AnalysisResult
+ * @property {string} address
+ * @property {number} photoCount
+ * @property {PropertyData} propertyData
+ * @property {BackyardDimensions} dimensions
+ * @property {DetectedFeature[]} features
+ * @property {MaterialsAnalysis} materials
+ * @property {ComplianceData} compliance
+ * @property {Recommendation[]} recommendations
+ * @property {CostEstimate} costEstimate
+ * @property {UtilityReport} utilities
+ * @property {Object<string, string>} providers - Provider name used for each stage
+ * @property {string} completedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {'queued' | 'running' | 'completed' | 'failed'} JobStatus
+ */
+
+/**
+ * @typedef {'pending' | 'running' | 'completed' | 'failed' | 'blocked'} StageStatus
+ */
+
+/**
+ * @typedef {Object} StageState
+ * @property {string} id
+ * @property {string} label
+ * @property {string[]} dependsOn - Stages whose results this stage needs
+ * @property {StageStatus} status
+ * @property {number} progress - 0..1
+ * @property {string | null} message - Latest progress message
+ * @property {string | null} error
+ * @property {string | null} startedAt
+ * @property {string | null} completedAt
+ */
+
+/**
+ * @typedef {Object} AnalysisJob
+ * @property {string} id
+ * @property {JobStatus} status
+ * @property {string} address
+ * @property {number} photoCount
+ * @property {number} progress - Overall percent complete, 0..100
+ * @property {StageState[]} stages
+ * @property {boolean} hasResult
+ * @property {string | null} error
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * Server-Sent Event payload from /api/analyze/[jobId]/events
+ * @typedef {Object} AnalysisEvent
+ * @property {number} id - Sequence number within the job
+ * @property {'snapshot' | 'stage.started' | 'stage.progress' | 'stage.completed' | 'stage.failed' | 'stage.blocked' | 'stage.retrying' | 'job.completed' | 'job.failed'} type
+ * @property {string} [stageId]
+ * @property {number} [progress]
+ * @property {string} [message]
+ * @property {string} [error]
+ * @property {string} at - ISO timestamp
+ * @property {AnalysisJob} job - Job snapshot after the event
+ */
+
+export {};
@@ -0,0 +1,35 @@
+// lib/catalog/client.js
+// Browser helpers for the /api/catalog route
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.errors = data.errors || [];
+    throw error;
+  }
+
+  return data;
+}
+
+async function fetchCatalog() {
+  const { catalog } = await requestJson('/api/catalog');
+  return catalog;
+}
+
+async function saveCatalog(catalog, { token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const { catalog: saved } = await requestJson('/api/catalog', {
+    method: 'PUT',
+    headers,
+    body: JSON.stringify({ catalog })
+  });
+  return saved;
+}
+
+export { fetchCatalog, saveCatalog };
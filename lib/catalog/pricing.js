@@ -0,0 +1,69 @@
+// lib/catalog/pricing.js
+// Turn catalog items into prices for a location. An item's unit price is
+// material + labor, marked up, times the region's multiplier - unless the item
+// has an override for that region, which is already a local price.
+
+import DEFAULT_CATALOG from '../../data/catalog/catalog.json';
+import { normalizeAddress, parseAddressParts } from '../property/address';
+import { UNITS } from './schema';
+
+// Regions match on ZIP prefix - the longest matching prefix wins
+function resolveRegion(catalog, address) {
+  const { zip } = parseAddressParts(normalizeAddress(address));
+  if (!zip) return catalog.defaultRegion;
+
+  let best = null;
+  let bestLength = 0;
+  (catalog.regions || []).forEach(region => {
+    region.zips.forEach(prefix => {
+      if (zip.startsWith(prefix) && prefix.length > bestLength) {
+        best = region;
+        bestLength = prefix.length;
+      }
+    });
+  });
+
+  return best || catalog.defaultRegion;
+}
+
+function unitPrice(item, region) {
+  const override = region && item.regionalOverrides?.[region.id];
+  const costs = { ...item, ...override };
+  const price = (costs.materialCost + costs.laborCost) * (1 + costs.markup);
+  const multiplier = override ? 1 : (region?.multiplier ?? 1);
+  return Math.round(price * multiplier * 100) / 100;
+}
+
+function formatUnitPrice(price, unit) {
+  const amount = `$${price.toLocaleString('en-US', { maximumFractionDigits: price < 100 ? 2 : 0 })}`;
+  return unit === 'each' ? amount : `${amount}/${UNITS[unit]}`;
+}
+
+// Everything the UI and estimate need to price against one catalog and address
+function createPriceList(catalog = DEFAULT_CATALOG, address) {
+  const region = resolveRegion(catalog, address);
+
+  const find = (category, type) => catalog.items.find(item => item.category === category && item.type === type) || null;
+
+  return {
+    catalog,
+    region,
+    settings: catalog.settings,
+    find,
+    unitPrice: (item) => unitPrice(item, region),
+    price: (category, type) => {
+      const item = find(category, type);
+      return item ? unitPrice(item, region) : 0;
+    },
+    label: (item) => formatUnitPrice(unitPrice(item, region), item.unit),
+    byCategory: (category) => catalog.items.filter(item => item.category === category),
+    sections: (category) => (catalog.sections || [])
+      .filter(section => section.category === category)
+      .map(section => ({
+        ...section,
+        items: catalog.items.filter(item => item.category === category && item.section === section.id)
+      }))
+  };
+}
+
+export { DEFAULT_CATALOG, resolveRegion, unitPrice, formatUnitPrice, createPriceList };
@@ -0,0 +1,118 @@
+// lib/catalog/schema.js
+// Shape of the company catalog - every priced item the design tool offers.
+// Shared by the API (reject bad saves) and the admin screen (show problems inline).
+//
+//   settings: { deckWidthFt, overDigFactor, permitAllowance, timeline }
+//   defaultRegion: { id, name, multiplier } - prices addresses no ZIP region covers
+//   regions: [{ id, name, multiplier, zips: [prefix] }]
+//   items: [{ sku, category, type, name, unit, materialCost, laborCost, markup,
+//             regionalOverrides: { [regionId]: { materialCost, laborCost, markup } },
+//             label, section, model (hardscape/landscape), property, value, sizedBy (equipment) }]
+//
+// Equipment is either switched on by a pool property (`property` === `value`)
+// or sized from the pool's hydraulics (`sizedBy`, priced per hp or sq ft).
+
+import { HYDRAULIC_SIZES } from '../pool/hydraulics';
+
+const CATEGORIES = {
+  poolConstruction: 'Pool Construction',
+  poolFinish: 'Pool Finishes',
+  poolShape: 'Pool Shapes',
+  poolAddOn: 'Pool Add-ons',
+  equipment: 'Pool Equipment',
+  hardscape: 'Hardscape',
+  landscape: 'Landscape',
+  irrigation: 'Irrigation'
+};
+
+const UNITS = {
+  each: 'each',
+  sqft: 'sq ft',
+  lf: 'linear ft',
+  cuyd: 'cu yd',
+  hp: 'hp'
+};
+
+const COST_FIELDS = ['materialCost', 'laborCost', 'markup'];
+
+// Estimate settings the cost engine multiplies by
+const NUMBER_SETTINGS = ['deckWidthFt', 'overDigFactor', 'permitAllowance'];
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Returns a list of problems; empty when the catalog can be saved
+function validateCatalog(catalog) {
+  const errors = [];
+
+  if (!catalog || !Array.isArray(catalog.items)) {
+    return ['Catalog must have an items list'];
+  }
+
+  const settings = catalog.settings || {};
+  NUMBER_SETTINGS.forEach(field => {
+    if (!isNonNegative(settings[field])) errors.push(`Setting "${field}" must be a number of 0 or more`);
+  });
+  if (typeof settings.timeline !== 'string' || !settings.timeline.trim()) errors.push('Setting "timeline" is required');
+
+  const fallback = catalog.defaultRegion;
+  if (!fallback?.id || !fallback.name) errors.push('The default region needs an id and a name');
+  if (!isNonNegative(fallback?.multiplier)) errors.push('The default region needs a multiplier');
+
+  const regionIds = new Set((catalog.regions || []).map(region => region.id));
+  (catalog.regions || []).forEach(region => {
+    if (!region.id || !region.name) errors.push('Every region needs an id and a name');
+    if (!isNonNegative(region.multiplier)) errors.push(`Region "${region.id}" needs a multiplier`);
+    if (!Array.isArray(region.zips) || region.zips.length === 0) errors.push(`Region "${region.id}" needs at least one ZIP prefix`);
+  });
+
+  const sectionIds = new Set((catalog.sections || []).map(section => section.id));
+  const skus = new Set();
+  const types = new Set();
+
+  catalog.items.forEach((item, index) => {
+    const name = item.sku || `Item ${index + 1}`;
+
+    if (!item.sku) errors.push(`${name}: SKU is required`);
+    if (skus.has(item.sku)) errors.push(`${name}: duplicate SKU`);
+    skus.add(item.sku);
+
+    if (!CATEGORIES[item.category]) errors.push(`${name}: unknown category "${item.category}"`);
+    if (!item.type) errors.push(`${name}: type is required`);
+    if (!item.name) errors.push(`${name}: name is required`);
+    if (!UNITS[item.unit]) errors.push(`${name}: unknown unit "${item.unit}"`);
+
+    const key = `${item.category}:${item.type}`;
+    if (types.has(key)) errors.push(`${name}: another ${item.category} item already uses type "${item.type}"`);
+    types.add(key);
+
+    COST_FIELDS.forEach(field => {
+      if (!isNonNegative(item[field])) errors.push(`${name}: ${field} must be a number of 0 or more`);
+    });
+
+    Object.entries(item.regionalOverrides || {}).forEach(([regionId, override]) => {
+      if (!regionIds.has(regionId)) errors.push(`${name}: override for unknown region "${regionId}"`);
+      COST_FIELDS.forEach(field => {
+        if (override[field] !== undefined && !isNonNegative(override[field])) {
+          errors.push(`${name}: ${regionId} ${field} must be a number of 0 or more`);
+        }
+      });
+    });
+
+    if (item.category === 'hardscape' || item.category === 'landscape') {
+      if (!sectionIds.has(item.section)) errors.push(`${name}: unknown section "${item.section}"`);
+      if (!item.model) errors.push(`${name}: model is required`);
+    }
+    if (item.category === 'equipment' && !item.property && !item.sizedBy) {
+      errors.push(`${name}: equipment needs the pool property it prices`);
+    }
+    if (item.sizedBy !== undefined && !HYDRAULIC_SIZES[item.sizedBy]) {
+      errors.push(`${name}: can't size by "${item.sizedBy}"`);
+    }
+  });
+
+  return errors;
+}
+
+export { CATEGORIES, UNITS, COST_FIELDS, validateCatalog };
@@ -0,0 +1,93 @@
+// lib/catalog/store.js
+// Read and write the company catalog at CATALOG_FILE, defaulting to
+// .data/catalog.json. A missing file starts as a copy of the bundled
+// data/catalog/catalog.json, which saves never touch. Server-side only.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { validateCatalog } from './schema';
+
+// Catalog per file - saves replace the entry, read errors drop it
+const loaded = new Map();
+// Saves per file run one at a time so the version check can't race
+const saving = new Map();
+
+function catalogPath(env) {
+  return env.CATALOG_FILE || path.join(process.cwd(), '.data', 'catalog.json');
+}
+
+// Write then rename so a crash never leaves half a catalog behind
+async function writeJson(filePath, value) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(value, null, 2)}\n`);
+  await fs.rename(tempPath, filePath);
+}
+
+async function readCatalogFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const seed = await fs.readFile(path.join(process.cwd(), 'data', 'catalog', 'catalog.json'), 'utf8');
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await writeJson(filePath, JSON.parse(seed));
+  return seed;
+}
+
+async function loadCatalog({ env = process.env } = {}) {
+  const filePath = catalogPath(env);
+
+  if (!loaded.has(filePath)) {
+    loaded.set(filePath, (async () => {
+      const catalog = JSON.parse(await readCatalogFile(filePath));
+      const errors = validateCatalog(catalog);
+      if (errors.length > 0) {
+        throw new Error(`${path.relative(process.cwd(), filePath)}: ${errors[0]}`);
+      }
+      return catalog;
+    })().catch(error => {
+      loaded.delete(filePath);
+      throw error;
+    }));
+  }
+
+  return loaded.get(filePath);
+}
+
+async function writeCatalog(catalog, filePath, env) {
+  const current = await loadCatalog({ env });
+
+  if (catalog?.version !== current.version) {
+    const error = new Error(`Catalog was changed by someone else (now version ${current.version}) - reload and try again`);
+    error.status = 409;
+    throw error;
+  }
+
+  const errors = validateCatalog(catalog);
+  if (errors.length > 0) {
+    const error = new Error(`Catalog has ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+    error.status = 400;
+    error.errors = errors;
+    throw error;
+  }
+
+  const saved = { ...catalog, version: current.version + 1, updatedAt: new Date().toISOString() };
+
+  await writeJson(filePath, saved);
+
+  loaded.set(filePath, Promise.resolve(saved));
+  return saved;
+}
+
+// Replace the whole catalog. `catalog.version` must be the version the editor
+// started from, so two admins saving at once can't silently overwrite each other.
+function saveCatalog(catalog, { env = process.env } = {}) {
+  const filePath = catalogPath(env);
+  const result = (saving.get(filePath) || Promise.resolve()).then(() => writeCatalog(catalog, filePath, env));
+  saving.set(filePath, result.catch(() => {}));
+  return result;
+}
+
+export { loadCatalog, saveCatalog };
@@ -0,0 +1,12 @@
+// lib/codes/fees.js
+// Permit fee schedules, priced for a given project. No file access, so the
+// browser-side estimate can re-price permits as the design changes.
+
+function estimatePermitFee(fee = {}, { poolAreaSqFt = 0, valuation = 0 } = {}) {
+  const amount = (fee.base || 0)
+    + (fee.perSqFt || 0) * poolAreaSqFt
+    + (fee.perThousandValuation || 0) * (valuation / 1000);
+  return Math.round(Math.max(amount, fee.minimum || 0));
+}
+
+export { estimatePermitFee };
@@ -0,0 +1,104 @@
+// lib/codes/index.js
+// Building code lookup: resolve the jurisdiction chain for an address, pick the
+// rules version in force, and layer city over county over state over national.
+
+import { loadRuleFiles } from './loadRules';
+import { resolveJurisdictionChain } from './resolver';
+import { estimatePermitFee } from './fees';
+
+// Permit fees in the analysis are quoted for the default 24x12 pool; the
+// schedules travel with them so the estimate can re-price the real design
+const REFERENCE_PROJECT = { poolAreaSqFt: 24 * 12, valuation: 65000 };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key. Permit-style lists merge by `type`, a permit listed
+// again replacing the parent's entry whole (fee schedules don't mix). Anything
+// else - including null, to lift a restriction - replaces what the parent said.
+function mergeRules(base, override) {
+  if (override === undefined) return base;
+
+  if (Array.isArray(base) && Array.isArray(override) && override.every(item => item?.type)) {
+    const merged = base.map(item => {
+      const replacement = override.find(candidate => candidate.type === item.type);
+      return replacement || item;
+    });
+    override.forEach(item => {
+      if (!base.some(existing => existing.type === item.type)) merged.push(item);
+    });
+    return merged;
+  }
+
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const merged = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+      merged[key] = mergeRules(base[key], value);
+    });
+    return merged;
+  }
+
+  return override;
+}
+
+// Latest version already in force on `asOf` (YYYY-MM-DD)
+function selectVersion(file, asOf) {
+  return [...file.versions]
+    .filter(version => version.effective <= asOf)
+    .sort((a, b) => b.effective.localeCompare(a.effective))[0] || null;
+}
+
+function describeRestrictions(rules) {
+  return [
+    rules.maxDepth?.value && `Maximum pool depth: ${rules.maxDepth.value} feet`,
+    rules.barrier?.minHeight && `Required safety barrier: ${rules.barrier.minHeight}ft minimum height`,
+    rules.noise?.equipmentMaxDb && `Pool equipment noise limits: ${rules.noise.equipmentMaxDb}dB at ${rules.noise.measuredAt || 'property line'}`
+  ].filter(Boolean);
+}
+
+async function getBuildingCodes(address, { coordinates, asOf, env = process.env } = {}) {
+  const files = await loadRuleFiles({ env });
+  const date = asOf || new Date().toISOString().slice(0, 10);
+
+  const layers = resolveJurisdictionChain(files, { address, coordinates })
+    .map(file => ({ file, version: selectVersion(file, date) }))
+    .filter(layer => layer.version);
+
+  if (layers.length === 0) {
+    throw new Error(`No building code rules in force for "${address}"`);
+  }
+
+  const rules = layers.reduce((merged, layer) => mergeRules(merged, layer.version.rules), {});
+  const { jurisdiction } = layers[layers.length - 1].file;
+
+  const permits = (rules.permits || []).map(permit => ({
+    type: permit.type,
+    cost: estimatePermitFee(permit.fee, REFERENCE_PROJECT),
+    timeframe: permit.timeframe,
+    fee: permit.fee
+  }));
+
+  return {
+    jurisdiction: rules.office || jurisdiction.name,
+    jurisdictionId: jurisdiction.id,
+    jurisdictionLevel: jurisdiction.level,
+    rulesChain: layers.map(({ file, version }) => ({
+      id: file.jurisdiction.id,
+      name: file.jurisdiction.name,
+      level: file.jurisdiction.level,
+      version: version.version,
+      effective: version.effective,
+      source: version.source
+    })),
+    setbacks: rules.setbacks || {},
+    barrier: rules.barrier || null,
+    maxDepth: rules.maxDepth?.value ? rules.maxDepth : null,
+    noise: rules.noise || null,
+    permits,
+    estimatedCost: permits.reduce((sum, permit) => sum + permit.cost, 0),
+    restrictions: describeRestrictions(rules)
+  };
+}
+
+export { getBuildingCodes, estimatePermitFee, mergeRules, REFERENCE_PROJECT };
@@ -0,0 +1,73 @@
+// lib/codes/loadRules.js
+// Read jurisdiction rule files (JSON or YAML) from CODE_RULES_DIR, defaulting to
+// data/codes. Server-side only. Each file describes one jurisdiction:
+//
+//   jurisdiction: { id, name, level: 'national' | 'state' | 'county' | 'city', state, county, parent }
+//   match:        { cities: [...], zips: ['303', ...], bounds: [minLng, minLat, maxLng, maxLat] }
+//   versions:     [{ version, effective: 'YYYY-MM-DD', source, rules }]
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+
+const LEVELS = ['national', 'state', 'county', 'city'];
+
+// Rule files per directory - they only change with a deploy
+const loaded = new Map();
+
+async function listRuleFiles(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) return listRuleFiles(fullPath);
+    return /\.(json|ya?ml)$/i.test(entry.name) ? [fullPath] : [];
+  }));
+  return nested.flat().sort();
+}
+
+function validateRuleFile(file, filePath) {
+  const id = file?.jurisdiction?.id;
+  if (!id || !LEVELS.includes(file.jurisdiction.level)) {
+    throw new Error(`${filePath}: jurisdiction.id and a valid jurisdiction.level are required`);
+  }
+  if (!Array.isArray(file.versions) || file.versions.length === 0) {
+    throw new Error(`${filePath}: at least one rules version is required`);
+  }
+  file.versions.forEach(version => {
+    if (!version.version || !version.effective || !version.rules) {
+      throw new Error(`${filePath}: every version needs version, effective and rules`);
+    }
+  });
+  return file;
+}
+
+async function readRuleFile(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  const file = /\.json$/i.test(filePath) ? JSON.parse(text) : yaml.load(text);
+  return validateRuleFile(file, path.relative(process.cwd(), filePath));
+}
+
+async function loadRuleFiles({ env = process.env } = {}) {
+  const directory = env.CODE_RULES_DIR || path.join(process.cwd(), 'data', 'codes');
+
+  if (!loaded.has(directory)) {
+    loaded.set(directory, (async () => {
+      const files = await Promise.all((await listRuleFiles(directory)).map(readRuleFile));
+      const ids = new Set();
+      files.forEach(file => {
+        if (ids.has(file.jurisdiction.id)) {
+          throw new Error(`Duplicate building code jurisdiction "${file.jurisdiction.id}"`);
+        }
+        ids.add(file.jurisdiction.id);
+      });
+      return files;
+    })().catch(error => {
+      loaded.delete(directory);
+      throw error;
+    }));
+  }
+
+  return loaded.get(directory);
+}
+
+export { loadRuleFiles, LEVELS };
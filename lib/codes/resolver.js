@@ -0,0 +1,48 @@
+// lib/codes/resolver.js
+// Map an address/coordinates to the chain of jurisdictions whose rules apply,
+// most general first: national -> state -> county -> city. Anything more
+// specific that can't be matched is simply left out, so an address we have no
+// local rules for falls back to its state defaults.
+
+import { normalizeAddress, parseAddressParts } from '../property/address';
+
+function inBounds(bounds, coordinates) {
+  if (!bounds || !coordinates) return false;
+  const [minLng, minLat, maxLng, maxLat] = bounds;
+  return coordinates.lng >= minLng && coordinates.lng <= maxLng
+    && coordinates.lat >= minLat && coordinates.lat <= maxLat;
+}
+
+function matchesLocation(file, { city, zip }, coordinates) {
+  const match = file.match || {};
+  if (city && (match.cities || []).some(name => name.toUpperCase() === city)) return true;
+  if (zip && (match.zips || []).some(prefix => zip.startsWith(prefix))) return true;
+  return inBounds(match.bounds, coordinates);
+}
+
+function resolveJurisdictionChain(files, { address, coordinates } = {}) {
+  const parts = parseAddressParts(normalizeAddress(address));
+  const byLevel = level => files.filter(file => file.jurisdiction.level === level);
+
+  const national = byLevel('national')[0] || null;
+
+  // The address' state abbreviation wins; coordinates only break the tie when it's missing
+  const state = byLevel('state').find(file => (
+    parts.state ? file.jurisdiction.state === parts.state : inBounds(file.match?.bounds, coordinates)
+  )) || null;
+
+  const inState = file => state && file.jurisdiction.state === state.jurisdiction.state;
+
+  const county = byLevel('county').find(file => inState(file) && matchesLocation(file, parts, coordinates)) || null;
+
+  // A city that names its county must agree with the county we found
+  const city = byLevel('city').find(file => (
+    inState(file)
+    && (!file.jurisdiction.county || !county || file.jurisdiction.county === county.jurisdiction.county)
+    && matchesLocation(file, parts, coordinates)
+  )) || null;
+
+  return [national, state, county, city].filter(Boolean);
+}
+
+export { resolveJurisdictionChain };
@@ -0,0 +1,119 @@
+// lib/compliance/footprints.js
+// Plan-view outlines of the objects the validator checks, as [x, z] scene feet.
+// Sizes mirror the geometry HardscapeElement and EnhancedPool actually render.
+
+import { rectangle, circle, rotatePoints } from '../geo';
+import { poolPlan } from '../pool/outline';
+import { featureOutlines } from '../pool/features';
+
+// Which setbacks apply to each kind of object. Flat surfaces (decks, patios,
+// courts) and retaining walls aren't regulated by pool setbacks.
+const POOL_SETBACKS = ['fromProperty', 'fromHouse'];
+const FIRE_SETBACKS = ['fromProperty', 'fromHouse'];
+const STRUCTURE_SETBACKS = ['fromProperty'];
+
+const HARDSCAPE_FOOTPRINTS = {
+  firepit: { label: 'Fire Pit', circle: 2, setbacks: FIRE_SETBACKS },
+  linearfirewall: { label: 'Fire Wall', box: [12, 1], setbacks: FIRE_SETBACKS },
+  firebowl: { label: 'Fire Bowl', circle: 1.2, setbacks: FIRE_SETBACKS },
+  fireplace: { label: 'Fireplace', box: [8, 3], setbacks: FIRE_SETBACKS },
+  spa: { label: 'Spa', circle: 3, setbacks: POOL_SETBACKS },
+  waterwall: { label: 'Water Wall', box: [8, 0.5], setbacks: STRUCTURE_SETBACKS },
+  fountain: { label: 'Fountain', circle: 2, setbacks: STRUCTURE_SETBACKS },
+  koipond: { label: 'Koi Pond', circle: 4, setbacks: POOL_SETBACKS },
+  pergola: { label: 'Pergola', box: [12, 8], setbacks: STRUCTURE_SETBACKS },
+  outdoorkitchen: { label: 'Outdoor Kitchen', box: [10, 4], setbacks: STRUCTURE_SETBACKS },
+  bar: { label: 'Outdoor Bar', box: [8, 2], setbacks: STRUCTURE_SETBACKS },
+  cabana: { label: 'Cabana', box: [6, 6], setbacks: STRUCTURE_SETBACKS },
+  sauna: { label: 'Sauna', box: [4, 4], setbacks: STRUCTURE_SETBACKS },
+  deck: { label: 'Deck', box: [12, 8], setbacks: [] },
+  patio: { label: 'Patio', box: [14, 10], setbacks: [] },
+  retaining: { label: 'Retaining Wall', box: [20, 1.5], setbacks: [] },
+  puttinggreen: { label: 'Putting Green', box: [15, 8], setbacks: [] },
+  boccecourt: { label: 'Bocce Court', box: [25, 4], setbacks: [] }
+};
+
+// Plan size [x, z] in feet of a placed element after resizing, or null for
+// models without a footprint
+function elementSize(element) {
+  const definition = footprintDefinition(element);
+  if (!definition) return null;
+
+  const [scaleX, , scaleZ] = element.scale || [1, 1, 1];
+  const [sizeX, sizeZ] = definition.circle ? [definition.circle * 2, definition.circle * 2] : definition.box;
+  return [sizeX * scaleX, sizeZ * scaleZ];
+}
+
+// Outline of a placed element, resized and turned. Stretched round items are
+// checked as the circle around their longer side.
+function elementFootprint(element) {
+  const definition = footprintDefinition(element);
+  if (!definition) return null;
+
+  const center = [element.position[0], element.position[2]];
+  const size = elementSize(element);
+  if (definition.circle) return circle(center, Math.max(...size) / 2);
+  return rotatePoints(rectangle(center, size), center, element.rotation || 0);
+}
+
+// Plants and ground cover, sized to LandscapeElement's geometry. Not regulated
+// by setbacks; used to keep new elements from landing on top of them.
+const LANDSCAPE_FOOTPRINTS = {
+  tree: { label: 'Shade Tree', circle: 3 },
+  palmtree: { label: 'Palm Tree', circle: 2 },
+  japanesemaple: { label: 'Japanese Maple', circle: 2 },
+  shrub: { label: 'Shrub', circle: 1.2 },
+  boxwood: { label: 'Boxwood', box: [2, 2] },
+  lavender: { label: 'Lavender', circle: 1.2 },
+  succulent: { label: 'Succulents', circle: 1.2 },
+  flowerbed: { label: 'Flower Bed', box: [6, 3] },
+  roses: { label: 'Roses', circle: 0.5 },
+  grass: { label: 'Lawn', box: [5, 5] },
+  artificialgrassturf: { label: 'Artificial Turf', box: [8, 8] },
+  boulder: { label: 'Boulder', circle: 2 },
+  riverrock: { label: 'River Rock', circle: 2 },
+  zengarden: { label: 'Zen Garden', box: [8, 6] }
+};
+
+function footprintDefinition(element) {
+  const model = element.model || element.type;
+  return HARDSCAPE_FOOTPRINTS[model] || LANDSCAPE_FOOTPRINTS[model] || null;
+}
+
+// The pool's water outline - the same one EnhancedPool extrudes into the shell -
+// plus its catch basin and attached spa
+function poolParts(pool) {
+  const [px, , pz] = pool.position || [0, 0, 0];
+  return [
+    poolPlan(pool),
+    ...featureOutlines(pool).map(outline => outline.map(([x, z]) => [x + px, z + pz]))
+  ];
+}
+
+// Everything the validator should check: { id, label, kind, parts, setbacks }
+function getDesignFootprints({ pool, hardscapeElements = [] }) {
+  const footprints = [];
+
+  if (pool) {
+    footprints.push({ id: 'pool', label: 'Pool', kind: 'pool', parts: poolParts(pool), setbacks: POOL_SETBACKS });
+  }
+
+  hardscapeElements.forEach((element, index) => {
+    // Catalog items name the model they're drawn with; older designs only have a type
+    const model = element.model || element.type;
+    const definition = HARDSCAPE_FOOTPRINTS[model];
+    if (!definition || definition.setbacks.length === 0) return;
+
+    footprints.push({
+      id: element.id || `hardscape-${index}`,
+      label: element.name || definition.label,
+      kind: model,
+      parts: [elementFootprint(element)],
+      setbacks: definition.setbacks
+    });
+  });
+
+  return footprints;
+}
+
+export { HARDSCAPE_FOOTPRINTS, LANDSCAPE_FOOTPRINTS, elementSize, elementFootprint, getDesignFootprints };
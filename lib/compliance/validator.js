@@ -0,0 +1,101 @@
+// lib/compliance/validator.js
+// Check the placed design against the jurisdiction's setbacks, measuring real
+// plan-view distances from each object's outline to the property lines and house,
+// and the pool's deepest point against the local depth limit.
+
+import { shapeDistance, rectangle } from '../geo';
+import { getDesignFootprints } from './footprints';
+
+const SETBACK_LABELS = {
+  fromProperty: 'Property line setback',
+  fromHouse: 'House setback'
+};
+
+// Measured distances are rounded to 0.1ft; anything under the requirement fails
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function closestGap(parts, target) {
+  return parts
+    .map(part => shapeDistance(part, target))
+    .reduce((best, gap) => (gap.distance < best.distance ? gap : best));
+}
+
+// Targets each setback is measured to, from the site layout
+function setbackTargets(rule, layout) {
+  if (rule === 'fromProperty') {
+    return layout.propertyLines.map(line => ({ id: line.id, label: line.label, shape: [line.start, line.end] }));
+  }
+  if (rule === 'fromHouse' && layout.house) {
+    return [{ id: 'house', label: 'House', shape: rectangle(layout.house.center, layout.house.size) }];
+  }
+  return [];
+}
+
+// Rules about the design itself rather than where things sit - nothing to
+// draw in the scene, so they're kept apart from the setback violations
+function checkDesignRules(pool, compliance) {
+  const violations = [];
+  const maxDepth = compliance?.maxDepth;
+  // The deep end (size[2]) is the deepest point; profiles only make parts shallower
+  if (pool && maxDepth?.value && pool.size[2] > maxDepth.value) {
+    violations.push({
+      id: 'pool:maxDepth',
+      objectId: 'pool',
+      objectLabel: 'Pool',
+      rule: 'maxDepth',
+      ruleLabel: 'Maximum depth',
+      measured: round(pool.size[2]),
+      required: maxDepth.value,
+      reason: maxDepth.reason
+    });
+  }
+  return violations;
+}
+
+function validateLayout({ design, hardscapeElements = [], layout, compliance }) {
+  if (!compliance?.setbacks || !layout) {
+    return { checked: false, violations: [], designViolations: [], checkedObjects: 0 };
+  }
+
+  const footprints = getDesignFootprints({ pool: design?.pool, hardscapeElements });
+  const violations = [];
+
+  footprints.forEach(footprint => {
+    footprint.setbacks.forEach(rule => {
+      const setback = compliance.setbacks[rule];
+      if (!setback?.required) return;
+
+      setbackTargets(rule, layout).forEach(target => {
+        const gap = closestGap(footprint.parts, target.shape);
+        if (gap.distance >= setback.required) return;
+
+        violations.push({
+          id: `${footprint.id}:${rule}:${target.id}`,
+          objectId: footprint.id,
+          objectLabel: footprint.label,
+          rule,
+          ruleLabel: SETBACK_LABELS[rule] || rule,
+          targetId: target.id,
+          targetLabel: target.label,
+          measured: round(gap.distance),
+          required: setback.required,
+          reason: setback.reason,
+          // Closest points, [x, z] - drawn as the measured gap in the scene
+          from: gap.from,
+          to: gap.to
+        });
+      });
+    });
+  });
+
+  return {
+    checked: true,
+    violations,
+    designViolations: checkDesignRules(design?.pool, compliance),
+    checkedObjects: footprints.length
+  };
+}
+
+export { validateLayout };
@@ -0,0 +1,47 @@
+// lib/csv.js
+// Minimal CSV reader for the parcel and locate-ticket files - rows come back as
+// objects keyed by the trimmed header names.
+
+// RFC 4180-ish: quoted fields may contain commas, newlines and "" escapes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  const [header = [], ...body] = rows;
+  return body.map(values => Object.fromEntries(header.map((key, index) => [key.trim(), values[index]?.trim()])));
+}
+
+export { parseCsv };
@@ -0,0 +1,20 @@
+// lib/elements/materials.js
+// Surface materials a placed hardscape element can be switched to from the
+// properties panel. `color: null` keeps the model's own look.
+
+const ELEMENT_MATERIALS = [
+  { id: 'default', name: 'As designed', color: null },
+  { id: 'travertine', name: 'Travertine', color: '#e7d8bd' },
+  { id: 'sandstone', name: 'Sandstone', color: '#c8a26b' },
+  { id: 'cedar', name: 'Cedar', color: '#a0522d' },
+  { id: 'ipe', name: 'Ipe', color: '#5c3a21' },
+  { id: 'bluestone', name: 'Bluestone', color: '#5b6b7a' },
+  { id: 'charcoal', name: 'Charcoal Concrete', color: '#374151' },
+  { id: 'white', name: 'White Stucco', color: '#f1f5f9' }
+];
+
+function getElementMaterial(id) {
+  return ELEMENT_MATERIALS.find(material => material.id === id) || ELEMENT_MATERIALS[0];
+}
+
+export { ELEMENT_MATERIALS, getElementMaterial };
@@ -0,0 +1,264 @@
+// lib/estimate/costEngine.js
+// Parametric estimate for a design: the pool priced from its geometry, finish
+// and shape, its equipment sized from the pool's hydraulics, each placed
+// element at its catalog price, irrigation zoned from the plantings, site work
+// from the materials stage and permits from the jurisdiction's fee schedules. Unit prices come from the
+// company catalog for the address's region.
+
+import { REFERENCE_POOL_SIZE, poolMetrics } from '../pool/catalog';
+import { GALLONS_PER_CU_FT, poolHydraulics } from '../pool/hydraulics';
+import { SPA_WALL_FT, spaLayout } from '../pool/features';
+import { getPoolOutline, outlinePolygon, offsetPolygon } from '../pool/outline';
+import { polygonArea } from '../geo';
+import { createPriceList, DEFAULT_CATALOG } from '../catalog/pricing';
+import { UNITS } from '../catalog/schema';
+import { HARDSCAPE_FOOTPRINTS, elementSize } from '../compliance/footprints';
+import { estimateSiteWork } from '../materials/materialAnalysis';
+import { estimatePermitFee } from '../codes/fees';
+import { irrigationZones } from './irrigation';
+
+const ESTIMATE_GROUPS = [
+  { id: 'pool', label: 'Pool Construction' },
+  { id: 'equipment', label: 'Pool Equipment' },
+  { id: 'siteWork', label: 'Demolition & Site Prep' },
+  { id: 'hardscape', label: 'Hardscape' },
+  { id: 'landscape', label: 'Landscape' },
+  { id: 'permits', label: 'Permits & Fees' }
+];
+
+const DEFAULT_POOL = {
+  position: [4, 0, 4],
+  size: REFERENCE_POOL_SIZE,
+  shape: 'rectangle',
+  finish: 'plaster'
+};
+
+function formatNumber(value) {
+  return Math.round(value).toLocaleString('en-US');
+}
+
+// `quantity` in the item's unit; amount is quantity times the regional unit price
+function lineItem(prices, category, type, quantity, detail) {
+  const item = prices.find(category, type);
+  if (!item) return null;
+
+  const unitPrice = prices.unitPrice(item);
+  const rate = `${quantity.toLocaleString('en-US', { maximumFractionDigits: 1 })} ${UNITS[item.unit]} @ ${prices.label(item)}`;
+  return {
+    id: item.sku,
+    sku: item.sku,
+    label: item.name,
+    detail: [detail, item.unit === 'each' && quantity === 1 ? null : rate].filter(Boolean).join(' • ') || undefined,
+    note: detail,
+    quantity,
+    unit: item.unit,
+    unitPrice,
+    amount: Math.round(quantity * unitPrice)
+  };
+}
+
+function poolLineItems(pool, metrics, hydraulics, prices, soil) {
+  const { settings } = prices;
+  const digCubicYards = Math.round((metrics.volumeCuFt * settings.overDigFactor) / 27);
+  const excavation = lineItem(prices, 'poolConstruction', 'excavation', digCubicYards, `${soil.label} ×${soil.excavationMultiplier}`);
+  if (excavation) {
+    excavation.unitPrice = Math.round(excavation.unitPrice * soil.excavationMultiplier * 100) / 100;
+    excavation.amount = Math.round(excavation.amount * soil.excavationMultiplier);
+  }
+
+  const surface = Math.round(metrics.surfaceSqFt);
+  const perimeter = Math.round(metrics.perimeterFt);
+  const edge = hydraulics.infinityEdge;
+  // Outside face of the spa wall that stands above the deck
+  const spa = spaLayout(pool);
+  const spaWallSqFt = spa ? Math.round(2 * Math.PI * (spa.radius + SPA_WALL_FT / 2) * spa.raised) : 0;
+
+  return [
+    excavation,
+    lineItem(prices, 'poolConstruction', 'shell', surface, 'interior'),
+    lineItem(prices, 'poolFinish', pool.finish, surface),
+    lineItem(prices, 'poolConstruction', 'coping', perimeter),
+    lineItem(prices, 'poolConstruction', 'deck', Math.round(metrics.deckSqFt), `${settings.deckWidthFt}ft surround`),
+    lineItem(prices, 'poolConstruction', 'plumbingBase', 1),
+    lineItem(prices, 'poolConstruction', 'plumbingRun', perimeter),
+    lineItem(prices, 'poolConstruction', 'electrical', 1),
+    edge && lineItem(prices, 'poolConstruction', 'catchBasin', Math.round(edge.weirFt), `${formatNumber(edge.basinGallons)} gal basin`),
+    spaWallSqFt > 0 && lineItem(prices, 'poolConstruction', 'spaWall', spaWallSqFt, `raised ${spa.raised}ft`),
+    lineItem(prices, 'poolShape', pool.shape, 1),
+    // A vanishing edge needs a straight edge to run along
+    ...prices.byCategory('poolAddOn')
+      .filter(item => pool[item.type] && (item.type !== 'hasInfinityEdge' || edge))
+      .map(item => lineItem(prices, 'poolAddOn', item.type, 1))
+  ].filter(item => item && item.amount > 0);
+}
+
+// Toggled equipment when its pool property is on; pumps and filters at the
+// size the hydraulics call for, and heaters noted with their rating
+function equipmentLineItems(pool, hydraulics, prices) {
+  const { heater } = hydraulics;
+  return prices.byCategory('equipment').map(item => {
+    if (item.sizedBy) {
+      return hydraulics[item.sizedBy] > 0 && lineItem(prices, 'equipment', item.type, hydraulics[item.sizedBy]);
+    }
+    if (pool[item.property] !== item.value) return null;
+    if (item.property !== 'heater') return lineItem(prices, 'equipment', item.type, 1);
+    return lineItem(prices, 'equipment', item.type, heater.count, `${formatNumber(heater.btuPerHour)} BTU/hr for +${heater.riseF}°F`);
+  }).filter(Boolean);
+}
+
+// How much of an element's unit one placed element uses - sized items
+// (patios by the sq ft, walls by the linear ft) measure their resized footprint
+function elementQuantity(item, element) {
+  const footprint = HARDSCAPE_FOOTPRINTS[item.model];
+  const size = footprint && elementSize({ ...element, model: item.model });
+  if (item.unit === 'sqft' && size) {
+    return footprint.box ? size[0] * size[1] : (Math.PI * size[0] * size[1]) / 4;
+  }
+  if (item.unit === 'lf' && size) {
+    return footprint.box ? Math.max(...size) : Math.PI * Math.max(...size);
+  }
+  return 1;
+}
+
+// One line per element type
+function elementLineItems(prices, category, elements) {
+  const placed = {};
+  elements.forEach(element => {
+    const item = prices.find(category, element.type);
+    if (!item) return;
+    placed[element.type] = placed[element.type] || { count: 0, quantity: 0 };
+    placed[element.type].count += 1;
+    placed[element.type].quantity += elementQuantity(item, element);
+  });
+
+  return Object.entries(placed).map(([type, { count, quantity }]) => (
+    lineItem(prices, category, type, Math.round(quantity), count > 1 ? `${count} placed` : undefined)
+  ));
+}
+
+// Valves for every hydrozone the plantings need, and one controller to run them
+function irrigationLineItems(prices, landscapeElements) {
+  const hydrozones = irrigationZones(landscapeElements);
+  const zones = hydrozones.reduce((sum, hydrozone) => sum + hydrozone.zones, 0);
+  if (zones === 0) return [];
+
+  const detail = hydrozones.map(hydrozone => `${hydrozone.label} ×${hydrozone.zones}`).join(', ');
+  return [
+    lineItem(prices, 'irrigation', 'zone', zones, detail),
+    lineItem(prices, 'irrigation', 'controller', 1)
+  ].filter(Boolean);
+}
+
+/**
+ * Price a design.
+ * @param {Object} input
+ * @param {Object} [input.design] - designData; only `pool` is read
+ * @param {Object[]} [input.hardscapeElements]
+ * @param {Object[]} [input.landscapeElements]
+ * @param {string} [input.address] - Selects the price book region by ZIP
+ * @param {Object} [input.materials] - Materials stage result, for demolition and soil
+ * @param {Object} [input.compliance] - Building codes, for permit fee schedules
+ * @param {Object} [input.catalog] - Company catalog; the bundled one by default
+ * @returns {import('../analysis/types').CostEstimate}
+ */
+function estimateProjectCost({
+  design,
+  hardscapeElements = [],
+  landscapeElements = [],
+  address,
+  materials,
+  compliance,
+  catalog = DEFAULT_CATALOG
+} = {}) {
+  const pool = { ...DEFAULT_POOL, ...design?.pool };
+  const prices = createPriceList(catalog, address);
+  const { settings, region } = prices;
+
+  // Cleared for construction: the pool plus its deck surround
+  const workAreaSqFt = polygonArea(offsetPolygon(outlinePolygon(getPoolOutline(pool)), settings.deckWidthFt));
+  const poolShape = poolMetrics(pool);
+  const metrics = { ...poolShape, deckSqFt: workAreaSqFt - poolShape.areaSqFt };
+  const hydraulics = poolHydraulics(pool);
+
+  const siteWork = estimateSiteWork(materials?.summary, workAreaSqFt);
+
+  // Demolition is priced by the materials stage; scale it to the region like the rest
+  const siteWorkItems = [
+    ...siteWork.demolition.map(item => ({
+      id: `demolition-${item.material}`,
+      label: `${item.label} removal`,
+      detail: `${formatNumber(item.areaSqFt)} sq ft`,
+      quantity: item.areaSqFt,
+      unit: 'sqft',
+      amount: item.cost
+    })),
+    ...(siteWork.haulOffCost > 0 ? [{
+      id: 'haul-off',
+      label: 'Haul-off',
+      detail: `${siteWork.haulOffCubicYards} cu yd`,
+      quantity: siteWork.haulOffCubicYards,
+      unit: 'cuyd',
+      amount: siteWork.haulOffCost
+    }] : [])
+  ].map(item => {
+    const amount = Math.round(item.amount * region.multiplier);
+    const unitPrice = item.quantity > 0 ? Math.round((amount / item.quantity) * 100) / 100 : 0;
+    return { ...item, amount, unitPrice };
+  });
+
+  const construction = [
+    ...poolLineItems(pool, metrics, hydraulics, prices, siteWork.soil).map(item => ({ ...item, group: 'pool' })),
+    ...equipmentLineItems(pool, hydraulics, prices).map(item => ({ ...item, group: 'equipment' })),
+    ...siteWorkItems.map(item => ({ ...item, group: 'siteWork' })),
+    ...elementLineItems(prices, 'hardscape', hardscapeElements).map(item => ({ ...item, group: 'hardscape' })),
+    ...[
+      ...elementLineItems(prices, 'landscape', landscapeElements),
+      ...irrigationLineItems(prices, landscapeElements)
+    ].map(item => ({ ...item, group: 'landscape' }))
+  ];
+
+  // Permit fees are set by the jurisdiction, not the local market
+  const valuation = construction.reduce((sum, item) => sum + item.amount, 0);
+  const permits = compliance?.permits?.length
+    ? compliance.permits.map(permit => ({
+      id: `permit-${permit.type}`,
+      label: `${permit.type} permit`,
+      detail: permit.timeframe,
+      amount: permit.fee
+        ? estimatePermitFee(permit.fee, { poolAreaSqFt: metrics.areaSqFt, valuation })
+        : permit.cost,
+      group: 'permits'
+    }))
+    : [{ id: 'permit-allowance', label: 'Permit allowance', amount: settings.permitAllowance, group: 'permits' }];
+
+  const lineItems = [...construction, ...permits];
+  const subtotals = Object.fromEntries(ESTIMATE_GROUPS.map(group => [
+    group.id,
+    lineItems.filter(item => item.group === group.id).reduce((sum, item) => sum + item.amount, 0)
+  ]));
+
+  return {
+    lineItems,
+    subtotals,
+    region: { id: region.id, name: region.name, multiplier: region.multiplier },
+    pool: {
+      areaSqFt: Math.round(metrics.areaSqFt),
+      perimeterFt: Math.round(metrics.perimeterFt),
+      surfaceSqFt: Math.round(metrics.surfaceSqFt),
+      volumeGallons: Math.round(metrics.volumeCuFt * GALLONS_PER_CU_FT)
+    },
+    hydraulics,
+    excavationDifficulty: {
+      soil: siteWork.soil.label,
+      difficulty: siteWork.soil.difficulty,
+      multiplier: siteWork.soil.excavationMultiplier
+    },
+    haulOffCubicYards: siteWork.haulOffCubicYards,
+    total: lineItems.reduce((sum, item) => sum + item.amount, 0),
+    timeline: settings.timeline,
+    locationNote: region.note,
+    catalogVersion: catalog.version
+  };
+}
+
+export { estimateProjectCost, ESTIMATE_GROUPS, DEFAULT_POOL };
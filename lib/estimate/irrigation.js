@@ -0,0 +1,36 @@
+// lib/estimate/irrigation.js
+// Irrigation zones for the placed plantings. Plants that drink differently go
+// on separate valves - trees on bubblers, beds on drip, lawn on spray - and a
+// kind splits into more zones once it outgrows one valve. Rock, artificial
+// turf and the zen garden aren't watered.
+
+import { elementSize } from '../compliance/footprints';
+
+// `perZone` plants, or `perZoneSqFt` of lawn, to one valve
+const HYDROZONES = [
+  { id: 'bubbler', label: 'Tree bubblers', models: ['tree', 'palmtree', 'japanesemaple'], perZone: 8 },
+  { id: 'drip', label: 'Bed drip', models: ['shrub', 'boxwood', 'flowerbed', 'roses'], perZone: 24 },
+  { id: 'lowWaterDrip', label: 'Low-water drip', models: ['lavender', 'succulent'], perZone: 24 },
+  { id: 'spray', label: 'Lawn spray', models: ['grass'], perZoneSqFt: 1500 }
+];
+
+/**
+ * @param {Object[]} [landscapeElements]
+ * @returns {{ id: string, label: string, plants: number, zones: number }[]} Watered hydrozones only
+ */
+function irrigationZones(landscapeElements = []) {
+  return HYDROZONES.map(hydrozone => {
+    const planted = landscapeElements.filter(element => hydrozone.models.includes(element.model || element.type));
+    if (planted.length === 0) return null;
+
+    const load = hydrozone.perZoneSqFt
+      ? planted.reduce((sum, element) => {
+        const [sizeX, sizeZ] = elementSize(element) || [0, 0];
+        return sum + sizeX * sizeZ;
+      }, 0) / hydrozone.perZoneSqFt
+      : planted.length / hydrozone.perZone;
+    return { id: hydrozone.id, label: hydrozone.label, plants: planted.length, zones: Math.max(1, Math.ceil(load)) };
+  }).filter(Boolean);
+}
+
+export { HYDROZONES, irrigationZones };
@@ -0,0 +1,54 @@
+// lib/estimate/takeoff.js
+// Bill of materials for purchasing: every estimate line as a takeoff row with
+// its quantity, unit, unit cost and extended cost, in the estimate's groups -
+// finish and shell square footage, coping and plumbing runs, deck and patio
+// area, plants by species, boulders, irrigation zones. Lump sums (permits)
+// go in as one each, so the takeoff totals to the estimate.
+
+import { ESTIMATE_GROUPS } from './costEngine';
+import { UNITS } from '../catalog/schema';
+
+// `type` keeps number and currency cells numeric in the spreadsheet
+const TAKEOFF_COLUMNS = [
+  { id: 'section', label: 'Section' },
+  { id: 'sku', label: 'SKU' },
+  { id: 'description', label: 'Description' },
+  { id: 'note', label: 'Note' },
+  { id: 'quantity', label: 'Quantity', type: 'number' },
+  { id: 'unit', label: 'Unit' },
+  { id: 'unitCost', label: 'Unit Cost', type: 'currency' },
+  { id: 'extendedCost', label: 'Extended Cost', type: 'currency' }
+];
+
+function takeoffRow(group, item) {
+  const lumpSum = item.quantity === undefined;
+  return {
+    section: group.label,
+    sku: item.sku || '',
+    description: item.label,
+    // Quantity and rate have their own columns; lump sums keep their detail
+    note: (lumpSum ? item.detail : item.note) || '',
+    quantity: lumpSum ? 1 : item.quantity,
+    unit: UNITS[lumpSum ? 'each' : item.unit],
+    unitCost: lumpSum ? item.amount : item.unitPrice,
+    extendedCost: item.amount
+  };
+}
+
+/**
+ * @param {import('../analysis/types').CostEstimate} estimate
+ * @returns {{ columns: Object[], rows: Object[], footer: Object }} A table for lib/export/spreadsheet
+ */
+function buildTakeoff(estimate) {
+  const rows = ESTIMATE_GROUPS.flatMap(group => estimate.lineItems
+    .filter(item => item.group === group.id)
+    .map(item => takeoffRow(group, item)));
+
+  return {
+    columns: TAKEOFF_COLUMNS,
+    rows,
+    footer: { description: `Total (${estimate.region.name}, catalog v${estimate.catalogVersion})`, extendedCost: estimate.total }
+  };
+}
+
+export { TAKEOFF_COLUMNS, buildTakeoff };
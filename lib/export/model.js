@@ -0,0 +1,66 @@
+// lib/export/model.js
+// Export the 3D design - pool, water, coping, placed elements, house and
+// fence - as binary glTF, or USDZ for iOS Quick Look. Browser-side: works on
+// the live three.js scene. Anything with `userData.exportIgnore` (selection
+// gizmo, hover and drag indicators, overlays) is left out, and so are lights,
+// which viewers and AR supply themselves. The scene is in feet; models are
+// written in meters, as both formats expect.
+
+import { Group } from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { USDZExporter } from 'three/examples/jsm/exporters/USDZExporter.js';
+
+const FEET_TO_METERS = 0.3048;
+
+function isExported(object) {
+  return object.visible && !object.userData.exportIgnore && !object.isLight && !object.isCamera;
+}
+
+// Shallow copies down the tree - geometry and materials are shared, not copied
+function cloneForExport(object) {
+  const copy = object.clone(false);
+  object.children.filter(isExported).forEach(child => copy.add(cloneForExport(child)));
+  return copy;
+}
+
+// The exportable part of the scene under one root, scaled to meters
+function exportRoot(scene, name) {
+  const root = new Group();
+  root.name = name;
+  root.scale.setScalar(FEET_TO_METERS);
+  scene.children.filter(isExported).forEach(child => root.add(cloneForExport(child)));
+  root.updateMatrixWorld(true);
+  return root;
+}
+
+/**
+ * @param {import('three').Scene} scene
+ * @param {string} [name] - Name of the root node
+ * @returns {Promise<Blob>} model/gltf-binary
+ */
+async function exportGlb(scene, name = 'Backyard') {
+  const data = await new GLTFExporter().parseAsync(exportRoot(scene, name), { binary: true });
+  return new Blob([data], { type: 'model/gltf-binary' });
+}
+
+/**
+ * @param {import('three').Scene} scene
+ * @param {string} [name] - Name of the root node
+ * @returns {Promise<Blob>} model/vnd.usdz+zip, anchored to a horizontal plane
+ */
+async function exportUsdz(scene, name = 'Backyard') {
+  const data = await new USDZExporter().parseAsync(exportRoot(scene, name), { quickLookCompatible: true });
+  return new Blob([data], { type: 'model/vnd.usdz+zip' });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Let the download pick the blob up before it's released
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export { FEET_TO_METERS, exportGlb, exportUsdz, downloadBlob };
@@ -0,0 +1,147 @@
+// lib/export/spreadsheet.js
+// Write a table - { columns: [{ id, label, type }], rows, footer } - as CSV
+// or as a one-sheet Excel workbook (.xlsx). Columns typed 'number' or
+// 'currency' stay numeric in the workbook, so totals and pivots work on them;
+// the header row is frozen and the footer row bold.
+
+import { zipSync, strToU8 } from 'three/examples/jsm/libs/fflate.module.js';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Style indexes into STYLES_XML's cellXfs
+const STYLE = { plain: 0, bold: 1, currency: 2, boldCurrency: 3 };
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>
+</cellXfs>
+</styleSheet>`;
+
+const isNumeric = (column) => column.type === 'number' || column.type === 'currency';
+
+const escapeXml = (value) => String(value)
+  // Control characters aren't allowed in XML at all
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function tableRows({ columns, rows, footer }) {
+  return [
+    { values: Object.fromEntries(columns.map(column => [column.id, column.label])), header: true },
+    ...rows.map(row => ({ values: row })),
+    ...(footer ? [{ values: footer, bold: true }] : [])
+  ];
+}
+
+// RFC 4180: quote fields with commas, quotes or line breaks. Text that a
+// spreadsheet would read as a formula (=, +, -, @, tab, CR) gets a leading ' -
+// names and labels come from users; numbers stay as they are.
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {{ columns: Object[], rows: Object[], footer?: Object }} table
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+function tableToCsv(table) {
+  return tableRows(table)
+    .map(({ values }) => table.columns.map(column => csvField(values[column.id])).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function cellXml(column, columnIndex, rowIndex, value, { header, bold }) {
+  if (value === undefined || value === null || value === '') return '';
+  const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+
+  if (!header && isNumeric(column) && typeof value === 'number') {
+    const style = column.type === 'currency' ? (bold ? STYLE.boldCurrency : STYLE.currency) : (bold ? STYLE.bold : STYLE.plain);
+    return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+  }
+  const style = header || bold ? STYLE.bold : STYLE.plain;
+  return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml(table) {
+  const rows = tableRows(table);
+  // Wide enough for the longest value, within reason
+  const widths = table.columns.map(column => Math.min(60, Math.max(
+    8,
+    ...rows.map(({ values }) => String(values[column.id] ?? '').length + (column.type === 'currency' ? 4 : 2))
+  )));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+    `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`,
+    '<sheetData>',
+    ...rows.map((row, rowIndex) => (
+      `<row r="${rowIndex + 1}">${table.columns.map((column, columnIndex) => cellXml(column, columnIndex, rowIndex, row.values[column.id], row)).join('')}</row>`
+    )),
+    '</sheetData>',
+    '</worksheet>'
+  ].join('\n');
+}
+
+/**
+ * @param {{ columns: Object[], rows: Object[], footer?: Object }} table
+ * @param {Object} [options]
+ * @param {string} [options.sheetName]
+ * @returns {Uint8Array} .xlsx file
+ */
+function tableToXlsx(table, { sheetName = 'Sheet1' } = {}) {
+  // Excel limits sheet names to 31 characters, without []:*?/\
+  const name = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  const files = {
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+    'xl/styles.xml': STYLES_XML,
+    'xl/worksheets/sheet1.xml': sheetXml(table)
+  };
+
+  return zipSync(Object.fromEntries(Object.entries(files).map(([path, xml]) => [path, strToU8(xml)])));
+}
+
+export { XLSX_TYPE, tableToCsv, tableToXlsx };
@@ -0,0 +1,67 @@
+// lib/features/existingConditions.js
+// Turn photo detections into locked "existing conditions" objects in scene space.
+//
+// Photos are assumed to be taken from the house looking across the yard, so a
+// detection's horizontal center maps across the yard and the bottom edge of its
+// box maps to depth (lower in the frame = closer to the camera).
+
+import { FEATURE_TYPES } from './featureTypes';
+
+// Rough horizon line in a typical yard photo - anything above it is "far"
+const HORIZON = 0.35;
+// Detections of the same type closer than this are the same object seen twice
+const MERGE_DISTANCE_FT = 6;
+
+function projectFeature(feature, bounds) {
+  const spanX = bounds.maxX - bounds.minX;
+  const spanZ = bounds.maxZ - bounds.minZ;
+  const centerX = feature.bbox.x + feature.bbox.width / 2;
+  const bottom = feature.bbox.y + feature.bbox.height;
+  const nearness = Math.min(Math.max((bottom - HORIZON) / (1 - HORIZON), 0), 1);
+
+  const defaults = FEATURE_TYPES[feature.type];
+  // Wide, flat things take their length from how much of the frame they cover
+  const stretches = feature.type === 'fence' || feature.type === 'deck' || feature.type === 'slope' || feature.type === 'pool';
+  const length = stretches ? Math.max(defaults.footprint[0] * 0.5, feature.bbox.width * spanX) : defaults.footprint[0];
+
+  return {
+    id: `existing-${feature.id}`,
+    featureId: feature.id,
+    type: feature.type,
+    label: feature.label,
+    confidence: feature.confidence,
+    photoIndex: feature.photoIndex,
+    position: [
+      Math.round(bounds.minX + centerX * spanX),
+      0,
+      Math.round(bounds.minZ + nearness * spanZ)
+    ],
+    footprint: [Math.round(length), defaults.footprint[1]],
+    height: defaults.height,
+    locked: true
+  };
+}
+
+function distance(a, b) {
+  return Math.hypot(a.position[0] - b.position[0], a.position[2] - b.position[2]);
+}
+
+function featuresToExistingConditions(features = [], layout) {
+  const conditions = [];
+
+  // Highest confidence first so merged objects keep the best detection
+  [...features]
+    .filter(feature => FEATURE_TYPES[feature.type])
+    .sort((a, b) => b.confidence - a.confidence)
+    .forEach(feature => {
+      const condition = projectFeature(feature, layout.bounds);
+      const duplicate = conditions.find(existing => (
+        existing.type === condition.type && distance(existing, condition) < MERGE_DISTANCE_FT
+      ));
+      if (!duplicate) conditions.push(condition);
+    });
+
+  return conditions;
+}
+
+export { featuresToExistingConditions };
@@ -0,0 +1,43 @@
+// lib/features/featureTypes.js
+// Existing yard features the detection stage can report. Shared by the
+// server-side providers and the 3D scene, so keep it free of browser/Node APIs.
+
+// footprint is [length, width] in feet, height in feet
+const FEATURE_TYPES = {
+  tree: { label: 'Tree', icon: '🌳', footprint: [10, 10], height: 18, query: 'tree' },
+  fence: { label: 'Fence', icon: '🚧', footprint: [30, 0.5], height: 6, query: 'fence' },
+  deck: { label: 'Deck', icon: '🪵', footprint: [14, 10], height: 1.5, query: 'wooden deck' },
+  slope: { label: 'Slope', icon: '⛰️', footprint: [20, 12], height: 3, query: 'grass slope' },
+  shed: { label: 'Shed', icon: '🛖', footprint: [10, 8], height: 9, query: 'garden shed' },
+  pool: { label: 'Existing Pool', icon: '🏊', footprint: [30, 15], height: 0.2, query: 'swimming pool' },
+  acUnit: { label: 'AC Unit', icon: '❄️', footprint: [3, 3], height: 3, query: 'air conditioner unit' }
+};
+
+function clamp01(value) {
+  return Math.min(Math.max(Number(value) || 0, 0), 1);
+}
+
+// Normalize a raw detection into the Feature shape the rest of the app uses.
+// bbox is relative to the photo (0..1), origin top-left.
+function createFeature({ type, bbox, confidence }, photoIndex, index) {
+  if (!FEATURE_TYPES[type]) return null;
+
+  const x = clamp01(bbox.x);
+  const y = clamp01(bbox.y);
+
+  return {
+    id: `feature-${photoIndex}-${index}`,
+    type,
+    label: FEATURE_TYPES[type].label,
+    photoIndex,
+    bbox: {
+      x,
+      y,
+      width: Math.min(clamp01(bbox.width), 1 - x),
+      height: Math.min(clamp01(bbox.height), 1 - y)
+    },
+    confidence: Math.round(clamp01(confidence) * 100) / 100
+  };
+}
+
+export { FEATURE_TYPES, createFeature };
@@ -0,0 +1,235 @@
+// lib/geo.js
+// Small planar geometry helpers for parcel polygons.
+// Rings are [lng, lat] pairs (GeoJSON order); local points are [x, y] feet with x east, y north.
+
+const FEET_PER_DEGREE_LAT = 364000;
+
+// GeoJSON rings repeat the first vertex at the end - drop it
+function openRing(ring) {
+  if (ring.length > 1) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) return ring.slice(0, -1);
+  }
+  return ring;
+}
+
+// Equirectangular projection around `origin` - accurate to well under a foot at parcel scale
+function toLocalFeet(ring, origin) {
+  const feetPerDegreeLng = FEET_PER_DEGREE_LAT * Math.cos((origin.lat * Math.PI) / 180);
+  return openRing(ring).map(([lng, lat]) => [
+    (lng - origin.lng) * feetPerDegreeLng,
+    (lat - origin.lat) * FEET_PER_DEGREE_LAT
+  ]);
+}
+
+function ringCenter(ring) {
+  const points = openRing(ring);
+  const sum = points.reduce((acc, [lng, lat]) => [acc[0] + lng, acc[1] + lat], [0, 0]);
+  return { lng: sum[0] / points.length, lat: sum[1] / points.length };
+}
+
+// Shoelace formula
+function polygonArea(points) {
+  let twiceArea = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    twiceArea += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(twiceArea) / 2;
+}
+
+// Monotone chain
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  const upper = [];
+
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  }
+  for (const point of [...sorted].reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  }
+
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+// Min/max of the points projected onto a unit axis
+function projectOnAxis(points, axis) {
+  const values = points.map(([x, y]) => x * axis[0] + y * axis[1]);
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+// Smallest-area bounding rectangle (one side is always collinear with a hull edge).
+// `axis` is the unit vector along the long side.
+function minAreaRectangle(points) {
+  const hull = convexHull(points);
+  let best = null;
+
+  hull.forEach((point, index) => {
+    const next = hull[(index + 1) % hull.length];
+    const edgeLength = Math.hypot(next[0] - point[0], next[1] - point[1]);
+    if (edgeLength === 0) return;
+
+    const u = [(next[0] - point[0]) / edgeLength, (next[1] - point[1]) / edgeLength];
+    const v = [-u[1], u[0]];
+    const alongU = projectOnAxis(hull, u);
+    const alongV = projectOnAxis(hull, v);
+    const sizeU = alongU.max - alongU.min;
+    const sizeV = alongV.max - alongV.min;
+
+    if (!best || sizeU * sizeV < best.area) {
+      best = sizeU >= sizeV
+        ? { area: sizeU * sizeV, length: sizeU, width: sizeV, axis: u }
+        : { area: sizeU * sizeV, length: sizeV, width: sizeU, axis: v };
+    }
+  });
+
+  return best;
+}
+
+function closestPointOnSegment(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.min(Math.max(((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared, 0), 1);
+  return [start[0] + t * dx, start[1] + t * dy];
+}
+
+// Ray casting
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > point[1]) !== (yj > point[1])
+      && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Closed polygons (3+ points) get their closing edge; 2 points are a single segment
+function edgesOf(points) {
+  const edges = points.slice(0, -1).map((point, index) => [point, points[index + 1]]);
+  if (points.length > 2) edges.push([points[points.length - 1], points[0]]);
+  return edges;
+}
+
+// Where two segments cross, or null
+function segmentIntersection([p1, p2], [p3, p4]) {
+  const denominator = (p2[0] - p1[0]) * (p4[1] - p3[1]) - (p2[1] - p1[1]) * (p4[0] - p3[0]);
+  if (denominator === 0) return null;
+  const t = ((p3[0] - p1[0]) * (p4[1] - p3[1]) - (p3[1] - p1[1]) * (p4[0] - p3[0])) / denominator;
+  const u = ((p3[0] - p1[0]) * (p2[1] - p1[1]) - (p3[1] - p1[1]) * (p2[0] - p1[0])) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return [p1[0] + t * (p2[0] - p1[0]), p1[1] + t * (p2[1] - p1[1])];
+}
+
+// Shortest gap between two shapes (polygons or segments), with the closest pair
+// of points. Overlapping shapes are 0 apart - including two bars crossing like
+// a plus sign, where neither has a corner inside the other.
+function shapeDistance(a, b) {
+  for (const [shape, other] of [[a, b], [b, a]]) {
+    if (other.length > 2) {
+      const inside = shape.find(point => pointInPolygon(point, other));
+      if (inside) return { distance: 0, from: inside, to: inside };
+    }
+  }
+  for (const edge of edgesOf(a)) {
+    for (const otherEdge of edgesOf(b)) {
+      const crossing = segmentIntersection(edge, otherEdge);
+      if (crossing) return { distance: 0, from: crossing, to: crossing };
+    }
+  }
+
+  let best = { distance: Infinity, from: null, to: null };
+  const consider = (points, edges, swap) => {
+    points.forEach(point => {
+      edges.forEach(([start, end]) => {
+        const closest = closestPointOnSegment(point, start, end);
+        const distance = Math.hypot(point[0] - closest[0], point[1] - closest[1]);
+        if (distance < best.distance) {
+          best = swap ? { distance, from: closest, to: point } : { distance, from: point, to: closest };
+        }
+      });
+    });
+  };
+
+  consider(a, edgesOf(b), false);
+  consider(b, edgesOf(a), true);
+  return best;
+}
+
+// Axis-aligned rectangle / circle outlines in local feet
+function rectangle(center, size) {
+  const [cx, cy] = center;
+  const [halfX, halfY] = [size[0] / 2, size[1] / 2];
+  return [[cx - halfX, cy - halfY], [cx + halfX, cy - halfY], [cx + halfX, cy + halfY], [cx - halfX, cy + halfY]];
+}
+
+// Polygon drawn around (not inside) the circle so distances never come out generous
+function circle(center, radius, segments = 24) {
+  const outer = radius / Math.cos(Math.PI / segments);
+  return Array.from({ length: segments }, (_, i) => {
+    const angle = (i / segments) * Math.PI * 2;
+    return [center[0] + Math.cos(angle) * outer, center[1] + Math.sin(angle) * outer];
+  });
+}
+
+// Turn plan points about `center` the way a three.js rotation.y of `degrees`
+// turns the scene (x east, second coordinate z south)
+function rotatePoints(points, center, degrees) {
+  if (!degrees) return points;
+  const angle = (degrees * Math.PI) / 180;
+  const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+  return points.map(([x, z]) => {
+    const [dx, dz] = [x - center[0], z - center[1]];
+    return [center[0] + dx * cos + dz * sin, center[1] - dx * sin + dz * cos];
+  });
+}
+
+function parseWktPairs(body) {
+  return body.split(',').map(pair => pair.trim().split(/\s+/).map(Number));
+}
+
+// "POLYGON((x y, x y, ...))" -> [[x, y], ...] (outer ring only)
+function parseWktPolygon(wkt) {
+  const match = String(wkt || '').match(/POLYGON\s*\(\(\s*([^)]+)\)/i);
+  return match ? parseWktPairs(match[1]) : null;
+}
+
+// "LINESTRING(x y, x y, ...)" -> [[x, y], ...]
+function parseWktLineString(wkt) {
+  const match = String(wkt || '').match(/LINESTRING\s*\(\s*([^)]+)\)/i);
+  return match ? parseWktPairs(match[1]) : null;
+}
+
+export {
+  FEET_PER_DEGREE_LAT,
+  toLocalFeet,
+  ringCenter,
+  polygonArea,
+  convexHull,
+  projectOnAxis,
+  minAreaRectangle,
+  closestPointOnSegment,
+  pointInPolygon,
+  segmentIntersection,
+  shapeDistance,
+  rectangle,
+  rotatePoints,
+  circle,
+  parseWktPolygon,
+  parseWktLineString
+};
@@ -0,0 +1,70 @@
+// lib/history/history.js
+// Undo/redo history for design edits. A command records the before and after
+// value of each piece of design state it touched:
+//
+//   { label, mergeKey, changes: { designData: { before, after }, ... } }
+//
+// Undo puts every `before` back, redo every `after`. Commands with the same
+// mergeKey arriving close together (a drag, a slider) collapse into one step.
+
+const HISTORY_LIMIT = 100;
+const MERGE_WINDOW_MS = 2000;
+
+function createHistory() {
+  return { past: [], future: [] };
+}
+
+function isNoop(changes) {
+  return Object.values(changes).every(({ before, after }) => before === after);
+}
+
+// Fold `command` into the last step, keeping that step's original `before`s
+function mergeCommands(previous, command) {
+  const changes = { ...previous.changes };
+  for (const [key, change] of Object.entries(command.changes)) {
+    changes[key] = { before: previous.changes[key] ? previous.changes[key].before : change.before, after: change.after };
+  }
+  return { ...previous, changes, updatedAt: command.updatedAt };
+}
+
+function recordCommand(history, command, now = Date.now()) {
+  if (isNoop(command.changes)) return history;
+
+  const stamped = { ...command, updatedAt: now };
+  const last = history.past[history.past.length - 1];
+
+  if (last && command.mergeKey && last.mergeKey === command.mergeKey && now - last.updatedAt < MERGE_WINDOW_MS) {
+    const merged = mergeCommands(last, stamped);
+    // A drag that ends back where it started leaves no step behind
+    const past = isNoop(merged.changes) ? history.past.slice(0, -1) : [...history.past.slice(0, -1), merged];
+    return { past, future: [] };
+  }
+
+  return { past: [...history.past, stamped].slice(-HISTORY_LIMIT), future: [] };
+}
+
+// State to restore for the step being undone/redone, or null when there isn't one
+function undoCommand(history) {
+  const command = history.past[history.past.length - 1];
+  if (!command) return null;
+
+  return {
+    history: { past: history.past.slice(0, -1), future: [command, ...history.future] },
+    command,
+    state: Object.fromEntries(Object.entries(command.changes).map(([key, change]) => [key, change.before]))
+  };
+}
+
+function redoCommand(history) {
+  const command = history.future[0];
+  if (!command) return null;
+
+  return {
+    // A redone step never merges with whatever is recorded next
+    history: { past: [...history.past, { ...command, mergeKey: null }], future: history.future.slice(1) },
+    command,
+    state: Object.fromEntries(Object.entries(command.changes).map(([key, change]) => [key, change.after]))
+  };
+}
+
+export { createHistory, recordCommand, undoCommand, redoCommand, HISTORY_LIMIT };
@@ -0,0 +1,88 @@
+// lib/materials/materialAnalysis.js
+// Helpers for the materials stage: normalize labelled regions, roll them up per
+// yard, and turn the roll-up into demolition / haul-off / excavation figures.
+
+import { MATERIAL_TYPES, UNKNOWN_SOIL, HAUL_OFF_PER_CUBIC_YARD } from './materialTypes';
+
+function clamp01(value) {
+  return Math.min(Math.max(Number(value) || 0, 0), 1);
+}
+
+// Each photo is assumed to show an equal share of the yard, so a region's area
+// is its coverage of the photo times that share.
+function createMaterialRegion({ material, bbox, coverage, confidence }, photoIndex, index, photoAreaSqFt) {
+  if (!MATERIAL_TYPES[material]) return null;
+
+  return {
+    id: `material-${photoIndex}-${index}`,
+    material,
+    label: MATERIAL_TYPES[material].label,
+    kind: MATERIAL_TYPES[material].kind,
+    bbox,
+    coverage: clamp01(coverage),
+    confidence: Math.round(clamp01(confidence) * 100) / 100,
+    areaSqFt: Math.round(clamp01(coverage) * photoAreaSqFt)
+  };
+}
+
+function summarizeMaterials(photoResults) {
+  const surfaces = {};
+  const soils = {};
+
+  photoResults.forEach(({ regions }) => {
+    regions.forEach(region => {
+      const bucket = region.kind === 'soil' ? soils : surfaces;
+      bucket[region.material] = (bucket[region.material] || 0) + region.areaSqFt;
+    });
+  });
+
+  // Dominant soil by visible area
+  const [soilType] = Object.entries(soils).sort((a, b) => b[1] - a[1])[0] || [];
+  const soil = soilType
+    ? { type: soilType, ...MATERIAL_TYPES[soilType] }
+    : { type: 'unknown', ...UNKNOWN_SOIL };
+
+  return {
+    surfaces,
+    totalSurfaceSqFt: Object.values(surfaces).reduce((sum, area) => sum + area, 0),
+    soil: {
+      type: soil.type,
+      label: soil.label,
+      difficulty: soil.difficulty,
+      excavationMultiplier: soil.excavationMultiplier
+    }
+  };
+}
+
+// Demolition and haul-off for clearing `workAreaSqFt` of the yard, split by the
+// surface mix the photos showed.
+function estimateSiteWork(summary, workAreaSqFt) {
+  const totalSurface = summary?.totalSurfaceSqFt || 0;
+  const demolition = [];
+  let haulOffCubicYards = 0;
+
+  if (totalSurface > 0) {
+    Object.entries(summary.surfaces).forEach(([material, area]) => {
+      const type = MATERIAL_TYPES[material];
+      const areaSqFt = Math.round(workAreaSqFt * (area / totalSurface));
+      haulOffCubicYards += (areaSqFt * type.removalDepthFt) / 27;
+      demolition.push({
+        material,
+        label: type.label,
+        areaSqFt,
+        cost: Math.round(areaSqFt * type.demolitionPerSqFt)
+      });
+    });
+  }
+
+  haulOffCubicYards = Math.round(haulOffCubicYards * 10) / 10;
+
+  return {
+    demolition,
+    haulOffCubicYards,
+    haulOffCost: Math.round(haulOffCubicYards * HAUL_OFF_PER_CUBIC_YARD),
+    soil: summary?.soil || { type: 'unknown', ...UNKNOWN_SOIL }
+  };
+}
+
+export { createMaterialRegion, summarizeMaterials, estimateSiteWork };
@@ -0,0 +1,49 @@
+// lib/materials/materialTypes.js
+// Existing ground materials the materials stage can label.
+// Surfaces get demolished and hauled off; soils change how hard excavation is.
+
+const MATERIAL_TYPES = {
+  turf: {
+    label: 'Turf',
+    kind: 'surface',
+    demolitionPerSqFt: 1.25, // Sod cutting + root layer
+    removalDepthFt: 0.25
+  },
+  concrete: {
+    label: 'Concrete',
+    kind: 'surface',
+    demolitionPerSqFt: 4.5, // Breaking 4" slab, rebar cutting
+    removalDepthFt: 0.33
+  },
+  pavers: {
+    label: 'Pavers',
+    kind: 'surface',
+    demolitionPerSqFt: 2.75, // Pulling pavers + compacted base
+    removalDepthFt: 0.5
+  },
+  gravel: {
+    label: 'Gravel',
+    kind: 'surface',
+    demolitionPerSqFt: 1.0,
+    removalDepthFt: 0.33
+  },
+  clay: {
+    label: 'Clay Soil',
+    kind: 'soil',
+    excavationMultiplier: 1.3, // Sticky, slow to dig and haul
+    difficulty: 'Moderate'
+  },
+  rock: {
+    label: 'Rock',
+    kind: 'soil',
+    excavationMultiplier: 2.0, // Needs hydraulic hammer / rock saw
+    difficulty: 'Severe'
+  }
+};
+
+// Used when no soil was visible in any photo
+const UNKNOWN_SOIL = { label: 'Unknown Soil', excavationMultiplier: 1.0, difficulty: 'Standard' };
+
+const HAUL_OFF_PER_CUBIC_YARD = 45;
+
+export { MATERIAL_TYPES, UNKNOWN_SOIL, HAUL_OFF_PER_CUBIC_YARD };
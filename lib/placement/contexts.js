@@ -0,0 +1,67 @@
+// lib/placement/contexts.js
+// Where each kind of element usually goes in a backyard. `near` names what it
+// should sit close to and `gap` the preferred distance from it in feet - which
+// also stands in for freeSpace.js's clearance from that target:
+//
+//   pool     - the pool edge (spas, water features, lounging structures)
+//   seating  - pergolas, kitchens, bars, cabanas, decks and patios
+//   fence    - the property lines (trees, screening shrubs, retaining walls)
+//   house    - the back of the house (patios, decks, flower beds)
+//   open     - wherever there's the most room (courts, lawns)
+
+// What counts as a place people sit, for fire features
+const SEATING_MODELS = ['pergola', 'outdoorkitchen', 'bar', 'cabana', 'deck', 'patio'];
+
+const PLACEMENT_CONTEXTS = {
+  // Fire
+  firepit: { near: 'seating', gap: 4, fallback: 'house' },
+  firebowl: { near: 'seating', gap: 3, fallback: 'pool' },
+  linearfirewall: { near: 'seating', gap: 3, fallback: 'fence' },
+  fireplace: { near: 'seating', gap: 2, fallback: 'house' },
+
+  // Water
+  spa: { near: 'pool', gap: 1 },
+  waterwall: { near: 'pool', gap: 2 },
+  fountain: { near: 'pool', gap: 4 },
+  koipond: { near: 'open', gap: 0 },
+
+  // Living
+  pergola: { near: 'pool', gap: 5 },
+  outdoorkitchen: { near: 'house', gap: 6 },
+  bar: { near: 'pool', gap: 6 },
+  cabana: { near: 'pool', gap: 6 },
+
+  // Recreation
+  puttinggreen: { near: 'open', gap: 0 },
+  boccecourt: { near: 'fence', gap: 3 },
+  sauna: { near: 'pool', gap: 8 },
+  deck: { near: 'house', gap: 0.5 },
+
+  // Traditional
+  patio: { near: 'house', gap: 0.5 },
+  retaining: { near: 'fence', gap: 2 },
+
+  // Planting
+  tree: { near: 'fence', gap: 4 },
+  palmtree: { near: 'pool', gap: 5 },
+  japanesemaple: { near: 'house', gap: 6 },
+  shrub: { near: 'fence', gap: 1.5 },
+  boxwood: { near: 'house', gap: 1.5 },
+  lavender: { near: 'house', gap: 2 },
+  succulent: { near: 'house', gap: 2 },
+  flowerbed: { near: 'house', gap: 1 },
+  roses: { near: 'fence', gap: 1.5 },
+  grass: { near: 'open', gap: 0 },
+  artificialgrassturf: { near: 'open', gap: 0 },
+  boulder: { near: 'fence', gap: 3 },
+  riverrock: { near: 'pool', gap: 4 },
+  zengarden: { near: 'open', gap: 0 }
+};
+
+const DEFAULT_CONTEXT = { near: 'open', gap: 0 };
+
+function getPlacementContext(model) {
+  return PLACEMENT_CONTEXTS[model] || DEFAULT_CONTEXT;
+}
+
+export { PLACEMENT_CONTEXTS, SEATING_MODELS, getPlacementContext };
@@ -0,0 +1,168 @@
+// lib/placement/freeSpace.js
+// Find a spot for a new element: inside the backyard, clear of the pool, the
+// house, existing conditions and everything already placed, and as close as it
+// can get to where that kind of element usually goes (see contexts.js) - or to
+// the spot the user clicked.
+
+import { rectangle, shapeDistance } from '../geo';
+import { getDesignFootprints, elementFootprint } from '../compliance/footprints';
+import { getPlacementContext, SEATING_MODELS } from './contexts';
+
+const GRID_STEP_FT = 2;
+// Walking room kept between the new element and anything else
+const CLEARANCE_FT = 1.5;
+// Coping and deck around the pool stay clear
+const POOL_CLEARANCE_FT = 3;
+// Nothing gets built right against the fence
+const FENCE_MARGIN_FT = 1;
+// "Open" spots stop getting better once this much room is around them
+const OPEN_ROOM_CAP_FT = 20;
+
+function boundingBox(points) {
+  const xs = points.map(point => point[0]);
+  const zs = points.map(point => point[1]);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+}
+
+function boxGap(a, b) {
+  const dx = Math.max(a.minX - b.maxX, b.minX - a.maxX, 0);
+  const dz = Math.max(a.minZ - b.maxZ, b.minZ - a.maxZ, 0);
+  return Math.hypot(dx, dz);
+}
+
+function translate(points, [dx, dz]) {
+  return points.map(([x, z]) => [x + dx, z + dz]);
+}
+
+// Everything a new element has to stay clear of: [{ id, kind, parts, clearance, box }]
+function placementObstacles({ design, hardscapeElements = [], landscapeElements = [], existingConditions = [], layout, ignoreId }) {
+  const obstacles = [];
+  const add = (id, kind, parts, clearance) => {
+    obstacles.push({ id, kind, parts, clearance, box: boundingBox(parts.flat()) });
+  };
+
+  if (design?.pool) {
+    add('pool', 'pool', getDesignFootprints({ pool: design.pool })[0].parts, POOL_CLEARANCE_FT);
+  }
+  if (layout.house) {
+    add('house', 'house', [rectangle(layout.house.center, layout.house.size)], CLEARANCE_FT);
+  }
+  existingConditions.forEach(condition => {
+    if (!condition.footprint) return;
+    add(condition.id, condition.type, [rectangle([condition.position[0], condition.position[2]], condition.footprint)], CLEARANCE_FT);
+  });
+  [...hardscapeElements, ...landscapeElements].forEach(element => {
+    if (element.id === ignoreId) return;
+    const footprint = elementFootprint(element);
+    if (footprint) add(element.id, element.model || element.type, [footprint], CLEARANCE_FT);
+  });
+
+  return obstacles;
+}
+
+// Obstacles an outline comes within clearance of, or that it overlaps
+function blockingObstacles(outline, obstacles) {
+  const box = boundingBox(outline);
+  return obstacles.filter(obstacle => (
+    boxGap(box, obstacle.box) < obstacle.clearance
+    && obstacle.parts.some(part => shapeDistance(outline, part).distance < obstacle.clearance)
+  ));
+}
+
+function insideBounds(outline, bounds, margin = FENCE_MARGIN_FT) {
+  return outline.every(([x, z]) => (
+    x >= bounds.minX + margin && x <= bounds.maxX - margin
+    && z >= bounds.minZ + margin && z <= bounds.maxZ - margin
+  ));
+}
+
+function isClear(outline, obstacles, bounds) {
+  return insideBounds(outline, bounds) && blockingObstacles(outline, obstacles).length === 0;
+}
+
+// What the element should sit near - { shapes, obstacles } where `obstacles`
+// are the ones those shapes belong to - or null to just look for room
+function contextTargets(near, { obstacles, layout }) {
+  let nearby;
+  switch (near) {
+    case 'pool':
+    case 'house':
+      nearby = obstacles.filter(obstacle => obstacle.id === near);
+      break;
+    case 'seating':
+      nearby = obstacles.filter(obstacle => SEATING_MODELS.includes(obstacle.kind));
+      break;
+    case 'fence':
+      return { shapes: layout.propertyLines.map(line => [line.start, line.end]), obstacles: [] };
+    default:
+      return null;
+  }
+  return nearby.length > 0 ? { shapes: nearby.flatMap(obstacle => obstacle.parts), obstacles: nearby } : null;
+}
+
+/**
+ * Position for a new or moved element, or null when the yard has no room for it.
+ * @param {Object} input
+ * @param {Object} input.element - { type, model?, rotation?, scale?, id? } - `id` is skipped as an obstacle
+ * @param {Object} input.design - designData (the pool)
+ * @param {Array} [input.hardscapeElements]
+ * @param {Array} [input.landscapeElements]
+ * @param {Array} [input.existingConditions]
+ * @param {Object} input.layout - getSiteLayout()
+ * @param {number[]} [input.point] - [x, z] the user clicked; overrides the element's usual context
+ * @returns {number[]|null} [x, 0, z]
+ */
+function findPlacement({ element, design, hardscapeElements = [], landscapeElements = [], existingConditions = [], layout, point }) {
+  const obstacles = placementObstacles({
+    design, hardscapeElements, landscapeElements, existingConditions, layout, ignoreId: element.id
+  });
+  // The element's outline centered on the origin, moved to each candidate
+  const outline = elementFootprint({ ...element, position: [0, 0, 0] }) || rectangle([0, 0], [2, 2]);
+
+  const context = getPlacementContext(element.model || element.type);
+  let targets = null;
+  if (!point) {
+    targets = contextTargets(context.near, { obstacles, layout });
+    if (!targets && context.fallback) targets = contextTargets(context.fallback, { obstacles, layout });
+  }
+  // The context's gap stands in for the usual clearance from what it sits near -
+  // a spa a foot off the pool edge is the point, not a conflict
+  const blocking = targets
+    ? obstacles.map(obstacle => (
+      targets.obstacles.includes(obstacle) ? { ...obstacle, clearance: Math.min(obstacle.clearance, context.gap) } : obstacle
+    ))
+    : obstacles;
+
+  const { bounds } = layout;
+  const yardCenter = [(bounds.minX + bounds.maxX) / 2, (bounds.minZ + bounds.maxZ) / 2];
+  const candidates = [];
+
+  for (let x = Math.ceil(bounds.minX); x <= bounds.maxX; x += GRID_STEP_FT) {
+    for (let z = Math.ceil(bounds.minZ); z <= bounds.maxZ; z += GRID_STEP_FT) {
+      const placed = translate(outline, [x, z]);
+      if (!insideBounds(placed, bounds)) continue;
+
+      let score;
+      if (point) {
+        score = Math.hypot(x - point[0], z - point[1]);
+      } else if (targets) {
+        const distance = Math.min(...targets.shapes.map(target => shapeDistance(placed, target).distance));
+        score = Math.abs(distance - context.gap);
+      } else {
+        // Most room around it, measured cheaply box to box
+        const box = boundingBox(placed);
+        const room = Math.min(OPEN_ROOM_CAP_FT, ...obstacles.map(obstacle => boxGap(box, obstacle.box)));
+        score = -room;
+      }
+      // Ties go to the middle of the yard
+      score += Math.hypot(x - yardCenter[0], z - yardCenter[1]) * 0.001;
+      candidates.push({ x, z, placed, score });
+    }
+  }
+
+  candidates.sort((a, b) => a.score - b.score);
+  const spot = candidates.find(candidate => blockingObstacles(candidate.placed, blocking).length === 0);
+  return spot ? [spot.x, 0, spot.z] : null;
+}
+
+export { findPlacement, placementObstacles, blockingObstacles, insideBounds, isClear, boundingBox, CLEARANCE_FT };
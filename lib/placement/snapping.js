@@ -0,0 +1,163 @@
+// lib/placement/snapping.js
+// Where a dragged element actually lands: snapped to the plan grid, lined up
+// with the edges and centers of nearby objects, pulled flush against the pool
+// coping (spas, decks, patios) - and whether that spot is free. Unlike
+// findPlacement there's no walking room here: the user is placing things by
+// hand, so only real overlaps and leaving the yard count.
+
+import { shapeDistance, rectangle } from '../geo';
+import { elementFootprint } from '../compliance/footprints';
+import { COPING_WIDTH_FT } from '../pool/outline';
+import { placementObstacles, insideBounds, boundingBox } from './freeSpace';
+
+const SNAP_GRIDS = [
+  { id: '1ft', label: '1 ft', step: 1 },
+  { id: '6in', label: '6 in', step: 0.5 },
+  { id: 'off', label: 'Off', step: 0 }
+];
+const DEFAULT_SNAP_GRID = '1ft';
+
+// Models that pull flush against the outside of the coping when dragged near it
+const POOL_MAGNETS = ['spa', 'deck', 'patio'];
+const MAGNET_RANGE_FT = 2;
+// Edges and centers this close line up
+const ALIGN_RANGE_FT = 0.75;
+// Objects further than this don't offer guides
+const GUIDE_REACH_FT = 30;
+// Outlines may touch - they only collide once they overlap by more than this
+const OVERLAP_TOLERANCE_FT = 0.05;
+
+function getSnapStep(gridId) {
+  return (SNAP_GRIDS.find(grid => grid.id === gridId) || SNAP_GRIDS[0]).step;
+}
+
+function snapValue(value, step) {
+  return step ? Math.round(value / step) * step : value;
+}
+
+// Tidy float noise so positions store as 12.5 rather than 12.499999999
+const tidy = (value) => Math.round(value * 1000) / 1000;
+
+function outlineAt(element, x, z) {
+  return elementFootprint({ ...element, position: [x, 0, z] }) || rectangle([x, z], [2, 2]);
+}
+
+// Shrink an outline toward its middle so shapes that merely touch don't collide
+function inset(outline, amount) {
+  const box = boundingBox(outline);
+  const center = [(box.minX + box.maxX) / 2, (box.minZ + box.maxZ) / 2];
+  return outline.map(([x, z]) => {
+    const [dx, dz] = [x - center[0], z - center[1]];
+    const length = Math.hypot(dx, dz);
+    if (length <= amount) return [center[0], center[1]];
+    return [x - (dx / length) * amount, z - (dz / length) * amount];
+  });
+}
+
+function boxLines(box, axis) {
+  return axis === 'x'
+    ? [box.minX, (box.minX + box.maxX) / 2, box.maxX]
+    : [box.minZ, (box.minZ + box.maxZ) / 2, box.maxZ];
+}
+
+// Nudge along one axis so an edge or center lines up with another object's.
+// Returns { offset, guide } or null; guides are [[x, z], [x, z]] plan segments.
+function alignAxis(box, others, axis) {
+  let best = null;
+  others.forEach(other => {
+    boxLines(box, axis).forEach(line => {
+      boxLines(other, axis).forEach(target => {
+        const offset = target - line;
+        if (Math.abs(offset) > ALIGN_RANGE_FT || (best && Math.abs(offset) >= Math.abs(best.offset))) return;
+        best = { offset, target, other };
+      });
+    });
+  });
+  if (!best) return null;
+
+  const { target, other } = best;
+  const guide = axis === 'x'
+    ? [[target, Math.min(box.minZ, other.minZ)], [target, Math.max(box.maxZ, other.maxZ)]]
+    : [[Math.min(box.minX, other.minX), target], [Math.max(box.maxX, other.maxX), target]];
+  return { offset: best.offset, guide };
+}
+
+// Move that brings the outline to sit just outside the coping, or null when
+// it's too far off (or already overlapping the water - that's a collision)
+function poolMagnet(outline, poolParts) {
+  let best = null;
+  poolParts.forEach(part => {
+    const { distance, from, to } = shapeDistance(outline, part);
+    if (distance === 0 || Math.abs(distance - COPING_WIDTH_FT) > MAGNET_RANGE_FT) return;
+    if (best && distance >= best.distance) return;
+    const pull = (distance - COPING_WIDTH_FT) / distance;
+    best = { distance, move: [(to[0] - from[0]) * pull, (to[1] - from[1]) * pull] };
+  });
+  return best?.move || null;
+}
+
+/**
+ * Whether an element can sit where it is: inside the yard and not overlapping
+ * the pool, the house, an existing condition or another placed element.
+ * @returns {{ outline: number[][], blockedBy: string[], valid: boolean }}
+ */
+function checkPosition({ element, design, hardscapeElements = [], landscapeElements = [], existingConditions = [], layout, obstacles }) {
+  const [x, , z] = element.position;
+  const outline = outlineAt(element, x, z);
+  const candidates = obstacles || placementObstacles({ design, hardscapeElements, landscapeElements, existingConditions, layout, ignoreId: element.id });
+  const core = inset(outline, OVERLAP_TOLERANCE_FT);
+
+  const blockedBy = candidates
+    .filter(obstacle => obstacle.parts.some(part => shapeDistance(core, part).distance === 0))
+    .map(obstacle => obstacle.id);
+  const inYard = insideBounds(outline, layout.bounds, 0);
+
+  return { outline, blockedBy, valid: inYard && blockedBy.length === 0 };
+}
+
+/**
+ * Snap a dragged element's raw pointer position.
+ * @param {Object} input
+ * @param {Object} input.element - the element being dragged (its id is skipped as an obstacle)
+ * @param {number[]} input.position - [x, y, z] under the pointer
+ * @param {Object} input.design - designData (the pool)
+ * @param {Array} [input.hardscapeElements]
+ * @param {Array} [input.landscapeElements]
+ * @param {Array} [input.existingConditions]
+ * @param {Object} input.layout - getSiteLayout()
+ * @param {number} [input.gridStep] - feet; 0 turns grid snapping off
+ * @returns {{ position: number[], outline: number[][], guides: number[][][], snappedTo: string|null, blockedBy: string[], valid: boolean }}
+ */
+function snapDrag({ element, position, design, hardscapeElements = [], landscapeElements = [], existingConditions = [], layout, gridStep = 1 }) {
+  const obstacles = placementObstacles({ design, hardscapeElements, landscapeElements, existingConditions, layout, ignoreId: element.id });
+  let x = snapValue(position[0], gridStep);
+  let z = snapValue(position[2], gridStep);
+  let guides = [];
+  let snappedTo = null;
+
+  const model = element.model || element.type;
+  const pool = obstacles.find(obstacle => obstacle.id === 'pool');
+  const move = POOL_MAGNETS.includes(model) && pool ? poolMagnet(outlineAt(element, x, z), pool.parts) : null;
+
+  if (move) {
+    x += move[0];
+    z += move[1];
+    snappedTo = 'pool';
+  } else {
+    const box = boundingBox(outlineAt(element, x, z));
+    const nearby = obstacles
+      .map(obstacle => obstacle.box)
+      .filter(other => Math.max(other.minX - box.maxX, box.minX - other.maxX, other.minZ - box.maxZ, box.minZ - other.maxZ) < GUIDE_REACH_FT);
+    const alongX = alignAxis(box, nearby, 'x');
+    const alongZ = alignAxis(box, nearby, 'z');
+    if (alongX) x += alongX.offset;
+    if (alongZ) z += alongZ.offset;
+    guides = [alongX, alongZ].filter(Boolean).map(alignment => alignment.guide);
+  }
+
+  const snapped = { ...element, position: [tidy(x), position[1], tidy(z)] };
+  const { outline, blockedBy, valid } = checkPosition({ element: snapped, layout, obstacles });
+  return { position: snapped.position, outline, guides, snappedTo, blockedBy, valid };
+}
+
+export { SNAP_GRIDS, DEFAULT_SNAP_GRID, getSnapStep, snapDrag, checkPosition };
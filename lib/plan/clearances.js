@@ -0,0 +1,56 @@
+// lib/plan/clearances.js
+// What plan mode reads out for the selected object: its plan size, and how far
+// it sits from the nearest property line, the pool's water edge and the house -
+// each with the closest pair of points, so a dimension line can be drawn.
+
+import { shapeDistance, rectangle } from '../geo';
+import { poolPlan, outlineBounds } from '../pool/outline';
+import { elementSize, elementFootprint } from '../compliance/footprints';
+
+function closest(shape, targets) {
+  return targets
+    .map(target => shapeDistance(shape, target))
+    .reduce((best, gap) => (gap.distance < best.distance ? gap : best));
+}
+
+/**
+ * @param {Object} input
+ * @param {{ category: 'pool' | 'hardscape' | 'landscape', id?: string }} input.selection
+ * @param {Object} input.design - designData
+ * @param {Object[]} [input.hardscapeElements]
+ * @param {Object[]} [input.landscapeElements]
+ * @param {Object} input.siteLayout - getSiteLayout()
+ * @returns {{ label: string, size: number[], outline: number[][], clearances: { id: string, label: string, distance: number, from: number[], to: number[] }[] } | null}
+ *   null when there's nothing measurable selected
+ */
+function measureClearances({ selection, design, hardscapeElements = [], landscapeElements = [], siteLayout }) {
+  const pool = design?.pool;
+  let subject = null;
+
+  if (selection?.category === 'pool' && pool) {
+    const outline = poolPlan(pool);
+    const bounds = outlineBounds(outline);
+    subject = { label: 'Pool', outline, size: [bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ] };
+  } else if (selection) {
+    const elements = selection.category === 'hardscape' ? hardscapeElements : landscapeElements;
+    const element = elements.find(candidate => candidate.id === selection.id);
+    const outline = element && elementFootprint(element);
+    if (outline) subject = { label: element.name || element.type, outline, size: elementSize(element) };
+  }
+  if (!subject) return null;
+
+  const targets = [
+    { id: 'property', label: 'Property line', shapes: siteLayout.propertyLines.map(line => [line.start, line.end]) },
+    { id: 'pool', label: 'Pool edge', shapes: pool && selection.category !== 'pool' ? [poolPlan(pool)] : [] },
+    { id: 'house', label: 'House', shapes: siteLayout.house ? [rectangle(siteLayout.house.center, siteLayout.house.size)] : [] }
+  ];
+
+  return {
+    ...subject,
+    clearances: targets
+      .filter(target => target.shapes.length > 0)
+      .map(target => ({ id: target.id, label: target.label, ...closest(subject.outline, target.shapes) }))
+  };
+}
+
+export { measureClearances };
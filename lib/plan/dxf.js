@@ -0,0 +1,103 @@
+// lib/plan/dxf.js
+// Write a site plan (sitePlan.js) as an ASCII DXF (AutoCAD R12, which every
+// CAD package reads). Drawing units are feet at full size, north up: DXF y
+// runs north, so scene z is flipped. Each plan layer becomes a DXF layer with
+// its own color; dimensions are drawn as plain lines and text so they look
+// the same everywhere.
+
+import { dimensionGeometry } from './sitePlan';
+
+// $INSUNITS code for feet
+const UNITS_FEET = 2;
+
+const number = (value) => String(Math.round(value * 10000) / 10000);
+// R12 files are plain ASCII
+const ascii = (value) => String(value).replace(/[^\x20-\x7e]/g, '?');
+
+// Group code / value pairs -> lines
+function pairs(...codes) {
+  const lines = [];
+  for (let i = 0; i < codes.length; i += 2) lines.push(String(codes[i]), String(codes[i + 1]));
+  return lines;
+}
+
+const point = (code, [x, z]) => pairs(code, number(x), code + 10, number(-z), code + 20, '0');
+
+function lineEntity(layer, a, b) {
+  return [...pairs(0, 'LINE', 8, layer), ...point(10, a), ...point(11, b)];
+}
+
+function textEntity(layer, { position, text, height, angle = 0, align = 'center' }) {
+  // Justified by the alignment point (11): center or left, vertically middle
+  return [
+    ...pairs(0, 'TEXT', 8, layer),
+    ...point(10, position),
+    ...pairs(40, number(height), 1, ascii(text), 50, number(-angle), 72, align === 'left' ? 0 : 1),
+    ...point(11, position),
+    ...pairs(73, 2)
+  ];
+}
+
+function entityLines(entity) {
+  const { layer } = entity;
+  if (entity.type === 'polyline') {
+    return [
+      ...pairs(0, 'POLYLINE', 8, layer, 66, 1),
+      ...point(10, [0, 0]),
+      ...pairs(70, entity.closed ? 1 : 0),
+      ...entity.points.flatMap(vertex => [...pairs(0, 'VERTEX', 8, layer), ...point(10, vertex)]),
+      ...pairs(0, 'SEQEND', 8, layer)
+    ];
+  }
+  if (entity.type === 'circle') {
+    return [...pairs(0, 'CIRCLE', 8, layer), ...point(10, entity.center), ...pairs(40, number(entity.radius))];
+  }
+  if (entity.type === 'text') return textEntity(layer, entity);
+  if (entity.type === 'dimension') {
+    const { lines, textPosition, angle } = dimensionGeometry(entity);
+    return [
+      ...lines.flatMap(([a, b]) => lineEntity(layer, a, b)),
+      ...textEntity(layer, { position: textPosition, text: entity.text, height: entity.height, angle })
+    ];
+  }
+  return [];
+}
+
+/**
+ * @param {Object} plan - buildSitePlan() result
+ * @returns {string} DXF document
+ */
+function planToDxf(plan) {
+  const { minX, maxX, minZ, maxZ } = plan.bounds;
+
+  const header = [
+    ...pairs(0, 'SECTION', 2, 'HEADER'),
+    ...pairs(9, '$ACADVER', 1, 'AC1009'),
+    ...pairs(9, '$INSUNITS', 70, UNITS_FEET),
+    ...pairs(9, '$EXTMIN'), ...point(10, [minX, maxZ]),
+    ...pairs(9, '$EXTMAX'), ...point(10, [maxX, minZ]),
+    ...pairs(0, 'ENDSEC')
+  ];
+
+  const tables = [
+    ...pairs(0, 'SECTION', 2, 'TABLES'),
+    ...pairs(0, 'TABLE', 2, 'LTYPE', 70, 2),
+    ...pairs(0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, '0.0'),
+    ...pairs(0, 'LTYPE', 2, 'PHANTOM', 70, 0, 3, 'Property line ____ _ ____', 72, 65, 73, 4, 40, '5.2', 49, '3.0', 49, '-1.0', 49, '0.6', 49, '-0.6'),
+    ...pairs(0, 'ENDTAB'),
+    ...pairs(0, 'TABLE', 2, 'LAYER', 70, plan.layers.length),
+    ...plan.layers.flatMap(layer => pairs(0, 'LAYER', 2, layer.id, 70, 0, 62, layer.aci, 6, layer.dashed ? 'PHANTOM' : 'CONTINUOUS')),
+    ...pairs(0, 'ENDTAB'),
+    ...pairs(0, 'ENDSEC')
+  ];
+
+  const entities = [
+    ...pairs(0, 'SECTION', 2, 'ENTITIES'),
+    ...plan.entities.flatMap(entityLines),
+    ...pairs(0, 'ENDSEC')
+  ];
+
+  return [...header, ...tables, ...entities, ...pairs(0, 'EOF')].join('\r\n') + '\r\n';
+}
+
+export { planToDxf };
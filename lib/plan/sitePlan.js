@@ -0,0 +1,206 @@
+// lib/plan/sitePlan.js
+// The design projected top-down as a drafting plan: outlines, circles, labels
+// and dimensions on named layers, in scene feet (x east, second coordinate z
+// south - so north is up when z runs down the page). The writers in svg.js and
+// dxf.js, the in-app viewer and the proposal PDF all draw from this one plan.
+
+import { shapeDistance, rectangle } from '../geo';
+import { poolPlan, offsetPolygon, outlineBounds, COPING_WIDTH_FT } from '../pool/outline';
+import { infinityEdgeLayout, spaLayout, featureOutlines, SPA_WALL_FT } from '../pool/features';
+import { HARDSCAPE_FOOTPRINTS, LANDSCAPE_FOOTPRINTS, elementSize, elementFootprint, getDesignFootprints } from '../compliance/footprints';
+
+// `color` is for SVG/PDF, `aci` the AutoCAD color index, `dashed` draws the
+// layer's lines dashed
+const PLAN_LAYERS = [
+  { id: 'PROPERTY', label: 'Property lines', color: '#475569', aci: 8, dashed: true },
+  { id: 'HOUSE', label: 'House', color: '#1e293b', aci: 7 },
+  { id: 'POOL', label: 'Pool outline', color: '#1d4ed8', aci: 5 },
+  { id: 'COPING', label: 'Coping', color: '#a16207', aci: 42 },
+  { id: 'SPA', label: 'Spa & catch basin', color: '#0891b2', aci: 4 },
+  { id: 'HARDSCAPE', label: 'Hardscape', color: '#57534e', aci: 9 },
+  { id: 'PLANTING', label: 'Plantings', color: '#15803d', aci: 3 },
+  { id: 'DIMENSIONS', label: 'Dimensions', color: '#b91c1c', aci: 1 },
+  { id: 'ANNOTATION', label: 'Title, north arrow & scale', color: '#0f172a', aci: 7 }
+];
+
+// Drafting sizes, in feet at full scale
+const LABEL_HEIGHT = 1.4;
+const DIMENSION_TEXT_HEIGHT = 1.1;
+const TICK_SIZE = 0.5;
+const EXTENSION_OVERSHOOT = 0.75;
+// Pool size dimensions sit this far outside the coping, basin and spa
+const POOL_DIMENSION_OFFSET = 3;
+const MARGIN_FT = 12;
+
+// 24.5 -> 24'-6"
+function formatFeet(feet) {
+  const inches = Math.round(feet * 12);
+  return `${Math.floor(inches / 12)}'-${inches % 12}"`;
+}
+
+const polyline = (layer, points, closed = true) => ({ type: 'polyline', layer, points, closed });
+const circleEntity = (layer, center, radius) => ({ type: 'circle', layer, center, radius });
+// Labels are placed by their middle - left-middle for `align: 'left'`
+const text = (layer, position, value, height = LABEL_HEIGHT, align = 'center') => ({ type: 'text', layer, position, text: value, height, angle: 0, align });
+
+/**
+ * Lines, ticks and label spot for a dimension entity, ready to draw.
+ * `offset` moves the dimension line off the measured points, to the left of
+ * from -> to; extension lines then run back to the points.
+ * @returns {{ lines: number[][][], textPosition: number[], angle: number }}
+ *   angle is the label's turn in degrees from +x toward +z, kept readable
+ */
+function dimensionGeometry({ from, to, offset = 0, height = DIMENSION_TEXT_HEIGHT }) {
+  const length = Math.hypot(to[0] - from[0], to[1] - from[1]) || 1;
+  const direction = [(to[0] - from[0]) / length, (to[1] - from[1]) / length];
+  const normal = [direction[1], -direction[0]];
+  const shift = ([x, z], distance) => [x + normal[0] * distance, z + normal[1] * distance];
+  const [a, b] = [shift(from, offset), shift(to, offset)];
+  const lines = [[a, b]];
+
+  if (offset !== 0) {
+    const overshoot = Math.sign(offset) * EXTENSION_OVERSHOOT;
+    lines.push([from, shift(from, offset + overshoot)], [to, shift(to, offset + overshoot)]);
+  }
+  // Architectural ticks, slashed across both ends
+  const slash = [(direction[0] + normal[0]) * TICK_SIZE, (direction[1] + normal[1]) * TICK_SIZE];
+  [a, b].forEach(([x, z]) => lines.push([[x - slash[0], z - slash[1]], [x + slash[0], z + slash[1]]]));
+
+  let angle = (Math.atan2(direction[1], direction[0]) * 180) / Math.PI;
+  if (angle > 90) angle -= 180;
+  if (angle <= -90) angle += 180;
+  // Label rides just off the line, on the side away from what's measured
+  const side = offset < 0 ? -1 : 1;
+  const middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  return { lines, textPosition: shift(middle, side * height * 0.9), angle };
+}
+
+function dimension(from, to, offset, label) {
+  return { type: 'dimension', layer: 'DIMENSIONS', from, to, offset, text: label, height: DIMENSION_TEXT_HEIGHT };
+}
+
+function poolEntities(pool) {
+  const [px, , pz] = pool.position || [0, 0, 0];
+  const shift = ([x, z]) => [x + px, z + pz];
+  const plan = poolPlan(pool);
+  const coping = offsetPolygon(plan, COPING_WIDTH_FT);
+  const water = outlineBounds(plan);
+  // Everything the pool covers, so its dimensions clear the basin and spa
+  const bounds = outlineBounds([...coping, ...featureOutlines(pool).flat().map(shift)]);
+  const entities = [
+    polyline('POOL', plan),
+    polyline('COPING', coping),
+    text('POOL', [(water.minX + water.maxX) / 2, (water.minZ + water.maxZ) / 2], `POOL ${Math.round(pool.size[2] * 10) / 10}' DEEP`)
+  ];
+
+  const edge = infinityEdgeLayout(pool);
+  if (edge) entities.push(polyline('SPA', edge.basin.outline.map(shift)));
+
+  const spa = spaLayout(pool);
+  if (spa) {
+    const center = shift(spa.center);
+    entities.push(
+      circleEntity('SPA', center, spa.radius),
+      circleEntity('SPA', center, spa.radius + SPA_WALL_FT / 2),
+      text('SPA', center, `SPA ${formatFeet(spa.radius * 2)}`, DIMENSION_TEXT_HEIGHT)
+    );
+  }
+
+  // Overall water size along the north side and down the east side
+  entities.push(
+    dimension([water.minX, water.minZ], [water.maxX, water.minZ], water.minZ - bounds.minZ + POOL_DIMENSION_OFFSET, formatFeet(water.maxX - water.minX)),
+    dimension([water.maxX, water.minZ], [water.maxX, water.maxZ], bounds.maxX - water.maxX + POOL_DIMENSION_OFFSET, formatFeet(water.maxZ - water.minZ))
+  );
+  return entities;
+}
+
+function elementEntities(element, layer, definitions) {
+  const model = element.model || element.type;
+  const definition = definitions[model];
+  if (!definition) return [];
+
+  const center = [element.position[0], element.position[2]];
+  const outline = definition.circle
+    ? circleEntity(layer, center, Math.max(...elementSize(element)) / 2)
+    : polyline(layer, elementFootprint(element));
+  return [outline, text(layer, center, (element.name || definition.label).toUpperCase(), layer === 'PLANTING' ? DIMENSION_TEXT_HEIGHT : LABEL_HEIGHT)];
+}
+
+// Closest gap from each regulated object to the property lines and house.
+// The pool gets every property line; other objects their nearest one.
+function setbackDimensions({ pool, hardscapeElements, siteLayout, compliance }) {
+  const propertyLines = siteLayout.propertyLines.map(line => ({ rule: 'fromProperty', shape: [line.start, line.end] }));
+  const house = siteLayout.house && { rule: 'fromHouse', shape: rectangle(siteLayout.house.center, siteLayout.house.size) };
+
+  return getDesignFootprints({ pool, hardscapeElements }).flatMap(footprint => {
+    const gaps = (targets) => targets.map(target => ({
+      rule: target.rule,
+      gap: footprint.parts
+        .map(part => shapeDistance(part, target.shape))
+        .reduce((best, gap) => (gap.distance < best.distance ? gap : best))
+    }));
+
+    const toLines = footprint.setbacks.includes('fromProperty') ? gaps(propertyLines) : [];
+    const measured = [
+      ...(footprint.kind === 'pool' ? toLines : toLines.sort((a, b) => a.gap.distance - b.gap.distance).slice(0, 1)),
+      ...(house && footprint.setbacks.includes('fromHouse') ? gaps([house]) : [])
+    ];
+
+    return measured
+      .filter(({ gap }) => gap.distance > 0)
+      .map(({ rule, gap }) => {
+        const required = compliance?.setbacks?.[rule]?.required;
+        const label = formatFeet(gap.distance) + (required ? ` (${required}' MIN)` : '');
+        return dimension(gap.from, gap.to, 0, label);
+      });
+  });
+}
+
+/**
+ * Build the site plan.
+ * @param {Object} input
+ * @param {Object} input.design - designData; `pool` is drawn
+ * @param {Object[]} [input.hardscapeElements]
+ * @param {Object[]} [input.landscapeElements]
+ * @param {Object} input.siteLayout - getSiteLayout()
+ * @param {Object} [input.compliance] - Adds the required setbacks to their dimensions
+ * @param {string} [input.address] - For the title
+ * @returns {{ layers: Object[], entities: Object[], bounds: { minX: number, maxX: number, minZ: number, maxZ: number } }}
+ */
+function buildSitePlan({ design, hardscapeElements = [], landscapeElements = [], siteLayout, compliance, address }) {
+  const { bounds: lot, house } = siteLayout;
+  const pool = design?.pool;
+
+  const entities = [
+    ...siteLayout.propertyLines.map(line => polyline('PROPERTY', [line.start, line.end], false)),
+    polyline('HOUSE', rectangle(house.center, house.size)),
+    text('HOUSE', house.center, 'HOUSE'),
+    ...(pool ? poolEntities(pool) : []),
+    ...hardscapeElements.flatMap(element => elementEntities(element, 'HARDSCAPE', HARDSCAPE_FOOTPRINTS)),
+    ...landscapeElements.flatMap(element => elementEntities(element, 'PLANTING', LANDSCAPE_FOOTPRINTS)),
+    ...setbackDimensions({ pool, hardscapeElements, siteLayout, compliance })
+  ];
+
+  // Title under the lot, a north arrow pointing up the page (-z) and a 20ft
+  // scale bar, so the plan reads at whatever scale it's printed
+  const bottom = lot.maxZ + 4;
+  entities.push(
+    text('ANNOTATION', [lot.minX, bottom + 2], `SITE PLAN${address ? ` - ${address.toUpperCase()}` : ''}`, 2, 'left'),
+    text('ANNOTATION', [lot.minX, bottom + 5], 'DIMENSIONS IN FEET AND INCHES', 1.1, 'left'),
+    polyline('ANNOTATION', [[lot.maxX - 3, bottom], [lot.maxX - 1.5, bottom + 4], [lot.maxX - 3, bottom + 3], [lot.maxX - 4.5, bottom + 4]]),
+    text('ANNOTATION', [lot.maxX - 3, bottom + 6.5], 'N', 1.6),
+    polyline('ANNOTATION', [[lot.maxX - 30, bottom + 3], [lot.maxX - 10, bottom + 3]], false),
+    ...[0, 10, 20].flatMap(feet => [
+      polyline('ANNOTATION', [[lot.maxX - 30 + feet, bottom + 2.4], [lot.maxX - 30 + feet, bottom + 3.6]], false),
+      text('ANNOTATION', [lot.maxX - 30 + feet, bottom + 5.4], feet ? `${feet}'` : '0', 1)
+    ])
+  );
+
+  return {
+    layers: PLAN_LAYERS,
+    entities,
+    bounds: { minX: lot.minX - MARGIN_FT, maxX: lot.maxX + MARGIN_FT, minZ: lot.minZ - MARGIN_FT, maxZ: lot.maxZ + MARGIN_FT }
+  };
+}
+
+export { PLAN_LAYERS, formatFeet, dimensionGeometry, buildSitePlan };
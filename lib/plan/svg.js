@@ -0,0 +1,74 @@
+// lib/plan/svg.js
+// Write a site plan (sitePlan.js) as SVG. Drawing units are feet, one <g> per
+// layer (Inkscape and Illustrator open them as layers), and the page is sized
+// to print at 1" = 10'-0".
+
+import { dimensionGeometry } from './sitePlan';
+
+const FEET_PER_INCH = 10;
+const LINE_WIDTH_FT = 0.12;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 100) / 100;
+const pointList = (points) => points.map(([x, z]) => `${round(x)},${round(z)}`).join(' ');
+
+function textElement({ position, text, height, angle = 0, align = 'center' }) {
+  const [x, z] = position.map(round);
+  const rotate = angle ? ` transform="rotate(${round(angle)} ${x} ${z})"` : '';
+  const anchor = align === 'left' ? 'start' : 'middle';
+  return `<text x="${x}" y="${z}" font-size="${height}" text-anchor="${anchor}" dominant-baseline="central" stroke="none"${rotate}>${escapeXml(text)}</text>`;
+}
+
+function entityElement(entity) {
+  if (entity.type === 'polyline') {
+    return `<${entity.closed ? 'polygon' : 'polyline'} points="${pointList(entity.points)}"/>`;
+  }
+  if (entity.type === 'circle') {
+    return `<circle cx="${round(entity.center[0])}" cy="${round(entity.center[1])}" r="${round(entity.radius)}"/>`;
+  }
+  if (entity.type === 'text') return textElement(entity);
+  if (entity.type === 'dimension') {
+    const { lines, textPosition, angle } = dimensionGeometry(entity);
+    return [
+      ...lines.map(([a, b]) => `<line x1="${round(a[0])}" y1="${round(a[1])}" x2="${round(b[0])}" y2="${round(b[1])}"/>`),
+      textElement({ position: textPosition, text: entity.text, height: entity.height, angle })
+    ].join('');
+  }
+  return '';
+}
+
+/**
+ * @param {Object} plan - buildSitePlan() result
+ * @param {Object} [options]
+ * @param {string[]} [options.hiddenLayers] - Layer ids to leave out
+ * @returns {string} SVG document
+ */
+function planToSvg(plan, { hiddenLayers = [] } = {}) {
+  const { minX, maxX, minZ, maxZ } = plan.bounds;
+  const [width, height] = [maxX - minX, maxZ - minZ];
+
+  const groups = plan.layers
+    .filter(layer => !hiddenLayers.includes(layer.id))
+    .map(layer => {
+      const dash = layer.dashed ? ' stroke-dasharray="3 1 0.6 1"' : '';
+      const body = plan.entities.filter(entity => entity.layer === layer.id).map(entityElement).join('\n    ');
+      return `  <g id="${layer.id}" inkscape:groupmode="layer" inkscape:label="${escapeXml(layer.label)}" stroke="${layer.color}" fill="${layer.color}"${dash}>\n    ${body}\n  </g>`;
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${round(width / FEET_PER_INCH)}in" height="${round(height / FEET_PER_INCH)}in" viewBox="${minX} ${minZ} ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    `  <rect x="${minX}" y="${minZ}" width="${width}" height="${height}" fill="#ffffff"/>`,
+    // Outlines stay unfilled; text takes its layer's fill
+    `  <style>polygon, polyline, circle, line { fill: none; stroke-width: ${LINE_WIDTH_FT}; }</style>`,
+    ...groups,
+    '</svg>'
+  ].join('\n');
+}
+
+export { FEET_PER_INCH, planToSvg };
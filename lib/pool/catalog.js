@@ -0,0 +1,76 @@
+// lib/pool/catalog.js
+// Pool finishes and shapes. Each shape's plan outline lives in outline.js and
+// what's under the water in profile.js; prices live in the company catalog
+// (data/catalog). Kept free of three.js so server code can import it.
+
+import { profileMetrics } from './profile';
+
+const POOL_FINISHES = {
+  plaster: {
+    name: 'White Plaster',
+    shell: '#f8fafc',
+    roughness: 0.3,
+    metalness: 0.0,
+    normalScale: 0.2,
+    durability: '15-20 years',
+    description: 'Classic smooth finish, easiest maintenance'
+  },
+  pebbleTec: {
+    name: 'Pebble Tec',
+    shell: '#4a7c59',
+    roughness: 0.8,
+    metalness: 0.0,
+    normalScale: 0.6,
+    durability: '20-25 years',
+    description: 'Natural pebble aggregate, slip-resistant'
+  },
+  glassTile: {
+    name: 'Glass Tile',
+    shell: '#1e40af',
+    roughness: 0.1,
+    metalness: 0.4,
+    normalScale: 0.1,
+    durability: '25+ years',
+    description: 'Premium glass mosaic, stunning reflections'
+  },
+  quartzite: {
+    name: 'Quartzite',
+    shell: '#6b7280',
+    roughness: 0.4,
+    metalness: 0.2,
+    normalScale: 0.3,
+    durability: '20+ years',
+    description: 'Natural stone finish, luxury appearance'
+  },
+  fiberglass: {
+    name: 'Fiberglass',
+    shell: '#0ea5e9',
+    roughness: 0.2,
+    metalness: 0.1,
+    normalScale: 0.1,
+    durability: '15-20 years',
+    description: 'Smooth gel coat, quick installation'
+  }
+};
+
+const POOL_SHAPES = [
+  { id: 'rectangle', name: 'Rectangle', icon: '⬜', description: 'Classic geometric pool' },
+  { id: 'lagoon', name: 'Lagoon', icon: '🌊', description: 'Organic curved pool' },
+  { id: 'kidney', name: 'Kidney', icon: '🫘', description: 'Traditional curved shape' },
+  { id: 'infinity', name: 'Infinity', icon: '♾️', description: 'Vanishing edge pool' },
+  { id: 'lShaped', name: 'L-Shaped', icon: '📐', description: 'Corner design pool' },
+  { id: 'lap', name: 'Lap Pool', icon: '🏊‍♂️', description: 'Long swimming pool' }
+];
+
+const REFERENCE_POOL_SIZE = [24, 12, 6];
+
+function getPoolShape(id) {
+  return POOL_SHAPES.find(shape => shape.id === id) || POOL_SHAPES[0];
+}
+
+// Plan area, edge length, interior surface and water volume for a pool
+function poolMetrics({ shape, size = REFERENCE_POOL_SIZE, outline, profile, sunShelf }) {
+  return profileMetrics({ shape, size, outline, profile, sunShelf });
+}
+
+export { POOL_FINISHES, POOL_SHAPES, REFERENCE_POOL_SIZE, getPoolShape, poolMetrics };
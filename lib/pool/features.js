@@ -0,0 +1,181 @@
+// lib/pool/features.js
+// The pool's water features, laid out on its plan outline (outline.js) in
+// feet relative to the pool's position:
+//
+//   pool.hasInfinityEdge + pool.infinityEdge = { edge }
+//       One straight edge of the outline (`edge` indexes its first point)
+//       runs as a weir, spilling into a catch basin below it. Without a
+//       choice the longest straight edge is used. The 'infinity' shape
+//       always has one.
+//   pool.hasSpillover + pool.spa = { at, diameter, raised, depth }
+//       A round spa against the wall `at` (0..1) of the way round, its water
+//       `raised` ft above the pool's and `depth` ft deep, spilling back into
+//       the pool over a spillway.
+
+import { polygonArea, shapeDistance, circle } from '../geo';
+import { COPING_WIDTH_FT, getPoolOutline, outlinePolygon, offsetPolygon, signedArea } from './outline';
+import { pointOnWall } from './profile';
+
+// Weirs shorter than this aren't worth building
+const MIN_WEIR_FT = 4;
+// Wall between the weir and the catch basin
+const WEIR_WALL_FT = 0.75;
+// Catch basin water sits this far under the pool's, and runs this deep
+const BASIN_DROP_FT = 1.5;
+const BASIN_DEPTH_FT = 3;
+const MIN_BASIN_WIDTH_FT = 2;
+// Water the basin must take when the pumps stop: the film over the weir plus
+// the pool drawn down this much while they run
+const SURGE_DEPTH_FT = 2 / 12;
+
+const DEFAULT_SPA = { at: 0.42, diameter: 7, raised: 1.5, depth: 3.5 };
+// Bond beam between the spa's water and the pool's
+const SPA_WALL_FT = 1;
+const SPILLWAY_WIDTH_FT = 2;
+
+function isSmooth(pool) {
+  return getPoolOutline(pool).smooth;
+}
+
+function hasVanishingEdge(pool) {
+  return Boolean(pool.hasInfinityEdge || pool.shape === 'infinity');
+}
+
+// Straight edges that can take a weir: long enough, with open ground outside
+// them for the basin (an L-shape's inside corner edges face back into the pool)
+function weirEdges(pool) {
+  if (isSmooth(pool)) return [];
+  const polygon = outlinePolygon(getPoolOutline(pool));
+  const orientation = signedArea(polygon) > 0 ? 1 : -1;
+
+  return polygon.map((start, index) => {
+    const end = polygon[(index + 1) % polygon.length];
+    const lengthFt = Math.hypot(end[0] - start[0], end[1] - start[1]);
+    if (lengthFt < MIN_WEIR_FT) return null;
+
+    const outward = [((end[1] - start[1]) / lengthFt) * orientation, (-(end[0] - start[0]) / lengthFt) * orientation];
+    const probe = [
+      [start[0] + outward[0] * WEIR_WALL_FT, start[1] + outward[1] * WEIR_WALL_FT],
+      [end[0] + outward[0] * WEIR_WALL_FT, end[1] + outward[1] * WEIR_WALL_FT],
+      [end[0] + outward[0] * (WEIR_WALL_FT + MIN_BASIN_WIDTH_FT), end[1] + outward[1] * (WEIR_WALL_FT + MIN_BASIN_WIDTH_FT)],
+      [start[0] + outward[0] * (WEIR_WALL_FT + MIN_BASIN_WIDTH_FT), start[1] + outward[1] * (WEIR_WALL_FT + MIN_BASIN_WIDTH_FT)]
+    ];
+    if (shapeDistance(probe, polygon).distance < WEIR_WALL_FT / 2) return null;
+
+    return { index, start, end, lengthFt, outward };
+  }).filter(Boolean);
+}
+
+/**
+ * The vanishing edge and its catch basin, or null.
+ * @returns {{ edge: number, start: number[], end: number[], weirFt: number,
+ *   angle: number, basin: { outline: number[][], widthFt: number, dropFt: number,
+ *   depthFt: number, volumeCuFt: number, requiredCuFt: number } } | null}
+ *   start/end run along the weir; angle is the three.js rotation.y that turns
+ *   local +x along the weir and local +z out into the basin.
+ */
+function infinityEdgeLayout(pool) {
+  if (!hasVanishingEdge(pool)) return null;
+  const edges = weirEdges(pool);
+  if (edges.length === 0) return null;
+
+  const longest = edges.reduce((best, edge) => (edge.lengthFt > best.lengthFt ? edge : best));
+  const chosen = edges.find(edge => edge.index === pool.infinityEdge?.edge) || longest;
+  const { outward, lengthFt } = chosen;
+
+  // Run start -> end so that local +z (x turned a quarter) points outward
+  const along = [(chosen.end[0] - chosen.start[0]) / lengthFt, (chosen.end[1] - chosen.start[1]) / lengthFt];
+  const [start, end] = (-along[1] * outward[0] + along[0] * outward[1]) > 0
+    ? [chosen.start, chosen.end]
+    : [chosen.end, chosen.start];
+  const direction = [(end[0] - start[0]) / lengthFt, (end[1] - start[1]) / lengthFt];
+
+  const requiredCuFt = polygonArea(outlinePolygon(getPoolOutline(pool))) * SURGE_DEPTH_FT;
+  const widthFt = Math.max(MIN_BASIN_WIDTH_FT, Math.ceil((requiredCuFt / (lengthFt * BASIN_DEPTH_FT)) * 2) / 2);
+  const out = (point, distance) => [point[0] + outward[0] * distance, point[1] + outward[1] * distance];
+
+  return {
+    edge: chosen.index,
+    start,
+    end,
+    weirFt: lengthFt,
+    angle: Math.atan2(-direction[1], direction[0]),
+    basin: {
+      outline: [out(start, WEIR_WALL_FT), out(end, WEIR_WALL_FT), out(end, WEIR_WALL_FT + widthFt), out(start, WEIR_WALL_FT + widthFt)],
+      widthFt,
+      dropFt: BASIN_DROP_FT,
+      depthFt: BASIN_DEPTH_FT,
+      volumeCuFt: lengthFt * widthFt * BASIN_DEPTH_FT,
+      requiredCuFt
+    }
+  };
+}
+
+/**
+ * The attached spa, or null.
+ * @returns {{ center: number[], radius: number, raised: number, depth: number, at: number,
+ *   spillway: { position: number[], angle: number, width: number }, clear: boolean } | null}
+ *   spillway.angle is the three.js rotation.y that turns local +z toward the
+ *   pool; `clear` is false when the spa runs into the pool or its basin.
+ */
+function spaLayout(pool) {
+  if (!pool.hasSpillover) return null;
+  const spa = { ...DEFAULT_SPA, ...pool.spa };
+  const polygon = outlinePolygon(getPoolOutline(pool));
+  const { point, inward } = pointOnWall(polygon, spa.at);
+  const radius = spa.diameter / 2;
+  const out = (distance) => [point[0] - inward[0] * distance, point[1] - inward[1] * distance];
+  const center = out(radius + SPA_WALL_FT);
+
+  const footprint = circle(center, radius);
+  const basin = infinityEdgeLayout(pool)?.basin.outline;
+  const clear = shapeDistance(footprint, polygon).distance >= SPA_WALL_FT / 2
+    && (!basin || shapeDistance(footprint, basin).distance >= SPA_WALL_FT / 2);
+
+  return {
+    center,
+    radius,
+    raised: spa.raised,
+    depth: spa.depth,
+    at: spa.at,
+    spillway: { position: out(SPA_WALL_FT / 2), angle: Math.atan2(inward[0], inward[1]), width: Math.min(SPILLWAY_WIDTH_FT, spa.diameter * 0.4) },
+    clear
+  };
+}
+
+// Plan outlines the features add to the pool's footprint: the catch basin
+// and the spa's outside wall
+function featureOutlines(pool) {
+  const basin = infinityEdgeLayout(pool)?.basin.outline;
+  const spa = spaLayout(pool);
+  return [
+    ...(basin ? [basin] : []),
+    ...(spa ? [circle(spa.center, spa.radius + SPA_WALL_FT / 2)] : [])
+  ];
+}
+
+// Holes the yard's ground needs so the water shows: inside the coping, the
+// catch basin and the spa - skipping any that run into one already cut
+function groundOpenings(pool) {
+  const plan = outlinePolygon(getPoolOutline(pool));
+  const basin = infinityEdgeLayout(pool)?.basin.outline;
+  const spa = spaLayout(pool);
+  const openings = [offsetPolygon(plan, COPING_WIDTH_FT)];
+
+  [basin, spa && circle(spa.center, spa.radius)].filter(Boolean).forEach(opening => {
+    if (openings.every(other => shapeDistance(opening, other).distance > 0)) openings.push(opening);
+  });
+  return openings;
+}
+
+export {
+  DEFAULT_SPA,
+  SPA_WALL_FT,
+  WEIR_WALL_FT,
+  hasVanishingEdge,
+  weirEdges,
+  infinityEdgeLayout,
+  spaLayout,
+  featureOutlines,
+  groundOpenings
+};
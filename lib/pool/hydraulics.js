@@ -0,0 +1,175 @@
+// lib/pool/hydraulics.js
+// Sizes the equipment that keeps the water moving and warm: gallons from the
+// pool's outline and depth profile (plus the spillover spa, which shares the
+// pool's water), the flow that turns it all over in the target time - or
+// keeps the spillway running, if that takes more - and the pump, pipe, filter
+// and heater for that flow. A vanishing edge and the spa's jets each get a
+// pump of their own (features.js lays them out). Residential rules of thumb -
+// good for a proposal and a price, not a substitute for the hydraulic
+// engineer's head-loss calculation.
+//
+//   pool.turnoverHours - hours to pass every gallon through the filter once
+//   pool.heatRiseF     - degrees the heater has to hold over the air
+//   pool.heater        - 'heatPump' | 'gas' picks the heater range
+
+import { poolMetrics } from './catalog';
+import { infinityEdgeLayout, spaLayout } from './features';
+
+const GALLONS_PER_CU_FT = 7.48;
+const BTU_PER_GALLON_PER_F = 8.34;
+
+const DEFAULT_TURNOVER_HOURS = 8;
+const DEFAULT_HEAT_RISE_F = 20;
+// Time to bring a cold pool up by the full rise
+const HEAT_UP_HOURS = 24;
+// Surface loss in BTU/hr per sq ft per degree of rise, at a light breeze
+const SURFACE_LOSS_BTU = 12;
+
+// Total dynamic head assumed for a typical pad 30-50ft from the pool
+const DYNAMIC_HEAD_FT = 50;
+// The edge pump only lifts from the catch basin; spa jets push against their nozzles
+const EDGE_HEAD_FT = 35;
+const SPA_HEAD_FT = 60;
+const PUMP_EFFICIENCY = 0.55;
+const PUMP_SIZES_HP = [1, 1.5, 2, 2.5, 3, 5];
+
+// Suction pipe kept under 6 ft/s - the largest flow each schedule 40 size carries
+const PIPE_SIZES = [
+  { inches: 1.5, maxGpm: 38 },
+  { inches: 2, maxGpm: 63 },
+  { inches: 2.5, maxGpm: 90 },
+  { inches: 3, maxGpm: 138 },
+  { inches: 4, maxGpm: 238 }
+];
+
+// Cartridge filters are rated at 0.375 GPM per sq ft of media
+const FILTER_GPM_PER_SQ_FT = 0.375;
+const FILTER_SIZES_SQ_FT = [100, 150, 200, 250, 300, 400, 525];
+
+// A continuous 1/4in sheet over a weir or spillway
+const WEIR_GPM_PER_FT = 8;
+const SPILLWAY_GPM_PER_FT = 15;
+// Spa jets: one every 2.5ft of wall, at 12 GPM each
+const JET_SPACING_FT = 2.5;
+const JET_GPM = 12;
+
+const HEATER_SIZES_BTU = {
+  gas: [150000, 200000, 250000, 300000, 400000],
+  heatPump: [50000, 75000, 100000, 125000, 140000]
+};
+
+// The sizes a catalog equipment item can be priced by (`item.sizedBy`)
+const HYDRAULIC_SIZES = {
+  pumpHp: 'pump horsepower',
+  filterSqFt: 'filter area',
+  edgePumpHp: 'vanishing edge pump horsepower',
+  spaPumpHp: 'spa jet pump horsepower'
+};
+
+// Smallest standard size that covers `required`, or as many of the largest as it takes
+function pickSize(sizes, required) {
+  const size = sizes.find(candidate => candidate >= required);
+  if (size) return { size, count: 1 };
+  const largest = sizes[sizes.length - 1];
+  return { size: largest, count: Math.ceil(required / largest) };
+}
+
+// Water horsepower over the pump's wire-to-water efficiency, in standard sizes
+function pumpSize(flowGpm, headFt) {
+  const pump = pickSize(PUMP_SIZES_HP, (flowGpm * headFt) / (3960 * PUMP_EFFICIENCY));
+  return pump.size * pump.count;
+}
+
+function spaHydraulics(layout) {
+  const areaSqFt = Math.PI * layout.radius ** 2;
+  const jets = Math.max(4, Math.round((2 * Math.PI * layout.radius) / JET_SPACING_FT));
+  return {
+    areaSqFt,
+    gallons: areaSqFt * layout.depth * GALLONS_PER_CU_FT,
+    spillwayGpm: layout.spillway.width * SPILLWAY_GPM_PER_FT,
+    jets,
+    jetsGpm: jets * JET_GPM
+  };
+}
+
+/**
+ * Volume, flow and equipment sizes for a pool.
+ * @param {Object} pool - designData.pool
+ * @returns {{ gallons: number, poolGallons: number, spaGallons: number, surfaceSqFt: number,
+ *   turnoverHours: number, turnoverGpm: number, flowGpm: number, pumpHp: number, pipeSizeIn: number,
+ *   filterSqFt: number, edgePumpHp: number, spaPumpHp: number,
+ *   infinityEdge: { weirFt: number, flowGpm: number, basinGallons: number, requiredGallons: number } | null,
+ *   spa: { gallons: number, spillwayGpm: number, jets: number, jetsGpm: number } | null,
+ *   heater: { type: string, riseF: number, requiredBtu: number, btuPerHour: number, count: number } }}
+ */
+function poolHydraulics(pool) {
+  const metrics = poolMetrics(pool);
+  const spaPlan = spaLayout(pool);
+  const edge = infinityEdgeLayout(pool);
+  const spa = spaPlan && spaHydraulics(spaPlan);
+
+  const poolGallons = metrics.volumeCuFt * GALLONS_PER_CU_FT;
+  const spaGallons = spa ? spa.gallons : 0;
+  const gallons = poolGallons + spaGallons;
+  const surfaceSqFt = metrics.areaSqFt + (spa ? spa.areaSqFt : 0);
+
+  const turnoverHours = pool.turnoverHours || DEFAULT_TURNOVER_HOURS;
+  const turnoverGpm = gallons / (turnoverHours * 60);
+  // The filter pump feeds the spa, so it has to keep the spillway running too
+  const flowGpm = Math.max(turnoverGpm, spa ? spa.spillwayGpm : 0);
+  const weirGpm = edge ? edge.weirFt * WEIR_GPM_PER_FT : 0;
+
+  const pipe = PIPE_SIZES.find(candidate => candidate.maxGpm >= flowGpm) || PIPE_SIZES[PIPE_SIZES.length - 1];
+
+  // Big enough to heat the pool up in a day, and to hold it against surface loss
+  const riseF = pool.heatRiseF || DEFAULT_HEAT_RISE_F;
+  const heaterType = pool.heater === 'heatPump' ? 'heatPump' : 'gas';
+  const requiredBtu = Math.max(
+    (gallons * BTU_PER_GALLON_PER_F * riseF) / HEAT_UP_HOURS,
+    surfaceSqFt * riseF * SURFACE_LOSS_BTU
+  );
+  const heater = pickSize(HEATER_SIZES_BTU[heaterType], requiredBtu);
+  const filter = pickSize(FILTER_SIZES_SQ_FT, flowGpm / FILTER_GPM_PER_SQ_FT);
+
+  return {
+    gallons: Math.round(gallons),
+    poolGallons: Math.round(poolGallons),
+    spaGallons: Math.round(spaGallons),
+    surfaceSqFt: Math.round(surfaceSqFt),
+    turnoverHours,
+    turnoverGpm: Math.round(turnoverGpm * 10) / 10,
+    flowGpm: Math.round(flowGpm * 10) / 10,
+    pumpHp: pumpSize(flowGpm, DYNAMIC_HEAD_FT),
+    pipeSizeIn: pipe.inches,
+    filterSqFt: filter.size * filter.count,
+    edgePumpHp: edge ? pumpSize(weirGpm, EDGE_HEAD_FT) : 0,
+    spaPumpHp: spa ? pumpSize(spa.jetsGpm, SPA_HEAD_FT) : 0,
+    infinityEdge: edge && {
+      weirFt: Math.round(edge.weirFt * 10) / 10,
+      flowGpm: Math.round(weirGpm),
+      basinGallons: Math.round(edge.basin.volumeCuFt * GALLONS_PER_CU_FT),
+      requiredGallons: Math.round(edge.basin.requiredCuFt * GALLONS_PER_CU_FT)
+    },
+    spa: spa && {
+      gallons: Math.round(spa.gallons),
+      spillwayGpm: Math.round(spa.spillwayGpm),
+      jets: spa.jets,
+      jetsGpm: spa.jetsGpm
+    },
+    heater: {
+      type: heaterType,
+      riseF,
+      requiredBtu: Math.round(requiredBtu),
+      btuPerHour: heater.size,
+      count: heater.count
+    }
+  };
+}
+
+export {
+  GALLONS_PER_CU_FT,
+  DEFAULT_TURNOVER_HOURS,
+  DEFAULT_HEAT_RISE_F,
+  HYDRAULIC_SIZES,
+  poolHydraulics
+};
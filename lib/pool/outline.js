@@ -0,0 +1,186 @@
+// lib/pool/outline.js
+// A pool's plan shape as a closed 2D outline, in feet relative to the pool's
+// position (x east, z south). The same outline builds the shell, the water
+// surface and the coping, fills the compliance footprint and prices the pool.
+//
+// A design can carry its own `pool.outline = { points, smooth }` - control
+// points the user dragged. Without one the outline comes from the shape preset
+// stretched to the pool's length and width. Smooth outlines run a closed
+// Catmull-Rom curve through their control points; the rest are polygons.
+
+import { polygonArea, segmentIntersection } from '../geo';
+
+// Curve samples between two control points of a smooth outline
+const SAMPLES_PER_SPAN = 12;
+// The coping ring runs this far past the water all round
+const COPING_WIDTH_FT = 0.5;
+
+// Preset control points in half-lengths/half-widths: x runs -1..1 along the
+// pool's length, z -1..1 across its width
+const SHAPE_PRESETS = {
+  rectangle: { smooth: false, points: [[-1, -1], [1, -1], [1, 1], [-1, 1]] },
+  infinity: { smooth: false, points: [[-1, -1], [1, -1], [1, 1], [-1, 1]] },
+  // Long and narrow: nearly twice the length at 60% of the width
+  lap: { smooth: false, points: [[-1.8, -0.6], [1.8, -0.6], [1.8, 0.6], [-1.8, 0.6]] },
+  // The full length x width with a 40% x 50% notch out of one corner
+  lShaped: { smooth: false, points: [[-1, 0], [-0.2, 0], [-0.2, -1], [1, -1], [1, 1], [-1, 1]] },
+  kidney: {
+    smooth: true,
+    points: [[-1, 0], [-0.7, -0.9], [0, -1], [0.7, -0.9], [1, 0], [0.7, 0.9], [0.25, 0.85], [0, 0.45], [-0.25, 0.85], [-0.7, 0.9]]
+  },
+  lagoon: {
+    smooth: true,
+    points: [[-1, -0.2], [-0.6, -0.9], [0.1, -0.7], [0.6, -1], [1, -0.3], [0.8, 0.6], [0.2, 0.9], [-0.5, 0.8]]
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Preset outline for a shape at a given [length, width, depth] size
+function defaultOutline(shape, size) {
+  const preset = SHAPE_PRESETS[shape] || SHAPE_PRESETS.rectangle;
+  const [halfLength, halfWidth] = [size[0] / 2, size[1] / 2];
+  return {
+    smooth: preset.smooth,
+    points: preset.points.map(([x, z]) => [round(x * halfLength), round(z * halfWidth)])
+  };
+}
+
+// The pool's own outline, or its shape preset
+function getPoolOutline(pool) {
+  return pool.outline || defaultOutline(pool.shape, pool.size);
+}
+
+// Stretch an edited outline when the length/width sliders move, so the
+// user's edits survive a resize
+function scaleOutline(outline, fromSize, toSize) {
+  const [scaleX, scaleZ] = [toSize[0] / fromSize[0], toSize[1] / fromSize[1]];
+  return { ...outline, points: outline.points.map(([x, z]) => [round(x * scaleX), round(z * scaleZ)]) };
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return [0, 1].map(axis => 0.5 * (
+    2 * p1[axis]
+    + (p2[axis] - p0[axis]) * t
+    + (2 * p0[axis] - 5 * p1[axis] + 4 * p2[axis] - p3[axis]) * t2
+    + (3 * p1[axis] - p0[axis] - 3 * p2[axis] + p3[axis]) * t3
+  ));
+}
+
+// The outline as a polygon: control points as-is, or sampled along the curve
+function outlinePolygon(outline) {
+  const { points } = outline;
+  if (!outline.smooth || points.length < 3) return points;
+
+  const count = points.length;
+  const polygon = [];
+  for (let i = 0; i < count; i++) {
+    const [p0, p1, p2, p3] = [-1, 0, 1, 2].map(step => points[(i + step + count) % count]);
+    for (let sample = 0; sample < SAMPLES_PER_SPAN; sample++) {
+      polygon.push(catmullRom(p0, p1, p2, p3, sample / SAMPLES_PER_SPAN));
+    }
+  }
+  return polygon;
+}
+
+function signedArea(polygon) {
+  let twiceArea = 0;
+  polygon.forEach(([x1, z1], i) => {
+    const [x2, z2] = polygon[(i + 1) % polygon.length];
+    twiceArea += x1 * z2 - x2 * z1;
+  });
+  return twiceArea / 2;
+}
+
+function perimeterOf(polygon) {
+  return polygon.reduce((sum, [x1, z1], i) => {
+    const [x2, z2] = polygon[(i + 1) % polygon.length];
+    return sum + Math.hypot(x2 - x1, z2 - z1);
+  }, 0);
+}
+
+// Grow (or shrink, with a negative distance) a polygon by pushing every edge
+// out along its normal. Sharp corners are mitred, capped so a spike can't
+// run off.
+function offsetPolygon(polygon, distance) {
+  const orientation = signedArea(polygon) > 0 ? 1 : -1;
+  const normals = polygon.map(([x1, z1], i) => {
+    const [x2, z2] = polygon[(i + 1) % polygon.length];
+    const length = Math.hypot(x2 - x1, z2 - z1) || 1;
+    return [((z2 - z1) / length) * orientation, (-(x2 - x1) / length) * orientation];
+  });
+
+  return polygon.map(([x, z], i) => {
+    const before = normals[(i - 1 + polygon.length) % polygon.length];
+    const after = normals[i];
+    const miter = [before[0] + after[0], before[1] + after[1]];
+    const miterLength = Math.hypot(...miter);
+    if (miterLength < 1e-6) return [x + after[0] * distance, z + after[1] * distance];
+    // Along the bisector, 1/cos(half the turn) keeps both edges `distance` away
+    const reach = Math.sign(distance) * Math.min((2 * Math.abs(distance)) / miterLength, Math.abs(distance) * 3);
+    return [x + (miter[0] / miterLength) * reach, z + (miter[1] / miterLength) * reach];
+  });
+}
+
+// An outline can be built when it has three or more points and its edges
+// don't cross each other - a dragged point can fold it into a bow tie
+function isValidOutline(outline) {
+  if (!outline || !Array.isArray(outline.points) || outline.points.length < 3) return false;
+  if (!outline.points.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) return false;
+
+  const polygon = outlinePolygon(outline);
+  const edges = polygon.map((point, i) => [point, polygon[(i + 1) % polygon.length]]);
+  for (let i = 0; i < edges.length; i++) {
+    // Neighbouring edges share a corner - skip them
+    for (let j = i + 2; j < edges.length; j++) {
+      if (i === 0 && j === edges.length - 1) continue;
+      if (segmentIntersection(edges[i], edges[j])) return false;
+    }
+  }
+  return polygonArea(polygon) > 0;
+}
+
+// Plan polygon of the pool in scene feet (the outline moved to pool.position)
+function poolPlan(pool) {
+  const [px, , pz] = pool.position || [0, 0, 0];
+  return outlinePolygon(getPoolOutline(pool)).map(([x, z]) => [x + px, z + pz]);
+}
+
+function outlineBounds(polygon) {
+  const xs = polygon.map(point => point[0]);
+  const zs = polygon.map(point => point[1]);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+}
+
+// Plan area, edge length, interior surface and water volume, all from the outline
+function outlineMetrics(pool) {
+  const polygon = outlinePolygon(getPoolOutline(pool));
+  const depth = pool.size[2];
+  const areaSqFt = polygonArea(polygon);
+  const perimeterFt = perimeterOf(polygon);
+
+  return {
+    areaSqFt,
+    perimeterFt,
+    surfaceSqFt: areaSqFt + perimeterFt * depth,
+    volumeCuFt: areaSqFt * depth
+  };
+}
+
+export {
+  COPING_WIDTH_FT,
+  SHAPE_PRESETS,
+  defaultOutline,
+  getPoolOutline,
+  scaleOutline,
+  isValidOutline,
+  outlinePolygon,
+  offsetPolygon,
+  outlineBounds,
+  signedArea,
+  perimeterOf,
+  poolPlan,
+  outlineMetrics
+};
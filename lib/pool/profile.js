@@ -0,0 +1,212 @@
+// lib/pool/profile.js
+// What's under the water: the floor's depth profile, entry steps and benches
+// along the wall, and a sun shelf. All of it is laid out on the pool's plan
+// outline (outline.js), with the shallow end at the west (-x) end:
+//
+//   pool.profile  = { shallowDepth, breakPoint, hopperSlope }
+//                   flat at shallowDepth until breakPoint (0..1 of the length),
+//                   then dropping 1ft per hopperSlope ft to the deep end at
+//                   pool.size[2]. No profile means a flat floor at size[2].
+//   pool.steps    = [{ id, type: 'steps' | 'bench', at, width }]
+//                   `at` is 0..1 of the way round the wall from its first point
+//   pool.sunShelf = { depth, length } - the first `length` ft of the shallow
+//                   end raised to `depth`
+
+import { getPoolOutline, outlinePolygon, outlineBounds, outlineMetrics, signedArea, perimeterOf } from './outline';
+
+const DEFAULT_PROFILE = { shallowDepth: 3.5, breakPoint: 0.4, hopperSlope: 3 };
+const DEFAULT_SUN_SHELF = { depth: 0.75, length: 6 };
+
+const STEP_TYPES = {
+  steps: { label: 'Entry steps', width: 6 },
+  bench: { label: 'Bench', width: 8 }
+};
+// Treads run 1ft into the pool; risers stay at or under 1ft
+const TREAD_FT = 1;
+// Benches are a 1.5ft-deep seat, 1.5ft under the water
+const BENCH_SEAT_FT = 1.5;
+const BENCH_DEPTH_FT = 1.5;
+// Column width when integrating the volume under a sloped floor
+const SLICE_FT = 0.25;
+
+// Depth of the floor itself at plan x (pool-relative), ignoring the sun shelf
+function floorDepthAt(pool, bounds, x) {
+  const deep = pool.size[2];
+  const { profile } = pool;
+  if (!profile) return deep;
+
+  const shallow = Math.min(profile.shallowDepth, deep);
+  const breakX = bounds.minX + profile.breakPoint * (bounds.maxX - bounds.minX);
+  if (x <= breakX) return shallow;
+  return Math.min(deep, shallow + (x - breakX) / profile.hopperSlope);
+}
+
+// Water depth at plan x, sun shelf included
+function depthAt(pool, bounds, x) {
+  const { sunShelf } = pool;
+  if (sunShelf && x < bounds.minX + sunShelf.length) return Math.min(sunShelf.depth, floorDepthAt(pool, bounds, x));
+  return floorDepthAt(pool, bounds, x);
+}
+
+// Plan x values where the floor changes slope, inside the pool
+function floorBreaks(pool, bounds) {
+  const { profile } = pool;
+  if (!profile) return [];
+  const shallow = Math.min(profile.shallowDepth, pool.size[2]);
+  const breakX = bounds.minX + profile.breakPoint * (bounds.maxX - bounds.minX);
+  const hopperEndX = breakX + (pool.size[2] - shallow) * profile.hopperSlope;
+  return [breakX, hopperEndX].filter(x => x > bounds.minX && x < bounds.maxX);
+}
+
+// Keep the part of a polygon between two x values (Sutherland-Hodgman, twice)
+function clipPolygonX(polygon, fromX, toX) {
+  const clip = (points, inside, edgeX) => {
+    const result = [];
+    points.forEach((point, i) => {
+      const next = points[(i + 1) % points.length];
+      const [pointIn, nextIn] = [inside(point[0]), inside(next[0])];
+      if (pointIn) result.push(point);
+      if (pointIn !== nextIn) {
+        const t = (edgeX - point[0]) / (next[0] - point[0]);
+        result.push([edgeX, point[1] + t * (next[1] - point[1])]);
+      }
+    });
+    return result;
+  };
+  const left = clip(polygon, x => x >= fromX, fromX);
+  return left.length ? clip(left, x => x <= toX, toX) : [];
+}
+
+// Total width of the pool along the north-south line at plan x
+function widthAt(polygon, x) {
+  const crossings = [];
+  polygon.forEach(([x1, z1], i) => {
+    const [x2, z2] = polygon[(i + 1) % polygon.length];
+    if ((x1 <= x) !== (x2 <= x)) crossings.push(z1 + ((x - x1) / (x2 - x1)) * (z2 - z1));
+  });
+  crossings.sort((a, b) => a - b);
+  let width = 0;
+  for (let i = 0; i + 1 < crossings.length; i += 2) width += crossings[i + 1] - crossings[i];
+  return width;
+}
+
+// Wall edges, split wherever the floor below them changes slope
+function wallSegments(polygon, breaks) {
+  const segments = [];
+  polygon.forEach((start, i) => {
+    const end = polygon[(i + 1) % polygon.length];
+    const cuts = breaks
+      .filter(x => (x - start[0]) * (x - end[0]) < 0)
+      .map(x => (x - start[0]) / (end[0] - start[0]))
+      .sort((a, b) => a - b);
+    let from = start;
+    [...cuts, 1].forEach(t => {
+      const to = [start[0] + t * (end[0] - start[0]), start[1] + t * (end[1] - start[1])];
+      segments.push([from, to]);
+      from = to;
+    });
+  });
+  return segments;
+}
+
+// A point `at` (0..1) of the way round the wall, with the unit normal pointing into the water
+function pointOnWall(polygon, at) {
+  const orientation = signedArea(polygon) > 0 ? 1 : -1;
+  let remaining = (((at % 1) + 1) % 1) * perimeterOf(polygon);
+
+  for (let i = 0; i < polygon.length; i++) {
+    const [x1, z1] = polygon[i];
+    const [x2, z2] = polygon[(i + 1) % polygon.length];
+    const length = Math.hypot(x2 - x1, z2 - z1);
+    if (length === 0) continue;
+    if (remaining <= length || i === polygon.length - 1) {
+      const t = Math.min(remaining / length, 1);
+      const inward = [(-(z2 - z1) / length) * orientation, ((x2 - x1) / length) * orientation];
+      return { point: [x1 + t * (x2 - x1), z1 + t * (z2 - z1)], inward };
+    }
+    remaining -= length;
+  }
+  return { point: polygon[0], inward: [1, 0] };
+}
+
+/**
+ * Blocks that make up each step or bench, for the renderer.
+ * @returns {Array<{ id, type, position: number[], angle: number, width: number,
+ *   blocks: Array<{ from: number, to: number, top: number, bottom: number }> }>}
+ *   position is [x, z] on the wall (pool-relative); angle is the three.js
+ *   rotation.y that turns local +z into the pool; blocks span from/to ft inward.
+ */
+function stepLayouts(pool) {
+  const polygon = outlinePolygon(getPoolOutline(pool));
+  const bounds = outlineBounds(polygon);
+
+  return (pool.steps || []).map(step => {
+    const { point, inward } = pointOnWall(polygon, step.at);
+    const depth = depthAt(pool, bounds, point[0]);
+    let blocks;
+    if (step.type === 'bench') {
+      blocks = depth > BENCH_DEPTH_FT ? [{ from: 0, to: BENCH_SEAT_FT, top: -BENCH_DEPTH_FT, bottom: -depth }] : [];
+    } else {
+      const treads = Math.max(2, Math.ceil(depth) - 1);
+      const riser = depth / (treads + 1);
+      blocks = Array.from({ length: treads }, (_, index) => ({
+        from: index * TREAD_FT,
+        to: (index + 1) * TREAD_FT,
+        top: -(index + 1) * riser,
+        bottom: -depth
+      }));
+    }
+    return {
+      id: step.id,
+      type: step.type,
+      position: point,
+      angle: Math.atan2(inward[0], inward[1]),
+      width: step.width,
+      blocks
+    };
+  });
+}
+
+// The part of the plan the sun shelf covers, or null
+function sunShelfOutline(pool) {
+  if (!pool.sunShelf) return null;
+  const polygon = outlinePolygon(getPoolOutline(pool));
+  const bounds = outlineBounds(polygon);
+  const shelf = clipPolygonX(polygon, bounds.minX, bounds.minX + pool.sunShelf.length);
+  return shelf.length >= 3 ? shelf : null;
+}
+
+// Plan area, edge length, interior surface (floor plus walls) and water volume
+function profileMetrics(pool) {
+  const flat = outlineMetrics(pool);
+  if (!pool.profile && !pool.sunShelf) return flat;
+
+  const polygon = outlinePolygon(getPoolOutline(pool));
+  const bounds = outlineBounds(polygon);
+
+  let volumeCuFt = 0;
+  for (let x = bounds.minX + SLICE_FT / 2; x < bounds.maxX; x += SLICE_FT) {
+    volumeCuFt += widthAt(polygon, x) * depthAt(pool, bounds, x) * SLICE_FT;
+  }
+  const wallSqFt = wallSegments(polygon, floorBreaks(pool, bounds)).reduce((sum, [from, to]) => (
+    sum + Math.hypot(to[0] - from[0], to[1] - from[1])
+      * (floorDepthAt(pool, bounds, from[0]) + floorDepthAt(pool, bounds, to[0])) / 2
+  ), 0);
+
+  return { ...flat, surfaceSqFt: flat.areaSqFt + wallSqFt, volumeCuFt };
+}
+
+export {
+  DEFAULT_PROFILE,
+  DEFAULT_SUN_SHELF,
+  STEP_TYPES,
+  floorDepthAt,
+  depthAt,
+  floorBreaks,
+  clipPolygonX,
+  wallSegments,
+  pointOnWall,
+  stepLayouts,
+  sunShelfOutline,
+  profileMetrics
+};
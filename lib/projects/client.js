@@ -0,0 +1,85 @@
+// lib/projects/client.js
+// Browser helpers for the /api/projects routes
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.errors = data.errors || [];
+    throw error;
+  }
+
+  return data;
+}
+
+function jsonRequest(method, body) {
+  return {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
+
+async function listProjects() {
+  const { projects } = await requestJson('/api/projects');
+  return projects;
+}
+
+async function fetchProject(projectId) {
+  const { project } = await requestJson(`/api/projects/${encodeURIComponent(projectId)}`);
+  return project;
+}
+
+async function createProject({ name, document }) {
+  const { project } = await requestJson('/api/projects', jsonRequest('POST', { name, document }));
+  return project;
+}
+
+// Pass the version the design was loaded at; a newer save elsewhere rejects with status 409
+async function saveProject(projectId, { name, document, version }) {
+  const { project } = await requestJson(
+    `/api/projects/${encodeURIComponent(projectId)}`,
+    jsonRequest('PUT', { name, document, version })
+  );
+  return project;
+}
+
+async function deleteProject(projectId) {
+  await requestJson(`/api/projects/${encodeURIComponent(projectId)}`, { method: 'DELETE' });
+}
+
+async function createRevision(projectId, name) {
+  const { revision } = await requestJson(
+    `/api/projects/${encodeURIComponent(projectId)}/revisions`,
+    jsonRequest('POST', { name })
+  );
+  return revision;
+}
+
+async function fetchRevision(projectId, revisionId) {
+  const { revision } = await requestJson(
+    `/api/projects/${encodeURIComponent(projectId)}/revisions/${encodeURIComponent(revisionId)}`
+  );
+  return revision;
+}
+
+async function deleteRevision(projectId, revisionId) {
+  await requestJson(
+    `/api/projects/${encodeURIComponent(projectId)}/revisions/${encodeURIComponent(revisionId)}`,
+    { method: 'DELETE' }
+  );
+}
+
+export {
+  listProjects,
+  fetchProject,
+  createProject,
+  saveProject,
+  deleteProject,
+  createRevision,
+  fetchRevision,
+  deleteRevision
+};
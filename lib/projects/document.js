@@ -0,0 +1,83 @@
+// lib/projects/document.js
+// The design document a project saves: everything needed to reopen the design
+// step without re-running the analysis. Shared by the API and the browser.
+//
+//   { schemaVersion, address, design, hardscapeElements, landscapeElements,
+//     utilityLines, timeOfDay, analysis }
+
+import { isValidOutline } from '../pool/outline';
+
+const DESIGN_DOCUMENT_VERSION = 1;
+
+const TIMES_OF_DAY = ['sunrise', 'morning', 'noon', 'afternoon', 'sunset', 'evening', 'night'];
+
+function createDesignDocument({
+  address,
+  designData,
+  hardscapeElements = [],
+  landscapeElements = [],
+  utilityLines = [],
+  timeOfDay = 'sunset',
+  aiResults = null
+}) {
+  return {
+    schemaVersion: DESIGN_DOCUMENT_VERSION,
+    address: address || aiResults?.address || '',
+    design: designData,
+    hardscapeElements,
+    landscapeElements,
+    utilityLines,
+    timeOfDay,
+    analysis: aiResults
+  };
+}
+
+function isPosition(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function validateElements(elements, label, errors) {
+  if (!Array.isArray(elements)) {
+    errors.push(`${label} must be a list`);
+    return;
+  }
+  elements.forEach((element, index) => {
+    if (!element?.type || !isPosition(element.position)) {
+      errors.push(`${label} ${index + 1} needs a type and an [x, y, z] position`);
+    }
+  });
+}
+
+// Returns a list of problems; empty when the document can be saved
+function validateDesignDocument(document) {
+  const errors = [];
+
+  if (!document || typeof document !== 'object') {
+    return ['Design document is required'];
+  }
+  if (document.schemaVersion !== DESIGN_DOCUMENT_VERSION) {
+    errors.push(`Unsupported design document version ${document.schemaVersion}`);
+  }
+
+  const pool = document.design?.pool;
+  if (!pool || !isPosition(pool.position) || !Array.isArray(pool.size) || !pool.size.every(Number.isFinite)) {
+    errors.push('design.pool needs a position and a [length, width, depth] size');
+  }
+  if (pool?.outline !== undefined && !isValidOutline(pool.outline)) {
+    errors.push('design.pool.outline needs three or more [x, z] points with no crossing edges');
+  }
+
+  validateElements(document.hardscapeElements, 'Hardscape element', errors);
+  validateElements(document.landscapeElements, 'Landscape element', errors);
+
+  if (document.utilityLines !== undefined && !Array.isArray(document.utilityLines)) {
+    errors.push('utilityLines must be a list');
+  }
+  if (!TIMES_OF_DAY.includes(document.timeOfDay)) {
+    errors.push(`Unknown time of day "${document.timeOfDay}"`);
+  }
+
+  return errors;
+}
+
+export { DESIGN_DOCUMENT_VERSION, createDesignDocument, validateDesignDocument };
@@ -0,0 +1,201 @@
+// lib/projects/store.js
+// Saved design projects, one JSON file per project under PROJECTS_DIR
+// (default .data/projects). Server-side only.
+//
+//   { id, name, address, version, createdAt, updatedAt, document,
+//     revisions: [{ id, name, createdAt, document }] }
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { validateDesignDocument } from './document';
+
+// Writes per project run one at a time so version checks can't race
+const writing = new Map();
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function projectsDir(env) {
+  return env.PROJECTS_DIR || path.join(process.cwd(), '.data', 'projects');
+}
+
+function httpError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+// Ids come straight from the URL - only ever read files we named ourselves
+function projectPath(id, env) {
+  if (!ID_PATTERN.test(id || '')) throw httpError(404, 'Project not found');
+  return path.join(projectsDir(env), `${id}.json`);
+}
+
+// Names are optional on projects, but not some other type
+function checkName(name) {
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    throw httpError(400, 'Project name must be a string');
+  }
+}
+
+function checkDocument(document) {
+  const errors = validateDesignDocument(document);
+  if (errors.length > 0) throw httpError(400, 'Design document is invalid', errors);
+}
+
+async function readProject(id, env) {
+  try {
+    return JSON.parse(await fs.readFile(projectPath(id, env), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw httpError(404, 'Project not found');
+    throw error;
+  }
+}
+
+async function writeProject(project, env) {
+  const filePath = projectPath(project.id, env);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(project, null, 2)}\n`);
+  await fs.rename(tempPath, filePath);
+  return project;
+}
+
+function summarize(project) {
+  return {
+    id: project.id,
+    name: project.name,
+    address: project.address,
+    version: project.version,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    revisionCount: project.revisions.length
+  };
+}
+
+function summarizeRevision(revision) {
+  return { id: revision.id, name: revision.name, createdAt: revision.createdAt };
+}
+
+// Read-modify-write under the per-project queue. `change` returns the new project.
+function updateProjectFile(id, change, env) {
+  const result = (writing.get(id) || Promise.resolve())
+    .then(async () => writeProject(await change(await readProject(id, env)), env));
+  writing.set(id, result.catch(() => {}));
+  return result;
+}
+
+async function listProjects({ env = process.env } = {}) {
+  let names;
+  try {
+    names = await fs.readdir(projectsDir(env));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const projects = await Promise.all(names
+    .filter(name => name.endsWith('.json'))
+    .map(name => readProject(name.replace(/\.json$/, ''), env).catch(() => null)));
+
+  return projects
+    .filter(Boolean)
+    .map(summarize)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function getProject(id, { env = process.env } = {}) {
+  return readProject(id, env);
+}
+
+async function createProject({ name, document }, { env = process.env } = {}) {
+  checkName(name);
+  checkDocument(document);
+  const now = new Date().toISOString();
+  return writeProject({
+    id: randomUUID(),
+    name: name?.trim() || document.address || 'Untitled design',
+    address: document.address,
+    version: 1,
+    createdAt: now,
+    updatedAt: now,
+    document,
+    revisions: []
+  }, env);
+}
+
+// `version`, when given, must match the saved project - a stale tab gets a 409
+// instead of overwriting newer work. Only document changes bump the version, so
+// renaming from the projects list doesn't conflict with an editor that's open.
+function updateProject(id, { name, document, version }, { env = process.env } = {}) {
+  checkName(name);
+  if (document !== undefined) checkDocument(document);
+
+  return updateProjectFile(id, project => {
+    if (version !== undefined && version !== project.version) {
+      throw httpError(409, `Project was saved elsewhere (now version ${project.version})`);
+    }
+    return {
+      ...project,
+      name: name?.trim() || project.name,
+      address: document?.address ?? project.address,
+      document: document ?? project.document,
+      version: document === undefined ? project.version : project.version + 1,
+      updatedAt: new Date().toISOString()
+    };
+  }, env);
+}
+
+async function deleteProject(id, { env = process.env } = {}) {
+  try {
+    await fs.unlink(projectPath(id, env));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw httpError(404, 'Project not found');
+    throw error;
+  }
+}
+
+// Snapshot the current design as a named option ("Option A")
+async function createRevision(id, { name }, { env = process.env } = {}) {
+  if (typeof name !== 'string' || !name.trim()) throw httpError(400, 'Revision name is required');
+
+  let created;
+  await updateProjectFile(id, project => {
+    if (project.revisions.some(revision => revision.name === name.trim())) {
+      throw httpError(409, `A revision named "${name.trim()}" already exists`);
+    }
+    created = { id: randomUUID(), name: name.trim(), createdAt: new Date().toISOString(), document: project.document };
+    return { ...project, revisions: [...project.revisions, created] };
+  }, env);
+  return created;
+}
+
+async function getRevision(id, revisionId, { env = process.env } = {}) {
+  const project = await readProject(id, env);
+  const revision = project.revisions.find(candidate => candidate.id === revisionId);
+  if (!revision) throw httpError(404, 'Revision not found');
+  return revision;
+}
+
+async function deleteRevision(id, revisionId, { env = process.env } = {}) {
+  await updateProjectFile(id, project => {
+    if (!project.revisions.some(revision => revision.id === revisionId)) {
+      throw httpError(404, 'Revision not found');
+    }
+    return { ...project, revisions: project.revisions.filter(revision => revision.id !== revisionId) };
+  }, env);
+}
+
+export {
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  createRevision,
+  getRevision,
+  deleteRevision,
+  summarize,
+  summarizeRevision
+};
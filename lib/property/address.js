@@ -0,0 +1,71 @@
+// lib/property/address.js
+// Address normalization so "123 Main Street, Atlanta GA" and "123 MAIN ST ATLANTA, GA"
+// hit the same parcel record and the same cache entry.
+
+const ABBREVIATIONS = {
+  STREET: 'ST',
+  AVENUE: 'AVE',
+  ROAD: 'RD',
+  DRIVE: 'DR',
+  LANE: 'LN',
+  BOULEVARD: 'BLVD',
+  COURT: 'CT',
+  CIRCLE: 'CIR',
+  PLACE: 'PL',
+  PARKWAY: 'PKWY',
+  HIGHWAY: 'HWY',
+  TERRACE: 'TER',
+  TRAIL: 'TRL',
+  NORTH: 'N',
+  SOUTH: 'S',
+  EAST: 'E',
+  WEST: 'W',
+  NORTHEAST: 'NE',
+  NORTHWEST: 'NW',
+  SOUTHEAST: 'SE',
+  SOUTHWEST: 'SW',
+  APARTMENT: 'APT',
+  SUITE: 'STE'
+};
+
+function normalizeAddress(address) {
+  return String(address || '')
+    .toUpperCase()
+    .replace(/[.#]/g, '')
+    .replace(/,?\s*(USA|UNITED STATES)\s*$/, '')
+    .split(',')
+    .map(part => part
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => ABBREVIATIONS[word] || word)
+      .join(' '))
+    .filter(Boolean)
+    .join(', ');
+}
+
+// First comma segment - "123 MAIN ST"
+function streetLine(normalizedAddress) {
+  return normalizedAddress.split(',')[0].trim();
+}
+
+// "123 MAIN ST, ATLANTA, GA 30309" -> { city: 'ATLANTA', state: 'GA', zip: '30309' }
+// Any part that can't be found is undefined.
+function parseAddressParts(normalizedAddress) {
+  const segments = normalizedAddress.split(',').map(part => part.trim()).filter(Boolean);
+  const last = segments[segments.length - 1] || '';
+  const match = last.match(/(?:^|\s)([A-Z]{2})(?:\s+(\d{5})(?:-\d{4})?)?$/);
+
+  if (!match || segments.length < 2) {
+    return { city: undefined, state: undefined, zip: undefined };
+  }
+
+  // City is either in front of the state in the same segment ("ATLANTA GA 30309")
+  // or the segment before it
+  const inline = last.slice(0, match.index).trim();
+  const city = inline || (segments.length > 2 ? segments[segments.length - 2] : undefined);
+
+  return { city, state: match[1], zip: match[2] };
+}
+
+export { normalizeAddress, streetLine, parseAddressParts };
@@ -0,0 +1,72 @@
+// lib/property/index.js
+// Property-record lookup behind pluggable sources, cached per normalized address.
+//
+// PROPERTY_SOURCES lists the sources to try in order (default 'parcelFile').
+// A source is { name, findByAddress(normalizedAddress, { env }) } resolving to a raw
+// parcel record or null - county-assessor APIs plug in through registerPropertySource.
+// An address no source knows comes back unverified, with no parcel or backyard, so
+// the analysis measures from the photos instead; only source errors reject.
+
+import { normalizeAddress } from './address';
+import { describeParcel } from './parcel';
+import { parcelFileSource } from './sources/parcelFile';
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const sources = new Map([
+  [parcelFileSource.name, parcelFileSource]
+]);
+
+// Survives dev-server hot reloads, like the analysis job store
+const cache = globalThis.__propertyLookupCache || (globalThis.__propertyLookupCache = new Map());
+
+function registerPropertySource(source) {
+  if (!source?.name || typeof source.findByAddress !== 'function') {
+    throw new Error('Property source must have a name and a findByAddress method');
+  }
+  sources.set(source.name, source);
+}
+
+function getSourceNames(env) {
+  return (env.PROPERTY_SOURCES || 'parcelFile').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+async function findProperty(normalizedAddress, env) {
+  for (const name of getSourceNames(env)) {
+    const source = sources.get(name);
+    if (!source) {
+      throw new Error(`Unknown property source "${name}"`);
+    }
+
+    const record = await source.findByAddress(normalizedAddress, { env });
+    if (record) return describeParcel(record, name);
+  }
+
+  return { hoaRestrictions: [], verified: false };
+}
+
+async function lookupProperty(address, { env = process.env } = {}) {
+  const key = normalizeAddress(address);
+  if (!key) {
+    throw new Error('An address is required to look up property records');
+  }
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  // Cache the pending lookup so concurrent jobs for one address share it;
+  // failures are dropped so a retry asks the sources again
+  const value = findProperty(key, env);
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  value.catch(() => cache.delete(key));
+
+  return value;
+}
+
+function clearPropertyCache() {
+  cache.clear();
+}
+
+export { lookupProperty, registerPropertySource, clearPropertyCache, normalizeAddress };
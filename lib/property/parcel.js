@@ -0,0 +1,58 @@
+// lib/property/parcel.js
+// Turn a raw parcel record (lot polygon, optional building footprint) into PropertyData.
+
+import { toLocalFeet, ringCenter, polygonArea, minAreaRectangle, projectOnAxis } from '../geo';
+
+// Without a building footprint, assume the backyard is the rear 45% of the lot depth
+const DEFAULT_BACKYARD_SHARE = 0.45;
+
+// The house sits toward the street, so the backyard is the deeper of the two
+// strips left on either side of it along the lot's long axis.
+function measureBackyard(lotPoints, buildingPoints, rectangle) {
+  if (!buildingPoints?.length) {
+    return {
+      length: Math.round(rectangle.length * DEFAULT_BACKYARD_SHARE),
+      width: Math.round(rectangle.width)
+    };
+  }
+
+  const lot = projectOnAxis(lotPoints, rectangle.axis);
+  const building = projectOnAxis(buildingPoints, rectangle.axis);
+
+  return {
+    length: Math.round(Math.max(building.min - lot.min, lot.max - building.max, 0)),
+    width: Math.round(rectangle.width)
+  };
+}
+
+function describeParcel(record, source) {
+  const center = ringCenter(record.lot);
+  const lotPoints = toLocalFeet(record.lot, center);
+  const buildingPoints = record.building ? toLocalFeet(record.building, center) : null;
+  const rectangle = minAreaRectangle(lotPoints);
+
+  if (!rectangle) {
+    throw new Error(`Parcel ${record.parcelId} has no usable lot polygon`);
+  }
+
+  return {
+    parcelId: record.parcelId,
+    address: record.address,
+    lotSize: { length: Math.round(rectangle.length), width: Math.round(rectangle.width) },
+    lotAreaSqFt: Math.round(polygonArea(lotPoints)),
+    lotPolygon: record.lot,
+    backyard: measureBackyard(lotPoints, buildingPoints, rectangle),
+    zoning: record.zoning,
+    floodZone: record.floodZone,
+    climateZone: record.climateZone,
+    yearBuilt: record.yearBuilt,
+    squareFootage: record.squareFootage,
+    propertyValue: record.propertyValue,
+    hoaRestrictions: record.hoaRestrictions || [],
+    coordinates: { lat: Math.round(center.lat * 1e6) / 1e6, lng: Math.round(center.lng * 1e6) / 1e6 },
+    verified: true,
+    source
+  };
+}
+
+export { describeParcel };
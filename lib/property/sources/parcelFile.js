@@ -0,0 +1,116 @@
+// lib/property/sources/parcelFile.js
+// Offline parcel source - reads GeoJSON and CSV parcel exports from a local directory
+// (PARCEL_DATA_DIR, defaults to data/parcels). Server-side only.
+//
+// GeoJSON: Polygon features; properties carry parcelId, address, zoning, floodZone,
+//   climateZone, yearBuilt, squareFootage, propertyValue, hoaRestrictions[] and an
+//   optional buildingFootprint ring.
+// CSV: one row per parcel with lot_wkt / building_wkt as WKT POLYGON((lng lat, ...))
+//   and hoa_restrictions separated by "|".
+
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeAddress, streetLine, parseAddressParts } from '../address';
+import { parseCsv } from '../../csv';
+import { parseWktPolygon } from '../../geo';
+
+// Loaded files per directory - parcel exports don't change while the server runs
+const loaded = new Map();
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function fromGeoJsonFeature(feature) {
+  const props = feature.properties || {};
+  if (feature.geometry?.type !== 'Polygon' || !props.address) return null;
+
+  return {
+    parcelId: props.parcelId,
+    address: props.address,
+    zoning: props.zoning,
+    floodZone: props.floodZone,
+    climateZone: props.climateZone,
+    yearBuilt: toNumber(props.yearBuilt),
+    squareFootage: toNumber(props.squareFootage),
+    propertyValue: toNumber(props.propertyValue),
+    hoaRestrictions: props.hoaRestrictions || [],
+    lot: feature.geometry.coordinates[0],
+    building: props.buildingFootprint || null
+  };
+}
+
+function fromCsvRow(row) {
+  const lot = parseWktPolygon(row.lot_wkt);
+  if (!lot || !row.address) return null;
+
+  return {
+    parcelId: row.parcel_id,
+    address: row.address,
+    zoning: row.zoning,
+    floodZone: row.flood_zone,
+    climateZone: row.climate_zone,
+    yearBuilt: toNumber(row.year_built),
+    squareFootage: toNumber(row.square_footage),
+    propertyValue: toNumber(row.property_value),
+    hoaRestrictions: row.hoa_restrictions ? row.hoa_restrictions.split('|').map(item => item.trim()) : [],
+    lot,
+    building: parseWktPolygon(row.building_wkt)
+  };
+}
+
+async function readParcelFile(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+
+  if (/\.csv$/i.test(filePath)) {
+    return parseCsv(text).map(fromCsvRow).filter(Boolean);
+  }
+
+  const collection = JSON.parse(text);
+  return (collection.features || []).map(fromGeoJsonFeature).filter(Boolean);
+}
+
+async function loadParcels(directory) {
+  if (!loaded.has(directory)) {
+    loaded.set(directory, (async () => {
+      const files = (await fs.readdir(directory))
+        .filter(name => /\.(geojson|json|csv)$/i.test(name))
+        .sort();
+      const records = (await Promise.all(files.map(name => readParcelFile(path.join(directory, name))))).flat();
+
+      return records.map(record => ({ ...record, normalizedAddress: normalizeAddress(record.address) }));
+    })().catch(error => {
+      loaded.delete(directory);
+      throw error;
+    }));
+  }
+  return loaded.get(directory);
+}
+
+const parcelFileSource = {
+  name: 'parcelFile',
+
+  // Exact match on the full normalized address, else on the street line when
+  // that's unambiguous - and any city, state or ZIP given agrees with the parcel's
+  // ("123 MAIN ST" or "123 MAIN ST, GA", but not "123 MAIN ST, BOSTON, MA")
+  async findByAddress(normalizedAddress, { env = process.env } = {}) {
+    const directory = env.PARCEL_DATA_DIR || path.join(process.cwd(), 'data', 'parcels');
+    const parcels = await loadParcels(directory);
+
+    const exact = parcels.find(parcel => parcel.normalizedAddress === normalizedAddress);
+    if (exact) return exact;
+
+    const street = streetLine(normalizedAddress);
+    const given = Object.entries(parseAddressParts(normalizedAddress)).filter(([, value]) => value !== undefined);
+    const sameStreet = parcels.filter(parcel => {
+      if (streetLine(parcel.normalizedAddress) !== street) return false;
+      const parts = parseAddressParts(parcel.normalizedAddress);
+      return given.every(([key, value]) => parts[key] === value);
+    });
+    return sameStreet.length === 1 ? sameStreet[0] : null;
+  }
+};
+
+export { parcelFileSource };
@@ -0,0 +1,24 @@
+// lib/proposal/client.js
+// Browser helper for the /api/proposal route
+
+// Resolves to { blob, filename } for the generated PDF
+async function requestProposal(document, snapshots) {
+  const response = await fetch('/api/proposal', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ document, snapshots })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.errors = data.errors || [];
+    throw error;
+  }
+
+  const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || 'proposal.pdf';
+  return { blob: await response.blob(), filename };
+}
+
+export { requestProposal };
@@ -0,0 +1,69 @@
+// lib/proposal/generate.js
+// Server side of the proposal: check the design document and the browser's
+// scene snapshots, price the design against the current catalog, and lay the
+// PDF out with the company's template. Needs no network access.
+
+import { validateDesignDocument } from '../projects/document';
+import { estimateProjectCost } from '../estimate/costEngine';
+import { loadCatalog } from '../catalog/store';
+import { loadProposalTemplate } from './template';
+import { buildProposal } from './proposal';
+
+const MAX_SNAPSHOTS = 6;
+
+function requestError(message, errors = []) {
+  const error = new Error(message);
+  error.status = 400;
+  error.errors = errors;
+  return error;
+}
+
+// [{ label, dataUrl: 'data:image/jpeg;base64,...' }] -> [{ label, jpeg: Buffer }]
+function decodeSnapshots(snapshots = []) {
+  if (!Array.isArray(snapshots)) throw requestError('snapshots must be a list');
+  if (snapshots.length > MAX_SNAPSHOTS) throw requestError(`At most ${MAX_SNAPSHOTS} snapshots`);
+
+  return snapshots.map((snapshot, index) => {
+    const match = /^data:image\/jpeg;base64,(.+)$/.exec(snapshot?.dataUrl || '');
+    if (!match) throw requestError(`Snapshot ${index + 1} must be a JPEG data URL`);
+    return { label: String(snapshot.label || ''), jpeg: Buffer.from(match[1], 'base64') };
+  });
+}
+
+/**
+ * Price a design document and render its proposal.
+ * @param {Object} input
+ * @param {Object} input.document - Design document (lib/projects/document)
+ * @param {{ label: string, dataUrl: string }[]} [input.snapshots] - Scene renders, hero first
+ * @returns {Promise<{ pdf: Buffer, filename: string }>}
+ */
+async function generateProposal({ document, snapshots }) {
+  const errors = validateDesignDocument(document);
+  if (errors.length > 0) throw requestError('Design document is not valid', errors);
+
+  const images = decodeSnapshots(snapshots);
+  const [catalog, template] = await Promise.all([loadCatalog(), loadProposalTemplate()]);
+  const estimate = estimateProjectCost({
+    design: document.design,
+    hardscapeElements: document.hardscapeElements,
+    landscapeElements: document.landscapeElements,
+    address: document.address,
+    materials: document.analysis?.materials,
+    compliance: document.analysis?.compliance,
+    catalog
+  });
+
+  let pdf;
+  try {
+    pdf = buildProposal({ document, estimate, snapshots: images, template });
+  } catch (error) {
+    // Only a bad snapshot can stop the layout
+    if (/JPEG/.test(error.message)) throw requestError(error.message);
+    throw error;
+  }
+
+  const slug = (document.address || 'backyard').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return { pdf, filename: `proposal-${slug || 'backyard'}.pdf` };
+}
+
+export { generateProposal };
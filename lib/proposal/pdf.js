@@ -0,0 +1,295 @@
+// lib/proposal/pdf.js
+// A small PDF 1.4 writer - just enough for the proposal: text in the two
+// built-in Helvetica faces, lines, filled and stroked shapes, and JPEG
+// images. No fonts or libraries to download, so it builds offline.
+// Server-side only (Buffer, zlib).
+//
+// Pages are US Letter in points (72 per inch) with the origin at the TOP
+// left and y running down, the way the layout code thinks; the writer flips
+// y for PDF.
+
+import zlib from 'zlib';
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Advance widths (1/1000 em) of ASCII 32..126 from the standard Helvetica AFMs
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still has, with their widths
+const WIN_ANSI_EXTRAS = {
+  '•': { code: 0x95, width: 350 },
+  '–': { code: 0x96, width: 556 },
+  '—': { code: 0x97, width: 1000 },
+  '‘': { code: 0x91, width: 222 },
+  '’': { code: 0x92, width: 222 },
+  '“': { code: 0x93, width: 333 },
+  '”': { code: 0x94, width: 333 },
+  '…': { code: 0x85, width: 1000 }
+};
+
+// Text as WinAnsi bytes: Latin-1 passes through, emoji and the like drop out
+function encodeText(text) {
+  let bytes = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) bytes += String.fromCharCode(WIN_ANSI_EXTRAS[char].code);
+    else if (code >= 32 && code <= 126) bytes += char;
+    else if (code >= 160 && code <= 255) bytes += char;
+  }
+  return bytes;
+}
+
+function charWidth(char, font) {
+  const code = char.charCodeAt(0);
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  if (code >= 32 && code <= 126) return widths[code - 32];
+  const extra = Object.values(WIN_ANSI_EXTRAS).find(candidate => candidate.code === code);
+  return extra ? extra.width : 556;
+}
+
+// Width in points of a string set in `font` at `size`
+function textWidth(text, font = 'regular', size = 10) {
+  return [...encodeText(text)].reduce((sum, char) => sum + charWidth(char, font), 0) * size / 1000;
+}
+
+// Break text into lines no wider than `width`, on spaces where it can
+function wrapText(text, width, font = 'regular', size = 10) {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, font, size) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function escapeString(bytes) {
+  return bytes.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+// '#1e40af' -> '0.118 0.251 0.686'
+function rgb(color) {
+  const hex = String(color).replace('#', '');
+  const full = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex;
+  return [0, 2, 4].map(offset => formatNumber(parseInt(full.slice(offset, offset + 2), 16) / 255)).join(' ');
+}
+
+// Width, height and colour components from a JPEG's start-of-frame marker
+function jpegInfo(buffer) {
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) throw new Error('Image is not a JPEG');
+  let offset = 2;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) throw new Error('Corrupt JPEG');
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        components: buffer[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  throw new Error('JPEG has no frame header');
+}
+
+function createPage() {
+  const ops = [];
+  const usedImages = new Set();
+  const flipY = (y) => formatNumber(PAGE_HEIGHT - y);
+
+  const setStroke = ({ stroke = '#000000', lineWidth = 1, dash } = {}) => {
+    ops.push(`${rgb(stroke)} RG ${formatNumber(lineWidth)} w`);
+    ops.push(dash ? `[${dash.map(formatNumber).join(' ')}] 0 d` : '[] 0 d');
+  };
+
+  const paint = ({ fill, stroke }) => {
+    if (fill) ops.push(`${rgb(fill)} rg`);
+    if (fill && stroke) return 'B';
+    return fill ? 'f' : 'S';
+  };
+
+  return {
+    ops,
+    usedImages,
+
+    // `angle` turns the text clockwise on the page, in degrees, about (x, y)
+    text(x, y, text, { font = 'regular', size = 10, color = '#000000', align = 'left', angle = 0 } = {}) {
+      const bytes = encodeText(text);
+      if (!bytes) return;
+      const width = textWidth(text, font, size);
+      const shift = align === 'right' ? width : align === 'center' ? width / 2 : 0;
+      const [cos, sin] = [Math.cos((angle * Math.PI) / 180), Math.sin((angle * Math.PI) / 180)];
+      const matrix = [cos, -sin, sin, cos, x - shift * cos, PAGE_HEIGHT - y + shift * sin].map(formatNumber).join(' ');
+      ops.push(`BT /${FONTS[font].resource} ${formatNumber(size)} Tf ${rgb(color)} rg ${matrix} Tm (${escapeString(bytes)}) Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, style = {}) {
+      ops.push('q');
+      setStroke(style);
+      ops.push(`${formatNumber(x1)} ${flipY(y1)} m ${formatNumber(x2)} ${flipY(y2)} l S Q`);
+    },
+
+    rect(x, y, width, height, style = {}) {
+      ops.push('q');
+      if (style.stroke || !style.fill) setStroke(style);
+      const operator = paint(style);
+      ops.push(`${formatNumber(x)} ${flipY(y + height)} ${formatNumber(width)} ${formatNumber(height)} re ${operator} Q`);
+    },
+
+    // Closed outline through [x, y] points
+    polygon(points, style = {}) {
+      if (points.length < 2) return;
+      ops.push('q');
+      if (style.stroke || !style.fill) setStroke(style);
+      const operator = paint(style);
+      const path = points.map(([x, y], index) => `${formatNumber(x)} ${flipY(y)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+      ops.push(`${path} h ${operator} Q`);
+    },
+
+    // `image` comes from doc.addJpeg
+    image(image, x, y, width, height) {
+      usedImages.add(image);
+      ops.push(`q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${flipY(y + height)} cm /${image.resource} Do Q`);
+    },
+
+    // Lines of text from the top-left; returns the y just below the last one
+    paragraph(x, y, text, { width, font = 'regular', size = 10, color = '#000000', leading = size * 1.35 } = {}) {
+      const lines = wrapText(text, width, font, size);
+      lines.forEach((line, index) => this.text(x, y + size + index * leading, line, { font, size, color }));
+      return y + lines.length * leading;
+    }
+  };
+}
+
+// Build a document page by page, then serialize it with toBuffer()
+function createPdfDocument({ title = '', author = '' } = {}) {
+  const pages = [];
+  const images = [];
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    textWidth,
+    wrapText,
+
+    addPage() {
+      const page = createPage();
+      pages.push(page);
+      return page;
+    },
+
+    // Register JPEG bytes once; draw it on any page with page.image
+    addJpeg(buffer) {
+      const info = jpegInfo(buffer);
+      const image = { ...info, data: buffer, resource: `Im${images.length + 1}` };
+      images.push(image);
+      return image;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+      const stream = (dictionary, data) => Buffer.concat([
+        Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const fontIds = Object.fromEntries(Object.entries(FONTS).map(([key, font]) => [
+        key,
+        addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+      ]));
+      const imageIds = new Map(images.map(image => [image, addObject(stream(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.components === 1 ? 'DeviceGray' : image.components === 4 ? 'DeviceCMYK' : 'DeviceRGB'} /BitsPerComponent 8 /Filter /DCTDecode`,
+        image.data
+      ))]));
+      const fontResources = Object.entries(FONTS).map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`).join(' ');
+
+      const pageIds = pages.map(page => {
+        const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+        const contentId = addObject(stream('/Filter /FlateDecode', content));
+        const xObjects = [...page.usedImages].map(image => `/${image.resource} ${imageIds.get(image)} 0 R`).join(' ');
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+          + `/Resources << /Font << ${fontResources} >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+      const infoId = addObject(`<< /Title (${escapeString(encodeText(title))}) /Author (${escapeString(encodeText(author))}) /Producer (Outdoor AI) >>`);
+
+      // Header, numbered objects, then the cross-reference table of their offsets
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let length = chunks[0].length;
+      const offsets = objects.map((body, index) => {
+        const offset = length;
+        const chunk = Buffer.concat([
+          Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+          Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF'
+      ].join('\n');
+      chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+export { PAGE_WIDTH, PAGE_HEIGHT, textWidth, wrapText, jpegInfo, createPdfDocument };
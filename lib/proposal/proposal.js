@@ -0,0 +1,329 @@
+// lib/proposal/proposal.js
+// Lay out the client proposal as a PDF: a cover with the hero render, the
+// other camera views, a dimensioned site plan, the itemized estimate, the
+// permits and build timeline, then terms and signatures. Branding and the
+// boilerplate come from the company's template (template.js).
+
+import { createPdfDocument } from './pdf';
+import { ESTIMATE_GROUPS } from '../estimate/costEngine';
+import { getSiteLayout } from '../site/layout';
+import { circle } from '../geo';
+import { buildSitePlan, dimensionGeometry } from '../plan/sitePlan';
+
+const MARGIN = 48;
+const HEADER_HEIGHT = 36;
+const FOOTER_Y = 760;
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Company name on every page but the cover, page numbers once they're all known
+function decoratePages(doc, pages, template) {
+  const { company, colors } = template;
+  pages.forEach((page, index) => {
+    if (index > 0) {
+      page.rect(0, 0, doc.width, HEADER_HEIGHT, { fill: colors.primary });
+      page.text(MARGIN, 23, company.name, { font: 'bold', size: 11, color: '#ffffff' });
+      page.text(doc.width - MARGIN, 23, company.phone || '', { size: 9, color: '#ffffff', align: 'right' });
+    }
+    page.line(MARGIN, FOOTER_Y - 12, doc.width - MARGIN, FOOTER_Y - 12, { stroke: '#cbd5e1', lineWidth: 0.5 });
+    page.text(MARGIN, FOOTER_Y, [company.website, company.email, company.license].filter(Boolean).join('  •  '), { size: 8, color: colors.muted });
+    page.text(doc.width - MARGIN, FOOTER_Y, `Page ${index + 1} of ${pages.length}`, { size: 8, color: colors.muted, align: 'right' });
+  });
+}
+
+function sectionTitle(page, y, title, template) {
+  page.text(MARGIN, y + 18, title, { font: 'bold', size: 18, color: template.colors.primary });
+  page.line(MARGIN, y + 26, MARGIN + 60, y + 26, { stroke: template.colors.accent, lineWidth: 2 });
+  return y + 42;
+}
+
+// Image scaled to fit the box, centered, with a caption under it
+function drawSnapshot(page, snapshot, box, template) {
+  const { image, label } = snapshot;
+  const scale = Math.min(box.width / image.width, (box.height - 18) / image.height);
+  const [width, height] = [image.width * scale, image.height * scale];
+  const x = box.x + (box.width - width) / 2;
+  page.image(image, x, box.y, width, height);
+  page.rect(x, box.y, width, height, { stroke: '#cbd5e1', lineWidth: 0.5 });
+  if (label) page.text(box.x + box.width / 2, box.y + height + 13, label, { size: 9, color: template.colors.muted, align: 'center' });
+}
+
+function drawCover(doc, page, { document, estimate, snapshots, template, date }) {
+  const { company, colors } = template;
+  const width = doc.width - MARGIN * 2;
+  const validUntil = new Date(date.getTime() + (template.validDays || 30) * 24 * 60 * 60 * 1000);
+
+  page.rect(0, 0, doc.width, 150, { fill: colors.primary });
+  page.text(MARGIN, 62, company.name, { font: 'bold', size: 26, color: '#ffffff' });
+  if (company.tagline) page.text(MARGIN, 84, company.tagline, { size: 12, color: '#dbeafe' });
+  page.text(MARGIN, 126, 'Backyard Design Proposal', { font: 'bold', size: 14, color: '#ffffff' });
+
+  page.text(MARGIN, 186, 'Prepared for', { size: 10, color: colors.muted });
+  let y = page.paragraph(MARGIN, 192, document.address || 'Address on file', { width: width * 0.6, font: 'bold', size: 16, color: colors.text });
+  page.text(doc.width - MARGIN, 186, 'Date', { size: 10, color: colors.muted, align: 'right' });
+  page.text(doc.width - MARGIN, 206, formatDate(date), { font: 'bold', size: 11, color: colors.text, align: 'right' });
+  page.text(doc.width - MARGIN, 222, `Valid until ${formatDate(validUntil)}`, { size: 9, color: colors.muted, align: 'right' });
+  y = Math.max(y, 230) + 14;
+
+  if (snapshots[0]) {
+    drawSnapshot(page, snapshots[0], { x: MARGIN, y, width, height: 380 }, template);
+    y += 392;
+  }
+
+  page.rect(MARGIN, y, width, 64, { fill: '#f1f5f9' });
+  page.text(MARGIN + 16, y + 26, 'Total investment', { size: 11, color: colors.muted });
+  page.text(MARGIN + 16, y + 50, formatMoney(estimate.total), { font: 'bold', size: 22, color: colors.primary });
+  const summary = [
+    `${estimate.pool.areaSqFt} sq ft pool`,
+    `${estimate.hydraulics ? estimate.hydraulics.gallons.toLocaleString('en-US') : estimate.pool.volumeGallons.toLocaleString('en-US')} gallons`,
+    estimate.timeline
+  ].filter(Boolean).join('  •  ');
+  page.text(doc.width - MARGIN - 16, y + 40, summary, { size: 10, color: colors.text, align: 'right' });
+}
+
+function drawViews(doc, page, snapshots, template) {
+  let y = sectionTitle(page, HEADER_HEIGHT + 20, 'Design Views', template);
+  const columnWidth = (doc.width - MARGIN * 2 - 16) / 2;
+  snapshots.forEach((snapshot, index) => {
+    const column = index % 2;
+    drawSnapshot(page, snapshot, { x: MARGIN + column * (columnWidth + 16), y, width: columnWidth, height: 210 }, template);
+    if (column === 1 || index === snapshots.length - 1) y += 230;
+  });
+}
+
+// The site plan (lib/plan) fitted to the page - the same drawing the SVG and
+// DXF exports carry, north up
+function drawSitePlan(doc, page, { document, estimate }, template) {
+  const { colors } = template;
+  const top = sectionTitle(page, HEADER_HEIGHT + 20, 'Site Plan', template);
+  const pool = document.design?.pool;
+  const plan = buildSitePlan({
+    design: document.design,
+    hardscapeElements: document.hardscapeElements,
+    landscapeElements: document.landscapeElements,
+    siteLayout: getSiteLayout(),
+    compliance: document.analysis?.compliance,
+    address: document.address
+  });
+
+  const { minX, maxX, minZ, maxZ } = plan.bounds;
+  const box = { x: MARGIN, y: top, width: doc.width - MARGIN * 2, height: FOOTER_Y - 56 - top };
+  const scale = Math.min(box.width / (maxX - minX), box.height / (maxZ - minZ));
+  const origin = [
+    box.x + (box.width - (maxX - minX) * scale) / 2 - minX * scale,
+    box.y + (box.height - (maxZ - minZ) * scale) / 2 - minZ * scale
+  ];
+  const toPage = ([x, z]) => [origin[0] + x * scale, origin[1] + z * scale];
+  const layers = Object.fromEntries(plan.layers.map(layer => [layer.id, layer]));
+
+  // Plan labels are placed by their middle, PDF text by its baseline
+  const drawText = ({ position, text, height, angle = 0, align = 'center' }, color) => {
+    const size = height * scale;
+    const [x, y] = toPage(position);
+    const drop = size * 0.35;
+    const radians = (angle * Math.PI) / 180;
+    page.text(x - Math.sin(radians) * drop, y + Math.cos(radians) * drop, text, { size, color, align, angle });
+  };
+
+  plan.entities.forEach(entity => {
+    const layer = layers[entity.layer];
+    const style = { stroke: layer.color, lineWidth: 0.6, dash: layer.dashed ? [8, 3, 1.5, 3] : undefined };
+    if (entity.type === 'polyline' && entity.closed) page.polygon(entity.points.map(toPage), style);
+    if (entity.type === 'polyline' && !entity.closed) {
+      entity.points.slice(1).forEach((point, index) => {
+        const [a, b] = [toPage(entity.points[index]), toPage(point)];
+        page.line(a[0], a[1], b[0], b[1], style);
+      });
+    }
+    if (entity.type === 'circle') page.polygon(circle(entity.center, entity.radius, 48).map(toPage), style);
+    if (entity.type === 'text') drawText(entity, layer.color);
+    if (entity.type === 'dimension') {
+      const { lines, textPosition, angle } = dimensionGeometry(entity);
+      lines.forEach(line => {
+        const [a, b] = line.map(toPage);
+        page.line(a[0], a[1], b[0], b[1], { stroke: layer.color, lineWidth: 0.4 });
+      });
+      drawText({ position: textPosition, text: entity.text, height: entity.height, angle }, layer.color);
+    }
+  });
+
+  if (estimate.pool) {
+    const facts = [
+      `Pool ${estimate.pool.areaSqFt} sq ft`,
+      `${estimate.pool.perimeterFt} ft perimeter`,
+      `${(estimate.hydraulics?.gallons ?? estimate.pool.volumeGallons).toLocaleString('en-US')} gallons`,
+      pool ? `${pool.size[2]} ft deep end` : null
+    ].filter(Boolean);
+    page.text(MARGIN, FOOTER_Y - 34, facts.join('  •  '), { size: 10, color: colors.text });
+  }
+}
+
+// The estimate table, grouped like the on-screen estimate; continues onto new
+// pages as needed. Returns the last page used.
+function drawEstimate(doc, addPage, { estimate }, template) {
+  const { colors } = template;
+  let page = addPage();
+  let y = sectionTitle(page, HEADER_HEIGHT + 20, 'Investment Summary', template);
+  const right = doc.width - MARGIN;
+  const detailX = MARGIN + 200;
+  const ensureRoom = (height) => {
+    if (y + height < FOOTER_Y - 30) return;
+    page = addPage();
+    y = HEADER_HEIGHT + 30;
+  };
+
+  ESTIMATE_GROUPS.forEach(group => {
+    const items = estimate.lineItems.filter(item => item.group === group.id);
+    if (items.length === 0) return;
+
+    ensureRoom(44);
+    page.rect(MARGIN, y, right - MARGIN, 20, { fill: '#f1f5f9' });
+    page.text(MARGIN + 8, y + 14, group.label, { font: 'bold', size: 10, color: colors.text });
+    page.text(right - 8, y + 14, formatMoney(estimate.subtotals[group.id]), { font: 'bold', size: 10, color: colors.text, align: 'right' });
+    y += 26;
+
+    items.forEach(item => {
+      const detailLines = item.detail ? doc.wrapText(item.detail, right - 80 - detailX, 'regular', 8) : [];
+      const height = Math.max(14, detailLines.length * 10 + 4);
+      ensureRoom(height);
+      page.text(MARGIN + 8, y + 10, item.label, { size: 9, color: colors.text });
+      detailLines.forEach((line, index) => page.text(detailX, y + 10 + index * 10, line, { size: 8, color: colors.muted }));
+      page.text(right - 8, y + 10, formatMoney(item.amount), { size: 9, color: colors.text, align: 'right' });
+      y += height;
+    });
+    y += 6;
+  });
+
+  ensureRoom(50);
+  page.line(MARGIN, y, right, y, { stroke: colors.primary, lineWidth: 1.5 });
+  page.text(MARGIN + 8, y + 24, 'Total', { font: 'bold', size: 14, color: colors.primary });
+  page.text(right - 8, y + 24, formatMoney(estimate.total), { font: 'bold', size: 14, color: colors.primary, align: 'right' });
+  y += 40;
+  if (estimate.region) {
+    page.text(MARGIN + 8, y, `Priced for the ${estimate.region.name} market.${estimate.locationNote ? ` ${estimate.locationNote}` : ''}`, { size: 8, color: colors.muted });
+  }
+  return page;
+}
+
+// Phase week ranges, sharing out the catalog's "10-14 weeks" by each phase's share
+function phaseSchedule(phases, timeline) {
+  const [, low, high] = String(timeline || '').match(/(\d+)\s*-\s*(\d+)/) || [null, 10, 14];
+  const weeks = (Number(low) + Number(high)) / 2;
+  const total = phases.reduce((sum, phase) => sum + phase.share, 0) || 1;
+  let start = 0;
+  return phases.map(phase => {
+    const length = Math.max(0.5, Math.round((phase.share / total) * weeks * 2) / 2);
+    const entry = { ...phase, start, end: start + length };
+    start += length;
+    return entry;
+  });
+}
+
+function drawPermitsAndTimeline(doc, page, { document, estimate }, template) {
+  const { colors } = template;
+  const width = doc.width - MARGIN * 2;
+  const compliance = document.analysis?.compliance;
+  let y = sectionTitle(page, HEADER_HEIGHT + 20, 'Permits', template);
+
+  if (compliance?.jurisdiction) {
+    page.text(MARGIN, y, `Building department: ${compliance.jurisdiction}`, { size: 10, color: colors.text });
+    y += 18;
+  }
+  // The estimate's permit lines carry the checked permits' fees and timeframes
+  estimate.lineItems.filter(item => item.group === 'permits').forEach(permit => {
+    page.text(MARGIN + 8, y + 10, permit.label, { size: 10, color: colors.text });
+    if (permit.detail) page.text(MARGIN + 260, y + 10, permit.detail, { size: 9, color: colors.muted });
+    page.text(doc.width - MARGIN - 8, y + 10, formatMoney(permit.amount), { size: 10, color: colors.text, align: 'right' });
+    y += 18;
+  });
+  (compliance?.restrictions || []).forEach(restriction => {
+    y = page.paragraph(MARGIN + 8, y + 2, `• ${restriction}`, { width: width - 16, size: 9, color: colors.muted });
+  });
+
+  y = sectionTitle(page, y + 24, 'Timeline', template);
+  page.text(MARGIN, y, `About ${estimate.timeline || '10-14 weeks'} from signing to start-up.`, { size: 10, color: colors.text });
+  y += 16;
+
+  const schedule = phaseSchedule(template.phases || [], estimate.timeline);
+  const totalWeeks = schedule.length ? schedule[schedule.length - 1].end : 1;
+  const chartX = MARGIN + 200;
+  const chartWidth = doc.width - MARGIN - chartX;
+  schedule.forEach(phase => {
+    page.text(MARGIN + 8, y + 12, phase.name, { size: 9, color: colors.text });
+    page.rect(chartX + (phase.start / totalWeeks) * chartWidth, y + 3, Math.max(2, ((phase.end - phase.start) / totalWeeks) * chartWidth), 12, { fill: colors.accent });
+    y += 20;
+  });
+  page.text(chartX, y + 10, 'Week 0', { size: 8, color: colors.muted });
+  page.text(doc.width - MARGIN, y + 10, `Week ${totalWeeks}`, { size: 8, color: colors.muted, align: 'right' });
+}
+
+function drawTerms(doc, page, { estimate }, template) {
+  const { colors, company } = template;
+  const width = doc.width - MARGIN * 2;
+  let y = sectionTitle(page, HEADER_HEIGHT + 20, 'Payment Schedule', template);
+
+  (template.paymentSchedule || []).forEach(payment => {
+    page.text(MARGIN + 8, y + 10, payment.milestone, { size: 10, color: colors.text });
+    page.text(MARGIN + 300, y + 10, `${payment.percent}%`, { size: 10, color: colors.muted, align: 'right' });
+    page.text(doc.width - MARGIN - 8, y + 10, formatMoney((estimate.total * payment.percent) / 100), { size: 10, color: colors.text, align: 'right' });
+    y += 18;
+  });
+
+  y = sectionTitle(page, y + 20, 'Terms', template);
+  (template.terms || []).forEach((term, index) => {
+    y = page.paragraph(MARGIN, y, `${index + 1}. ${term}`, { width, size: 9, color: colors.text }) + 6;
+  });
+
+  y = sectionTitle(page, Math.max(y + 10, 560), 'Acceptance', template);
+  const columnWidth = (width - 32) / 2;
+  ['Client', company.name].forEach((party, column) => {
+    const x = MARGIN + column * (columnWidth + 32);
+    page.text(x, y, party, { font: 'bold', size: 10, color: colors.text });
+    ['Signature', 'Printed name', 'Date'].forEach((field, row) => {
+      const lineY = y + 34 + row * 34;
+      page.line(x, lineY, x + columnWidth, lineY, { stroke: colors.text, lineWidth: 0.6 });
+      page.text(x, lineY + 11, field, { size: 8, color: colors.muted });
+    });
+  });
+}
+
+/**
+ * Build the proposal PDF.
+ * @param {Object} input
+ * @param {Object} input.document - Design document (lib/projects/document)
+ * @param {import('../analysis/types').CostEstimate} input.estimate
+ * @param {{ label: string, jpeg: Buffer }[]} [input.snapshots] - Renders of the scene, hero first
+ * @param {Object} input.template - Company template (template.js)
+ * @param {Date} [input.date]
+ * @returns {Buffer}
+ */
+function buildProposal({ document, estimate, snapshots = [], template, date = new Date() }) {
+  const doc = createPdfDocument({
+    title: `Proposal - ${document.address || 'Backyard design'}`,
+    author: template.company.name
+  });
+  const pages = [];
+  const addPage = () => {
+    const page = doc.addPage();
+    pages.push(page);
+    return page;
+  };
+  const images = snapshots.map(snapshot => ({ label: snapshot.label, image: doc.addJpeg(snapshot.jpeg) }));
+  const input = { document, estimate, snapshots: images, template, date };
+
+  drawCover(doc, addPage(), input);
+  if (images.length > 1) drawViews(doc, addPage(), images.slice(1), template);
+  drawSitePlan(doc, addPage(), input, template);
+  drawEstimate(doc, addPage, input, template);
+  drawPermitsAndTimeline(doc, addPage(), input, template);
+  drawTerms(doc, addPage(), input, template);
+  decoratePages(doc, pages, template);
+
+  return doc.toBuffer();
+}
+
+export { buildProposal };
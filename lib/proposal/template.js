@@ -0,0 +1,66 @@
+// lib/proposal/template.js
+// The company's proposal template - branding, contact details, payment
+// schedule, build phases and terms - read from PROPOSAL_TEMPLATE_FILE,
+// defaulting to data/proposal/template.json. Anything the file leaves out
+// falls back to the bundled template. Server-side only.
+
+import fs from 'fs/promises';
+import path from 'path';
+import DEFAULT_TEMPLATE from '../../data/proposal/template.json';
+
+// Template per file - read once, dropped again if reading fails
+const loaded = new Map();
+
+function templatePath(env) {
+  return env.PROPOSAL_TEMPLATE_FILE || path.join(process.cwd(), 'data', 'proposal', 'template.json');
+}
+
+const isColor = (value) => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+
+// Returns a list of problems; empty when the template can be used
+function validateTemplate(template) {
+  const errors = [];
+  if (!template?.company?.name) errors.push('company.name is required');
+  Object.entries(template?.colors || {}).forEach(([key, value]) => {
+    if (!isColor(value)) errors.push(`colors.${key} must be a #rrggbb color`);
+  });
+  (template?.phases || []).forEach((phase, index) => {
+    if (!phase.name || !(phase.share > 0)) errors.push(`phases ${index + 1} needs a name and a share above 0`);
+  });
+  const scheduled = (template?.paymentSchedule || []).reduce((sum, payment) => sum + (payment.percent || 0), 0);
+  if (template?.paymentSchedule?.length && Math.round(scheduled) !== 100) {
+    errors.push(`paymentSchedule adds up to ${scheduled}%, not 100%`);
+  }
+  return errors;
+}
+
+function withDefaults(template) {
+  return {
+    ...DEFAULT_TEMPLATE,
+    ...template,
+    company: { ...DEFAULT_TEMPLATE.company, ...template.company },
+    colors: { ...DEFAULT_TEMPLATE.colors, ...template.colors }
+  };
+}
+
+async function loadProposalTemplate({ env = process.env } = {}) {
+  const filePath = templatePath(env);
+
+  if (!loaded.has(filePath)) {
+    loaded.set(filePath, (async () => {
+      const template = withDefaults(JSON.parse(await fs.readFile(filePath, 'utf8')));
+      const errors = validateTemplate(template);
+      if (errors.length > 0) {
+        throw new Error(`${path.relative(process.cwd(), filePath)}: ${errors[0]}`);
+      }
+      return template;
+    })().catch(error => {
+      loaded.delete(filePath);
+      throw error;
+    }));
+  }
+
+  return loaded.get(filePath);
+}
+
+export { DEFAULT_TEMPLATE, validateTemplate, loadProposalTemplate };
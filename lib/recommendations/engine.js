@@ -0,0 +1,88 @@
+// lib/recommendations/engine.js
+// Rule-based design recommendations. Rules live in data/recommendations/rules.json:
+//
+//   when:  { all: [...] } / { any: [...] } of { fact, op, value } or { fact, op, factRef }
+//   apply: { category, property, value | valueFact, label } - the design change it suggests
+//
+// A condition on a fact that is unknown is false, so rules that need the design
+// simply don't fire when only property data is available.
+
+import ruleFile from '../../data/recommendations/rules.json';
+import { buildFacts } from './facts';
+
+const OPERATORS = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+  notIn: (a, b) => Array.isArray(b) && !b.includes(a)
+};
+
+const SEVERITY_RANK = { required: 0, recommended: 1, info: 2 };
+
+const DEFAULT_RULES = ruleFile.rules;
+
+function isKnown(value) {
+  return value !== undefined && value !== null && !Number.isNaN(value);
+}
+
+function matches(condition, facts) {
+  if (condition.all) return condition.all.every(child => matches(child, facts));
+  if (condition.any) return condition.any.some(child => matches(child, facts));
+
+  const operator = OPERATORS[condition.op];
+  if (!operator) throw new Error(`Unknown recommendation operator "${condition.op}"`);
+
+  const actual = facts[condition.fact];
+  const expected = condition.factRef ? facts[condition.factRef] : condition.value;
+
+  // neq / notIn against an unset design property still counts ("not salt yet")
+  if (!isKnown(actual) && condition.op !== 'neq' && condition.op !== 'notIn') return false;
+  if (!isKnown(expected)) return false;
+  return operator(actual, expected);
+}
+
+// Fill {{fact.name}} placeholders
+function render(template, facts) {
+  return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => (
+    isKnown(facts[name]) ? String(facts[name]) : '?'
+  ));
+}
+
+function resolveApply(rule, facts) {
+  if (!rule.apply) return null;
+
+  const value = rule.apply.valueFact ? facts[rule.apply.valueFact] : rule.apply.value;
+  if (!isKnown(value)) return null;
+
+  return {
+    category: rule.apply.category,
+    property: rule.apply.property,
+    value,
+    label: render(rule.apply.label || 'Apply', facts)
+  };
+}
+
+// Ranked recommendations for the given inputs: required first, then by rule priority
+function evaluateRecommendations({ propertyData, compliance, design } = {}, rules = DEFAULT_RULES) {
+  const facts = buildFacts({ propertyData, compliance, design });
+
+  return rules
+    .filter(rule => matches(rule.when, facts))
+    .map(rule => ({
+      id: rule.id,
+      severity: rule.severity || 'info',
+      priority: rule.priority || 0,
+      title: render(rule.title, facts),
+      detail: render(rule.detail, facts),
+      apply: resolveApply(rule, facts)
+    }))
+    .sort((a, b) => (
+      (SEVERITY_RANK[a.severity] ?? 3) - (SEVERITY_RANK[b.severity] ?? 3) || b.priority - a.priority
+    ));
+}
+
+export { evaluateRecommendations, DEFAULT_RULES };
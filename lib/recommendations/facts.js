@@ -0,0 +1,83 @@
+// lib/recommendations/facts.js
+// Flatten property data, code restrictions and the current design into the
+// dotted "facts" the recommendation rules test against (e.g. `lot.buildableWidth`).
+
+// FEMA special flood hazard areas - everything starting with A or V
+const SPECIAL_FLOOD_HAZARD = /^(A|V)/;
+
+// Pull the first number out of whichever HOA restriction line matches `pattern`
+function findNumber(lines = [], pattern) {
+  for (const line of lines) {
+    const match = String(line).match(pattern);
+    if (match) return Number(match[1]);
+  }
+  return undefined;
+}
+
+function parseClimateZone(zone) {
+  const match = String(zone || '').match(/^(\d)([ABC])?$/i);
+  if (!match) return { zone: undefined, zoneNumber: undefined, moisture: undefined };
+  return { zone: zone.toUpperCase(), zoneNumber: Number(match[1]), moisture: match[2]?.toUpperCase() };
+}
+
+// "Zone X (Minimal Risk)" -> "X", "AE" -> "AE"
+function parseFloodZone(floodZone) {
+  const match = String(floodZone || '').match(/^(?:zone\s+)?([A-Z0-9]+)/i);
+  return match ? match[1].toUpperCase() : undefined;
+}
+
+function buildFacts({ propertyData, compliance, design } = {}) {
+  const climate = parseClimateZone(propertyData?.climateZone);
+  const floodZone = parseFloodZone(propertyData?.floodZone);
+  const hoaSetback = findNumber(propertyData?.hoaRestrictions, /pool setbacks?:?\s*(\d+(?:\.\d+)?)\s*ft/i);
+  const codeSetback = compliance?.setbacks?.fromProperty?.required;
+
+  // Whichever setback is stricter wins
+  const setback = [
+    { source: 'HOA', value: hoaSetback },
+    { source: 'code', value: codeSetback }
+  ]
+    .filter(candidate => Number.isFinite(candidate.value))
+    .sort((a, b) => b.value - a.value)[0];
+
+  const lot = propertyData?.lotSize;
+  const pool = design?.pool;
+
+  return {
+    'climate.zone': climate.zone,
+    'climate.zoneNumber': climate.zoneNumber,
+    'climate.moisture': climate.moisture,
+
+    'flood.zone': floodZone,
+    'flood.isSpecialHazard': floodZone ? SPECIAL_FLOOD_HAZARD.test(floodZone) : undefined,
+
+    'lot.length': lot?.length,
+    'lot.width': lot?.width,
+    'lot.area': lot ? lot.length * lot.width : undefined,
+    'lot.buildableWidth': lot && setback ? lot.width - setback.value * 2 : lot?.width,
+    'lot.buildableLength': lot && setback ? lot.length - setback.value * 2 : lot?.length,
+
+    'hoa.poolSetback': hoaSetback,
+    'hoa.maxFenceHeight': findNumber(propertyData?.hoaRestrictions, /fenc\w*\s+over\s+(\d+(?:\.\d+)?)\s*ft/i),
+
+    'code.propertySetback': codeSetback,
+    'code.maxDepth': compliance?.maxDepth?.value,
+    'code.barrierHeight': compliance?.barrier?.minHeight,
+    'code.jurisdiction': compliance?.jurisdiction,
+
+    'setback.effective': setback?.value,
+    'setback.source': setback?.source,
+
+    'pool.length': pool?.size?.[0],
+    'pool.width': pool?.size?.[1],
+    'pool.depth': pool?.size?.[2],
+    'pool.shape': pool?.shape,
+    'pool.finish': pool?.finish,
+    'pool.sanitation': pool?.sanitation,
+    'pool.heater': pool?.heater,
+    'pool.freezeProtection': pool?.freezeProtection,
+    'pool.equipmentElevated': pool?.equipmentElevated
+  };
+}
+
+export { buildFacts, parseClimateZone, parseFloodZone };
@@ -0,0 +1,20 @@
+// lib/site/layout.js
+// Site geometry shared by the 3D scene and anything that measures against it.
+// Scene feet: x runs east, z runs south, origin at the middle of the backyard.
+
+const DEFAULT_SITE_LAYOUT = {
+  // Fenced property lines
+  propertyLines: [
+    { id: 'west', label: 'West property line', start: [-50, -50], end: [-50, 50] },
+    { id: 'east', label: 'East property line', start: [50, -50], end: [50, 50] },
+    { id: 'rear', label: 'Rear property line', start: [-50, -50], end: [50, -50] }
+  ],
+  house: { center: [-30, -25], size: [25, 20], height: 12 },
+  bounds: { minX: -50, maxX: 50, minZ: -50, maxZ: 50 }
+};
+
+function getSiteLayout() {
+  return DEFAULT_SITE_LAYOUT;
+}
+
+export { DEFAULT_SITE_LAYOUT, getSiteLayout };
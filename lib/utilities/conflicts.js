@@ -0,0 +1,102 @@
+// lib/utilities/conflicts.js
+// Check planned excavations - the pool dig and structure footings - against
+// buried utility lines, horizontally and by depth.
+
+import { shapeDistance } from '../geo';
+import { getDesignFootprints, elementFootprint, HARDSCAPE_FOOTPRINTS } from '../compliance/footprints';
+import { UTILITY_TYPES } from './utilityTypes';
+
+// The pool dig runs 1.5ft past the shell on every side (see EnhancedPool's
+// excavation box) and 1ft below the floor for the gravel base
+const POOL_OVERDIG_FT = 1.5;
+const POOL_BASE_FT = 1;
+
+// Footing depth for structures that need them
+const FOOTING_DEPTHS = {
+  pergola: 3,
+  cabana: 2,
+  fireplace: 2.5
+};
+
+// A line this far below the bottom of the dig is still too close to trust
+const VERTICAL_CLEARANCE_FT = 1;
+
+function getExcavations({ pool, hardscapeElements = [] }) {
+  const excavations = [];
+
+  if (pool) {
+    const [footprint] = getDesignFootprints({ pool });
+    excavations.push({
+      id: 'pool',
+      label: 'Pool excavation',
+      parts: footprint.parts,
+      margin: POOL_OVERDIG_FT,
+      depth: pool.size[2] + POOL_BASE_FT
+    });
+  }
+
+  hardscapeElements.forEach((element, index) => {
+    const model = element.model || element.type;
+    const depth = FOOTING_DEPTHS[model];
+    if (!depth) return;
+
+    excavations.push({
+      id: element.id || `hardscape-${index}`,
+      label: `${element.name || HARDSCAPE_FOOTPRINTS[model].label} footing`,
+      parts: [elementFootprint(element)],
+      margin: 0,
+      depth
+    });
+  });
+
+  return excavations;
+}
+
+function horizontalGap(excavation, line) {
+  let gap = Infinity;
+  excavation.parts.forEach(part => {
+    line.points.slice(1).forEach((point, index) => {
+      gap = Math.min(gap, shapeDistance(part, [line.points[index], point]).distance);
+    });
+  });
+  return Math.max(gap - excavation.margin, 0);
+}
+
+function findDigConflicts({ design, hardscapeElements = [], lines = [] }) {
+  const conflicts = [];
+
+  getExcavations({ pool: design?.pool, hardscapeElements }).forEach(excavation => {
+    lines.forEach(line => {
+      const { clearanceFt, label: typeLabel } = UTILITY_TYPES[line.type] || UTILITY_TYPES.unknown;
+      const gap = Math.round(horizontalGap(excavation, line) * 10) / 10;
+      if (gap >= clearanceFt) return;
+
+      const reachesLine = line.depth.min <= excavation.depth + VERTICAL_CLEARANCE_FT;
+      const where = gap === 0 ? 'crosses' : `is ${gap}ft from`;
+
+      conflicts.push({
+        id: `${excavation.id}:${line.id}`,
+        excavationId: excavation.id,
+        excavationLabel: excavation.label,
+        lineId: line.id,
+        lineLabel: line.label,
+        utilityType: line.type,
+        severity: reachesLine ? 'conflict' : 'warning',
+        horizontalGap: gap,
+        clearance: clearanceFt,
+        digDepth: excavation.depth,
+        lineDepth: line.depth,
+        message: reachesLine
+          ? `${excavation.label} ${where} the ${line.label} line (${clearanceFt}ft clearance, line at ${line.depth.min}-${line.depth.max}ft, dig to ${excavation.depth}ft)`
+          : `${excavation.label} ${where} the ${line.label} line, which runs below the ${excavation.depth}ft dig at ${line.depth.min}-${line.depth.max}ft - hand-dig near the ${typeLabel.toLowerCase()} marks`
+      });
+    });
+  });
+
+  // Conflicts before warnings, closest first
+  return conflicts.sort((a, b) => (
+    (a.severity === 'conflict' ? 0 : 1) - (b.severity === 'conflict' ? 0 : 1) || a.horizontalGap - b.horizontalGap
+  ));
+}
+
+export { findDigConflicts, FOOTING_DEPTHS };
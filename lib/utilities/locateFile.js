@@ -0,0 +1,82 @@
+// lib/utilities/locateFile.js
+// Read utility lines from a locate-ticket export (GeoJSON or CSV) into scene feet.
+//
+// GeoJSON: LineString / MultiLineString features with properties
+//   { type, label, depthMin, depthMax, ticket }.
+// CSV: ticket,type,label,depth_min,depth_max,wkt (WKT LINESTRING).
+//
+// Coordinates are lng/lat unless the collection (or CSV row) says "units": "feet",
+// in which case they're already scene [x, z] feet. Lng/lat is placed relative to
+// the parcel's coordinates, which sit at the scene origin.
+
+import { parseCsv } from '../csv';
+import { toLocalFeet, parseWktLineString } from '../geo';
+import { createUtilityLine } from './utilityTypes';
+
+// Local feet have y pointing north; scene z points south
+function toScenePoints(coordinates, units, origin) {
+  if (units === 'feet') return coordinates.map(([x, z]) => [x, z]);
+
+  if (!origin) {
+    throw new Error('This locate file uses lng/lat - run the property analysis first so it can be placed on the site');
+  }
+  return toLocalFeet(coordinates, origin).map(([x, y]) => [x, -y]);
+}
+
+function fromGeoJson(collection, fileName, origin) {
+  const lines = [];
+
+  (collection.features || []).forEach((feature, index) => {
+    const props = feature.properties || {};
+    const geometry = feature.geometry || {};
+    const parts = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates
+        : [];
+
+    parts.forEach((coordinates, partIndex) => {
+      lines.push(createUtilityLine({
+        id: `${fileName}-${index}-${partIndex}`,
+        type: props.type,
+        label: props.label,
+        points: toScenePoints(coordinates, props.units || collection.units, origin),
+        depth: { min: props.depthMin, max: props.depthMax },
+        source: 'locate',
+        ticket: props.ticket
+      }));
+    });
+  });
+
+  return lines;
+}
+
+function fromCsv(text, fileName, origin) {
+  return parseCsv(text).map((row, index) => {
+    const coordinates = parseWktLineString(row.wkt);
+    if (!coordinates) {
+      throw new Error(`Row ${index + 2} of ${fileName} has no LINESTRING in the wkt column`);
+    }
+
+    return createUtilityLine({
+      id: `${fileName}-${index}`,
+      type: row.type,
+      label: row.label,
+      points: toScenePoints(coordinates, row.units, origin),
+      depth: { min: row.depth_min, max: row.depth_max },
+      source: 'locate',
+      ticket: row.ticket
+    });
+  });
+}
+
+function parseLocateFile(text, fileName, { origin } = {}) {
+  const lines = /\.csv$/i.test(fileName)
+    ? fromCsv(text, fileName, origin)
+    : fromGeoJson(JSON.parse(text), fileName, origin);
+
+  if (lines.length === 0) {
+    throw new Error(`No utility lines found in ${fileName}`);
+  }
+  return lines;
+}
+
+export { parseLocateFile };
@@ -0,0 +1,40 @@
+// lib/utilities/utilityTypes.js
+// Buried utility kinds, colored with the APWA uniform marking colors locators paint.
+// `clearanceFt` is the horizontal gap we want between any excavation and the line.
+
+const UTILITY_TYPES = {
+  electrical: { label: 'Electrical', color: '#ef4444', clearanceFt: 3 },
+  gas: { label: 'Gas', color: '#facc15', clearanceFt: 5 },
+  water: { label: 'Water', color: '#3b82f6', clearanceFt: 3 },
+  sewer: { label: 'Sewer', color: '#22c55e', clearanceFt: 3 },
+  cable: { label: 'Cable TV', color: '#f97316', clearanceFt: 2 },
+  fiber: { label: 'Fiber', color: '#f97316', clearanceFt: 2 },
+  irrigation: { label: 'Irrigation', color: '#a855f7', clearanceFt: 1.5 },
+  unknown: { label: 'Unidentified line', color: '#ec4899', clearanceFt: 3 }
+};
+
+function createUtilityLine({ id, type, label, points, depth, source, ticket, approximate = false }) {
+  const kind = UTILITY_TYPES[type] ? type : 'unknown';
+  const min = Number(depth?.min);
+  const max = Number(depth?.max);
+
+  if (!Array.isArray(points) || points.length < 2) {
+    throw new Error(`Utility line ${label || id} needs at least two points`);
+  }
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max < min) {
+    throw new Error(`Utility line ${label || id} needs a depth range in feet (min <= max)`);
+  }
+
+  return {
+    id,
+    type: kind,
+    label: label || UTILITY_TYPES[kind].label,
+    points: points.map(([x, z]) => [Math.round(x * 10) / 10, Math.round(z * 10) / 10]),
+    depth: { min, max },
+    source,
+    ticket: ticket || null,
+    approximate
+  };
+}
+
+export { UTILITY_TYPES, createUtilityLine };
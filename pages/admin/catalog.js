@@ -0,0 +1,367 @@
+// 🗂️ CATALOG ADMIN - edit SKUs, costs, markup and regional pricing
+import React, { useState, useEffect, useMemo } from 'react';
+import { fetchCatalog, saveCatalog } from '../../lib/catalog/client';
+import { CATEGORIES, UNITS, validateCatalog } from '../../lib/catalog/schema';
+import { unitPrice, formatUnitPrice } from '../../lib/catalog/pricing';
+
+const cellInput = {
+  width: '100%',
+  background: '#0f172a',
+  color: '#f1f5f9',
+  border: '1px solid #475569',
+  borderRadius: '6px',
+  padding: '6px 8px',
+  fontSize: '12px',
+  boxSizing: 'border-box'
+};
+
+const buttonStyle = {
+  background: 'linear-gradient(135deg, #1e40af 0%, #3b82f6 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  padding: '8px 16px',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+const quietButton = {
+  ...buttonStyle,
+  background: 'linear-gradient(135deg, #475569 0%, #64748b 100%)'
+};
+
+// Empty inputs stay undefined so validation can point at them
+function toNumber(value) {
+  return value === '' ? undefined : Number(value);
+}
+
+function NumberCell({ value, onChange, step = '0.01', placeholder }) {
+  return (
+    <input
+      type="number"
+      min="0"
+      step={step}
+      value={value ?? ''}
+      placeholder={placeholder}
+      onChange={(e) => onChange(toNumber(e.target.value))}
+      style={cellInput}
+    />
+  );
+}
+
+function RegionOverrides({ item, regions, onChange }) {
+  const overrides = item.regionalOverrides || {};
+
+  const setOverride = (regionId, field, value) => {
+    const next = { ...overrides, [regionId]: { ...overrides[regionId], [field]: value } };
+    if (value === undefined) delete next[regionId][field];
+    if (Object.keys(next[regionId]).length === 0) delete next[regionId];
+    onChange({ ...item, regionalOverrides: Object.keys(next).length ? next : undefined });
+  };
+
+  return (
+    <div style={{ padding: '12px', background: '#0f172a', borderRadius: '8px', fontSize: '12px' }}>
+      <div style={{ color: '#94a3b8', marginBottom: '8px' }}>
+        Leave blank to use the base cost times the region multiplier. A region with any override is priced as entered.
+      </div>
+      {regions.map(region => (
+        <div key={region.id} style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr', gap: '8px', alignItems: 'center', marginBottom: '6px' }}>
+          <span style={{ color: '#cbd5e1' }}>{region.name}</span>
+          <NumberCell value={overrides[region.id]?.materialCost} placeholder="Material" onChange={(value) => setOverride(region.id, 'materialCost', value)} />
+          <NumberCell value={overrides[region.id]?.laborCost} placeholder="Labor" onChange={(value) => setOverride(region.id, 'laborCost', value)} />
+          <NumberCell
+            value={overrides[region.id]?.markup === undefined ? undefined : Math.round(overrides[region.id].markup * 1000) / 10}
+            placeholder="Markup %"
+            step="0.5"
+            onChange={(value) => setOverride(region.id, 'markup', value === undefined ? undefined : value / 100)}
+          />
+          <span style={{ color: '#f1f5f9', textAlign: 'right' }}>{formatUnitPrice(unitPrice(item, region), item.unit)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ItemRow({ item, catalog, onChange, onRemove }) {
+  const [showOverrides, setShowOverrides] = useState(false);
+  const placeable = item.category === 'hardscape' || item.category === 'landscape';
+  const set = (field, value) => onChange({ ...item, [field]: value });
+  const overrideCount = Object.keys(item.regionalOverrides || {}).length;
+
+  return (
+    <>
+      <tr style={{ borderTop: '1px solid #334155' }}>
+        <td><input value={item.sku || ''} onChange={(e) => set('sku', e.target.value.toUpperCase())} style={cellInput} /></td>
+        <td><input value={item.type || ''} onChange={(e) => set('type', e.target.value)} style={cellInput} /></td>
+        <td>
+          <input value={item.name || ''} onChange={(e) => set('name', e.target.value)} style={cellInput} />
+          {placeable && (
+            <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+              <select value={item.section || ''} onChange={(e) => set('section', e.target.value)} style={cellInput}>
+                <option value="">Section…</option>
+                {catalog.sections.filter(section => section.category === item.category).map(section => (
+                  <option key={section.id} value={section.id}>{section.title}</option>
+                ))}
+              </select>
+              <input value={item.model || ''} placeholder="Model" list={`models-${item.category}`} onChange={(e) => set('model', e.target.value)} style={cellInput} />
+            </div>
+          )}
+        </td>
+        <td>
+          <select value={item.unit} onChange={(e) => set('unit', e.target.value)} style={cellInput}>
+            {Object.entries(UNITS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </td>
+        <td><NumberCell value={item.materialCost} onChange={(value) => set('materialCost', value)} /></td>
+        <td><NumberCell value={item.laborCost} onChange={(value) => set('laborCost', value)} /></td>
+        <td>
+          <NumberCell
+            value={item.markup === undefined ? undefined : Math.round(item.markup * 1000) / 10}
+            step="0.5"
+            onChange={(value) => set('markup', value === undefined ? undefined : value / 100)}
+          />
+        </td>
+        <td style={{ color: '#10b981', fontWeight: '600', textAlign: 'right', whiteSpace: 'nowrap' }}>
+          {[item.materialCost, item.laborCost, item.markup].every(Number.isFinite)
+            ? formatUnitPrice(unitPrice(item), item.unit)
+            : '—'}
+        </td>
+        <td style={{ whiteSpace: 'nowrap' }}>
+          <button onClick={() => setShowOverrides(prev => !prev)} style={{ ...quietButton, padding: '6px 10px' }}>
+            🌎 {overrideCount || ''}
+          </button>
+          <button onClick={onRemove} title="Remove item" style={{ ...quietButton, padding: '6px 10px', marginLeft: '4px' }}>
+            ✕
+          </button>
+        </td>
+      </tr>
+      {showOverrides && (
+        <tr>
+          <td colSpan={9} style={{ paddingBottom: '12px' }}>
+            <RegionOverrides item={item} regions={catalog.regions} onChange={onChange} />
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+function RegionsEditor({ regions, onChange }) {
+  const update = (index, changes) => onChange(regions.map((region, i) => (i === index ? { ...region, ...changes } : region)));
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+      <thead>
+        <tr style={{ color: '#94a3b8', textAlign: 'left' }}>
+          <th>Region</th><th>ZIP prefixes</th><th style={{ width: '100px' }}>Multiplier</th><th>Note</th>
+        </tr>
+      </thead>
+      <tbody>
+        {regions.map((region, index) => (
+          <tr key={region.id}>
+            <td><input value={region.name} onChange={(e) => update(index, { name: e.target.value })} style={cellInput} /></td>
+            <td>
+              {/* Parsed on blur so typing a comma doesn't get eaten */}
+              <input
+                defaultValue={region.zips.join(', ')}
+                onBlur={(e) => update(index, { zips: e.target.value.split(',').map(zip => zip.trim()).filter(Boolean) })}
+                style={cellInput}
+              />
+            </td>
+            <td><NumberCell value={region.multiplier} onChange={(value) => update(index, { multiplier: value })} /></td>
+            <td><input value={region.note || ''} onChange={(e) => update(index, { note: e.target.value })} style={cellInput} /></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function CatalogAdmin() {
+  const [catalog, setCatalog] = useState(null);
+  const [category, setCategory] = useState('hardscape');
+  const [token, setToken] = useState('');
+  const [dirty, setDirty] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCatalog()
+      .then(setCatalog)
+      .catch(error => setStatus({ type: 'error', message: error.message }));
+  }, []);
+
+  const errors = useMemo(() => (catalog ? validateCatalog(catalog) : []), [catalog]);
+
+  const edit = (changes) => {
+    setCatalog(prev => ({ ...prev, ...changes }));
+    setDirty(true);
+    setStatus(null);
+  };
+
+  const updateItem = (index, next) => {
+    edit({ items: catalog.items.map((item, i) => (i === index ? next : item)) });
+  };
+
+  const addItem = () => {
+    const count = catalog.items.filter(item => item.category === category).length + 1;
+    edit({
+      items: [...catalog.items, {
+        sku: `${category.toUpperCase()}-NEW-${count}`,
+        category,
+        type: `new${count}`,
+        name: 'New item',
+        unit: 'each',
+        materialCost: 0,
+        laborCost: 0,
+        markup: 0.25
+      }]
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await saveCatalog(catalog, { token: token || undefined });
+      setCatalog(saved);
+      setDirty(false);
+      setStatus({ type: 'success', message: `Saved - catalog version ${saved.version}` });
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message, errors: error.errors });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReload = async () => {
+    try {
+      setCatalog(await fetchCatalog());
+      setDirty(false);
+      setStatus(null);
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: 'linear-gradient(145deg, #0f172a 0%, #1e293b 100%)', color: '#f1f5f9', padding: '30px', fontFamily: 'system-ui, sans-serif' }}>
+      <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px', gap: '16px', flexWrap: 'wrap' }}>
+          <div>
+            <h1 style={{ fontSize: '24px', fontWeight: '800', margin: 0 }}>🗂️ Price Catalog</h1>
+            {catalog && (
+              <div style={{ fontSize: '12px', color: '#94a3b8', marginTop: '4px' }}>
+                Version {catalog.version} • updated {new Date(catalog.updatedAt).toLocaleString()} • {catalog.items.length} items
+              </div>
+            )}
+          </div>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <input
+              type="password"
+              value={token}
+              placeholder="Admin token"
+              onChange={(e) => setToken(e.target.value)}
+              style={{ ...cellInput, width: '160px' }}
+            />
+            <button onClick={handleReload} style={quietButton}>↻ Reload</button>
+            <button
+              onClick={handleSave}
+              disabled={!dirty || errors.length > 0 || saving}
+              style={{ ...buttonStyle, opacity: !dirty || errors.length > 0 || saving ? 0.5 : 1 }}
+            >
+              {saving ? 'Saving…' : '💾 Save Catalog'}
+            </button>
+          </div>
+        </div>
+
+        {status && (
+          <div style={{
+            background: status.type === 'error' ? 'rgba(239, 68, 68, 0.15)' : 'rgba(16, 185, 129, 0.15)',
+            border: `1px solid ${status.type === 'error' ? '#ef4444' : '#10b981'}`,
+            borderRadius: '8px',
+            padding: '12px',
+            marginBottom: '16px',
+            fontSize: '13px'
+          }}>
+            {status.message}
+            {status.errors?.length > 0 && (
+              <ul style={{ margin: '8px 0 0', paddingLeft: '20px' }}>
+                {status.errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {!catalog ? (
+          <div style={{ color: '#94a3b8' }}>Loading catalog…</div>
+        ) : (
+          <>
+            {errors.length > 0 && (
+              <div style={{ background: 'rgba(245, 158, 11, 0.12)', border: '1px solid #f59e0b', borderRadius: '8px', padding: '12px', marginBottom: '16px', fontSize: '12px' }}>
+                <strong>Fix before saving:</strong>
+                <ul style={{ margin: '6px 0 0', paddingLeft: '20px' }}>
+                  {errors.slice(0, 8).map(error => <li key={error}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+
+            <div style={{ background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)', borderRadius: '16px', padding: '20px', marginBottom: '20px' }}>
+              <h2 style={{ fontSize: '16px', color: '#3b82f6', marginTop: 0 }}>Regional Pricing</h2>
+              <RegionsEditor regions={catalog.regions} onChange={(regions) => edit({ regions })} />
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '12px', flexWrap: 'wrap' }}>
+              {Object.entries(CATEGORIES).map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setCategory(id)}
+                  style={category === id ? buttonStyle : quietButton}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <div style={{ background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)', borderRadius: '16px', padding: '20px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                <thead>
+                  <tr style={{ color: '#94a3b8', textAlign: 'left' }}>
+                    <th style={{ width: '150px' }}>SKU</th>
+                    <th style={{ width: '120px' }}>Type</th>
+                    <th>Name</th>
+                    <th style={{ width: '90px' }}>Unit</th>
+                    <th style={{ width: '90px' }}>Material $</th>
+                    <th style={{ width: '90px' }}>Labor $</th>
+                    <th style={{ width: '70px' }}>Markup %</th>
+                    <th style={{ width: '100px', textAlign: 'right' }}>Unit price</th>
+                    <th style={{ width: '90px' }} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {catalog.items.map((item, index) => item.category === category && (
+                    <ItemRow
+                      key={index}
+                      item={item}
+                      catalog={catalog}
+                      onChange={(next) => updateItem(index, next)}
+                      onRemove={() => edit({ items: catalog.items.filter((_, i) => i !== index) })}
+                    />
+                  ))}
+                </tbody>
+              </table>
+              {['hardscape', 'landscape'].map(id => (
+                <datalist key={id} id={`models-${id}`}>
+                  {[...new Set(catalog.items.filter(item => item.category === id).map(item => item.model))].map(model => (
+                    <option key={model} value={model} />
+                  ))}
+                </datalist>
+              ))}
+              <button onClick={addItem} style={{ ...quietButton, marginTop: '12px' }}>＋ Add {CATEGORIES[category]} item</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// pages/api/analyze/[jobId]/events.js
+// Server-Sent Events stream of stage events for an analysis job.
+// The first event is a snapshot of the current job state.
+
+import { getJob, serializeJob, subscribe } from '../../../../lib/analysis/jobs';
+
+const KEEP_ALIVE_MS = 15000;
+
+// The response stays open after the handler returns
+export const config = {
+  api: { externalResolver: true }
+};
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const job = getJob(req.query.jobId);
+
+  if (!job) {
+    res.status(404).json({ error: 'Analysis job not found' });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Content-Encoding': 'none',
+    Connection: 'keep-alive'
+  });
+
+  writeEvent(res, {
+    id: job.sequence,
+    type: 'snapshot',
+    at: new Date().toISOString(),
+    job: serializeJob(job)
+  });
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  const unsubscribe = subscribe(job.id, (event) => writeEvent(res, event));
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+}
@@ -0,0 +1,22 @@
+// pages/api/analyze/[jobId]/index.js
+// Poll the status of an analysis job
+
+import { getJob, serializeJob } from '../../../../lib/analysis/jobs';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const job = getJob(req.query.jobId);
+
+  if (!job) {
+    res.status(404).json({ error: 'Analysis job not found' });
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({ job: serializeJob(job) });
+}
@@ -0,0 +1,31 @@
+// pages/api/analyze/[jobId]/result.js
+// Fetch the finished AnalysisResult (see lib/analysis/types.js)
+
+import { getJob } from '../../../../lib/analysis/jobs';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const job = getJob(req.query.jobId);
+
+  if (!job) {
+    res.status(404).json({ error: 'Analysis job not found' });
+    return;
+  }
+
+  if (job.status === 'failed') {
+    res.status(422).json({ error: job.error || 'Analysis failed' });
+    return;
+  }
+
+  if (job.status !== 'completed') {
+    res.status(409).json({ error: `Analysis is still ${job.status}` });
+    return;
+  }
+
+  res.status(200).json({ result: job.result });
+}
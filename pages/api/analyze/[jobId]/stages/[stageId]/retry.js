@@ -0,0 +1,26 @@
+// pages/api/analyze/[jobId]/stages/[stageId]/retry.js
+// Re-run a single failed stage (and the stages it was blocking)
+
+import { getJob, retryStage, serializeJob } from '../../../../../../lib/analysis/jobs';
+
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const job = getJob(req.query.jobId);
+
+  if (!job) {
+    res.status(404).json({ error: 'Analysis job not found' });
+    return;
+  }
+
+  try {
+    retryStage(job, req.query.stageId);
+    res.status(202).json({ job: serializeJob(job) });
+  } catch (error) {
+    res.status(error.status || 409).json({ error: error.message });
+  }
+}
@@ -0,0 +1,82 @@
+// pages/api/analyze/index.js
+// Create a property analysis job from uploaded photos + address
+
+import { createJob, startJob, serializeJob } from '../../../lib/analysis/jobs';
+
+const MAX_PHOTOS = 20;
+const MAX_PHOTO_BYTES = 8 * 1024 * 1024;
+
+// Photos arrive as base64 data URLs
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '200mb' }
+  }
+};
+
+// Bytes the data URL decodes to - the client's `size` field isn't trusted
+function decodedSize(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+function validatePhotos(photos) {
+  if (!Array.isArray(photos) || photos.length === 0) {
+    return 'At least one photo is required';
+  }
+  if (photos.length > MAX_PHOTOS) {
+    return `A maximum of ${MAX_PHOTOS} photos can be analyzed at once`;
+  }
+  for (const photo of photos) {
+    if (typeof photo?.dataUrl !== 'string' || !photo.dataUrl.startsWith('data:image/')) {
+      return `Photo "${photo?.name || 'unknown'}" is not an image`;
+    }
+    if (decodedSize(photo.dataUrl) > MAX_PHOTO_BYTES) {
+      return `Photo "${photo.name}" is larger than 8MB`;
+    }
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  try {
+    const { photos, address } = req.body || {};
+
+    if (typeof address !== 'string' || !address.trim()) {
+      res.status(400).json({ error: 'Property address is required' });
+      return;
+    }
+
+    const photoError = validatePhotos(photos);
+    if (photoError) {
+      res.status(400).json({ error: photoError });
+      return;
+    }
+
+    const job = createJob({
+      address: address.trim(),
+      photos: photos.map((photo, index) => ({
+        index,
+        name: photo.name || `photo-${index + 1}`,
+        type: photo.type || 'image/jpeg',
+        size: decodedSize(photo.dataUrl),
+        dataUrl: photo.dataUrl
+      }))
+    });
+
+    startJob(job);
+
+    res.setHeader('Location', `/api/analyze/${job.id}`);
+    res.status(202).json({ job: serializeJob(job) });
+
+  } catch (error) {
+    console.error('Analyze API Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,42 @@
+// pages/api/catalog/index.js
+// Read the company catalog, or replace it from the admin screen.
+// Saving needs "Authorization: Bearer <CATALOG_ADMIN_TOKEN>"; with no token
+// configured the catalog is read-only.
+
+import { loadCatalog, saveCatalog } from '../../../lib/catalog/store';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    res.setHeader('Allow', 'GET, PUT');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).json({ catalog: await loadCatalog() });
+      return;
+    }
+
+    const token = process.env.CATALOG_ADMIN_TOKEN;
+    if (!token) {
+      res.status(503).json({ error: 'Catalog editing is not configured - set CATALOG_ADMIN_TOKEN on the server' });
+      return;
+    }
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      res.status(401).json({ error: 'Admin token required to edit the catalog' });
+      return;
+    }
+
+    const catalog = await saveCatalog(req.body?.catalog);
+    res.status(200).json({ catalog });
+  } catch (error) {
+    if (error.status) {
+      res.status(error.status).json({ error: error.message, errors: error.errors });
+      return;
+    }
+    console.error('Catalog API Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
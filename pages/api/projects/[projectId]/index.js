@@ -0,0 +1,45 @@
+// pages/api/projects/[projectId]/index.js
+// Open, save (autosave sends the version it started from) or delete a project
+
+import { getProject, updateProject, deleteProject } from '../../../../lib/projects/store';
+
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+export default async function handler(req, res) {
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, PUT, DELETE');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const { projectId } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).json({ project: await getProject(projectId) });
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteProject(projectId);
+      res.status(204).end();
+      return;
+    }
+
+    const { name, document, version } = req.body || {};
+    const project = await updateProject(projectId, { name, document, version });
+    res.status(200).json({ project });
+  } catch (error) {
+    if (error.status) {
+      res.status(error.status).json({ error: error.message, errors: error.errors });
+      return;
+    }
+    console.error('Project API Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
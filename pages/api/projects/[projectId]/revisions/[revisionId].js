@@ -0,0 +1,32 @@
+// pages/api/projects/[projectId]/revisions/[revisionId].js
+// Fetch a named revision's design document, or delete the revision
+
+import { getRevision, deleteRevision } from '../../../../../lib/projects/store';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    res.setHeader('Allow', 'GET, DELETE');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const { projectId, revisionId } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).json({ revision: await getRevision(projectId, revisionId) });
+      return;
+    }
+
+    await deleteRevision(projectId, revisionId);
+    res.status(204).end();
+  } catch (error) {
+    if (error.status) {
+      res.status(error.status).json({ error: error.message, errors: error.errors });
+      return;
+    }
+    console.error('Revision API Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,33 @@
+// pages/api/projects/[projectId]/revisions/index.js
+// List a project's named revisions, or snapshot the saved design as a new one
+
+import { getProject, createRevision, summarizeRevision } from '../../../../../lib/projects/store';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const { projectId } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const project = await getProject(projectId);
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).json({ revisions: project.revisions.map(summarizeRevision) });
+      return;
+    }
+
+    const revision = await createRevision(projectId, { name: req.body?.name });
+    res.status(201).json({ revision });
+  } catch (error) {
+    if (error.status) {
+      res.status(error.status).json({ error: error.message, errors: error.errors });
+      return;
+    }
+    console.error('Revisions API Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,38 @@
+// pages/api/projects/index.js
+// List saved design projects, or save a new one from a design document
+
+import { listProjects, createProject } from '../../../lib/projects/store';
+
+// Documents carry the whole analysis result
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).json({ projects: await listProjects() });
+      return;
+    }
+
+    const { name, document } = req.body || {};
+    const project = await createProject({ name, document });
+    res.status(201).json({ project });
+  } catch (error) {
+    if (error.status) {
+      res.status(error.status).json({ error: error.message, errors: error.errors });
+      return;
+    }
+    console.error('Projects API Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,36 @@
+// pages/api/proposal/index.js
+// Render the client proposal PDF for a design document and the scene
+// snapshots the browser captured
+
+import { generateProposal } from '../../../lib/proposal/generate';
+
+// Documents carry the whole analysis result, plus a few JPEG renders
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  try {
+    const { document, snapshots } = req.body || {};
+    const { pdf, filename } = await generateProposal({ document, snapshots });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).send(pdf);
+  } catch (error) {
+    if (error.status) {
+      res.status(error.status).json({ error: error.message, errors: error.errors });
+      return;
+    }
+    console.error('Proposal API Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
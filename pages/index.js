@@ -1,160 +1,108 @@
 import React, { useState, useCallback, Suspense } from 'react';
+import { useRouter } from 'next/router';
 import { Canvas, useFrame } from '@react-three/fiber';
-import { OrbitControls, Environment, ContactShadows, Box, Plane, Sphere, Cylinder } from '@react-three/drei';
+import * as THREE from 'three';
+import { OrbitControls, TransformControls, Environment, ContactShadows, Box, Sphere, Cylinder } from '@react-three/drei';
 import { EnhancedPool, PoolShapeSelector, PoolFinishSelector } from '../components/EnhancedPool';
+import { AnalysisProgress } from '../components/AnalysisProgress';
+import { ExistingConditions } from '../components/ExistingConditions';
+import { RecommendationsPanel } from '../components/RecommendationsPanel';
+import { SetbackViolations, VIOLATION_COLOR } from '../components/SetbackViolations';
+import { UtilityOverlay } from '../components/UtilityOverlay';
+import { UtilitiesPanel } from '../components/UtilitiesPanel';
+import { ProjectBar } from '../components/ProjectBar';
+import { HistoryToolbar } from '../components/HistoryToolbar';
+import { DragFeedback } from '../components/DragFeedback';
+import { PoolOutlineEditor } from '../components/PoolOutlineEditor';
+import { PoolProfileControls } from '../components/PoolProfileControls';
+import { PoolHydraulicsPanel } from '../components/PoolHydraulicsPanel';
+import { PoolFeatureControls } from '../components/PoolFeatureControls';
+import { SnapshotCapture } from '../components/SnapshotCapture';
+import { SitePlanViewer } from '../components/SitePlanViewer';
+import { PlanCamera, PlanGrid, PlanDimensions, PlanDrawTool } from '../components/PlanView';
+import { PlanToolbar, PlanScaleBar, PlanReadout } from '../components/PlanOverlay';
+import { exportGlb, exportUsdz, downloadBlob } from '../lib/export/model';
+import { buildSitePlan } from '../lib/plan/sitePlan';
+import { measureClearances } from '../lib/plan/clearances';
+import { buildTakeoff } from '../lib/estimate/takeoff';
+import { XLSX_TYPE, tableToCsv, tableToXlsx } from '../lib/export/spreadsheet';
+import { featuresToExistingConditions } from '../lib/features/existingConditions';
+import { getSiteLayout } from '../lib/site/layout';
+import { evaluateRecommendations } from '../lib/recommendations/engine';
+import { validateLayout } from '../lib/compliance/validator';
+import { createUtilityLine } from '../lib/utilities/utilityTypes';
+import { parseLocateFile } from '../lib/utilities/locateFile';
+import { findDigConflicts } from '../lib/utilities/conflicts';
+import { estimateProjectCost, ESTIMATE_GROUPS } from '../lib/estimate/costEngine';
+import { createPriceList, DEFAULT_CATALOG } from '../lib/catalog/pricing';
+import { fetchCatalog } from '../lib/catalog/client';
+import { createAnalysisJob, watchAnalysis, getAnalysisResult, retryAnalysisStage } from '../lib/analysis/client';
+import { createDesignDocument } from '../lib/projects/document';
+import { createHistory, recordCommand, undoCommand, redoCommand } from '../lib/history/history';
+import { getElementMaterial } from '../lib/elements/materials';
+import { findPlacement } from '../lib/placement/freeSpace';
+import { getPoolOutline, scaleOutline, isValidOutline, outlineBounds } from '../lib/pool/outline';
+import { HARDSCAPE_FOOTPRINTS } from '../lib/compliance/footprints';
+import { poolHydraulics } from '../lib/pool/hydraulics';
+import { groundOpenings } from '../lib/pool/features';
+import { SNAP_GRIDS, DEFAULT_SNAP_GRID, getSnapStep, snapDrag, checkPosition } from '../lib/placement/snapping';
+import { ElementProperties } from '../components/ElementProperties';
+import { fetchProject, createProject, saveProject, createRevision, fetchRevision, deleteRevision } from '../lib/projects/client';
+import { requestProposal } from '../lib/proposal/client';
+
+// Quiet period after the last edit before the design is saved
+const AUTOSAVE_DELAY_MS = 1500;
+
+// How pool edits read in the undo/redo buttons
+const POOL_EDIT_LABELS = {
+  length: 'pool length',
+  width: 'pool width',
+  depth: 'pool depth',
+  shape: 'pool shape',
+  finish: 'pool finish',
+  profile: 'depth profile',
+  steps: 'pool steps',
+  sunShelf: 'sun shelf',
+  turnoverHours: 'turnover time',
+  heatRiseF: 'heat rise',
+  hasInfinityEdge: 'infinity edge',
+  hasSpillover: 'spillover spa',
+  infinityEdge: 'vanishing edge',
+  spa: 'spa',
+  freezeProtection: 'freeze protection',
+  equipmentElevated: 'elevated equipment'
+};
+
+const DEFAULT_POOL_DESIGN = {
+  position: [4, 0, 4],
+  size: [24, 12, 6],
+  shape: 'rectangle',
+  color: '#0066cc',
+  finish: 'plaster'
+};
+
+// Gizmo modes, how their edits read in the history, and their shortcut keys
+const TRANSFORM_LABELS = { translate: 'move', rotate: 'rotate', scale: 'resize' };
+const GIZMO_KEYS = { w: 'translate', e: 'rotate', r: 'scale' };
+
+function newElementId(category) {
+  return `${category}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
 
+// Undo shortcuts stay out of text fields, which have their own undo
+function isTextField(target) {
+  if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+  return target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(target.type);
+}
 
-// Enhanced AI Processing with Address & Property Data
-class ContractorAI {
-  constructor() {
-    this.apiKey = process.env.NEXT_PUBLIC_REPLICATE_API_TOKEN;
-    this.googleMapsApiKey = process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY;
-  }
-
-  async analyzePhotosWithAddress(photos, address) {
-    try {
-      const results = {
-        propertyData: await this.getPropertyData(address),
-        dimensions: await this.measureWithPrecision(photos, address),
-        features: await this.detectAllFeatures(photos),
-        compliance: await this.checkLocalBuildingCodes(address),
-        materials: await this.analyzeMaterials(photos),
-        costEstimate: await this.generateLocalCostEstimate(photos, address),
-        utilities: await this.checkUtilityLines(address),
-        recommendations: await this.getLocationSpecificRecommendations(address)
-      };
-      return results;
-    } catch (error) {
-      console.log('AI processing error:', error);
-      return this.getContractorDefaults(photos, address);
-    }
-  }
-
-  async getPropertyData(address) {
-    // Real implementation would use Google Places API + property records
-    const mockData = {
-      lotSize: { length: 120, width: 80 },
-      zoning: 'R-1 Single Family',
-      floodZone: 'Zone X (Minimal Risk)',
-      yearBuilt: 1995,
-      squareFootage: 2400,
-      propertyValue: 650000,
-      hoaRestrictions: ['Pool setbacks: 10ft minimum', 'No fencing over 6ft'],
-      coordinates: { lat: 33.7490, lng: -84.3880 }
-    };
-    
-    return mockData;
-  }
-
-  async checkLocalBuildingCodes(address) {
-    // Real implementation would query local building department APIs
-    const locationCodes = {
-      setbacks: {
-        fromProperty: { required: 8, reason: 'Local ordinance 2024-15' },
-        fromHouse: { required: 12, reason: 'Fire safety code' },
-        fromSeptic: { required: 20, reason: 'Health department requirement' },
-        fromWell: { required: 50, reason: 'Water protection ordinance' }
-      },
-      permits: [
-        { type: 'Pool Construction', cost: 350, timeframe: '2-3 weeks' },
-        { type: 'Electrical', cost: 125, timeframe: '1 week' },
-        { type: 'Plumbing', cost: 100, timeframe: '1 week' },
-        { type: 'Fencing', cost: 75, timeframe: '1 week' }
-      ],
-      restrictions: [
-        'Maximum pool depth: 8 feet',
-        'Required safety barrier: 4ft minimum height',
-        'Pool equipment noise limits: 55dB at property line'
-      ],
-      jurisdiction: 'City of Atlanta Building Department',
-      inspector: 'John Smith - (404) 555-0123'
-    };
-    
-    return locationCodes;
-  }
-
-  async checkUtilityLines(address) {
-    // Real implementation would use 811 utility marking service APIs
-    return {
-      electrical: { present: true, location: 'East property line', depth: '3-4 feet' },
-      gas: { present: true, location: 'North side of house', depth: '2-3 feet' },
-      water: { present: true, location: 'Front yard to house', depth: '4-5 feet' },
-      sewer: { present: true, location: 'Rear yard', depth: '6-8 feet' },
-      cable: { present: true, location: 'Underground throughout', depth: '1-2 feet' },
-      fiber: { present: false },
-      callBeforeDigging: '811 - Call 48 hours before excavation'
-    };
-  }
-
-  async generateLocalCostEstimate(photos, address) {
-    // Real implementation would use local contractor pricing APIs
-    const regionalMultiplier = 1.15; // Atlanta area pricing
-    
-    return {
-      pool: { 
-        base: Math.round(45000 * regionalMultiplier), 
-        excavation: Math.round(8000 * regionalMultiplier), 
-        plumbing: Math.round(6000 * regionalMultiplier), 
-        electrical: Math.round(4000 * regionalMultiplier) 
-      },
-      hardscape: { 
-        decking: Math.round(12000 * regionalMultiplier), 
-        pathways: Math.round(4500 * regionalMultiplier), 
-        retaining: Math.round(8000 * regionalMultiplier) 
-      },
-      landscape: { 
-        plants: Math.round(3500 * regionalMultiplier), 
-        irrigation: Math.round(2800 * regionalMultiplier), 
-        lighting: Math.round(4200 * regionalMultiplier) 
-      },
-      permits: 650,
-      total: Math.round(100500 * regionalMultiplier),
-      timeline: '10-14 weeks',
-      locationNote: 'Atlanta metro pricing - includes local labor rates'
-    };
-  }
-
-  async measureWithPrecision(photos, address) {
-    // Enhanced measurement using address property records
-    const scaleReferences = ['door', 'window', 'car', 'person'];
-    const detectedScale = scaleReferences[Math.floor(Math.random() * scaleReferences.length)];
-    
-    return {
-      length: 45 + Math.random() * 15,
-      width: 30 + Math.random() * 10,
-      confidence: 0.94, // Higher confidence with address data
-      scaleReference: detectedScale,
-      accuracy: '±4 inches', // Better accuracy with property records
-      propertyVerified: true
-    };
-  }
-
-  getContractorDefaults(photos, address) {
-    return {
-      propertyData: {
-        lotSize: { length: 100, width: 70 },
-        zoning: 'R-1 Single Family',
-        floodZone: 'Zone X'
-      },
-      dimensions: { length: 50, width: 35, confidence: 0.88, scaleReference: 'door', accuracy: '±8 inches' },
-      compliance: {
-        setbacks: {
-          fromProperty: { required: 5, available: 8, compliant: true },
-          fromHouse: { required: 10, available: 15, compliant: true }
-        },
-        permits: [
-          { type: 'Pool Installation', cost: 300, timeframe: '2-3 weeks' }
-        ]
-      },
-      costEstimate: {
-        pool: { base: 45000, excavation: 8000, plumbing: 6000, electrical: 4000 },
-        hardscape: { decking: 12000, pathways: 4500 },
-        landscape: { plants: 3500, irrigation: 2800 },
-        total: 98300,
-        timeline: '8-12 weeks'
-      }
-    };
-  }
+// What the project bar needs - revisions without their documents
+function projectSummary(project) {
+  return {
+    id: project.id,
+    name: project.name,
+    version: project.version,
+    revisions: project.revisions.map(({ id, name, createdAt }) => ({ id, name, createdAt }))
+  };
 }
 
 // Error Boundary Component
@@ -210,7 +158,7 @@ class ErrorBoundary extends React.Component {
 }
 
 // User-Friendly Hardscape Elements with Luxury Features
-function HardscapeElement({ type, position, onSelect, selected, onDrag }) {
+function HardscapeElement({ name, type, position, rotation = 0, scale = [1, 1, 1], materialColor, onSelect, selected, onDrag, onDragStart, onDragEnd, violating = false, blocked = false }) {
   const [isDragging, setIsDragging] = useState(false);
   const [hovered, setHovered] = useState(false);
   const meshRef = React.useRef();
@@ -395,21 +343,20 @@ function HardscapeElement({ type, position, onSelect, selected, onDrag }) {
   };
   
   const element = elements[type] || elements.deck;
+  // Drag beacon turns red over a spot the element can't be dropped
+  const beaconColor = blocked ? VIOLATION_COLOR : '#00ff00';
   
   const handlePointerDown = (event) => {
     event.stopPropagation();
     setIsDragging(true);
     document.body.style.cursor = 'grabbing';
+    if (onDragStart) onDragStart(type);
   };
   
+  // Raw pointer position - the page snaps it and checks for collisions
   const handlePointerMove = (event) => {
     if (isDragging && onDrag) {
-      const newPosition = [
-        Math.round(event.point.x),
-        position[1],
-        Math.round(event.point.z)
-      ];
-      onDrag(type, newPosition);
+      onDrag(type, [event.point.x, position[1], event.point.z]);
     }
   };
   
@@ -417,6 +364,7 @@ function HardscapeElement({ type, position, onSelect, selected, onDrag }) {
     event.stopPropagation();
     setIsDragging(false);
     document.body.style.cursor = 'default';
+    if (onDragEnd) onDragEnd(type);
     if (onSelect) onSelect(type);
   };
 
@@ -437,7 +385,10 @@ function HardscapeElement({ type, position, onSelect, selected, onDrag }) {
   return (
     <group 
       ref={meshRef}
+      name={name}
       position={position}
+      rotation={[0, (rotation * Math.PI) / 180, 0]}
+      scale={scale}
       onPointerDown={handlePointerDown}
       onPointerMove={handlePointerMove}
       onPointerUp={handlePointerUp}
@@ -445,36 +396,43 @@ function HardscapeElement({ type, position, onSelect, selected, onDrag }) {
       onPointerLeave={handlePointerLeave}
     >
       {React.cloneElement(element.geometry, {
-        children: element.material
+        // Setback violations turn the element red until it's moved clear, and so
+        // does a drag into a spot it can't go; a chosen material shows except
+        // while selected or dragged
+        children: blocked || (violating && !isDragging)
+          ? React.cloneElement(element.material, { color: VIOLATION_COLOR, emissive: VIOLATION_COLOR, emissiveIntensity: 0.35 })
+          : materialColor && !selected && !isDragging
+            ? React.cloneElement(element.material, { color: materialColor })
+            : element.material
       })}
       
       {/* Enhanced visual feedback when dragging */}
       {isDragging && (
-        <>
+        <group userData={{ exportIgnore: true }}>
           <Box args={[0.5, 10, 0.5]} position={[0, 5, 0]}>
             <meshStandardMaterial 
-              color="#00ff00" 
+              color={beaconColor} 
               transparent 
               opacity={0.7}
-              emissive="#00ff00"
+              emissive={beaconColor}
               emissiveIntensity={0.5}
             />
           </Box>
           <Sphere args={[1]} position={[0, 1, 0]}>
             <meshStandardMaterial 
-              color="#00ff00" 
+              color={beaconColor} 
               transparent 
               opacity={0.3}
-              emissive="#00ff00"
+              emissive={beaconColor}
               emissiveIntensity={0.3}
             />
           </Sphere>
-        </>
+        </group>
       )}
 
       {/* Hover glow effect */}
       {hovered && !isDragging && (
-        <Sphere args={[Math.max(...element.geometry.props.args) + 1]} position={[0, 0.5, 0]}>
+        <Sphere args={[Math.max(...element.geometry.props.args) + 1]} position={[0, 0.5, 0]} userData={{ exportIgnore: true }}>
           <meshStandardMaterial 
             color="#4a90e2" 
             transparent 
@@ -489,7 +447,7 @@ function HardscapeElement({ type, position, onSelect, selected, onDrag }) {
 }
 
 // User-Friendly Landscape Elements with Luxury Features
-function LandscapeElement({ type, position, onSelect, selected, onDrag, seasonalColors }) {
+function LandscapeElement({ name, type, position, rotation = 0, scale = [1, 1, 1], onSelect, selected, onDrag, onDragStart, onDragEnd, seasonalColors, blocked = false }) {
   const [isDragging, setIsDragging] = useState(false);
   const [hovered, setHovered] = useState(false);
   const meshRef = React.useRef();
@@ -724,20 +682,19 @@ function LandscapeElement({ type, position, onSelect, selected, onDrag, seasonal
     )
   };
   
+  const beaconColor = blocked ? VIOLATION_COLOR : '#ffff00';
+
   const handlePointerDown = (event) => {
     event.stopPropagation();
     setIsDragging(true);
     document.body.style.cursor = 'grabbing';
+    if (onDragStart) onDragStart(type);
   };
   
+  // Raw pointer position - the page snaps it and checks for collisions
   const handlePointerMove = (event) => {
     if (isDragging && onDrag) {
-      const newPosition = [
-        Math.round(event.point.x),
-        position[1],
-        Math.round(event.point.z)
-      ];
-      onDrag(type, newPosition);
+      onDrag(type, [event.point.x, position[1], event.point.z]);
     }
   };
   
@@ -745,6 +702,7 @@ function LandscapeElement({ type, position, onSelect, selected, onDrag, seasonal
     event.stopPropagation();
     setIsDragging(false);
     document.body.style.cursor = 'default';
+    if (onDragEnd) onDragEnd(type);
     if (onSelect) onSelect(type);
   };
 
@@ -765,7 +723,10 @@ function LandscapeElement({ type, position, onSelect, selected, onDrag, seasonal
   return (
     <group 
       ref={meshRef}
+      name={name}
       position={position}
+      rotation={[0, (rotation * Math.PI) / 180, 0]}
+      scale={scale}
       onPointerDown={handlePointerDown}
       onPointerMove={handlePointerMove}
       onPointerUp={handlePointerUp}
@@ -776,31 +737,31 @@ function LandscapeElement({ type, position, onSelect, selected, onDrag, seasonal
       
       {/* Enhanced visual feedback when dragging */}
       {isDragging && (
-        <>
+        <group userData={{ exportIgnore: true }}>
           <Box args={[0.3, 8, 0.3]} position={[0, 4, 0]}>
             <meshStandardMaterial 
-              color="#ffff00" 
+              color={beaconColor} 
               transparent 
               opacity={0.8}
-              emissive="#ffff00"
+              emissive={beaconColor}
               emissiveIntensity={0.6}
             />
           </Box>
           <Sphere args={[0.8]} position={[0, 0.5, 0]}>
             <meshStandardMaterial 
-              color="#ffff00" 
+              color={beaconColor} 
               transparent 
               opacity={0.3}
-              emissive="#ffff00"
+              emissive={beaconColor}
               emissiveIntensity={0.3}
             />
           </Sphere>
-        </>
+        </group>
       )}
 
       {/* Hover glow effect */}
       {hovered && !isDragging && (
-        <Sphere args={[3]} position={[0, 2, 0]}>
+        <Sphere args={[3]} position={[0, 2, 0]} userData={{ exportIgnore: true }}>
           <meshStandardMaterial 
             color="#32CD32" 
             transparent 
@@ -1172,8 +1133,110 @@ function PhotoUpload({ onUpload, photos, onAddressChange, address, isMobile }) {
   );
 }
 
+// Transform gizmo for the selected element. The gizmo drives an empty proxy
+// group; every change is committed back to the element (the selected element's
+// own pointer drag is switched off so the two don't fight). Moves are snapped
+// by the page, like pointer drags.
+function SelectionGizmo({ element, mode, gizmoRef, onChange, onStart, onEnd }) {
+  const proxyRef = React.useRef();
+  const scale = element.scale || [1, 1, 1];
+
+  const handleObjectChange = () => {
+    const proxy = proxyRef.current;
+    // Heading from the quaternion - Euler y folds back past ±90°
+    const heading = (2 * Math.atan2(proxy.quaternion.y, proxy.quaternion.w) * 180) / Math.PI;
+    onChange({
+      position: [proxy.position.x, element.position[1], proxy.position.z],
+      rotation: Math.round(((heading % 360) + 360) % 360),
+      scale: [proxy.scale.x, proxy.scale.y, proxy.scale.z].map(value => Math.max(0.25, Math.round(value * 20) / 20))
+    });
+  };
+
+  return (
+    <group name="selection-gizmo" userData={{ exportIgnore: true }}>
+      <group
+        ref={proxyRef}
+        position={element.position}
+        rotation={[0, ((element.rotation || 0) * Math.PI) / 180, 0]}
+        scale={scale}
+      />
+      <TransformControls
+        ref={gizmoRef}
+        object={proxyRef}
+        mode={mode}
+        showX={mode !== 'rotate'}
+        showY={mode !== 'translate'}
+        showZ={mode !== 'rotate'}
+        rotationSnap={Math.PI / 12}
+        scaleSnap={0.05}
+        onMouseDown={onStart}
+        onMouseUp={onEnd}
+        onObjectChange={handleObjectChange}
+      />
+    </group>
+  );
+}
+
+// 150ft square of ground with the pool (out to its coping), catch basin and
+// spa cut out, so the shell, steps and sun shelf show through the water
+function YardGround({ pool, children, ...props }) {
+  const geometry = React.useMemo(() => {
+    const half = 75;
+    const toShape = ([x, z]) => new THREE.Vector2(x, -z);
+    const shape = new THREE.Shape([[-half, -half], [half, -half], [half, half], [-half, half]].map(toShape));
+    if (pool) {
+      const [px, , pz] = pool.position;
+      groundOpenings(pool).forEach(opening => {
+        shape.holes.push(new THREE.Path(opening.map(([x, z]) => toShape([x + px, z + pz]))));
+      });
+    }
+    return new THREE.ShapeGeometry(shape);
+  }, [pool]);
+  React.useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <mesh name="ground" geometry={geometry} rotation={[-Math.PI / 2, 0, 0]} {...props}>
+      {children}
+    </mesh>
+  );
+}
+
 // Advanced Scene with Time-of-Day and Environmental Controls
-function Scene({ designData, aiResults, onPoolSelect, hardscapeElements, landscapeElements, onElementSelect, onElementDrag, timeOfDay = 'sunset' }) {
+// Weathered wood fence along one property line, posts every 10ft
+function PropertyFence({ name, start, end }) {
+  const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+  const angle = -Math.atan2(end[1] - start[1], end[0] - start[0]);
+  const posts = Math.floor(length / 10);
+
+  return (
+    <group name={name} position={[(start[0] + end[0]) / 2, 0, (start[1] + end[1]) / 2]} rotation={[0, angle, 0]}>
+      <Box args={[length, 6, 0.2]} position={[0, 3, 0]}>
+        <meshStandardMaterial 
+          color="#8B4513" 
+          roughness={0.9}
+          normalScale={[0.6, 0.6]}
+        />
+      </Box>
+      {/* Fence posts with wood grain */}
+      {Array.from({ length: posts }, (_, i) => (
+        <Box key={i} args={[0.3, 7, 0.3]} position={[-length / 2 + 5 + i * 10, 3.5, 0]}>
+          <meshStandardMaterial 
+            color="#654321" 
+            roughness={0.9}
+            normalScale={[0.8, 0.8]}
+          />
+        </Box>
+      ))}
+    </group>
+  );
+}
+
+function Scene({ designData, hydraulics, aiResults, onPoolSelect, hardscapeElements, landscapeElements, existingConditions = [], siteLayout, violations = [], utilityLines = [], showUtilities = false, utilityDraft, digConflicts = [], onGroundClick, selection, transformMode = 'translate', gizmoRef, dragFeedback, outlineEditor, plan, onElementSelect, onElementDrag, onElementDragStart, onElementDragEnd, onElementTransform, onTransformStart, onTransformEnd, timeOfDay = 'sunset' }) {
+  const violatingIds = new Set(violations.map(violation => violation.objectId));
+  const house = siteLayout.house;
+  const selectedElement = selection
+    && (selection.category === 'hardscape' ? hardscapeElements : landscapeElements).find(element => element.id === selection.id);
+
   const [seasons, setSeasons] = useState('summer');
   
   // Environmental lighting based on time of day
@@ -1229,9 +1292,15 @@ function Scene({ designData, aiResults, onPoolSelect, hardscapeElements, landsca
 
   return (
     <>
-      <OrbitControls enablePan enableZoom enableRotate />
+      {/* Plan mode swaps in a top-down orthographic camera; the scene is the same */}
+      {plan ? (
+        <PlanCamera bounds={siteLayout.bounds} onZoomChange={plan.onZoomChange} />
+      ) : (
+        <OrbitControls makeDefault enablePan enableZoom enableRotate />
+      )}
       <Environment preset={currentLighting.environment} />
       <ContactShadows 
+        userData={{ exportIgnore: true }}
         opacity={0.3} 
         scale={60} 
         blur={1.5} 
@@ -1271,16 +1340,33 @@ function Scene({ designData, aiResults, onPoolSelect, hardscapeElements, landsca
         />
       )}
       
-      {/* Realistic grass ground with seasonal variation */}
-      <Plane args={[150, 150]} rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.1, 0]}>
+      {/* Realistic grass ground with seasonal variation - see-through when looking at utilities */}
+      <YardGround
+        pool={designData.pool}
+        position={[0, -0.1, 0]}
+        onClick={onGroundClick ? (event) => {
+          event.stopPropagation();
+          onGroundClick([Math.round(event.point.x * 2) / 2, Math.round(event.point.z * 2) / 2]);
+        } : undefined}
+      >
         <meshStandardMaterial 
           color={currentColors.grass} 
           roughness={0.95} 
+          transparent={showUtilities}
+          opacity={showUtilities ? 0.45 : 1}
         />
-      </Plane>
+      </YardGround>
+
+      {/* Buried utility lines and the one being drawn */}
+      <UtilityOverlay
+        lines={utilityLines}
+        visible={showUtilities}
+        draft={utilityDraft}
+        conflictLineIds={digConflicts.map(conflict => conflict.lineId)}
+      />
       
       {/* Enhanced house structure with better materials */}
-      <group position={[-30, 0, -25]}>
+      <group name="house" position={[house.center[0], 0, house.center[1]]}>
         {/* House foundation with realistic concrete - FIXED positioning */}
         <Box args={[25, 1, 20]} position={[0, 0.5, 0]}>
           <meshStandardMaterial 
@@ -1332,7 +1418,7 @@ function Scene({ designData, aiResults, onPoolSelect, hardscapeElements, landsca
       </group>
       
       {/* Existing patio/deck area with weathered wood */}
-      <Box args={[15, 0.2, 10]} position={[-15, 0.1, -15]}>
+      <Box name="existing-patio" args={[15, 0.2, 10]} position={[-15, 0.1, -15]}>
         <meshStandardMaterial 
           color="#d2b48c" 
           roughness={0.8}
@@ -1340,6 +1426,9 @@ function Scene({ designData, aiResults, onPoolSelect, hardscapeElements, landsca
         />
       </Box>
       
+      {/* Existing conditions detected in the site photos - locked */}
+      <ExistingConditions items={existingConditions} />
+      
       {/* Enhanced Pool with time-of-day effects */}
       {designData.pool && (
        <EnhancedPool 
@@ -1347,98 +1436,109 @@ function Scene({ designData, aiResults, onPoolSelect, hardscapeElements, landsca
   position={designData.pool.position}
   size={designData.pool.size}
   shape={designData.pool.shape || 'rectangle'}
+  outline={designData.pool.outline}
+  profile={designData.pool.profile}
+  steps={designData.pool.steps}
+  sunShelf={designData.pool.sunShelf}
+  infinityEdge={designData.pool.infinityEdge}
+  spa={designData.pool.spa}
   finish={designData.pool.finish}
   onSelect={onPoolSelect}
   timeOfDay={timeOfDay}
   hasInfinityEdge={designData.pool.hasInfinityEdge}
   hasSpillover={designData.pool.hasSpillover}
+  hydraulics={hydraulics}
+  heater={designData.pool.heater}
+  sanitation={designData.pool.sanitation}
+  equipmentElevated={designData.pool.equipmentElevated}
   lighting="led"
+  violating={violatingIds.has('pool')}
 />
 )}
 
+      {/* Control points of the pool outline, while it's being edited */}
+      {designData.pool && outlineEditor && (
+        <PoolOutlineEditor
+          position={designData.pool.position}
+          outline={getPoolOutline(designData.pool)}
+          {...outlineEditor}
+        />
+      )}
+
+      {/* Measured gaps for every setback the layout breaks */}
+      <SetbackViolations violations={violations} />
+
+      {/* Where the dragged element will land, and what it lines up with */}
+      <DragFeedback feedback={dragFeedback} />
+
+      {/* Plan mode: grid, the selection's clearances and the drawing tools */}
+      {plan && <PlanGrid bounds={siteLayout.bounds} step={plan.gridStep} />}
+      {plan?.measurement && <PlanDimensions measurement={plan.measurement} />}
+      {plan?.tool && (
+        <PlanDrawTool
+          tool={plan.tool}
+          gridStep={plan.gridStep}
+          onDrawPatio={plan.onDrawPatio}
+          onDrawPool={plan.onDrawPool}
+          onCancel={plan.onCancelTool}
+        />
+      )}
+
       {/* Hardscape Elements with enhanced materials */}
       {hardscapeElements.map((element, index) => (
         <HardscapeElement
-          key={`hardscape-${index}`}
-          type={element.type}
+          key={element.id || `hardscape-${index}`}
+          name={`${element.model || element.type}-${element.id || index}`}
+          type={element.model || element.type}
           position={element.position}
-          selected={element.selected}
-          onSelect={onElementSelect}
-          onDrag={(type, newPosition) => onElementDrag('hardscape', index, newPosition)}
+          rotation={element.rotation}
+          scale={element.scale}
+          materialColor={getElementMaterial(element.material).color}
+          selected={selection?.id === element.id}
+          violating={violatingIds.has(element.id)}
+          blocked={dragFeedback?.id === element.id && !dragFeedback.valid}
+          onSelect={() => onElementSelect('hardscape', element.id)}
+          onDrag={selection?.id === element.id ? undefined : (type, newPosition) => onElementDrag('hardscape', index, newPosition)}
+          onDragStart={() => onElementDragStart('hardscape', index)}
+          onDragEnd={onElementDragEnd}
         />
       ))}
       
       {/* Landscape Elements with seasonal colors */}
       {landscapeElements.map((element, index) => (
         <LandscapeElement
-          key={`landscape-${index}`}
-          type={element.type}
+          key={element.id || `landscape-${index}`}
+          name={`${element.model || element.type}-${element.id || index}`}
+          type={element.model || element.type}
           position={element.position}
-          selected={element.selected}
-          onSelect={onElementSelect}
-          onDrag={(type, newPosition) => onElementDrag('landscape', index, newPosition)}
+          rotation={element.rotation}
+          scale={element.scale}
+          selected={selection?.id === element.id}
+          onSelect={() => onElementSelect('landscape', element.id)}
+          onDrag={selection?.id === element.id ? undefined : (type, newPosition) => onElementDrag('landscape', index, newPosition)}
+          onDragStart={() => onElementDragStart('landscape', index)}
+          onDragEnd={onElementDragEnd}
           seasonalColors={currentColors}
+          blocked={dragFeedback?.id === element.id && !dragFeedback.valid}
         />
       ))}
+
+      {/* Move/rotate/scale gizmo on the selected element */}
+      {selectedElement && (
+        <SelectionGizmo
+          element={selectedElement}
+          mode={transformMode}
+          gizmoRef={gizmoRef}
+          onChange={(changes) => onElementTransform(selection.category, selectedElement.id, changes)}
+          onStart={onTransformStart}
+          onEnd={onTransformEnd}
+        />
+      )}
       
       {/* Property boundaries with realistic weathered fencing */}
-      <group position={[-50, 0, 0]}>
-        <Box args={[0.2, 6, 100]} position={[0, 3, 0]}>
-          <meshStandardMaterial 
-            color="#8B4513" 
-            roughness={0.9}
-            normalScale={[0.6, 0.6]}
-          />
-        </Box>
-        {/* Fence posts with wood grain */}
-        {Array.from({ length: 11 }, (_, i) => (
-          <Box key={i} args={[0.3, 7, 0.3]} position={[0, 3.5, -45 + i * 10]}>
-            <meshStandardMaterial 
-              color="#654321" 
-              roughness={0.9}
-              normalScale={[0.8, 0.8]}
-            />
-          </Box>
-        ))}
-      </group>
-      
-      <group position={[50, 0, 0]}>
-        <Box args={[0.2, 6, 100]} position={[0, 3, 0]}>
-          <meshStandardMaterial 
-            color="#8B4513" 
-            roughness={0.9}
-            normalScale={[0.6, 0.6]}
-          />
-        </Box>
-        {Array.from({ length: 11 }, (_, i) => (
-          <Box key={i} args={[0.3, 7, 0.3]} position={[0, 3.5, -45 + i * 10]}>
-            <meshStandardMaterial 
-              color="#654321" 
-              roughness={0.9}
-              normalScale={[0.8, 0.8]}
-            />
-          </Box>
-        ))}
-      </group>
-      
-      <group position={[0, 0, -50]}>
-        <Box args={[100, 6, 0.2]} position={[0, 3, 0]}>
-          <meshStandardMaterial 
-            color="#8B4513" 
-            roughness={0.9}
-            normalScale={[0.6, 0.6]}
-          />
-        </Box>
-        {Array.from({ length: 11 }, (_, i) => (
-          <Box key={i} args={[0.3, 7, 0.3]} position={[-45 + i * 10, 3.5, 0]}>
-            <meshStandardMaterial 
-              color="#654321" 
-              roughness={0.9}
-              normalScale={[0.8, 0.8]}
-            />
-          </Box>
-        ))}
-      </group>
+      {siteLayout.propertyLines.map(line => (
+        <PropertyFence key={line.id} name={`fence-${line.id}`} start={line.start} end={line.end} />
+      ))}
       
       {/* Atmospheric effects for realism */}
       {timeOfDay === 'evening' && (
@@ -1452,9 +1552,118 @@ function Scene({ designData, aiResults, onPoolSelect, hardscapeElements, landsca
   );
 }
 
+// Auto-place in free space, or arm an item and click the ground to place it
+function PlacementModeToggle({ placement }) {
+  const options = [
+    { id: 'auto', label: '✨ Auto-place' },
+    { id: 'click', label: '📍 Click to place' }
+  ];
+
+  return (
+    <div style={{ display: 'flex', gap: '6px', marginBottom: '12px' }}>
+      {options.map(option => (
+        <button
+          key={option.id}
+          onClick={() => placement.onModeChange(option.id)}
+          style={{
+            flex: 1,
+            background: placement.mode === option.id ? '#3b82f6' : '#1e293b',
+            color: 'white',
+            border: '1px solid #475569',
+            borderRadius: '8px',
+            padding: '6px 10px',
+            fontSize: '11px',
+            fontWeight: '600',
+            cursor: 'pointer'
+          }}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Drag snap grid, floating over the top-right of the 3D view
+function SnapGridToggle({ value, onChange }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '16px',
+      right: '16px',
+      zIndex: 10,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '4px',
+      background: 'rgba(15, 23, 42, 0.85)',
+      border: '1px solid #475569',
+      borderRadius: '10px',
+      padding: '4px 4px 4px 10px',
+      backdropFilter: 'blur(6px)'
+    }}>
+      <span style={{ fontSize: '12px', color: '#94a3b8', marginRight: '4px' }}>Snap</span>
+      {SNAP_GRIDS.map(grid => (
+        <button
+          key={grid.id}
+          onClick={() => onChange(grid.id)}
+          style={{
+            background: value === grid.id ? '#3b82f6' : 'transparent',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            padding: '4px 10px',
+            fontSize: '12px',
+            fontWeight: '600',
+            cursor: 'pointer'
+          }}
+        >
+          {grid.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Elements already in the design, each removable
+function PlacedElements({ elements, onRemove }) {
+  if (elements.length === 0) return null;
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '20px' }}>
+      {elements.map(element => (
+        <span
+          key={element.id}
+          style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '6px',
+            background: '#1e293b',
+            border: '1px solid #475569',
+            borderRadius: '12px',
+            padding: '4px 6px 4px 10px',
+            fontSize: '11px',
+            color: '#cbd5e1'
+          }}
+        >
+          {element.name || element.type}
+          <button
+            onClick={() => onRemove(element.id)}
+            aria-label={`Remove ${element.name || element.type}`}
+            style={{ background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', padding: 0, fontSize: '11px' }}
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
+
 // Advanced Design Controls with Time-of-Day and Environmental Settings
-function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddElement, timeOfDay, onTimeChange }) {
+function ContractorControls({ designData, hydraulics, onUpdate, onExport, exportStatus, aiResults, onAddElement, placement, poolOutline, placedElements, onRemoveElement, existingConditions = [], recommendations = [], layoutCompliance, utilities, costEstimate, priceList, timeOfDay, onTimeChange }) {
   const [activeTab, setActiveTab] = useState('pool');
+  const setbackCount = layoutCompliance?.violations.length || 0;
+  const violationCount = setbackCount + (layoutCompliance?.designViolations.length || 0);
   
   const luxuryButtonStyle = {
     background: 'linear-gradient(135deg, #1e40af 0%, #3b82f6 100%)',
@@ -1476,20 +1685,41 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
       boxShadow: '0 20px 60px rgba(0,0,0,0.4)',
       border: '1px solid #334155'
     }}>
-      {/* AI Recommendation Banner */}
-      {aiResults?.compliance && (
+      {/* Compliance Banner - live result of the setback validator */}
+      {aiResults?.compliance && layoutCompliance?.checked && (
         <div style={{
-          background: 'linear-gradient(135deg, #059669 0%, #10b981 100%)',
+          background: violationCount === 0
+            ? 'linear-gradient(135deg, #059669 0%, #10b981 100%)'
+            : 'linear-gradient(135deg, #b91c1c 0%, #ef4444 100%)',
           borderRadius: '16px',
           padding: '20px',
           marginBottom: '30px',
           color: 'white'
         }}>
           <h4 style={{ margin: '0 0 8px 0', fontSize: '16px', fontWeight: '700' }}>
-            ✅ Code Compliant Design
+            {violationCount === 0
+              ? '✅ Code Compliant Design'
+              : `⛔ ${violationCount} ${violationCount === setbackCount ? 'Setback' : 'Code'} Violation${violationCount === 1 ? '' : 's'}`}
           </h4>
+          {layoutCompliance.violations.map(violation => (
+            <p key={violation.id} style={{ margin: '0 0 6px 0', fontSize: '13px' }}>
+              {violation.objectLabel} → {violation.targetLabel}: {violation.measured}ft measured, {violation.required}ft required
+              <span style={{ opacity: 0.8 }}> ({violation.reason})</span>
+            </p>
+          ))}
+          {layoutCompliance.designViolations.map(violation => (
+            <p key={violation.id} style={{ margin: '0 0 6px 0', fontSize: '13px' }}>
+              {violation.objectLabel} {violation.ruleLabel.toLowerCase()}: {violation.measured}ft designed, {violation.required}ft allowed
+              {violation.reason && <span style={{ opacity: 0.8 }}> ({violation.reason})</span>}
+            </p>
+          ))}
           <p style={{ margin: 0, fontSize: '14px', opacity: 0.9 }}>
-            All setbacks verified • Permits estimated: ${aiResults.compliance.estimatedCost?.toLocaleString()}
+            {violationCount === 0
+              ? `All setbacks verified for ${layoutCompliance.checkedObjects} object${layoutCompliance.checkedObjects === 1 ? '' : 's'}`
+              : setbackCount > 0
+                ? 'Move the highlighted objects clear of the dashed red gaps'
+                : 'Adjust the pool in the Pool tab'}
+            {' '}• Permits estimated: ${(aiResults.compliance.estimatedCost ?? 0).toLocaleString()}
           </p>
         </div>
       )}
@@ -1503,7 +1733,7 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
         padding: '6px',
         marginBottom: '30px'
       }}>
-        {['pool', 'environment', 'hardscape', 'landscape', 'estimate'].map(tab => (
+        {['pool', 'site', 'environment', 'hardscape', 'landscape', 'estimate'].map(tab => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
@@ -1540,11 +1770,13 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
       currentShape={designData.pool?.shape || 'rectangle'}
       onShapeChange={(shape) => onUpdate('pool', 'shape', shape)}
       designData={designData}
+      priceList={priceList}
     />
     
     <PoolFinishSelector 
       currentFinish={designData.pool?.finish || 'plaster'}
       onFinishChange={(finish) => onUpdate('pool', 'finish', finish)}
+      priceList={priceList}
     />
     
     {/* Dimensions */}
@@ -1578,7 +1810,7 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
             type="range" 
             min="12" 
             max="30" 
-            value={designData.pool?.size[2] || 12}
+            value={designData.pool?.size[1] || 12}
             onChange={(e) => onUpdate('pool', 'width', parseInt(e.target.value))}
             style={{ 
               flex: 1, 
@@ -1588,12 +1820,91 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
             }}
           />
           <span style={{ minWidth: '50px', color: '#f1f5f9', fontWeight: '600' }}>
-            {designData.pool?.size[2] || 12}ft
+            {designData.pool?.size[1] || 12}ft
+          </span>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '12px' }}>
+          <span style={{ minWidth: '60px', color: '#94a3b8' }}>{designData.pool?.profile ? 'Deep end:' : 'Depth:'}</span>
+          <input 
+            type="range" 
+            min="3.5" 
+            max="10" 
+            step="0.5"
+            value={designData.pool?.size[2] || 6}
+            onChange={(e) => onUpdate('pool', 'depth', parseFloat(e.target.value))}
+            style={{ 
+              flex: 1, 
+              accentColor: '#3b82f6',
+              backgroundColor: '#334155',
+              borderRadius: '8px'
+            }}
+          />
+          <span style={{ minWidth: '50px', color: '#f1f5f9', fontWeight: '600' }}>
+            {designData.pool?.size[2] || 6}ft
           </span>
         </div>
       </div>
     </div>
 
+    {designData.pool && (
+      <PoolProfileControls
+        pool={designData.pool}
+        maxDepth={aiResults?.compliance?.maxDepth}
+        onUpdate={(property, value) => onUpdate('pool', property, value)}
+      />
+    )}
+
+    {/* Outline */}
+    {poolOutline && (
+      <div style={{ marginBottom: '24px' }}>
+        <label style={{ display: 'block', fontSize: '14px', fontWeight: '600', marginBottom: '12px', color: '#cbd5e1' }}>
+          Outline
+        </label>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            onClick={poolOutline.onToggle}
+            style={{
+              flex: 1,
+              background: poolOutline.editing
+                ? 'linear-gradient(135deg, #b45309 0%, #f59e0b 100%)'
+                : 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '12px',
+              padding: '10px',
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            {poolOutline.editing ? '✓ Done editing' : '✏️ Edit outline'}
+          </button>
+          {designData.pool?.outline && (
+            <button
+              onClick={poolOutline.onReset}
+              style={{
+                background: 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '12px',
+                padding: '10px',
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              ↺ Reset to shape
+            </button>
+          )}
+        </div>
+        {poolOutline.editing && (
+          <div style={{ fontSize: '12px', color: '#94a3b8', marginTop: '8px' }}>
+            Drag the yellow points on the pool to reshape it. Area, perimeter and volume follow the outline.
+          </div>
+        )}
+      </div>
+    )}
+
     {/* Premium Features */}
     <div style={{ marginBottom: '24px' }}>
       <label style={{ display: 'block', fontSize: '14px', fontWeight: '600', marginBottom: '12px', color: '#cbd5e1' }}>
@@ -1615,7 +1926,7 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
           }}
         >
           ♾️ Infinity Edge<br/>
-          <span style={{ fontSize: '8px', opacity: 0.8 }}>+$15,000</span>
+          <span style={{ fontSize: '8px', opacity: 0.8 }}>+${priceList.price('poolAddOn', 'hasInfinityEdge').toLocaleString()}</span>
         </button>
         <button
           onClick={() => onUpdate('pool', 'hasSpillover', !designData.pool?.hasSpillover)}
@@ -1632,13 +1943,119 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
           }}
         >
           ♨️ Spillover Spa<br/>
-          <span style={{ fontSize: '8px', opacity: 0.8 }}>+$25,000</span>
+          <span style={{ fontSize: '8px', opacity: 0.8 }}>+${priceList.price('poolAddOn', 'hasSpillover').toLocaleString()}</span>
         </button>
       </div>
     </div>
+
+    {hydraulics && (
+      <PoolFeatureControls
+        pool={designData.pool}
+        hydraulics={hydraulics}
+        onUpdate={(property, value) => onUpdate('pool', property, value)}
+      />
+    )}
+
+    {/* Equipment - also set by the one-click site recommendations */}
+    <div style={{ marginBottom: '24px' }}>
+      <label style={{ display: 'block', fontSize: '14px', fontWeight: '600', marginBottom: '12px', color: '#cbd5e1' }}>
+        Equipment
+      </label>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+        {[
+          { property: 'sanitation', on: 'salt', off: 'chlorine', label: '🧂 Salt System' },
+          { property: 'heater', on: 'heatPump', off: 'none', label: '🌡️ Heat Pump' },
+          { property: 'freezeProtection', on: true, off: false, label: '❄️ Freeze Protection' },
+          { property: 'equipmentElevated', on: true, off: false, label: '🌊 Elevated Pad' }
+        ].map(({ property, on, off, label }) => {
+          const active = designData.pool?.[property] === on;
+          const item = priceList.byCategory('equipment').find(candidate => candidate.property === property && candidate.value === on);
+          return (
+            <button
+              key={property}
+              onClick={() => onUpdate('pool', property, active ? off : on)}
+              style={{
+                background: active
+                  ? 'linear-gradient(135deg, #3b82f6 0%, #6366f1 100%)'
+                  : 'linear-gradient(135deg, #475569 0%, #64748b 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                padding: '8px',
+                fontSize: '10px',
+                cursor: 'pointer'
+              }}
+            >
+              {label}
+              {item && <span style={{ display: 'block', fontSize: '8px', opacity: 0.8 }}>+{priceList.label(item)}</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+
+    {hydraulics && (
+      <PoolHydraulicsPanel
+        pool={designData.pool}
+        hydraulics={hydraulics}
+        onUpdate={(property, value) => onUpdate('pool', property, value)}
+      />
+    )}
   </div>
 )}
 
+      {/* Site Recommendations */}
+      {activeTab === 'site' && (
+        <div style={{ color: 'white' }}>
+          <h3 style={{ fontSize: '20px', fontWeight: '700', marginBottom: '8px', color: '#f1f5f9' }}>
+            📍 Site Recommendations
+          </h3>
+          {aiResults?.propertyData && (
+            <p style={{ fontSize: '12px', color: '#94a3b8', margin: '0 0 20px 0' }}>
+              {aiResults.propertyData.verified === false
+                ? 'No parcel record for this address • Yard measured from photos'
+                : <>Parcel {aiResults.propertyData.parcelId || 'n/a'} • Climate zone {aiResults.propertyData.climateZone || 'unknown'} • {aiResults.propertyData.floodZone} • {aiResults.propertyData.lotSize?.length}×{aiResults.propertyData.lotSize?.width}ft lot</>}
+            </p>
+          )}
+
+          <RecommendationsPanel
+            recommendations={recommendations}
+            onApply={({ category, property, value }) => onUpdate(category, property, value)}
+          />
+
+          {aiResults?.compliance && (
+            <div style={{
+              background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)',
+              borderRadius: '12px',
+              padding: '16px',
+              marginTop: '20px'
+            }}>
+              <h4 style={{ color: '#3b82f6', fontSize: '14px', fontWeight: '600', margin: '0 0 8px 0' }}>
+                🏛️ {aiResults.compliance.jurisdiction}
+              </h4>
+              {aiResults.compliance.jurisdictionLevel === 'state' || aiResults.compliance.jurisdictionLevel === 'national' ? (
+                <p style={{ fontSize: '12px', color: '#f59e0b', margin: '0 0 8px 0' }}>
+                  ⚠️ No local rules on file - showing {aiResults.compliance.jurisdictionLevel} defaults
+                </p>
+              ) : null}
+              <ul style={{ fontSize: '12px', color: '#cbd5e1', margin: '0 0 8px 0', paddingLeft: '16px' }}>
+                {Object.entries(aiResults.compliance.setbacks || {}).map(([key, setback]) => (
+                  <li key={key}>{key.replace(/^from/, 'From ')}: {setback.required}ft - {setback.reason}</li>
+                ))}
+                {aiResults.compliance.restrictions.map(restriction => (
+                  <li key={restriction}>{restriction}</li>
+                ))}
+              </ul>
+              <div style={{ fontSize: '11px', color: '#94a3b8' }}>
+                Rules: {aiResults.compliance.rulesChain?.map(rule => `${rule.name} v${rule.version}`).join(' → ')}
+              </div>
+            </div>
+          )}
+
+          {utilities && <UtilitiesPanel {...utilities} />}
+        </div>
+      )}
+
       {/* Environment Controls - NEW TAB */}
       {activeTab === 'environment' && (
         <div style={{ color: 'white' }}>
@@ -1695,168 +2112,78 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
               <li>Seasonal landscape variations</li>
             </ul>
           </div>
-        </div>
-      )}
 
-      {/* Hardscape Controls */}
-      {activeTab === 'hardscape' && (
-        <div style={{ color: 'white' }}>
-          <h3 style={{ fontSize: '20px', fontWeight: '700', marginBottom: '24px', color: '#f1f5f9' }}>
-            🏗️ Luxury Hardscape Elements
-          </h3>
-          
-          <div style={{ marginBottom: '20px' }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🔥 Fire Features
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
-              {[
-                { type: 'firepit', label: '🔥 Fire Pit', cost: '$4,500' },
-                { type: 'linearfirewall', label: '🔥 Fire Wall', cost: '$12,000' },
-                { type: 'firebowl', label: '🔥 Fire Bowl', cost: '$3,200' },
-                { type: 'fireplace', label: '🔥 Fireplace', cost: '$15,000' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('hardscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
-            </div>
-          </div>
-
-          <div style={{ marginBottom: '20px' }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              💧 Water Features
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
-              {[
-                { type: 'spa', label: '♨️ Spa/Hot Tub', cost: '$25,000' },
-                { type: 'waterwall', label: '💧 Water Wall', cost: '$8,500' },
-                { type: 'fountain', label: '⛲ Fountain', cost: '$6,000' },
-                { type: 'koipond', label: '🐟 Koi Pond', cost: '$12,000' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('hardscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
-            </div>
-          </div>
-
-          <div style={{ marginBottom: '20px' }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🧱 Outdoor Living
+          <div style={{
+            background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)',
+            borderRadius: '12px',
+            padding: '16px',
+            marginBottom: '20px'
+          }}>
+            <h4 style={{ color: '#f59e0b', fontSize: '14px', fontWeight: '600', marginBottom: '8px' }}>
+              🔒 Existing Conditions
             </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
-              {[
-                { type: 'pergola', label: '🏛️ Pergola', cost: '$18,000' },
-                { type: 'outdoorkitchen', label: '👨‍🍳 Kitchen', cost: '$35,000' },
-                { type: 'bar', label: '🍻 Outdoor Bar', cost: '$22,000' },
-                { type: 'cabana', label: '🏖️ Cabana', cost: '$28,000' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('hardscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
-            </div>
+            {existingConditions.length === 0 ? (
+              <p style={{ fontSize: '12px', color: '#94a3b8', margin: 0 }}>
+                No existing features detected in the site photos
+              </p>
+            ) : (
+              existingConditions.map(condition => (
+                <div key={condition.id} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  fontSize: '12px',
+                  color: '#cbd5e1',
+                  marginBottom: '4px'
+                }}>
+                  <span>{condition.label}</span>
+                  <span style={{ color: '#94a3b8' }}>
+                    Photo {condition.photoIndex + 1} • {Math.round(condition.confidence * 100)}%
+                  </span>
+                </div>
+              ))
+            )}
           </div>
+        </div>
+      )}
 
-          <div style={{ marginBottom: '20px' }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🎮 Recreation & Wellness
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
-              {[
-                { type: 'puttinggreen', label: '⛳ Putting Green', cost: '$15,000' },
-                { type: 'boccecourt', label: '🎯 Bocce Court', cost: '$8,500' },
-                { type: 'sauna', label: '🧖‍♂️ Sauna', cost: '$45,000' },
-                { type: 'deck', label: '🪵 Premium Deck', cost: '$12,000' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('hardscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
-            </div>
-          </div>
+      {/* Hardscape Controls */}
+      {activeTab === 'hardscape' && (
+        <div style={{ color: 'white' }}>
+          <h3 style={{ fontSize: '20px', fontWeight: '700', marginBottom: '24px', color: '#f1f5f9' }}>
+            🏗️ Luxury Hardscape Elements
+          </h3>
 
-          <div>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🏗️ Traditional Elements
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
-              {[
-                { type: 'patio', label: '🏛️ Patio', cost: '$8,500' },
-                { type: 'retaining', label: '🧱 Retaining Wall', cost: '$12,000' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('hardscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
+          <PlacementModeToggle placement={placement} />
+          <PlacedElements elements={placedElements.hardscape} onRemove={(id) => onRemoveElement('hardscape', id)} />
+          
+          {priceList.sections('hardscape').map(section => (
+            <div key={section.id} style={{ marginBottom: '20px' }}>
+              <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
+                {section.title}
+              </h4>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
+                {section.items.map(item => (
+                  <button
+                    key={item.sku}
+                    onClick={() => onAddElement('hardscape', item)}
+                    style={{
+                      ...luxuryButtonStyle,
+                      outline: placement.placingItem?.item.sku === item.sku ? '2px solid #fbbf24' : 'none',
+                      padding: '12px 8px',
+                      display: 'flex',
+                      flexDirection: 'column',
+                      alignItems: 'center',
+                      textAlign: 'center',
+                      fontSize: '10px'
+                    }}
+                  >
+                    <span style={{ fontSize: '12px', marginBottom: '2px' }}>{item.label || item.name}</span>
+                    <span style={{ fontSize: '9px', opacity: 0.8 }}>{priceList.label(item)}</span>
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
+          ))}
         </div>
       )}
 
@@ -1866,160 +2193,43 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
           <h3 style={{ fontSize: '20px', fontWeight: '700', marginBottom: '24px', color: '#f1f5f9' }}>
             🌳 Luxury Landscape Elements
           </h3>
-          
-          <div style={{ marginBottom: '20px' }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🌳 Premium Trees
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
-              {[
-                { type: 'tree', label: '🌳 Oak Tree', cost: '$1,200' },
-                { type: 'palmtree', label: '🌴 Palm Tree', cost: '$2,500' },
-                { type: 'japanesemaple', label: '🍁 Japanese Maple', cost: '$1,800' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('landscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
-            </div>
-          </div>
-
-          <div style={{ marginBottom: '20px' }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🌿 Designer Plants
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
-              {[
-                { type: 'shrub', label: '🌿 Premium Shrub', cost: '$300' },
-                { type: 'boxwood', label: '📦 Boxwood', cost: '$250' },
-                { type: 'lavender', label: '💜 Lavender', cost: '$180' },
-                { type: 'succulent', label: '🌵 Succulent Garden', cost: '$400' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('landscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
-            </div>
-          </div>
-
-          <div style={{ marginBottom: '20px' }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🌸 Flower Gardens
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
-              {[
-                { type: 'flowerbed', label: '🌺 Flower Bed', cost: '$850' },
-                { type: 'roses', label: '🌹 Rose Garden', cost: '$650' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('landscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
-            </div>
-          </div>
-
-          <div style={{ marginBottom: '20px' }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🌱 Ground Cover & Turf
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
-              {[
-                { type: 'grass', label: '🌱 Natural Grass', cost: '$500' },
-                { type: 'artificialgrassturf', label: '🌿 Artificial Turf', cost: '$1,200' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('landscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
-            </div>
-          </div>
 
-          <div>
-            <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
-              🪨 Natural Elements
-            </h4>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
-              {[
-                { type: 'boulder', label: '🪨 Natural Boulder', cost: '$1,500' },
-                { type: 'riverrock', label: '⚫ River Rock', cost: '$800' },
-                { type: 'zengarden', label: '🧘 Zen Garden', cost: '$3,200' }
-              ].map(({ type, label, cost }) => (
-                <button
-                  key={type}
-                  onClick={() => onAddElement('landscape', type)}
-                  style={{
-                    ...luxuryButtonStyle,
-                    padding: '12px 8px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    alignItems: 'center',
-                    textAlign: 'center',
-                    fontSize: '10px'
-                  }}
-                >
-                  <span style={{ fontSize: '12px', marginBottom: '2px' }}>{label}</span>
-                  <span style={{ fontSize: '9px', opacity: 0.8 }}>{cost}</span>
-                </button>
-              ))}
+          <PlacementModeToggle placement={placement} />
+          <PlacedElements elements={placedElements.landscape} onRemove={(id) => onRemoveElement('landscape', id)} />
+          
+          {priceList.sections('landscape').map(section => (
+            <div key={section.id} style={{ marginBottom: '20px' }}>
+              <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '12px', color: '#f1f5f9' }}>
+                {section.title}
+              </h4>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', marginBottom: '16px' }}>
+                {section.items.map(item => (
+                  <button
+                    key={item.sku}
+                    onClick={() => onAddElement('landscape', item)}
+                    style={{
+                      ...luxuryButtonStyle,
+                      outline: placement.placingItem?.item.sku === item.sku ? '2px solid #fbbf24' : 'none',
+                      padding: '12px 8px',
+                      display: 'flex',
+                      flexDirection: 'column',
+                      alignItems: 'center',
+                      textAlign: 'center',
+                      fontSize: '10px'
+                    }}
+                  >
+                    <span style={{ fontSize: '12px', marginBottom: '2px' }}>{item.label || item.name}</span>
+                    <span style={{ fontSize: '9px', opacity: 0.8 }}>{priceList.label(item)}</span>
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
+          ))}
         </div>
       )}
 
-      {/* Cost Estimate */}
-      {activeTab === 'estimate' && aiResults?.costEstimate && (
+      {/* Cost Estimate - re-priced from the live design */}
+      {activeTab === 'estimate' && costEstimate && (
         <div style={{ color: 'white' }}>
           <h3 style={{ fontSize: '20px', fontWeight: '700', marginBottom: '24px', color: '#f1f5f9' }}>
             💰 Professional Estimate
@@ -2031,24 +2241,47 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
             padding: '20px',
             marginBottom: '20px'
           }}>
-            <div style={{ marginBottom: '16px' }}>
-              <h4 style={{ color: '#3b82f6', fontSize: '16px', fontWeight: '600', marginBottom: '12px' }}>
-                Pool Construction
-              </h4>
-              {Object.entries(aiResults.costEstimate.pool).map(([item, cost]) => (
-                <div key={item} style={{ 
-                  display: 'flex', 
-                  justifyContent: 'space-between', 
-                  marginBottom: '8px',
-                  fontSize: '14px'
-                }}>
-                  <span style={{ color: '#cbd5e1', textTransform: 'capitalize' }}>{item}:</span>
-                  <span style={{ color: '#f1f5f9', fontWeight: '600' }}>${cost.toLocaleString()}</span>
+            {ESTIMATE_GROUPS
+              .filter(group => costEstimate.lineItems.some(item => item.group === group.id))
+              .map(group => (
+                <div key={group.id} style={{ marginBottom: '16px' }}>
+                  <h4 style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    color: '#3b82f6',
+                    fontSize: '16px',
+                    fontWeight: '600',
+                    marginBottom: '12px'
+                  }}>
+                    <span>{group.label}</span>
+                    <span>${costEstimate.subtotals[group.id].toLocaleString()}</span>
+                  </h4>
+                  {costEstimate.lineItems.filter(item => item.group === group.id).map(item => (
+                    <div key={item.id} style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      gap: '12px',
+                      marginBottom: '8px',
+                      fontSize: '14px'
+                    }}>
+                      <span style={{ color: '#cbd5e1' }}>
+                        {item.label}
+                        {item.detail && (
+                          <span style={{ display: 'block', fontSize: '11px', color: '#94a3b8' }}>{item.detail}</span>
+                        )}
+                      </span>
+                      <span style={{ color: '#f1f5f9', fontWeight: '600' }}>${item.amount.toLocaleString()}</span>
+                    </div>
+                  ))}
+                  {group.id === 'pool' && (
+                    <div style={{ fontSize: '12px', color: '#94a3b8' }}>
+                      {costEstimate.pool.areaSqFt} sq ft • {costEstimate.pool.perimeterFt} ft perimeter • {costEstimate.pool.volumeGallons.toLocaleString()} gal
+                    </div>
+                  )}
                 </div>
               ))}
-            </div>
-            
-            <div style={{ 
+
+            <div style={{
               borderTop: '1px solid #475569',
               paddingTop: '16px',
               display: 'flex',
@@ -2063,7 +2296,7 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
                 fontWeight: '800', 
                 color: '#10b981'
               }}>
-                ${aiResults.costEstimate.total.toLocaleString()}
+                ${costEstimate.total.toLocaleString()}
               </span>
             </div>
             
@@ -2072,7 +2305,10 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
               fontSize: '14px',
               color: '#94a3b8'
             }}>
-              Timeline: {aiResults.costEstimate.timeline}
+              Timeline: {costEstimate.timeline}
+            </div>
+            <div style={{ marginTop: '4px', fontSize: '12px', color: '#94a3b8' }}>
+              {costEstimate.locationNote} (×{costEstimate.region.multiplier}) • Catalog v{costEstimate.catalogVersion}
             </div>
           </div>
         </div>
@@ -2080,26 +2316,33 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
       
       {/* Export Controls */}
       <div style={{ borderTop: '1px solid #475569', paddingTop: '24px' }}>
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '16px', marginBottom: '16px' }}>
-          <button 
-            onClick={() => onExport('quote')}
-            style={{
-              ...luxuryButtonStyle,
-              background: 'linear-gradient(135deg, #059669 0%, #10b981 100%)'
-            }}
-          >
-            📋 Generate Quote
-          </button>
-          <button 
-            onClick={() => onExport('3d')}
-            style={{
-              ...luxuryButtonStyle,
-              background: 'linear-gradient(135deg, #7c3aed 0%, #8b5cf6 100%)'
-            }}
-          >
-            🎨 Export 3D
-          </button>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '12px', marginBottom: '16px' }}>
+          {[
+            { type: 'quote', label: '📋 Generate Quote', busyLabel: '⏳ Building PDF...', background: 'linear-gradient(135deg, #059669 0%, #10b981 100%)' },
+            { type: 'plan', label: '📐 Site Plan', background: 'linear-gradient(135deg, #0369a1 0%, #0ea5e9 100%)' },
+            { type: 'csv', label: '📊 Takeoff CSV', background: 'linear-gradient(135deg, #b45309 0%, #d97706 100%)' },
+            { type: 'xlsx', label: '📊 Takeoff XLSX', background: 'linear-gradient(135deg, #b45309 0%, #f59e0b 100%)' },
+            { type: '3d', label: '🎨 Export GLB', busyLabel: '⏳ Exporting...', background: 'linear-gradient(135deg, #7c3aed 0%, #8b5cf6 100%)' },
+            { type: 'usdz', label: '📱 Export USDZ', busyLabel: '⏳ Exporting...', background: 'linear-gradient(135deg, #6d28d9 0%, #a78bfa 100%)' }
+          ].map(({ type, label, busyLabel, background }) => {
+            const busy = exportStatus?.type === type && !exportStatus.error;
+            return (
+              <button
+                key={type}
+                onClick={() => onExport(type)}
+                disabled={Boolean(exportStatus && !exportStatus.error)}
+                style={{ ...luxuryButtonStyle, background, padding: '12px 8px' }}
+              >
+                {busy ? busyLabel : label}
+              </button>
+            );
+          })}
         </div>
+        {exportStatus?.error && (
+          <div style={{ marginBottom: '16px', fontSize: '12px', color: '#fca5a5' }}>
+            ⚠️ {exportStatus.error}
+          </div>
+        )}
         
         {/* Reset Design Button */}
         <button 
@@ -2119,25 +2362,54 @@ function ContractorControls({ designData, onUpdate, onExport, aiResults, onAddEl
 
 // Main Application with Advanced Environmental Controls
 function BackyardAIComponent() {
+  const router = useRouter();
   const [step, setStep] = useState('upload');
   const [photos, setPhotos] = useState([]);
   const [address, setAddress] = useState('');
-  const [progress, setProgress] = useState(0);
-  const [currentStage, setCurrentStage] = useState('');
+  const [analysisJob, setAnalysisJob] = useState(null);
   const [aiResults, setAiResults] = useState(null);
   const [hardscapeElements, setHardscapeElements] = useState([]);
   const [landscapeElements, setLandscapeElements] = useState([]);
   const [isMobile, setIsMobile] = useState(false);
   const [timeOfDay, setTimeOfDay] = useState('sunset');
   const [isProcessingPhotos, setIsProcessingPhotos] = useState(false);
+  const [analysisError, setAnalysisError] = useState(null);
+  const [utilityLines, setUtilityLines] = useState([]);
+  const [showUtilities, setShowUtilities] = useState(false);
+  const [utilityDraft, setUtilityDraft] = useState(null);
+  const [utilityImportError, setUtilityImportError] = useState(null);
+  const [digChecklist, setDigChecklist] = useState({});
+  const [catalog, setCatalog] = useState(DEFAULT_CATALOG);
+  const [project, setProject] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [projectError, setProjectError] = useState(null);
+  // Saved id/version, the last document written and the save queue live in
+  // refs so queued saves always see the latest
+  const savedProjectRef = React.useRef(null);
+  const savedDocumentRef = React.useRef(null);
+  const saveQueueRef = React.useRef(Promise.resolve());
+  const conflictRef = React.useRef(false);
+  const [history, setHistory] = useState(createHistory);
+  const [selection, setSelection] = useState(null);
+  const [transformMode, setTransformMode] = useState('translate');
+  const [placementMode, setPlacementMode] = useState('auto');
+  const [placingItem, setPlacingItem] = useState(null);
+  const [placementError, setPlacementError] = useState(null);
+  const [snapGrid, setSnapGrid] = useState(DEFAULT_SNAP_GRID);
+  const [dragFeedback, setDragFeedback] = useState(null);
+  const [editingOutline, setEditingOutline] = useState(false);
+  // { type, error } while an export is being built, or after it failed
+  const [exportStatus, setExportStatus] = useState(null);
+  const [showSitePlan, setShowSitePlan] = useState(false);
+  // '3d' orbits the perspective view; 'plan' looks straight down to scale
+  const [viewMode, setViewMode] = useState('3d');
+  const [planTool, setPlanTool] = useState(null);
+  const [planZoom, setPlanZoom] = useState(null);
+  const captureRef = React.useRef(null);
+  const sceneRef = React.useRef(null);
+  const gizmoRef = React.useRef(null);
   const [designData, setDesignData] = useState({
-    pool: {
-      position: [0, 0, 0],
-      size: [24, 12, 6],
-      shape: 'rectangle',
-      color: '#0066cc',
-      finish: 'plaster'
-    },
+    pool: DEFAULT_POOL_DESIGN,
     backyard: {
       dimensions: { length: 50, width: 35 }
     }
@@ -2205,7 +2477,269 @@ function BackyardAIComponent() {
     };
   }, []);
 
-  const contractorAI = new ContractorAI();
+  // Undoable design state. Edits update the ref straight away so several in
+  // one tick each see the one before.
+  const designStateRef = React.useRef(null);
+  designStateRef.current = { designData, hardscapeElements, landscapeElements, timeOfDay };
+  const dragGroupRef = React.useRef(null);
+  const dragSessionRef = React.useRef(null);
+
+  const applyDesignState = useCallback((values) => {
+    if ('designData' in values) setDesignData(values.designData);
+    if ('hardscapeElements' in values) setHardscapeElements(values.hardscapeElements);
+    if ('landscapeElements' in values) setLandscapeElements(values.landscapeElements);
+    if ('timeOfDay' in values) setTimeOfDay(values.timeOfDay);
+    designStateRef.current = { ...designStateRef.current, ...values };
+  }, []);
+
+  // Every design edit goes through here. `edit` gets the current state and
+  // returns the pieces it changes; `mergeKey` groups drags and slider moves.
+  const commitDesign = useCallback((label, edit, mergeKey = null) => {
+    const current = designStateRef.current;
+    const next = edit(current);
+    const changes = Object.fromEntries(
+      Object.entries(next).map(([key, after]) => [key, { before: current[key], after }])
+    );
+    applyDesignState(next);
+    setHistory(prev => recordCommand(prev, { label, mergeKey, changes }));
+  }, [applyDesignState]);
+
+  const handleUndo = useCallback(() => {
+    const undone = undoCommand(history);
+    if (!undone) return;
+    applyDesignState(undone.state);
+    setHistory(undone.history);
+  }, [history, applyDesignState]);
+
+  const handleRedo = useCallback(() => {
+    const redone = redoCommand(history);
+    if (!redone) return;
+    applyDesignState(redone.state);
+    setHistory(redone.history);
+  }, [history, applyDesignState]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), plus Ctrl+Y for redo
+  React.useEffect(() => {
+    if (step !== 'design') return undefined;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isTextField(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [step, handleUndo, handleRedo]);
+
+  const siteLayout = getSiteLayout(designData);
+
+  // Detected yard features, placed in the scene as locked existing conditions
+  const existingConditions = React.useMemo(
+    () => featuresToExistingConditions(aiResults?.features, siteLayout),
+    [aiResults, siteLayout]
+  );
+
+  // Setbacks re-checked against the real layout on every design change
+  const layoutCompliance = React.useMemo(
+    () => validateLayout({
+      design: designData,
+      hardscapeElements,
+      layout: siteLayout,
+      compliance: aiResults?.compliance
+    }),
+    [designData, hardscapeElements, siteLayout, aiResults]
+  );
+
+  // Pool dig and structure footings against the buried lines
+  const digConflicts = React.useMemo(
+    () => findDigConflicts({ design: designData, hardscapeElements, lines: utilityLines }),
+    [designData, hardscapeElements, utilityLines]
+  );
+
+  // Company catalog - the bundled copy renders first, the saved one replaces it
+  React.useEffect(() => {
+    fetchCatalog()
+      .then(setCatalog)
+      .catch(error => console.error('Could not load catalog:', error));
+  }, []);
+
+  const pricingAddress = aiResults?.propertyData?.address || address;
+  const priceList = React.useMemo(() => createPriceList(catalog, pricingAddress), [catalog, pricingAddress]);
+  const hydraulics = React.useMemo(() => designData.pool && poolHydraulics(designData.pool), [designData.pool]);
+
+  // Estimate re-priced from the live design, elements and site conditions
+  const costEstimate = React.useMemo(
+    () => aiResults && estimateProjectCost({
+      design: designData,
+      hardscapeElements,
+      landscapeElements,
+      address: pricingAddress,
+      materials: aiResults.materials,
+      compliance: aiResults.compliance,
+      catalog
+    }),
+    [aiResults, designData, hardscapeElements, landscapeElements, pricingAddress, catalog]
+  );
+
+  // Drafting plan for the site plan viewer, only built while it's open
+  const sitePlan = React.useMemo(
+    () => showSitePlan && buildSitePlan({
+      design: designData,
+      hardscapeElements,
+      landscapeElements,
+      siteLayout,
+      compliance: aiResults?.compliance,
+      address: pricingAddress
+    }),
+    [showSitePlan, designData, hardscapeElements, landscapeElements, siteLayout, aiResults, pricingAddress]
+  );
+  const closeSitePlan = useCallback(() => setShowSitePlan(false), []);
+
+  // Location rules re-run against the live design so applying one clears it
+  const recommendations = React.useMemo(
+    () => evaluateRecommendations({
+      propertyData: aiResults?.propertyData,
+      compliance: aiResults?.compliance,
+      design: designData
+    }),
+    [aiResults, designData]
+  );
+
+  const designDocument = React.useMemo(
+    () => createDesignDocument({
+      address,
+      designData,
+      hardscapeElements,
+      landscapeElements,
+      utilityLines,
+      timeOfDay,
+      aiResults
+    }),
+    [address, designData, hardscapeElements, landscapeElements, utilityLines, timeOfDay, aiResults]
+  );
+
+  // Put a saved design back on screen - no photos or analysis needed
+  const restoreDocument = useCallback((document) => {
+    setAddress(document.address);
+    setAiResults(document.analysis);
+    setDesignData(document.design);
+    setHardscapeElements(document.hardscapeElements);
+    setLandscapeElements(document.landscapeElements);
+    setUtilityLines(document.utilityLines || []);
+    setTimeOfDay(document.timeOfDay);
+    setUtilityDraft(null);
+    setSelection(null);
+    setHistory(createHistory());
+    setStep('design');
+  }, []);
+
+  // Saves run one at a time so each one sends the version the last one got back
+  const queueSave = useCallback((task) => {
+    const result = saveQueueRef.current.then(task);
+    saveQueueRef.current = result.catch(() => {});
+    return result;
+  }, []);
+
+  // Create the project on the first save, then update it in place
+  const persistDocument = useCallback((document) => queueSave(async () => {
+    const json = JSON.stringify(document);
+    if (json === savedDocumentRef.current) return;
+
+    setSaveStatus('saving');
+    try {
+      const current = savedProjectRef.current;
+      const saved = current
+        ? await saveProject(current.id, { document, version: current.version })
+        : await createProject({ document });
+
+      savedProjectRef.current = { id: saved.id, version: saved.version };
+      savedDocumentRef.current = json;
+      setProject(projectSummary(saved));
+      setSaveStatus('saved');
+      setProjectError(null);
+
+      if (!current) {
+        router.replace({ pathname: '/', query: { project: saved.id } }, undefined, { shallow: true });
+      }
+    } catch (error) {
+      conflictRef.current = error.status === 409;
+      setSaveStatus(conflictRef.current ? 'conflict' : 'error');
+      setProjectError(error.message);
+      throw error;
+    }
+  }), [queueSave, router]);
+
+  // Open ?project=<id> straight into the design step
+  const requestedProjectId = router.isReady ? router.query.project : undefined;
+  React.useEffect(() => {
+    if (typeof requestedProjectId !== 'string' || requestedProjectId === savedProjectRef.current?.id) return;
+
+    fetchProject(requestedProjectId)
+      .then(loaded => {
+        savedProjectRef.current = { id: loaded.id, version: loaded.version };
+        savedDocumentRef.current = JSON.stringify(loaded.document);
+        setProject(projectSummary(loaded));
+        setSaveStatus('saved');
+        restoreDocument(loaded.document);
+      })
+      .catch(error => setProjectError(`Could not open project: ${error.message}`));
+  }, [requestedProjectId, restoreDocument]);
+
+  // Autosave once the design has settled; the first save after analysis creates the project
+  React.useEffect(() => {
+    if (step !== 'design' || !aiResults || conflictRef.current) return undefined;
+
+    const timer = setTimeout(
+      () => persistDocument(designDocument).catch(error => console.error('Autosave failed:', error)),
+      savedProjectRef.current ? AUTOSAVE_DELAY_MS : 0
+    );
+    return () => clearTimeout(timer);
+  }, [step, aiResults, designDocument, persistDocument]);
+
+  // Snapshot the current design as a named option. Saves first so the server's
+  // copy matches the screen.
+  const handleSaveRevision = useCallback(async (name) => {
+    try {
+      await persistDocument(designDocument);
+      const revision = await queueSave(() => createRevision(savedProjectRef.current.id, name));
+      setProject(prev => ({
+        ...prev,
+        revisions: [...prev.revisions, { id: revision.id, name: revision.name, createdAt: revision.createdAt }]
+      }));
+      setProjectError(null);
+    } catch (error) {
+      setProjectError(error.message);
+    }
+  }, [persistDocument, designDocument, queueSave]);
+
+  // Loading an option makes it the working design; autosave picks it up from there
+  const handleLoadRevision = useCallback(async (revisionId) => {
+    try {
+      const revision = await fetchRevision(savedProjectRef.current.id, revisionId);
+      restoreDocument(revision.document);
+    } catch (error) {
+      setProjectError(error.message);
+    }
+  }, [restoreDocument]);
+
+  const handleDeleteRevision = useCallback(async (revisionId) => {
+    const revision = project?.revisions.find(candidate => candidate.id === revisionId);
+    if (!revision || !window.confirm(`Delete "${revision.name}"?`)) return;
+
+    try {
+      await deleteRevision(savedProjectRef.current.id, revisionId);
+      setProject(prev => ({ ...prev, revisions: prev.revisions.filter(candidate => candidate.id !== revisionId) }));
+    } catch (error) {
+      setProjectError(error.message);
+    }
+  }, [project]);
 
   const handlePhotosUpload = useCallback((acceptedFiles) => {
     setPhotos(acceptedFiles);
@@ -2215,35 +2749,8 @@ function BackyardAIComponent() {
     setAddress(newAddress);
   }, []);
 
-  // Enhanced photo processing with real-time depth analysis simulation
-  const handleProcessPhotos = useCallback(async () => {
-    setStep('processing');
-    setIsProcessingPhotos(true);
-    
-    const stages = [
-      { progress: 5, stage: 'Validating property address...', delay: 800 },
-      { progress: 12, stage: 'Analyzing photos for depth estimation...', delay: 1200 },
-      { progress: 25, stage: 'Detecting scale reference objects (doors, windows)...', delay: 1500 },
-      { progress: 40, stage: 'Running photogrammetry reconstruction...', delay: 2000 },
-      { progress: 55, stage: 'Retrieving local building codes...', delay: 1200 },
-      { progress: 65, stage: 'Checking utility line locations...', delay: 1000 },
-      { progress: 75, stage: 'Analyzing property records...', delay: 1200 },
-      { progress: 85, stage: 'Calculating regional pricing...', delay: 1000 },
-      { progress: 95, stage: 'Generating 3D scene with physics...', delay: 1500 },
-      { progress: 100, stage: 'Finalizing photorealistic rendering...', delay: 1000 }
-    ];
-    
-    // Simulate advanced AI processing
-    const aiPromise = contractorAI.analyzePhotosWithAddress(photos, address);
-    
-    for (const { progress: targetProgress, stage, delay } of stages) {
-      setCurrentStage(stage);
-      setProgress(targetProgress);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-    
-    const results = await aiPromise;
-    
+  // Apply a finished analysis to the design and move on to the 3D step
+  const applyAnalysisResults = useCallback((results) => {
     // Enhanced results with photogrammetry data
     const enhancedResults = {
       ...results,
@@ -2264,6 +2771,7 @@ function BackyardAIComponent() {
     };
     
     setAiResults(enhancedResults);
+    setUtilityLines(results.utilities?.lines || []);
     
     setDesignData(prev => ({
       ...prev,
@@ -2272,101 +2780,539 @@ function BackyardAIComponent() {
       }
     }));
     
-    setIsProcessingPhotos(false);
     setStep('design');
-  }, [photos, address]);
+  }, []);
+
+  // Follow the job's stage events until it completes or a stage fails
+  const followAnalysisJob = useCallback(async (jobId) => {
+    setIsProcessingPhotos(true);
+    try {
+      const job = await watchAnalysis(jobId, { onUpdate: setAnalysisJob });
+      if (job.status === 'completed') {
+        applyAnalysisResults(await getAnalysisResult(jobId));
+      }
+    } catch (error) {
+      console.error('Analysis failed:', error);
+      setAnalysisError(error.message);
+    } finally {
+      setIsProcessingPhotos(false);
+    }
+  }, [applyAnalysisResults]);
+
+  // Analysis runs server-side as a job - see /api/analyze
+  const handleProcessPhotos = useCallback(async () => {
+    setStep('processing');
+    setAnalysisError(null);
+    setAnalysisJob(null);
+    
+    try {
+      const job = await createAnalysisJob(photos, address);
+      setAnalysisJob(job);
+      await followAnalysisJob(job.id);
+    } catch (error) {
+      console.error('Could not start analysis:', error);
+      setAnalysisError(error.message);
+    }
+  }, [photos, address, followAnalysisJob]);
+
+  // Re-run just the stage that failed (and anything it was blocking)
+  const handleRetryStage = useCallback(async (stageId) => {
+    if (!analysisJob) return;
+    setAnalysisError(null);
+    
+    try {
+      setAnalysisJob(await retryAnalysisStage(analysisJob.id, stageId));
+      await followAnalysisJob(analysisJob.id);
+    } catch (error) {
+      console.error('Stage retry failed:', error);
+      setAnalysisError(error.message);
+    }
+  }, [analysisJob, followAnalysisJob]);
 
   const handleDesignUpdate = useCallback((category, property, value) => {
     console.log('Design update:', category, property, value); // Debug log
-    setDesignData(prev => {
+    const label = POOL_EDIT_LABELS[property] || `pool ${property}`;
+    commitDesign(label, ({ designData: prev }) => {
       if (category === 'pool' && prev.pool) {
         const updatedPool = { ...prev.pool };
         if (property === 'length') {
           updatedPool.size = [value, updatedPool.size[1], updatedPool.size[2]];
         } else if (property === 'width') {
           updatedPool.size = [updatedPool.size[0], value, updatedPool.size[2]];
+        } else if (property === 'depth') {
+          updatedPool.size = [updatedPool.size[0], updatedPool.size[1], value];
         } else if (property === 'finish') {
           updatedPool.finish = value;
+        } else if (property === 'shape') {
+          // A new shape starts from its own preset outline
+          updatedPool.shape = value;
+          delete updatedPool.outline;
+        } else if (value === undefined) {
+          delete updatedPool[property];
         } else {
           updatedPool[property] = value;
         }
+        // An edited outline stretches with the length and width sliders
+        if (updatedPool.outline && updatedPool.size !== prev.pool.size) {
+          updatedPool.outline = scaleOutline(updatedPool.outline, prev.pool.size, updatedPool.size);
+        }
         console.log('Updated pool data:', updatedPool); // Debug log
-        return { ...prev, pool: updatedPool };
+        return { designData: { ...prev, pool: updatedPool } };
       }
-      return prev;
-    });
+      return {};
+    }, `${category}:${property}`);
+  }, [commitDesign]);
+
+  // Locate tickets replace the approximate record-based lines
+  const handleImportLocates = useCallback(async (file) => {
+    setUtilityImportError(null);
+    try {
+      const lines = parseLocateFile(await file.text(), file.name, {
+        origin: aiResults?.propertyData?.coordinates
+      });
+      setUtilityLines(prev => [...prev.filter(line => line.source !== 'records'), ...lines]);
+      setShowUtilities(true);
+    } catch (error) {
+      console.error('Locate import failed:', error);
+      setUtilityImportError(error.message);
+    }
+  }, [aiResults]);
+
+  const handleStartUtilityDraft = useCallback(({ type, depth }) => {
+    setUtilityImportError(null);
+    setUtilityDraft({ type, depth, points: [] });
+    setShowUtilities(true);
   }, []);
 
-  const handleTimeChange = useCallback((newTimeOfDay) => {
-    setTimeOfDay(newTimeOfDay);
+  const handleUtilityPoint = useCallback((point) => {
+    setUtilityDraft(prev => (prev ? { ...prev, points: [...prev.points, point] } : prev));
   }, []);
 
-  const handleAddElement = useCallback((category, type) => {
-    const newPosition = [
-      (Math.random() - 0.5) * 30,
-      0,
-      (Math.random() - 0.5) * 30
-    ];
-    
-    const newElement = {
-      type,
-      position: newPosition,
-      selected: false
+  const handleFinishUtilityDraft = useCallback(() => {
+    try {
+      const line = createUtilityLine({
+        id: `manual-${Date.now().toString(36)}`,
+        type: utilityDraft.type,
+        points: utilityDraft.points,
+        depth: utilityDraft.depth,
+        source: 'manual'
+      });
+      setUtilityLines(prev => [...prev, line]);
+      setUtilityDraft(null);
+    } catch (error) {
+      setUtilityImportError(error.message);
+    }
+  }, [utilityDraft]);
+
+  const handleTimeChange = useCallback((newTimeOfDay) => {
+    commitDesign('time of day', () => ({ timeOfDay: newTimeOfDay }));
+  }, [commitDesign]);
+
+  // Elements keep the catalog type they're priced by and the model they're drawn with.
+  // They land in free space where that kind of element usually goes, or as
+  // close to `point` as there's room when the user clicked a spot.
+  const placeElement = useCallback((category, item, point) => {
+    const element = { type: item.type, model: item.model, rotation: 0, scale: [1, 1, 1] };
+    const current = designStateRef.current;
+    const position = findPlacement({
+      element,
+      design: current.designData,
+      hardscapeElements: current.hardscapeElements,
+      landscapeElements: current.landscapeElements,
+      existingConditions,
+      layout: siteLayout,
+      point
+    });
+
+    if (!position) {
+      setPlacementError(`No free space left for ${item.name} - move or remove something first`);
+      return;
+    }
+
+    const newElement = { id: newElementId(category), ...element, name: item.name, position };
+    const key = `${category}Elements`;
+    commitDesign(`add ${item.name}`, state => ({ [key]: [...state[key], newElement] }));
+    setSelection({ category, id: newElement.id });
+    setPlacementError(null);
+  }, [commitDesign, existingConditions, siteLayout]);
+
+  // In click-to-place mode picking an item arms it; the next ground click places it
+  const handleAddElement = useCallback((category, item) => {
+    if (placementMode === 'click') {
+      setPlacingItem({ category, item });
+      setPlacementError(null);
+    } else {
+      placeElement(category, item);
+    }
+  }, [placementMode, placeElement]);
+
+  const handlePlaceAtPoint = useCallback((point) => {
+    placeElement(placingItem.category, placingItem.item, point);
+    setPlacingItem(null);
+  }, [placeElement, placingItem]);
+
+  React.useEffect(() => {
+    if (!placingItem) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setPlacingItem(null);
     };
-    
-    if (category === 'hardscape') {
-      setHardscapeElements(prev => [...prev, newElement]);
-    } else if (category === 'landscape') {
-      setLandscapeElements(prev => [...prev, newElement]);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [placingItem]);
+
+  const handleRemoveElement = useCallback((category, id) => {
+    const key = `${category}Elements`;
+    const element = designStateRef.current[key].find(candidate => candidate.id === id);
+    if (!element) return;
+    commitDesign(`remove ${element.name || element.type}`, current => ({
+      [key]: current[key].filter(candidate => candidate.id !== id)
+    }));
+    setSelection(prev => (prev?.id === id ? null : prev));
+  }, [commitDesign]);
+
+  // Copy lands in the free space nearest a few feet off the original and
+  // becomes the selection
+  const handleDuplicateElement = useCallback((category, id) => {
+    const key = `${category}Elements`;
+    const current = designStateRef.current;
+    const element = current[key].find(candidate => candidate.id === id);
+    if (!element) return;
+
+    const copy = { ...element, id: newElementId(category) };
+    const position = findPlacement({
+      element: copy,
+      design: current.designData,
+      hardscapeElements: current.hardscapeElements,
+      landscapeElements: current.landscapeElements,
+      existingConditions,
+      layout: siteLayout,
+      point: [element.position[0] + 3, element.position[2] + 3]
+    });
+
+    if (!position) {
+      setPlacementError(`No free space left for another ${element.name || element.type} - move or remove something first`);
+      return;
     }
+
+    commitDesign(`duplicate ${element.name || element.type}`, state => ({ [key]: [...state[key], { ...copy, position }] }));
+    setSelection({ category, id: copy.id });
+    setPlacementError(null);
+  }, [commitDesign, existingConditions, siteLayout]);
+
+  const handleElementSelect = useCallback((category, id) => {
+    setSelection({ category, id });
   }, []);
 
-  const handleElementSelect = useCallback((type) => {
-    console.log(`Selected ${type} element`);
+  // Property panel and gizmo edits. `mergeKey` keeps one slider or gizmo drag
+  // as a single undo step.
+  const handleElementChange = useCallback((category, id, changes, label, mergeKey) => {
+    const key = `${category}Elements`;
+    const element = designStateRef.current[key].find(candidate => candidate.id === id);
+    if (!element) return;
+    commitDesign(`${label} ${element.name || element.type}`, current => ({
+      [key]: current[key].map(candidate => (candidate.id === id ? { ...candidate, ...changes } : candidate))
+    }), mergeKey);
+  }, [commitDesign]);
+
+  // A whole drag or gizmo move, pointer down to pointer up, is one undo step.
+  // The session remembers the last spot the element could legally sit, so a
+  // drop somewhere blocked goes back there.
+  const beginElementDrag = useCallback((category, id, mergeKey) => {
+    dragGroupRef.current = mergeKey;
+    dragSessionRef.current = {
+      category,
+      id,
+      startElements: designStateRef.current[`${category}Elements`],
+      lastValid: null,
+      valid: true
+    };
   }, []);
 
-  const handleElementDrag = useCallback((category, index, newPosition) => {
-    if (category === 'hardscape') {
-      setHardscapeElements(prev => prev.map((element, i) => 
-        i === index ? { ...element, position: newPosition } : element
-      ));
-    } else if (category === 'landscape') {
-      setLandscapeElements(prev => prev.map((element, i) => 
-        i === index ? { ...element, position: newPosition } : element
-      ));
+  const trackElementDrag = useCallback((id, changes, result) => {
+    const session = dragSessionRef.current;
+    if (session) {
+      session.valid = result.valid;
+      if (result.valid) session.lastValid = changes;
     }
+    setDragFeedback({ id, outline: result.outline, guides: result.guides || [], valid: result.valid });
   }, []);
 
-  const handleExport = useCallback((type) => {
-    if (type === 'quote') {
-      alert('🏗️ Professional Quote Generated!\n\n✓ Photorealistic 3D renderings\n✓ Detailed material specifications\n✓ Timeline with milestones\n✓ Permit requirements\n✓ Local building code compliance\n\n(In production: generates comprehensive PDF)');
-    } else if (type === '3d') {
-      alert('🎨 Advanced 3D Model Exported!\n\n✓ WebXR/AR compatible format\n✓ Physics-based materials\n✓ Time-of-day variations\n✓ High-resolution textures\n✓ CAD-ready dimensions\n\n(In production: exports multiple formats)');
-    } else if (type === 'reset') {
-      // Reset all design elements
-      setHardscapeElements([]);
-      setLandscapeElements([]);
-      setTimeOfDay('sunset');
-      setDesignData({
-        pool: {
-          position: [0, 0, 0],
-          size: [24, 12, 6],
-          shape: 'rectangle',
-          color: '#0066cc',
-          finish: 'plaster'
-        },
-        backyard: {
-          dimensions: { length: 50, width: 35 }
-        }
-      });
-      alert('🔄 Complete Design Reset!\n\n✓ All elements cleared\n✓ Pool reset to defaults\n✓ Time set to sunset\n✓ Ready for new design');
+  const handleElementDragEnd = useCallback(() => {
+    const session = dragSessionRef.current;
+    if (session && !session.valid) {
+      const key = `${session.category}Elements`;
+      commitDesign('move', current => ({
+        [key]: session.lastValid
+          ? current[key].map(candidate => (candidate.id === session.id ? { ...candidate, ...session.lastValid } : candidate))
+          : session.startElements
+      }), dragGroupRef.current);
+    }
+    dragGroupRef.current = null;
+    dragSessionRef.current = null;
+    setDragFeedback(null);
+  }, [commitDesign]);
+
+  const handleElementTransform = useCallback((category, id, changes) => {
+    const current = designStateRef.current;
+    const element = current[`${category}Elements`].find(candidate => candidate.id === id);
+    if (!element) return;
+
+    const input = {
+      design: current.designData,
+      hardscapeElements: current.hardscapeElements,
+      landscapeElements: current.landscapeElements,
+      existingConditions,
+      layout: siteLayout
+    };
+    let next = changes;
+    let result;
+    if (transformMode === 'translate') {
+      result = snapDrag({ ...input, element: { ...element, ...changes }, position: changes.position, gridStep: getSnapStep(snapGrid) });
+      next = { ...changes, position: result.position };
+    } else {
+      result = checkPosition({ ...input, element: { ...element, ...changes } });
     }
+    handleElementChange(category, id, next, TRANSFORM_LABELS[transformMode], dragGroupRef.current || `transform:${id}`);
+    trackElementDrag(id, next, result);
+  }, [handleElementChange, trackElementDrag, transformMode, snapGrid, existingConditions, siteLayout]);
+
+  const handleTransformStart = useCallback(() => {
+    if (selection) beginElementDrag(selection.category, selection.id, `transform:${selection.id}:${Date.now()}`);
+  }, [selection, beginElementDrag]);
+
+  // Clicks on empty space clear the selection - unless they land on the gizmo
+  const handleCanvasMissed = useCallback(() => {
+    if (gizmoRef.current?.axis) return;
+    setSelection(null);
   }, []);
 
+  const selectedElement = selection
+    && (selection.category === 'hardscape' ? hardscapeElements : landscapeElements).find(element => element.id === selection.id);
+
+  // Delete/Backspace removes, Ctrl+D duplicates, W/E/R switch the gizmo, Esc deselects
+  React.useEffect(() => {
+    if (step !== 'design' || !selectedElement) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (isTextField(event.target)) return;
+      const key = event.key.toLowerCase();
+
+      if (key === 'delete' || key === 'backspace') {
+        event.preventDefault();
+        handleRemoveElement(selection.category, selection.id);
+      } else if (key === 'd' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        handleDuplicateElement(selection.category, selection.id);
+      } else if (key === 'escape') {
+        setSelection(null);
+      } else if (!event.ctrlKey && !event.metaKey && GIZMO_KEYS[key]) {
+        setTransformMode(GIZMO_KEYS[key]);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [step, selection, selectedElement, handleRemoveElement, handleDuplicateElement]);
+
+  const handleElementDragStart = useCallback((category, index) => {
+    const element = designStateRef.current[`${category}Elements`][index];
+    if (element) beginElementDrag(category, element.id, `drag:${category}:${index}:${Date.now()}`);
+  }, [beginElementDrag]);
+
+  // Snapped to the grid, lined up with neighbours and checked for collisions;
+  // a blocked spot still shows (in red) until the drop puts it back
+  const handleElementDrag = useCallback((category, index, pointerPosition) => {
+    const key = `${category}Elements`;
+    const current = designStateRef.current;
+    const element = current[key][index];
+    if (!element) return;
+
+    const result = snapDrag({
+      element,
+      position: pointerPosition,
+      design: current.designData,
+      hardscapeElements: current.hardscapeElements,
+      landscapeElements: current.landscapeElements,
+      existingConditions,
+      layout: siteLayout,
+      gridStep: getSnapStep(snapGrid)
+    });
+    commitDesign(`move ${element.name || element.type}`, state => ({
+      [key]: state[key].map((candidate, i) => (i === index ? { ...candidate, position: result.position } : candidate))
+    }), dragGroupRef.current || `drag:${category}:${index}`);
+    trackElementDrag(element.id, { position: result.position }, result);
+  }, [commitDesign, trackElementDrag, snapGrid, existingConditions, siteLayout]);
+
+  const handleExport = useCallback(async (type) => {
+    if (type === 'plan') {
+      setShowSitePlan(true);
+    } else if (type === 'csv' || type === 'xlsx') {
+      if (!costEstimate) {
+        setExportStatus({ type, error: 'The takeoff comes from the estimate - analyze the property first' });
+        return;
+      }
+      const takeoff = buildTakeoff(costEstimate);
+      if (type === 'csv') {
+        // The byte-order mark tells Excel the file is UTF-8
+        downloadBlob(new Blob(['\ufeff', tableToCsv(takeoff)], { type: 'text/csv' }), 'backyard-takeoff.csv');
+      } else {
+        downloadBlob(new Blob([tableToXlsx(takeoff, { sheetName: 'Takeoff' })], { type: XLSX_TYPE }), 'backyard-takeoff.xlsx');
+      }
+      setExportStatus(null);
+    } else if (type === 'quote' || type === '3d' || type === 'usdz') {
+      setExportStatus({ type });
+      // Drop the selection colors, gizmo and outline handles, and let the scene redraw without them
+      setSelection(null);
+      setEditingOutline(false);
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      try {
+        if (type === 'quote') {
+          const snapshots = captureRef.current ? captureRef.current(designDocument.design.pool.position) : [];
+          const { blob, filename } = await requestProposal(designDocument, snapshots);
+          downloadBlob(blob, filename);
+        } else if (type === 'usdz') {
+          downloadBlob(await exportUsdz(sceneRef.current), 'backyard-design.usdz');
+        } else {
+          downloadBlob(await exportGlb(sceneRef.current), 'backyard-design.glb');
+        }
+        setExportStatus(null);
+      } catch (error) {
+        console.error(`Export (${type}) failed:`, error);
+        setExportStatus({ type, error: error.errors?.[0] || error.message });
+      }
+    } else if (type === 'reset') {
+      // One undo step brings the whole design back - see "Undo reset"
+      commitDesign('reset', ({ designData: prev }) => ({
+        hardscapeElements: [],
+        landscapeElements: [],
+        timeOfDay: 'sunset',
+        // Backyard size comes from the parcel record, so it survives a reset
+        designData: { pool: DEFAULT_POOL_DESIGN, backyard: prev.backyard }
+      }));
+    }
+  }, [commitDesign, designDocument, costEstimate]);
+
+  // Clicking the pool shows its outline's control points
   const handlePoolSelect = useCallback(() => {
-    console.log('Pool selected for editing');
+    setSelection(null);
+    setEditingOutline(true);
+  }, []);
+
+  // Points that would fold the outline over itself are ignored
+  const handlePoolOutlineChange = useCallback((points) => {
+    commitDesign('reshape pool', ({ designData: prev }) => {
+      const outline = { ...getPoolOutline(prev.pool), points };
+      return isValidOutline(outline) ? { designData: { ...prev, pool: { ...prev.pool, outline } } } : {};
+    }, dragGroupRef.current || 'pool:outline');
+  }, [commitDesign]);
+
+  const handlePoolOutlineReset = useCallback(() => {
+    commitDesign('reset pool outline', ({ designData: prev }) => {
+      const { outline, ...pool } = prev.pool;
+      return outline ? { designData: { ...prev, pool } } : {};
+    });
+  }, [commitDesign]);
+
+  React.useEffect(() => {
+    if (!editingOutline) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setEditingOutline(false);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [editingOutline]);
+
+  const handleViewModeChange = useCallback((mode) => {
+    setViewMode(mode);
+    setPlanTool(null);
+    if (mode !== 'plan') setPlanZoom(null);
   }, []);
 
+  // A drawing tool takes over the pointer - drop whatever was selected or armed
+  const handlePlanToolChange = useCallback((tool) => {
+    setPlanTool(tool);
+    if (!tool) return;
+    setSelection(null);
+    setEditingOutline(false);
+    setPlacingItem(null);
+    setPlacementError(null);
+  }, []);
+
+  // A drawn patio is the catalog patio stretched to the rectangle
+  const handleDrawPatio = useCallback(({ center, size }) => {
+    const item = priceList.find('hardscape', 'patio');
+    const footprint = item && HARDSCAPE_FOOTPRINTS[item.model];
+    setPlanTool(null);
+    if (!footprint) return;
+
+    const current = designStateRef.current;
+    const element = {
+      id: newElementId('hardscape'),
+      type: item.type,
+      model: item.model,
+      name: item.name,
+      rotation: 0,
+      scale: [size[0] / footprint.box[0], 1, size[1] / footprint.box[1]].map(value => Math.round(value * 1000) / 1000),
+      position: [center[0], 0, center[1]]
+    };
+    const { valid } = checkPosition({
+      element,
+      design: current.designData,
+      hardscapeElements: current.hardscapeElements,
+      landscapeElements: current.landscapeElements,
+      existingConditions,
+      layout: siteLayout
+    });
+    if (!valid) {
+      setPlacementError(`That ${item.name.toLowerCase()} runs into something or out of the yard - draw it again`);
+      return;
+    }
+    commitDesign(`draw ${item.name}`, state => ({ hardscapeElements: [...state.hardscapeElements, element] }));
+    setSelection({ category: 'hardscape', id: element.id });
+  }, [commitDesign, priceList, existingConditions, siteLayout]);
+
+  // A drawn outline becomes the pool's own outline, centered on its position,
+  // with the length and width sliders set to its extent
+  const handleDrawPool = useCallback((points) => {
+    setPlanTool(null);
+    const bounds = outlineBounds(points);
+    const [cx, cz] = [(bounds.minX + bounds.maxX) / 2, (bounds.minZ + bounds.maxZ) / 2];
+    const outline = { smooth: false, points: points.map(([x, z]) => [x - cx, z - cz]) };
+    if (!isValidOutline(outline)) {
+      setPlacementError('That pool outline crosses itself - draw it again');
+      return;
+    }
+    commitDesign('draw pool outline', ({ designData: prev }) => {
+      const pool = prev.pool || DEFAULT_POOL_DESIGN;
+      return {
+        designData: {
+          ...prev,
+          pool: {
+            ...pool,
+            position: [cx, pool.position[1], cz],
+            size: [bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ, pool.size[2]],
+            outline
+          }
+        }
+      };
+    });
+    setEditingOutline(true);
+  }, [commitDesign]);
+
+  const handleCancelPlanTool = useCallback(() => setPlanTool(null), []);
+
+  // Plan mode reads out the selected element - or the pool, while its outline is open
+  const planMeasurement = React.useMemo(
+    () => viewMode === 'plan' && !planTool && measureClearances({
+      selection: selection || (editingOutline ? { category: 'pool' } : null),
+      design: designData,
+      hardscapeElements,
+      landscapeElements,
+      siteLayout
+    }),
+    [viewMode, planTool, selection, editingOutline, designData, hardscapeElements, landscapeElements, siteLayout]
+  );
+
   return (
     <div style={{
       minHeight: '100vh',
@@ -2428,6 +3374,21 @@ function BackyardAIComponent() {
 
       {/* Main content */}
       <main style={{ maxWidth: '1400px', margin: '0 auto', padding: isMobile ? '20px 15px' : '40px 30px' }}>
+        {step === 'upload' && projectError && (
+          <div style={{
+            maxWidth: '800px',
+            margin: '0 auto 20px',
+            background: 'rgba(239, 68, 68, 0.1)',
+            border: '1px solid rgba(239, 68, 68, 0.3)',
+            borderRadius: '12px',
+            padding: '16px',
+            color: '#fca5a5',
+            fontSize: '14px'
+          }}>
+            ⚠️ {projectError}
+          </div>
+        )}
+
         {step === 'upload' && (
           <div>
             <div style={{ textAlign: 'center', marginBottom: isMobile ? '30px' : '60px' }}>
@@ -2514,66 +3475,52 @@ function BackyardAIComponent() {
               AI Photogrammetry Analysis
             </h2>
             
-            <div style={{ 
-              background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)',
-              borderRadius: '20px',
-              padding: '30px',
-              marginBottom: '30px',
-              border: '1px solid #475569'
-            }}>
-              <div style={{ 
-                width: '100%', 
-                backgroundColor: '#334155', 
-                borderRadius: '50px',
-                height: '24px',
-                marginBottom: '20px',
-                overflow: 'hidden'
+            <AnalysisProgress
+              job={analysisJob}
+              onRetryStage={handleRetryStage}
+              retrying={isProcessingPhotos}
+            />
+
+            {analysisError && (
+              <div style={{
+                background: 'rgba(239, 68, 68, 0.1)',
+                borderRadius: '12px',
+                padding: '16px',
+                marginTop: '20px',
+                border: '1px solid rgba(239, 68, 68, 0.3)'
               }}>
-                <div 
-                  style={{ 
-                    background: 'linear-gradient(135deg, #3b82f6 0%, #6366f1 100%)',
-                    height: '24px',
-                    borderRadius: '50px',
-                    transition: 'width 0.8s ease',
-                    width: `${progress}%`,
-                    position: 'relative'
+                <p style={{ color: '#fca5a5', fontSize: '14px', margin: '0 0 12px 0' }}>
+                  ⚠️ Analysis failed: {analysisError}
+                </p>
+                <button
+                  onClick={() => setStep('upload')}
+                  style={{
+                    background: '#3b82f6',
+                    color: 'white',
+                    padding: '10px 20px',
+                    border: 'none',
+                    borderRadius: '8px',
+                    cursor: 'pointer'
                   }}
                 >
-                  <div style={{
-                    position: 'absolute',
-                    right: '15px',
-                    top: '50%',
-                    transform: 'translateY(-50%)',
-                    color: 'white',
-                    fontSize: '14px',
-                    fontWeight: '700'
-                  }}>
-                    {progress}%
-                  </div>
-                </div>
-              </div>
-              
-              <div style={{ fontSize: '1.3rem', color: '#cbd5e1', marginBottom: '20px' }}>
-                {currentStage}
+                  ← Back to Upload
+                </button>
               </div>
-
-              {progress >= 25 && (
-                <div style={{
-                  background: 'rgba(59, 130, 246, 0.1)',
-                  borderRadius: '12px',
-                  padding: '16px',
-                  marginTop: '20px',
-                  border: '1px solid rgba(59, 130, 246, 0.3)'
-                }}>
-                  <p style={{ color: '#93c5fd', fontSize: '14px', margin: 0 }}>
-                    ✓ Scale references detected • Physics simulation ready • Photorealistic rendering enabled
-                  </p>
-                </div>
-              )}
-            </div>
+            )}
           </div>
         )}
         
+        {step === 'design' && (
+          <ProjectBar
+            project={project}
+            saveStatus={saveStatus}
+            error={projectError}
+            onSaveRevision={handleSaveRevision}
+            onLoadRevision={handleLoadRevision}
+            onDeleteRevision={handleDeleteRevision}
+          />
+        )}
+
         {step === 'design' && (
           <div style={{ 
             display: 'grid', 
@@ -2590,22 +3537,101 @@ function BackyardAIComponent() {
                 boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
               }}>
                 <div style={{ 
-                  height: isMobile ? '400px' : '800px'
+                  height: isMobile ? '400px' : '800px',
+                  position: 'relative'
                 }}>
-                  <Canvas camera={{ position: [30, 20, 30], fov: 50 }}>
+                  <HistoryToolbar history={history} onUndo={handleUndo} onRedo={handleRedo} />
+                  <SnapGridToggle value={snapGrid} onChange={setSnapGrid} />
+                  {(placingItem || placementError) && (
+                    <div style={{
+                      position: 'absolute',
+                      top: '16px',
+                      left: '50%',
+                      transform: 'translateX(-50%)',
+                      zIndex: 10,
+                      background: placementError ? 'rgba(185, 28, 28, 0.9)' : 'rgba(30, 64, 175, 0.9)',
+                      color: 'white',
+                      borderRadius: '10px',
+                      padding: '8px 14px',
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '10px'
+                    }}>
+                      {placementError || `📍 Click the ground to place ${placingItem.item.name}`}
+                      <button
+                        onClick={() => {
+                          setPlacingItem(null);
+                          setPlacementError(null);
+                        }}
+                        style={{ background: 'none', border: 'none', color: 'white', cursor: 'pointer', fontSize: '12px' }}
+                      >
+                        {placementError ? '✕' : 'Cancel'}
+                      </button>
+                    </div>
+                  )}
+                  <Canvas
+                    camera={{ position: [30, 20, 30], fov: 50 }}
+                    onCreated={({ scene }) => { sceneRef.current = scene; }}
+                    onPointerMissed={handleCanvasMissed}
+                  >
                     <Suspense fallback={null}>
                       <Scene 
                         designData={designData} 
+                        hydraulics={hydraulics}
                         aiResults={aiResults}
                         hardscapeElements={hardscapeElements}
                         landscapeElements={landscapeElements}
+                        existingConditions={existingConditions}
+                        siteLayout={siteLayout}
+                        violations={layoutCompliance.violations}
+                        utilityLines={utilityLines}
+                        showUtilities={showUtilities}
+                        utilityDraft={utilityDraft}
+                        digConflicts={digConflicts}
+                        onGroundClick={utilityDraft ? handleUtilityPoint : placingItem ? handlePlaceAtPoint : undefined}
                         onPoolSelect={handlePoolSelect}
                         onElementSelect={handleElementSelect}
+                        selection={selection}
+                        transformMode={transformMode}
+                        gizmoRef={gizmoRef}
                         onElementDrag={handleElementDrag}
+                        onElementDragStart={handleElementDragStart}
+                        onElementDragEnd={handleElementDragEnd}
+                        onElementTransform={handleElementTransform}
+                        onTransformStart={handleTransformStart}
+                        onTransformEnd={handleElementDragEnd}
+                        dragFeedback={dragFeedback}
+                        outlineEditor={editingOutline ? {
+                          gridStep: getSnapStep(snapGrid),
+                          onChange: handlePoolOutlineChange,
+                          onDragStart: (index) => { dragGroupRef.current = `outline:${index}:${Date.now()}`; },
+                          onDragEnd: () => { dragGroupRef.current = null; }
+                        } : null}
+                        plan={viewMode === 'plan' ? {
+                          gridStep: getSnapStep(snapGrid),
+                          measurement: planMeasurement,
+                          tool: planTool,
+                          onDrawPatio: handleDrawPatio,
+                          onDrawPool: handleDrawPool,
+                          onCancelTool: handleCancelPlanTool,
+                          onZoomChange: setPlanZoom
+                        } : null}
                         timeOfDay={timeOfDay}
                       />
                     </Suspense>
+                    <SnapshotCapture captureRef={captureRef} />
                   </Canvas>
+                  <PlanToolbar
+                    viewMode={viewMode}
+                    onViewModeChange={handleViewModeChange}
+                    tool={planTool}
+                    onToolChange={handlePlanToolChange}
+                    hasPool={Boolean(designData.pool)}
+                  />
+                  {viewMode === 'plan' && <PlanScaleBar pixelsPerFoot={planZoom} />}
+                  {planMeasurement && <PlanReadout measurement={planMeasurement} />}
                 </div>
                 <div style={{
                   padding: isMobile ? '15px 20px' : '20px 30px',
@@ -2632,18 +3658,69 @@ function BackyardAIComponent() {
             
             {/* Enhanced Controls */}
             <div>
+              {selectedElement && (
+                <ElementProperties
+                  category={selection.category}
+                  element={selectedElement}
+                  transformMode={transformMode}
+                  onTransformModeChange={setTransformMode}
+                  onChange={(changes, label, field) => handleElementChange(selection.category, selectedElement.id, changes, label, `edit:${selectedElement.id}:${field}`)}
+                  onDuplicate={() => handleDuplicateElement(selection.category, selectedElement.id)}
+                  onDelete={() => handleRemoveElement(selection.category, selectedElement.id)}
+                  onClose={() => setSelection(null)}
+                />
+              )}
               <ContractorControls 
                 designData={designData}
+                hydraulics={hydraulics}
                 aiResults={aiResults}
                 onUpdate={handleDesignUpdate}
                 onExport={handleExport}
+                exportStatus={exportStatus}
                 onAddElement={handleAddElement}
+                placement={{
+                  mode: placementMode,
+                  onModeChange: (mode) => {
+                    setPlacementMode(mode);
+                    setPlacingItem(null);
+                  },
+                  placingItem
+                }}
+                poolOutline={{
+                  editing: editingOutline,
+                  onToggle: () => setEditingOutline(prev => !prev),
+                  onReset: handlePoolOutlineReset
+                }}
+                placedElements={{ hardscape: hardscapeElements, landscape: landscapeElements }}
+                onRemoveElement={handleRemoveElement}
+                existingConditions={existingConditions}
+                recommendations={recommendations}
+                layoutCompliance={layoutCompliance}
+                costEstimate={costEstimate}
+                priceList={priceList}
+                utilities={{
+                  lines: utilityLines,
+                  showOverlay: showUtilities,
+                  onToggleOverlay: () => setShowUtilities(prev => !prev),
+                  onImport: handleImportLocates,
+                  importError: utilityImportError,
+                  onRemoveLine: (id) => setUtilityLines(prev => prev.filter(line => line.id !== id)),
+                  draft: utilityDraft,
+                  onStartDraft: handleStartUtilityDraft,
+                  onFinishDraft: handleFinishUtilityDraft,
+                  onCancelDraft: () => setUtilityDraft(null),
+                  conflicts: digConflicts,
+                  checklist: digChecklist,
+                  onToggleChecklist: (id) => setDigChecklist(prev => ({ ...prev, [id]: !prev[id] })),
+                  callBeforeDigging: aiResults?.utilities?.callBeforeDigging
+                }}
                 timeOfDay={timeOfDay}
                 onTimeChange={handleTimeChange}
               />
             </div>
           </div>
         )}
+        {sitePlan && <SitePlanViewer plan={sitePlan} onClose={closeSitePlan} />}
       </main>
     </div>
   );
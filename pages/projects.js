@@ -0,0 +1,140 @@
+// 📁 PROJECTS - saved designs, reopened straight into the 3D design step
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { listProjects, saveProject, deleteProject } from '../lib/projects/client';
+
+const buttonStyle = {
+  background: 'linear-gradient(135deg, #1e40af 0%, #3b82f6 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  padding: '8px 16px',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer',
+  textDecoration: 'none'
+};
+
+const quietButton = {
+  ...buttonStyle,
+  background: 'linear-gradient(135deg, #475569 0%, #64748b 100%)'
+};
+
+const nameInput = {
+  background: '#0f172a',
+  color: '#f1f5f9',
+  border: '1px solid #475569',
+  borderRadius: '6px',
+  padding: '6px 8px',
+  fontSize: '14px',
+  width: '100%',
+  boxSizing: 'border-box'
+};
+
+function ProjectRow({ project, onRename, onDelete }) {
+  const [name, setName] = useState(project.name);
+
+  const commitName = () => {
+    if (name.trim() && name.trim() !== project.name) onRename(project, name.trim());
+    else setName(project.name);
+  };
+
+  return (
+    <tr style={{ borderTop: '1px solid #475569' }}>
+      <td style={{ padding: '10px 8px' }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          style={nameInput}
+          aria-label="Project name"
+        />
+        <div style={{ fontSize: '12px', color: '#94a3b8', marginTop: '4px' }}>{project.address}</div>
+      </td>
+      <td style={{ padding: '10px 8px', color: '#cbd5e1' }}>
+        {project.revisionCount} option{project.revisionCount === 1 ? '' : 's'}
+      </td>
+      <td style={{ padding: '10px 8px', color: '#94a3b8' }}>
+        {new Date(project.updatedAt).toLocaleString()}
+      </td>
+      <td style={{ padding: '10px 8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+        <Link href={`/?project=${project.id}`} style={buttonStyle}>Open</Link>
+        <button onClick={() => onDelete(project)} style={{ ...quietButton, marginLeft: '6px' }}>✕</button>
+      </td>
+    </tr>
+  );
+}
+
+export default function Projects() {
+  const [projects, setProjects] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    listProjects()
+      .then(setProjects)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const handleRename = async (project, name) => {
+    try {
+      const saved = await saveProject(project.id, { name });
+      setProjects(prev => prev.map(p => (p.id === saved.id ? { ...p, name: saved.name, version: saved.version, updatedAt: saved.updatedAt } : p)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete "${project.name}" and all its options?`)) return;
+    try {
+      await deleteProject(project.id);
+      setProjects(prev => prev.filter(p => p.id !== project.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: 'linear-gradient(145deg, #0f172a 0%, #1e293b 100%)', color: '#f1f5f9', padding: '30px', fontFamily: 'system-ui, sans-serif' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px', gap: '16px', flexWrap: 'wrap' }}>
+          <h1 style={{ fontSize: '24px', fontWeight: '800', margin: 0 }}>📁 Projects</h1>
+          <Link href="/" style={buttonStyle}>＋ New Design</Link>
+        </div>
+
+        {error && (
+          <div style={{ background: 'rgba(239, 68, 68, 0.15)', border: '1px solid #ef4444', borderRadius: '8px', padding: '12px', marginBottom: '16px', fontSize: '13px' }}>
+            {error}
+          </div>
+        )}
+
+        <div style={{ background: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)', borderRadius: '16px', padding: '20px' }}>
+          {!projects ? (
+            <div style={{ color: '#94a3b8' }}>Loading projects…</div>
+          ) : projects.length === 0 ? (
+            <div style={{ color: '#94a3b8' }}>
+              No saved projects yet - finish an analysis and the design is saved automatically.
+            </div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ color: '#94a3b8', textAlign: 'left' }}>
+                  <th style={{ padding: '0 8px 8px' }}>Project</th>
+                  <th style={{ padding: '0 8px 8px' }}>Options</th>
+                  <th style={{ padding: '0 8px 8px' }}>Last saved</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {projects.map(project => (
+                  <ProjectRow key={project.id} project={project} onRename={handleRename} onDelete={handleDelete} />
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}